@@ -75,7 +75,10 @@ tarball.TarReader = class {
 
     _readFileName(header_offset) {
         let name = this._readString(header_offset, 100);
-        return name;
+        // ustar: names longer than 100 bytes are split at a slash, the
+        // leading part in the prefix field
+        let prefix = this._readString(header_offset+345, 155);
+        return prefix.length > 0 ? prefix + "/" + name : name;
     }
 
     _readFileType(header_offset) {
@@ -299,8 +302,26 @@ tarball.TarWriter = class {
     }
 
     _writeFileName(name, header_offset) {
-        // offset: 0
-        this._writeString(name, header_offset, 100);
+        // offset: 0, prefix offset: 345
+        let [prefix, base] = this._splitFileName(name);
+        this._writeString(base, header_offset, 100);
+        this._writeString(prefix, header_offset+345, 155);
+    }
+
+    _splitFileName(name) {
+        // ustar: a name longer than 100 bytes is split at a slash into a
+        // prefix of up to 155 bytes and a name of up to 100 bytes
+        let arr = new TextEncoder().encode(name);
+        if (arr.length <= 100) {
+            return ["", name];
+        }
+        let td = new TextDecoder();
+        for (let i = Math.min(arr.length - 2, 155); i >= arr.length - 101; i--) {
+            if (arr[i] === 0x2f) {
+                return [td.decode(arr.subarray(0, i)), td.decode(arr.subarray(i + 1))];
+            }
+        }
+        throw new RangeError("File name too long for a tar archive: " + name);
     }
 
     _writeFileType(typeStr, header_offset) {
@@ -403,3 +424,6 @@ tarball.TarWriter = class {
     }
 };
 
+
+// ES module
+export { tarball };
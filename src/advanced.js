@@ -0,0 +1,128 @@
+import { clamp, dict } from "./common.js";
+
+/**
+ * An array of the outputs of the advanced download panel of the DMH
+ * dashboard.
+ */
+const OUTPUTS = [
+  "FILES",
+  "IMAGES",
+  "VIDEO",
+  "ANIMATION",
+  "TEMPERATURE",
+  "SERIES",
+  "ALERTS",
+];
+
+/**
+ * A map (enumeration) of the outputs of the advanced download panel to their
+ * corresponding string values.
+ */
+const OUTPUT = dict(OUTPUTS, OUTPUTS);
+
+/**
+ * A map of the outputs of the advanced download panel to their descriptions.
+ */
+const OUTPUT_LABEL = dict(OUTPUTS, [
+  "Archivos originales",
+  "Imágenes convertidas",
+  "Video",
+  "Animación (GIF/APNG)",
+  "Temperaturas sin calibrar (CSV/binario)",
+  "Serie temporal de un punto",
+  "Alertas de convección sin calibrar (topes fríos)",
+]);
+
+/**
+ * Outputs that keep the pixels of the images as they are, so they are never
+ * annotated.
+ */
+const RAW_OUTPUTS = new Set([OUTPUT.FILES, OUTPUT.TEMPERATURE, OUTPUT.SERIES]);
+
+/**
+ * Class building the requests of the advanced download panel of the DMH
+ * dashboard from the values of its fields.
+ *
+ * The values are those of the fields of the panel, as text:
+ *
+ * fields = {
+ *   output: {string},     // see `OUTPUT`
+ *   image: {string},
+ *   archive: {string},
+ *   video: {string},
+ *   animation: {string},
+ *   fps: {string},
+ *   loop: {string},
+ *   hold: {string},       // seconds
+ *   prefix: {string},
+ *   scale: {string},      // percentage of the original size
+ *   grid: {string},
+ *   unit: {string},       // "C" or "K"
+ *   radius: {string},
+ *   threshold: {string},
+ *   cooling: {string},
+ * }
+ *
+ * plus the annotation options, the crop rectangle and the point of the time
+ * series already read from their fields (`annotation`, `crop` and `point`),
+ * `undefined` if not requested or invalid.
+ */
+class AdvancedRequest {
+  /**
+   * Builds the request of the advanced download panel. The frame rate is
+   * clamped to the range of the settings, and the annotation is left out for
+   * the outputs that are not annotated.
+   *
+   * @param {Object} fields The values of the fields. See the class
+   *        description for details.
+   * @param {Object} settings The `satellite` section of the settings.
+   * @returns {Object} The request. See `AdvancedForm` for details.
+   */
+  static build(fields, settings) {
+    return {
+      output: fields.output,
+      image: fields.image,
+      archive: fields.archive,
+      video: fields.video,
+      animation: fields.animation,
+      fps: clamp(AdvancedRequest.#number(fields.fps), settings.fps),
+      loop: Number(fields.loop),
+      hold: Number(fields.hold),
+      prefix: fields.prefix,
+      annotation: AdvancedRequest.annotates(fields.output)
+        ? fields.annotation
+        : undefined,
+      crop: fields.crop,
+      scale: Number(fields.scale) / 100,
+      grid: fields.grid,
+      kelvin: fields.unit === "K",
+      point: fields.point,
+      radius: Number(fields.radius),
+      threshold: Number(fields.threshold),
+      cooling: Number(fields.cooling),
+    };
+  }
+
+  /**
+   * Tells whether an output can be annotated: images, videos, animations
+   * and alerts, but not original files, temperatures or time series.
+   *
+   * @param {string} output The output (see `OUTPUT`).
+   * @returns {boolean} `true` if the output can be annotated.
+   */
+  static annotates(output) {
+    return !RAW_OUTPUTS.has(output);
+  }
+
+  /**
+   * (Private function) Converts the text of a numeric field to a number.
+   *
+   * @param {string} text The text of the field.
+   * @returns {number} The number, `NaN` if the field is empty.
+   */
+  static #number(text) {
+    return text.trim() === "" ? Number.NaN : Number(text);
+  }
+}
+
+export { AdvancedRequest, OUTPUT, OUTPUT_LABEL, OUTPUTS };
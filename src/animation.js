@@ -0,0 +1,802 @@
+import { zlibSync } from "../lib/fflate.js";
+
+/**
+ * The shortest frame delay, in milliseconds, most viewers honour; shorter
+ * delays are usually replaced by a much slower default.
+ */
+const MIN_DELAY = 20;
+
+/**
+ * Yields to the event loop between frames, so that the page remains
+ * responsive while encoding, then checks whether the encoding was cancelled.
+ *
+ * (Private helper function)
+ *
+ * @param {AbortSignal} signal (Optional) The signal cancelling the encoding.
+ * @returns {Promise<void>} A promise that resolves after yielding, or rejects
+ *          with the abort reason.
+ */
+async function nextFrame(signal) {
+  await new Promise((resolve) => setTimeout(resolve));
+  signal?.throwIfAborted();
+}
+
+/**
+ * Class to build a byte array from bytes, little-endian words, strings and
+ * byte arrays, appended in order.
+ *
+ * (Private helper class)
+ */
+class ByteStream {
+  #chunks = [];
+  #bytes = [];
+
+  /**
+   * Appends a single byte.
+   *
+   * @param {number} value The byte to append (0..255).
+   */
+  byte(value) {
+    this.#bytes.push(value & 0xff);
+  }
+
+  /**
+   * Appends a 16-bit unsigned integer in little-endian order.
+   *
+   * @param {number} value The word to append (0..65535).
+   */
+  word(value) {
+    this.#bytes.push(value & 0xff, (value >> 8) & 0xff);
+  }
+
+  /**
+   * Appends the character codes of an ASCII string.
+   *
+   * @param {string} text The string to append.
+   */
+  string(text) {
+    for (const char of text) {
+      this.#bytes.push(char.codePointAt(0) & 0xff);
+    }
+  }
+
+  /**
+   * Appends a byte array, without copying it.
+   *
+   * @param {Uint8Array} data The bytes to append.
+   */
+  bytes(data) {
+    this.#flush();
+    this.#chunks.push(data);
+  }
+
+  /**
+   * Concatenates all the appended data.
+   *
+   * @returns {Uint8Array} The resulting byte array.
+   */
+  toArray() {
+    this.#flush();
+    let length = 0;
+    for (const chunk of this.#chunks) {
+      length += chunk.length;
+    }
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of this.#chunks) {
+      result.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return result;
+  }
+
+  /**
+   * (Private method) Moves the pending single bytes into a chunk.
+   */
+  #flush() {
+    if (this.#bytes.length > 0) {
+      this.#chunks.push(Uint8Array.from(this.#bytes));
+      this.#bytes = [];
+    }
+  }
+}
+
+/**
+ * Class to reduce the colors of a sequence of frames to a single palette,
+ * using the median cut algorithm over a 15-bit (5 bits per channel) color
+ * histogram, and to map the frames to the palette, optionally with
+ * Floyd-Steinberg error diffusion dithering. The palette may be built from
+ * a sample of the frames only.
+ *
+ * (Private helper class)
+ */
+class ColorQuantizer {
+  #histogram = new Uint32Array(1 << 15);
+  #palette;
+  #cache;
+
+  /**
+   * Adds the colors of a frame to the histogram. Must be called for every
+   * sampled frame before building the palette.
+   *
+   * @param {Uint8ClampedArray} pixels The RGBA pixels of the frame.
+   */
+  add(pixels) {
+    for (let i = 0; i < pixels.length; i += 4) {
+      this.#histogram[
+        ColorQuantizer.#key(pixels[i], pixels[i + 1], pixels[i + 2])
+      ]++;
+    }
+  }
+
+  /**
+   * Builds the palette from the colors added so far.
+   *
+   * @param {number} size The maximum number of colors of the palette.
+   * @returns {Uint8Array} The palette, as consecutive RGB triplets.
+   */
+  build(size) {
+    const colors = [];
+    for (const [key, count] of this.#histogram.entries()) {
+      if (count > 0) {
+        colors.push(key);
+      }
+    }
+    const boxes = colors.length > 0 ? [colors] : [[0]];
+    while (boxes.length < size) {
+      const index = this.#widest(boxes);
+      if (index < 0) {
+        break;
+      }
+      boxes.push(...this.#split(boxes.splice(index, 1)[0]));
+    }
+    this.#palette = new Uint8Array(boxes.length * 3);
+    for (const [index, box] of boxes.entries()) {
+      this.#palette.set(this.#average(box), index * 3);
+    }
+    this.#cache = new Int16Array(1 << 15).fill(-1);
+    return this.#palette;
+  }
+
+  /**
+   * Maps the pixels of a frame to palette indices.
+   *
+   * @param {Uint8ClampedArray} pixels The RGBA pixels of the frame.
+   * @param {number} width The width of the frame, in pixels.
+   * @param {boolean} dither Whether to diffuse the quantization error.
+   * @returns {Uint8Array} The palette index of every pixel.
+   */
+  map(pixels, width, dither) {
+    const indices = new Uint8Array(pixels.length / 4);
+    if (!dither) {
+      for (let p = 0; p < indices.length; p++) {
+        const i = p * 4;
+        indices[p] = this.#nearest(pixels[i], pixels[i + 1], pixels[i + 2]);
+      }
+      return indices;
+    }
+    // Errors of the current and next rows, with a margin pixel on each side
+    let current = new Float32Array((width + 2) * 3);
+    let next = new Float32Array((width + 2) * 3);
+    const height = indices.length / width;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        const e = (x + 1) * 3;
+        const r = ColorQuantizer.#clamp(pixels[p * 4] + current[e]);
+        const g = ColorQuantizer.#clamp(pixels[p * 4 + 1] + current[e + 1]);
+        const b = ColorQuantizer.#clamp(pixels[p * 4 + 2] + current[e + 2]);
+        const index = this.#nearest(r, g, b);
+        indices[p] = index;
+        const color = [r, g, b];
+        for (let c = 0; c < 3; c++) {
+          const error = color[c] - this.#palette[index * 3 + c];
+          current[e + 3 + c] += (error * 7) / 16;
+          next[e - 3 + c] += (error * 3) / 16;
+          next[e + c] += (error * 5) / 16;
+          next[e + 3 + c] += error / 16;
+        }
+      }
+      [current, next] = [next, current.fill(0)];
+    }
+    return indices;
+  }
+
+  /**
+   * (Private method) Finds the palette color nearest to the given one. The
+   * search is cached per 15-bit color.
+   *
+   * @param {number} r The red component (0..255).
+   * @param {number} g The green component (0..255).
+   * @param {number} b The blue component (0..255).
+   * @returns {number} The index of the nearest palette color.
+   */
+  #nearest(r, g, b) {
+    const key = ColorQuantizer.#key(r, g, b);
+    if (this.#cache[key] < 0) {
+      const palette = this.#palette;
+      let best = 0;
+      let distance = Infinity;
+      for (let i = 0; i < palette.length; i += 3) {
+        const dr = palette[i] - r;
+        const dg = palette[i + 1] - g;
+        const db = palette[i + 2] - b;
+        const d = dr * dr + dg * dg + db * db;
+        if (d < distance) {
+          distance = d;
+          best = i / 3;
+        }
+      }
+      this.#cache[key] = best;
+    }
+    return this.#cache[key];
+  }
+
+  /**
+   * (Private method) Finds the box to split next: the one with the largest
+   * population times channel range, among the boxes with more than one
+   * color.
+   *
+   * @param {number[][]} boxes The boxes, as arrays of 15-bit colors.
+   * @returns {number} The index of the box, or -1 if none can be split.
+   */
+  #widest(boxes) {
+    let widest = -1;
+    let score = 0;
+    for (const [index, box] of boxes.entries()) {
+      if (box.length < 2) {
+        continue;
+      }
+      let population = 0;
+      for (const key of box) {
+        population += this.#histogram[key];
+      }
+      const value = population * ColorQuantizer.#range(box)[1];
+      if (value > score) {
+        score = value;
+        widest = index;
+      }
+    }
+    return widest;
+  }
+
+  /**
+   * (Private method) Splits a box at the weighted median of its widest
+   * channel.
+   *
+   * @param {number[]} box The box, as an array of 15-bit colors.
+   * @returns {number[][]} The two resulting boxes.
+   */
+  #split(box) {
+    const [channel] = ColorQuantizer.#range(box);
+    const shift = 10 - channel * 5;
+    box.sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+    let population = 0;
+    for (const key of box) {
+      population += this.#histogram[key];
+    }
+    let median = 0;
+    let count = 0;
+    while (median < box.length - 2) {
+      count += this.#histogram[box[median]];
+      if (count * 2 >= population) {
+        break;
+      }
+      median++;
+    }
+    return [box.slice(0, median + 1), box.slice(median + 1)];
+  }
+
+  /**
+   * (Private method) Computes the population-weighted average color of a
+   * box.
+   *
+   * @param {number[]} box The box, as an array of 15-bit colors.
+   * @returns {number[]} The average color, as an RGB triplet.
+   */
+  #average(box) {
+    const sum = [0, 0, 0];
+    let population = 0;
+    for (const key of box) {
+      const count = this.#histogram[key] || 1;
+      for (let c = 0; c < 3; c++) {
+        const value = (key >> (10 - c * 5)) & 31;
+        sum[c] += ((value << 3) | (value >> 2)) * count;
+      }
+      population += count;
+    }
+    return sum.map((value) => Math.round(value / population));
+  }
+
+  /**
+   * (Private function) Finds the channel with the largest range of values
+   * in a box.
+   *
+   * @param {number[]} box The box, as an array of 15-bit colors.
+   * @returns {[number, number]} The channel (0: red, 1: green, 2: blue) and
+   *          its range.
+   */
+  static #range(box) {
+    let widest = [0, -1];
+    for (let c = 0; c < 3; c++) {
+      const shift = 10 - c * 5;
+      let min = 31;
+      let max = 0;
+      for (const key of box) {
+        const value = (key >> shift) & 31;
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+      if (max - min > widest[1]) {
+        widest = [c, max - min];
+      }
+    }
+    return widest;
+  }
+
+  /**
+   * (Private function) Rounds a color component and clamps it to 0..255.
+   *
+   * @param {number} value The component, with the diffused error.
+   * @returns {number} The clamped component.
+   */
+  static #clamp(value) {
+    return Math.min(255, Math.max(0, Math.round(value)));
+  }
+
+  /**
+   * (Private function) Computes the 15-bit key of a color.
+   *
+   * @param {number} r The red component (0..255).
+   * @param {number} g The green component (0..255).
+   * @param {number} b The blue component (0..255).
+   * @returns {number} The key (0..32767).
+   */
+  static #key(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+  }
+}
+
+/**
+ * Class to encode a sequence of frames as an animated GIF (GIF89a), with a
+ * global palette of up to 256 colors shared by all frames.
+ *
+ * Frames are objects with the RGBA `pixels` of the frame (e.g., the `data` of
+ * an `ImageData`) and its `delay` in milliseconds, taken one at a time from
+ * an iterable (e.g., a generator drawing them on demand), so that only one
+ * frame is kept in memory. All frames must have the size given in the
+ * options:
+ *
+ * options = {
+ *   width: {number},
+ *   height: {number},
+ *   loop: {number},      // number of plays, 0 (default) plays forever
+ *   colors: {number},    // palette size (2..256), defaults to 256
+ *   dither: {boolean},   // Floyd-Steinberg dithering, defaults to `true`
+ *   samples: {Iterable<Uint8ClampedArray>}, // (Optional) the RGBA pixels of
+ *                        // the frames the palette is built from, the first
+ *                        // frame if omitted
+ *   signal: {AbortSignal}, // (Optional) cancels the encoding
+ * }
+ */
+class GifEncoder {
+  /**
+   * The default options of the encoder.
+   */
+  static #defaults = { loop: 0, colors: 256, dither: true };
+
+  /**
+   * Encodes the given frames as an animated GIF. The encoding yields to the
+   * event loop between frames, so that the page remains responsive.
+   *
+   * @param {Iterable<{pixels: Uint8ClampedArray, delay: number}>} frames
+   *        The frames of the animation.
+   * @param {object} options The encoding options. See the class description
+   *        for details.
+   * @returns {Promise<Uint8Array>} A promise that resolves to the GIF file
+   *          data, or rejects if the encoding is cancelled.
+   */
+  static async encode(frames, options) {
+    const { width, height, loop, colors, dither, samples, signal } = {
+      ...GifEncoder.#defaults,
+      ...options,
+    };
+    const quantizer = new ColorQuantizer();
+    for (const pixels of samples || []) {
+      await nextFrame(signal);
+      quantizer.add(pixels);
+    }
+    const stream = new ByteStream();
+    let bits;
+    for (const frame of frames) {
+      await nextFrame(signal);
+      if (!bits) {
+        if (!samples) {
+          quantizer.add(frame.pixels);
+        }
+        const palette = quantizer.build(Math.min(256, Math.max(2, colors)));
+        bits = Math.max(2, Math.ceil(Math.log2(palette.length / 3)));
+        GifEncoder.#writeHeader(stream, [width, height, loop], palette, bits);
+      }
+      const indices = quantizer.map(frame.pixels, width, dither);
+      GifEncoder.#writeFrame(stream, [width, height, frame.delay]);
+      stream.byte(bits);
+      stream.bytes(GifEncoder.#blocks(GifEncoder.#compress(indices, bits)));
+    }
+    stream.byte(0x3b); // trailer
+    return stream.toArray();
+  }
+
+  /**
+   * (Private function) Writes the header of the GIF: the logical screen, the
+   * global color table and, unless the animation plays once, the loop
+   * extension.
+   *
+   * @param {ByteStream} stream The stream to write to.
+   * @param {number[]} screenspec An array with the width and height of the
+   *        animation and its number of plays (`[width, height, loop]`).
+   * @param {Uint8Array} palette The palette, as consecutive RGB triplets.
+   * @param {number} bits The number of bits of the palette indices.
+   */
+  static #writeHeader(stream, screenspec, palette, bits) {
+    const [width, height, loop] = screenspec;
+    stream.string("GIF89a");
+    stream.word(width);
+    stream.word(height);
+    stream.byte(0xf0 | (bits - 1)); // global color table, 8-bit resolution
+    stream.byte(0); // background color index
+    stream.byte(0); // pixel aspect ratio (unspecified)
+    const table = new Uint8Array(3 << bits);
+    table.set(palette);
+    stream.bytes(table);
+    if (loop !== 1) {
+      GifEncoder.#writeLoop(stream, loop > 1 ? loop - 1 : 0);
+    }
+  }
+
+  /**
+   * (Private function) Writes the application extension that makes the
+   * animation repeat (NETSCAPE2.0).
+   *
+   * @param {ByteStream} stream The stream to write to.
+   * @param {number} repeat The number of repetitions after the first play,
+   *        0 repeats forever.
+   */
+  static #writeLoop(stream, repeat) {
+    stream.byte(0x21);
+    stream.byte(0xff);
+    stream.byte(11);
+    stream.string("NETSCAPE2.0");
+    stream.byte(3);
+    stream.byte(1);
+    stream.word(Math.min(repeat, 0xff_ff));
+    stream.byte(0);
+  }
+
+  /**
+   * (Private function) Writes the graphic control extension and the image
+   * descriptor of a full-size frame.
+   *
+   * @param {ByteStream} stream The stream to write to.
+   * @param {number[]} framespec An array with the width and height of the
+   *        frame and its delay in milliseconds (`[width, height, delay]`).
+   */
+  static #writeFrame(stream, framespec) {
+    const [width, height, delay] = framespec;
+    const centiseconds = Math.round(Math.max(MIN_DELAY, delay) / 10);
+    stream.byte(0x21);
+    stream.byte(0xf9);
+    stream.byte(4);
+    stream.byte(0x04); // disposal: leave the frame in place
+    stream.word(Math.min(centiseconds, 0xff_ff));
+    stream.byte(0); // transparent color index (unused)
+    stream.byte(0);
+    stream.byte(0x2c);
+    stream.word(0);
+    stream.word(0);
+    stream.word(width);
+    stream.word(height);
+    stream.byte(0); // no local color table, not interlaced
+  }
+
+  /**
+   * (Private function) Compresses palette indices with the variable-length
+   * code LZW variant used by GIF.
+   *
+   * @param {Uint8Array} indices The palette indices of the frame pixels.
+   * @param {number} minCodeSize The initial code size, in bits.
+   * @returns {Uint8Array} The compressed data.
+   */
+  static #compress(indices, minCodeSize) {
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const output = new Uint8Array(Math.ceil(indices.length * 1.5) + 16);
+    const codes = new Map();
+    let codeSize = minCodeSize + 1;
+    let next = end + 1;
+    let length = 0;
+    let buffer = 0;
+    let pending = 0;
+
+    const write = (code) => {
+      buffer |= code << pending;
+      pending += codeSize;
+      while (pending >= 8) {
+        output[length++] = buffer & 0xff;
+        buffer >>= 8;
+        pending -= 8;
+      }
+      if (next > (1 << codeSize) - 1 && codeSize < 12) {
+        codeSize++;
+      }
+    };
+
+    write(clear);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const key = (prefix << 8) | indices[i];
+      const code = codes.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      write(prefix);
+      if (next < 4096) {
+        codes.set(key, next++);
+      } else {
+        write(clear);
+        codes.clear();
+        codeSize = minCodeSize + 1;
+        next = end + 1;
+      }
+      prefix = indices[i];
+    }
+    write(prefix);
+    write(end);
+    if (pending > 0) {
+      output[length++] = buffer & 0xff;
+    }
+    return output.subarray(0, length);
+  }
+
+  /**
+   * (Private function) Splits image data into the length-prefixed sub-blocks
+   * of at most 255 bytes used by GIF, ending with an empty block.
+   *
+   * @param {Uint8Array} data The data to split.
+   * @returns {Uint8Array} The data sub-blocks.
+   */
+  static #blocks(data) {
+    const count = Math.ceil(data.length / 255);
+    const blocks = new Uint8Array(data.length + count + 1);
+    let offset = 0;
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      blocks[offset++] = block.length;
+      blocks.set(block, offset);
+      offset += block.length;
+    }
+    return blocks;
+  }
+}
+
+/**
+ * Class to encode a sequence of frames as an animated PNG (APNG), in
+ * truecolor without loss. Viewers without APNG support show the first frame.
+ *
+ * Frames are objects with the RGBA `pixels` of the frame (e.g., the `data` of
+ * an `ImageData`) and its `delay` in milliseconds, taken one at a time from
+ * an iterable (e.g., a generator drawing them on demand), so that only one
+ * frame is kept in memory. All frames must have the size given in the
+ * options, and their number must be given beforehand:
+ *
+ * options = {
+ *   width: {number},
+ *   height: {number},
+ *   count: {number},     // number of frames
+ *   loop: {number},      // number of plays, 0 (default) plays forever
+ *   signal: {AbortSignal}, // (Optional) cancels the encoding
+ * }
+ *
+ * The alpha channel is discarded, the frames are assumed to be opaque.
+ */
+class ApngEncoder {
+  /**
+   * The PNG file signature.
+   */
+  static #signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+  /**
+   * The CRC-32 lookup table, built on first use.
+   */
+  static #crcTable;
+
+  /**
+   * Encodes the given frames as an animated PNG. The encoding yields to the
+   * event loop between frames, so that the page remains responsive.
+   *
+   * @param {Iterable<{pixels: Uint8ClampedArray, delay: number}>} frames
+   *        The frames of the animation.
+   * @param {object} options The encoding options. See the class description
+   *        for details.
+   * @returns {Promise<Uint8Array>} A promise that resolves to the PNG file
+   *          data, or rejects if the encoding is cancelled.
+   */
+  static async encode(frames, options) {
+    const { width, height, count, loop = 0, signal } = options;
+    const stream = new ByteStream();
+    stream.bytes(Uint8Array.from(ApngEncoder.#signature));
+    // 8-bit truecolor, deflate, adaptive filtering, not interlaced
+    ApngEncoder.#chunk(stream, "IHDR", [width, height], [8, 2, 0, 0, 0]);
+    ApngEncoder.#chunk(stream, "acTL", [count, loop]);
+    let sequence = 0;
+    let index = 0;
+    for (const frame of frames) {
+      await nextFrame(signal);
+      const delay = Math.min(Math.max(MIN_DELAY, frame.delay), 0xff_ff);
+      const control = [sequence++, width, height, 0, 0];
+      // delay as a fraction of a second (ms/1000), no disposal, no blending
+      const timing = [delay >> 8, delay & 0xff, 0x03, 0xe8, 0, 0];
+      ApngEncoder.#chunk(stream, "fcTL", control, timing);
+      const data = zlibSync(ApngEncoder.#filter(frame.pixels, width, height));
+      if (index++ === 0) {
+        ApngEncoder.#chunk(stream, "IDAT", [], data);
+      } else {
+        ApngEncoder.#chunk(stream, "fdAT", [sequence++], data);
+      }
+    }
+    ApngEncoder.#chunk(stream, "IEND", []);
+    return stream.toArray();
+  }
+
+  /**
+   * (Private function) Writes a PNG chunk with its length and CRC.
+   *
+   * @param {ByteStream} stream The stream to write to.
+   * @param {string} type The four-letter chunk type.
+   * @param {number[]} words The 32-bit big-endian integers the chunk data
+   *        starts with.
+   * @param {ArrayLike<number>} data (Optional) The bytes following the
+   *        integers.
+   */
+  static #chunk(stream, type, words, data = []) {
+    const body = new Uint8Array(4 + words.length * 4 + data.length);
+    const view = new DataView(body.buffer);
+    for (const [index, char] of [...type].entries()) {
+      body[index] = char.codePointAt(0);
+    }
+    for (const [index, word] of words.entries()) {
+      view.setUint32(4 + index * 4, word);
+    }
+    body.set(data, 4 + words.length * 4);
+    const header = new Uint8Array(4);
+    new DataView(header.buffer).setUint32(0, body.length - 4);
+    const crc = new Uint8Array(4);
+    new DataView(crc.buffer).setUint32(0, ApngEncoder.#crc(body));
+    stream.bytes(header);
+    stream.bytes(body);
+    stream.bytes(crc);
+  }
+
+  /**
+   * (Private function) Converts RGBA pixels to filtered RGB scanlines,
+   * choosing for each row the filter with the smallest sum of absolute
+   * differences.
+   *
+   * @param {Uint8ClampedArray} pixels The RGBA pixels of the frame.
+   * @param {number} width The width of the frame, in pixels.
+   * @param {number} height The height of the frame, in pixels.
+   * @returns {Uint8Array} The filtered scanlines, each preceded by its filter
+   *          type.
+   */
+  static #filter(pixels, width, height) {
+    const stride = width * 3;
+    const output = new Uint8Array((stride + 1) * height);
+    let previous = new Uint8Array(stride);
+    let row = new Uint8Array(stride);
+    const candidates = Array.from({ length: 5 }, () => new Uint8Array(stride));
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        row[x * 3] = pixels[i];
+        row[x * 3 + 1] = pixels[i + 1];
+        row[x * 3 + 2] = pixels[i + 2];
+      }
+      let best = 0;
+      let score = Infinity;
+      for (const [type, filtered] of candidates.entries()) {
+        let sum = 0;
+        for (let i = 0; i < stride; i++) {
+          filtered[i] = row[i] - ApngEncoder.#predict(type, row, previous, i);
+          sum += filtered[i] < 128 ? filtered[i] : 256 - filtered[i];
+        }
+        if (sum < score) {
+          score = sum;
+          best = type;
+        }
+      }
+      const offset = y * (stride + 1);
+      output[offset] = best;
+      output.set(candidates[best], offset + 1);
+      [previous, row] = [row, previous];
+    }
+    return output;
+  }
+
+  /**
+   * (Private function) Computes the value a PNG filter predicts for a byte
+   * of a scanline, from its already encoded neighbours.
+   *
+   * @param {number} type The filter type (0: None, 1: Sub, 2: Up,
+   *        3: Average, 4: Paeth).
+   * @param {Uint8Array} row The current scanline.
+   * @param {Uint8Array} previous The previous scanline (zeros for the first).
+   * @param {number} i The index of the byte in the scanline.
+   * @returns {number} The predicted value.
+   */
+  static #predict(type, row, previous, i) {
+    const left = i >= 3 ? row[i - 3] : 0;
+    switch (type) {
+      case 1: {
+        return left;
+      }
+      case 2: {
+        return previous[i];
+      }
+      case 3: {
+        return (left + previous[i]) >> 1;
+      }
+      case 4: {
+        const corner = i >= 3 ? previous[i - 3] : 0;
+        return ApngEncoder.#paeth(left, previous[i], corner);
+      }
+      default: {
+        return 0;
+      }
+    }
+  }
+
+  /**
+   * (Private function) Computes the Paeth predictor of a byte.
+   *
+   * @param {number} left The byte to the left.
+   * @param {number} up The byte above.
+   * @param {number} corner The byte above and to the left.
+   * @returns {number} The predictor: the neighbour closest to
+   *          `left + up - corner`.
+   */
+  static #paeth(left, up, corner) {
+    const estimate = left + up - corner;
+    const dl = Math.abs(estimate - left);
+    const du = Math.abs(estimate - up);
+    const dc = Math.abs(estimate - corner);
+    if (dl <= du && dl <= dc) {
+      return left;
+    }
+    return du <= dc ? up : corner;
+  }
+
+  /**
+   * (Private function) Computes the CRC-32 of a chunk type and data.
+   *
+   * @param {Uint8Array} data The bytes to checksum.
+   * @returns {number} The CRC, as an unsigned 32-bit integer.
+   */
+  static #crc(data) {
+    if (!ApngEncoder.#crcTable) {
+      ApngEncoder.#crcTable = Uint32Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xed_b8_83_20 ^ (c >>> 1) : c >>> 1;
+        }
+        return c;
+      });
+    }
+    let crc = 0xff_ff_ff_ff;
+    for (const byte of data) {
+      crc = ApngEncoder.#crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xff_ff_ff_ff) >>> 0;
+  }
+}
+
+export { ApngEncoder, GifEncoder };
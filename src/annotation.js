@@ -0,0 +1,183 @@
+import { dict } from "./common.js";
+
+/**
+ * An array of the canvas corners an annotation can be anchored to.
+ */
+const CORNERS = ["TOP_LEFT", "TOP_RIGHT", "BOTTOM_LEFT", "BOTTOM_RIGHT"];
+
+/**
+ * A map (enumeration) of annotation corners to their corresponding string
+ * values.
+ */
+const CORNER = dict(CORNERS, CORNERS);
+
+/**
+ * Class to draw a block of text lines over a canvas (e.g., the scan time and
+ * product of a satellite image), anchored to one of its corners.
+ *
+ * The options object supports the following properties:
+ *
+ * options = {
+ *   corner: {string},      // see `CORNER`, defaults to "BOTTOM_LEFT"
+ *   fontSize: {number},    // in pixels, defaults to 14
+ *   box: {boolean},        // draw a background box, defaults to `true`
+ *   color: {string},       // text color, defaults to white
+ *   background: {string}, // box color, defaults to translucent black
+ * }
+ *
+ * Without a background box the text is outlined, so that it is still legible
+ * over bright regions of the image.
+ */
+class Annotator {
+  /**
+   * The default options for new annotators.
+   */
+  static #defaults = {
+    corner: CORNER.BOTTOM_LEFT,
+    fontSize: 14,
+    box: true,
+    color: "#ffffff",
+    background: "rgba(0, 0, 0, 0.6)",
+  };
+  #options;
+
+  /**
+   * Constructs an Annotator object.
+   *
+   * @param {object} options (Optional) The annotation options. See the class
+   *        description for details.
+   */
+  constructor(options) {
+    this.#options = { ...Annotator.#defaults, ...options };
+  }
+
+  /**
+   * Draws the given lines of text over the canvas of the given context.
+   *
+   * @param {CanvasRenderingContext2D} context The context to draw on.
+   * @param {string[]} lines The lines of text, from top to bottom.
+   */
+  draw(context, lines) {
+    const { corner, fontSize, box, color, background } = this.#options;
+    const margin = Math.round(fontSize / 2);
+    const padding = Math.round(fontSize / 3);
+    const lineHeight = Math.round(fontSize * 1.25);
+
+    context.save();
+    context.font = `${fontSize}px sans-serif`;
+    context.textBaseline = "top";
+    const width = Math.max(
+      ...lines.map((line) => context.measureText(line).width),
+    );
+    const height = lines.length * lineHeight;
+
+    const right = corner === CORNER.TOP_RIGHT || corner === CORNER.BOTTOM_RIGHT;
+    const bottom =
+      corner === CORNER.BOTTOM_LEFT || corner === CORNER.BOTTOM_RIGHT;
+    const boxWidth = Math.ceil(width) + 2 * padding;
+    const boxHeight = height + 2 * padding;
+    const x = right ? context.canvas.width - margin - boxWidth : margin;
+    const y = bottom ? context.canvas.height - margin - boxHeight : margin;
+
+    if (box) {
+      context.fillStyle = background;
+      context.fillRect(x, y, boxWidth, boxHeight);
+    } else {
+      context.strokeStyle = "#000000";
+      context.lineWidth = Math.max(2, Math.round(fontSize / 5));
+      context.lineJoin = "round";
+    }
+    context.fillStyle = color;
+    context.textAlign = right ? "right" : "left";
+    const textX = right ? x + boxWidth - padding : x + padding;
+    for (const [index, line] of lines.entries()) {
+      const textY = y + padding + index * lineHeight;
+      if (!box) {
+        context.strokeText(line, textX, textY);
+      }
+      context.fillText(line, textX, textY);
+    }
+    context.restore();
+  }
+}
+
+/**
+ * Class to draw a location marker over a canvas (e.g., the place of a
+ * severe weather report on a satellite image): a ring around the location,
+ * with a dot at its center and an optional label.
+ *
+ * The options object supports the following properties:
+ *
+ * options = {
+ *   radius: {number},   // of the ring, in pixels, defaults to 10
+ *   fontSize: {number}, // of the label, in pixels, defaults to 12
+ *   color: {string},    // defaults to red
+ *   outline: {string},  // defaults to black
+ * }
+ *
+ * The marker is outlined, so that it is visible over any region of the
+ * image.
+ */
+class Marker {
+  /**
+   * The default options for new markers.
+   */
+  static #defaults = {
+    radius: 10,
+    fontSize: 12,
+    color: "#ff0000",
+    outline: "#000000",
+  };
+  #options;
+
+  /**
+   * Constructs a Marker object.
+   *
+   * @param {object} options (Optional) The marker options. See the class
+   *        description for details.
+   */
+  constructor(options) {
+    this.#options = { ...Marker.#defaults, ...options };
+  }
+
+  /**
+   * Draws the marker at the given position of the canvas of the given
+   * context.
+   *
+   * @param {CanvasRenderingContext2D} context The context to draw on.
+   * @param {number} x The horizontal position, in pixels.
+   * @param {number} y The vertical position, in pixels.
+   * @param {string} label (Optional) The label, drawn to the right of the
+   *        marker.
+   */
+  draw(context, x, y, label) {
+    const { radius, fontSize, color, outline } = this.#options;
+    context.save();
+    context.lineJoin = "round";
+    for (const [style, width] of [
+      [outline, 5],
+      [color, 2],
+    ]) {
+      context.strokeStyle = style;
+      context.lineWidth = width;
+      context.beginPath();
+      context.arc(x, y, radius, 0, 2 * Math.PI);
+      context.stroke();
+    }
+    context.fillStyle = color;
+    context.beginPath();
+    context.arc(x, y, 2, 0, 2 * Math.PI);
+    context.fill();
+    if (label) {
+      context.font = `bold ${fontSize}px sans-serif`;
+      context.textBaseline = "middle";
+      context.strokeStyle = outline;
+      context.lineWidth = Math.max(2, Math.round(fontSize / 4));
+      context.strokeText(label, x + radius + 4, y);
+      context.fillText(label, x + radius + 4, y);
+    }
+    context.restore();
+  }
+}
+
+export { Annotator, CORNER, CORNERS, Marker };
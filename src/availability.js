@@ -0,0 +1,201 @@
+import { dict, zip } from "./common.js";
+import { AvailabilityProbe } from "./downloader.js";
+import { DateUtils } from "./shared.js";
+
+/**
+ * An array of the policies applied to the images an availability probe finds
+ * missing.
+ */
+const GAPS = ["NONE", "SKIP", "EXTEND", "SUBSTITUTE"];
+
+/**
+ * A map (enumeration) of the policies applied to the missing images to their
+ * corresponding string values:
+ *
+ * - NONE: the range is downloaded without probing it.
+ * - SKIP: the missing images are left out.
+ * - EXTEND: the window is extended backwards to make up for them.
+ * - SUBSTITUTE: each one is replaced by the nearest available image.
+ */
+const GAP = dict(GAPS, GAPS);
+
+/**
+ * Class representing the availability of a range of images, as reported by
+ * an availability probe, and the policy applied to its gaps (see `GAP`).
+ *
+ * The series probed by `check` has the following properties:
+ *
+ * series = {
+ *   settings: {Object}, // the settings of the series, kept with the result;
+ *                       // `interval` is the time between its images, in
+ *                       // milliseconds
+ *   params: {Object},   // options for the probe requests
+ *   urls: {function(Date, Date): string[]}, // builds the URLs of the images
+ *                       // between two dates, in chronological order
+ * }
+ */
+class RangeAvailability {
+  /**
+   * Constructs a RangeAvailability object.
+   *
+   * @param {Object} settings The settings of the series the URLs were built
+   *        with.
+   * @param {string[]} urls The probed URLs, in chronological order.
+   * @param {boolean[]} present The availability of each URL.
+   * @param {string} policy The policy applied to the missing images.
+   * @param {number} extended (Optional) The number of URLs probed before the
+   *        requested window when it was extended. Defaults to zero.
+   */
+  constructor(settings, urls, present, policy, extended = 0) {
+    this._settings = settings;
+    this._urls = urls;
+    this._present = present;
+    this._policy = policy;
+    this._extended = extended;
+  }
+
+  /**
+   * Probes the images of a range and applies the given policy to the missing
+   * ones.
+   *
+   * With the `EXTEND` policy the window is extended backwards, by at most its
+   * own length, until as many images as requested are available.
+   *
+   * @param {Object} series The series to probe. See the class description
+   *        for details.
+   * @param {Date} beginDate The beginning date for the range.
+   * @param {Date} endDate The ending date for the range.
+   * @param {string} policy The policy applied to the missing images.
+   * @param {Object} options (Optional) Options for the probe queue, progress
+   *        reporting and cancellation.
+   * @returns {Promise<RangeAvailability>} A promise that resolves to the
+   *          availability of the range.
+   */
+  static async check(series, beginDate, endDate, policy, options) {
+    const { settings, params } = series;
+    const interval = settings.interval;
+    const urls = [...series.urls(beginDate, endDate)];
+    const present = await AvailabilityProbe.probe(urls, params, options);
+    const requested = urls.length;
+    let first = DateUtils.truncateDate(beginDate, interval);
+    let missing = present.filter((available) => !available).length;
+    let extended = 0;
+    while (
+      policy === GAP.EXTEND &&
+      missing > 0 &&
+      extended < requested &&
+      !options?.signal?.aborted
+    ) {
+      const count = Math.min(missing, requested - extended);
+      const end = new Date(first.getTime() - interval);
+      const begin = new Date(first.getTime() - count * interval);
+      const extra = series.urls(begin, end);
+      const found = await AvailabilityProbe.probe(extra, params, options);
+      urls.unshift(...extra);
+      present.unshift(...found);
+      missing -= found.filter(Boolean).length;
+      extended += extra.length;
+      first = begin;
+    }
+    return new RangeAvailability(settings, urls, present, policy, extended);
+  }
+
+  /**
+   * Gets the URLs of the available images, in chronological order.
+   *
+   * @returns {string[]} The URLs to download.
+   */
+  get urls() {
+    return this._urls.filter((_url, index) => this._present[index]);
+  }
+
+  /**
+   * Gets the URLs of the missing images, in chronological order.
+   *
+   * @returns {string[]} The URLs found missing.
+   */
+  get missing() {
+    return this._urls.filter((_url, index) => !this._present[index]);
+  }
+
+  /**
+   * Gets the runs of consecutive missing images.
+   *
+   * @returns {Array<{first: string, last: string, count: number}>} The URLs
+   *          of the first and last missing images of each gap, and its length.
+   */
+  get gaps() {
+    const gaps = [];
+    let gap;
+    for (const [index, url] of this._urls.entries()) {
+      if (this._present[index]) {
+        gap = undefined;
+      } else if (gap) {
+        gap.last = url;
+        ++gap.count;
+      } else {
+        gap = { first: url, last: url, count: 1 };
+        gaps.push(gap);
+      }
+    }
+    return gaps;
+  }
+
+  /**
+   * Gets the substitutes of the missing images with the `SUBSTITUTE` policy:
+   * the nearest available image, the earlier one on ties.
+   *
+   * @returns {Array<[string, string]>} Pairs of missing and substitute URLs;
+   *          empty with other policies or when no image is available.
+   */
+  get substitutes() {
+    if (this._policy !== GAP.SUBSTITUTE) {
+      return [];
+    }
+    const available = [...this._present.keys()].filter((i) => this._present[i]);
+    const substitutes = [];
+    for (const [index, url] of this._urls.entries()) {
+      if (this._present[index] || available.length === 0) {
+        continue;
+      }
+      let nearest = available[0];
+      for (const candidate of available) {
+        if (Math.abs(candidate - index) < Math.abs(nearest - index)) {
+          nearest = candidate;
+        }
+      }
+      substitutes.push([url, this._urls[nearest]]);
+    }
+    return substitutes;
+  }
+
+  /**
+   * Gets every probed URL with its availability, for display.
+   *
+   * @returns {Array<[string, boolean]>} URL-present pairs, in chronological
+   *          order.
+   */
+  get slots() {
+    return zip(this._urls, this._present);
+  }
+
+  /**
+   * Gets the number of URLs probed before the requested window.
+   *
+   * @returns {number} The size of the window extension.
+   */
+  get extended() {
+    return this._extended;
+  }
+
+  /**
+   * Gets the settings the range was built with.
+   *
+   * @returns {Object} The settings of the series.
+   */
+  get settings() {
+    return this._settings;
+  }
+}
+
+export { GAP, GAPS, RangeAvailability };
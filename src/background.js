@@ -0,0 +1,822 @@
+import { AvailabilityProbe } from "./downloader.js";
+import { DownloadPath, MESSAGE } from "./downloads.js";
+import { Logger } from "./logging.js";
+import { CaptureJob } from "./scheduler.js";
+
+/**
+ * The filename of the module.
+ * @type {string}
+ * @constant
+ */
+const MODULE_FILENAME = "background.js";
+
+/**
+ * The logger for the module.
+ * @type {Logger}
+ * @constant
+ */
+const logger = new Logger(MODULE_FILENAME);
+
+/**
+ * The key of the record of the downloads in the session storage.
+ */
+const DOWNLOADS_KEY = "downloads";
+
+/**
+ * The number of downloads kept in the record.
+ */
+const DOWNLOADS_KEPT = 50;
+
+/**
+ * The key of the capture jobs in the local storage.
+ */
+const JOBS_KEY = "jobs";
+
+/**
+ * The key of the record of the runs of the capture jobs in the local storage.
+ */
+const RUNS_KEY = "runs";
+
+/**
+ * The number of runs kept in the record.
+ */
+const RUNS_KEPT = 50;
+
+/**
+ * The database and the object store of the journal of the download jobs in
+ * the IndexedDB of the extension, and the version of the database.
+ */
+const JOURNAL_DATABASE = "retspy";
+const JOURNAL_STORE = "journal";
+const JOURNAL_VERSION = 1;
+
+/**
+ * The number of entries kept in the journal.
+ */
+const JOURNAL_KEPT = 500;
+
+/**
+ * The prefix of the names of the alarms running the capture jobs, followed
+ * by the identifier of the job.
+ */
+const ALARM_PREFIX = "retspy-job-";
+
+/**
+ * The prefixes of the keys of the settings and of the presets of each site in
+ * the synchronized storage, followed by the site (e.g., "settings.DMH").
+ */
+const SETTINGS_PREFIX = "settings.";
+const PRESETS_PREFIX = "presets.";
+
+/**
+ * The icon of the notifications.
+ */
+const NOTIFICATION_ICON = "assets/icon-128.png";
+
+/**
+ * Class saving files through the downloads of the browser
+ * (`chrome.downloads`), on behalf of the bridge frame of the pages, and
+ * tracking them until they complete.
+ *
+ * Each download is recorded in the session storage, so that its completion
+ * is tracked even if the service worker is restarted meanwhile:
+ *
+ * record = {
+ *   id: {number},
+ *   filename: {string}, // path within the downloads folder
+ *   state: {string},    // "in_progress", "complete" or "interrupted"
+ *   error: {string|undefined},
+ *   started: {string},  // ISO date
+ *   ended: {string|undefined},
+ * }
+ */
+class DownloadManager {
+  /**
+   * (Private variable) The functions resolving the saves waiting for their
+   * download to complete, by download identifier.
+   */
+  static #waiting = new Map();
+  /**
+   * (Private variable) The pending writes of the record, chained so that
+   * they do not overwrite each other.
+   */
+  static #writes = Promise.resolve();
+
+  /**
+   * Saves a file: downloads it to the given path within the downloads
+   * folder, and waits for the download to complete.
+   *
+   * @param {object} request The save request: the URL of the content
+   *        (`url`), the relative path of the file (`filename`) and the
+   *        filename conflict action (`conflict`, see `CONFLICT`).
+   * @returns {Promise<object>} A promise that resolves to the result of the
+   *          download: `ok`, `message` ("success", "error"), the download
+   *          identifier (`id`), the final path (`filename`) and the reason it
+   *          failed (`error`), if it did.
+   */
+  static async save(request) {
+    const { url, filename, conflict } = request;
+    let id;
+    try {
+      id = await chrome.downloads.download({
+        url,
+        filename,
+        conflictAction: conflict.toLowerCase(),
+        saveAs: false,
+      });
+    } catch (error) {
+      logger.error("DM101", `Download failed to start: '${filename}'`);
+      logger.debug("DM102", `Failed to start download: ${error.message}`);
+      return { ok: false, message: "error", filename, error: error.message };
+    }
+    logger.info("DM001", `Download started: '${filename}' (${id})`);
+    const completion = new Promise((resolve) => {
+      DownloadManager.#waiting.set(id, resolve);
+    });
+    await DownloadManager.#record({
+      id,
+      filename,
+      state: "in_progress",
+      started: new Date().toISOString(),
+    });
+    // The download may have ended before it was waited for
+    const [item] = await chrome.downloads.search({ id });
+    if (item && item.state !== "in_progress") {
+      DownloadManager.#finish(item);
+    }
+    return completion;
+  }
+
+  /**
+   * Registers the listeners of the service worker: the save requests of the
+   * bridge frames and the changes of the downloads.
+   */
+  static attach() {
+    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+      if (message?.type !== MESSAGE.SAVE) {
+        return false;
+      }
+      DownloadManager.save(message).then(sendResponse);
+      return true; // the response is sent asynchronously
+    });
+    chrome.downloads.onChanged.addListener((delta) => {
+      if (delta.state && delta.state.current !== "in_progress") {
+        chrome.downloads
+          .search({ id: delta.id })
+          .then(([item]) => item && DownloadManager.#finish(item));
+      }
+    });
+  }
+
+  /**
+   * (Private function) Records the end of a download and resolves the save
+   * waiting for it, if any.
+   *
+   * @param {chrome.downloads.DownloadItem} item The ended download.
+   */
+  static #finish(item) {
+    const ok = item.state === "complete";
+    if (ok) {
+      logger.info("DM002", `Download completed: '${item.filename}'`);
+    } else {
+      logger.error("DM103", `Download interrupted: '${item.filename}'`);
+      logger.debug("DM104", `Download interrupted: ${item.error}`);
+    }
+    DownloadManager.#record({
+      id: item.id,
+      state: item.state,
+      error: item.error,
+      ended: new Date().toISOString(),
+    });
+    const resolve = DownloadManager.#waiting.get(item.id);
+    DownloadManager.#waiting.delete(item.id);
+    resolve?.({
+      ok,
+      message: ok ? "success" : "error",
+      id: item.id,
+      filename: item.filename,
+      error: item.error,
+    });
+  }
+
+  /**
+   * (Private function) Adds or updates the record of a download in the
+   * session storage, after the pending writes.
+   *
+   * @param {object} update The download record, or the changed properties
+   *        of an existing one (with its `id`).
+   * @returns {Promise<void>} A promise that resolves once recorded.
+   */
+  static #record(update) {
+    DownloadManager.#writes = DownloadManager.#writes
+      .then(() => DownloadManager.#write(update))
+      .catch((error) => {
+        logger.warn("DM201", `Download not recorded: ${error.message}`);
+      });
+    return DownloadManager.#writes;
+  }
+
+  /**
+   * (Private function) Writes the record of a download in the session
+   * storage, keeping only the latest downloads.
+   *
+   * @param {object} update The download record, or the changed properties
+   *        of an existing one (with its `id`).
+   * @returns {Promise<void>} A promise that resolves once written.
+   */
+  static async #write(update) {
+    const stored = await chrome.storage.session.get(DOWNLOADS_KEY);
+    const records = stored[DOWNLOADS_KEY] || [];
+    const index = records.findIndex((record) => record.id === update.id);
+    if (index === -1) {
+      records.push(update);
+    } else {
+      records[index] = { ...records[index], ...update };
+    }
+    await chrome.storage.session.set({
+      [DOWNLOADS_KEY]: records.slice(-DOWNLOADS_KEPT),
+    });
+  }
+}
+
+/**
+ * Class running the scheduled capture jobs (see `CaptureJob`) with alarms
+ * (`chrome.alarms`), without an open page: each run probes the frames the job
+ * has to capture, saves the available ones through the downloads of the
+ * browser and tells the user how it went with a notification.
+ *
+ * The jobs are kept in the local storage, by identifier, along with the
+ * frames they captured; the alarms survive the restarts of the service
+ * worker, and a job is unscheduled once it ends.
+ *
+ * The last runs are recorded in the local storage too, most recent first,
+ * with the outcome of each frame, so that the options page can show them:
+ *
+ * run = {
+ *   job: {string},     // the identifier of the job
+ *   name: {string},    // the name of the job
+ *   time: {number},    // the time of the run, in milliseconds
+ *   saved: {number},   // frames saved
+ *   missing: {number}, // frames not published yet
+ *   failed: {number},  // frames that failed to download
+ *   error: {string},   // the reason the run failed, if it did
+ *   log: [{
+ *     url: {string},   // the URL of the frame
+ *     status: {string}, // "saved", "missing" or "failed"
+ *   }],
+ * }
+ */
+class JobScheduler {
+  /**
+   * (Private variable) The identifiers of the jobs being run, so that a run
+   * does not overlap the previous one.
+   */
+  static #running = new Set();
+  /**
+   * (Private variable) The pending changes of the jobs, chained so that they
+   * do not overwrite each other.
+   */
+  static #changes = Promise.resolve();
+
+  /**
+   * Schedules a capture job; its first run starts right away.
+   *
+   * @param {object} job The job, without its identifier and creation time.
+   *        See `CaptureJob` for details.
+   * @returns {Promise<object>} A promise that resolves to the result: `ok`,
+   *          `message` ("success", "error"), the identifier of the job
+   *          (`id`) and the reason it failed (`error`), if it did.
+   */
+  static async schedule(job) {
+    const id = crypto.randomUUID();
+    const capture = new CaptureJob({ ...job, id, created: Date.now() });
+    if (capture.ended()) {
+      logger.warn("JS101", `Job already ended: '${capture.name}'`);
+      return { ok: false, message: "error", error: "The job already ended" };
+    }
+    await JobScheduler.#change((jobs) => {
+      jobs[id] = capture.toJSON();
+    });
+    await chrome.alarms.create(`${ALARM_PREFIX}${id}`, {
+      when: Date.now(),
+      periodInMinutes: capture.repeat / 60_000,
+    });
+    logger.info("JS001", `Job scheduled: '${capture.name}' (${id})`);
+    return { ok: true, message: "success", id };
+  }
+
+  /**
+   * Unschedules a capture job and forgets it.
+   *
+   * @param {string} id The identifier of the job.
+   * @returns {Promise<object>} A promise that resolves to the result: `ok`,
+   *          `message` ("success") and the identifier of the job (`id`).
+   */
+  static async unschedule(id) {
+    await chrome.alarms.clear(`${ALARM_PREFIX}${id}`);
+    await JobScheduler.#change((jobs) => {
+      delete jobs[id];
+    });
+    logger.info("JS002", `Job unscheduled: ${id}`);
+    return { ok: true, message: "success", id };
+  }
+
+  /**
+   * Lists the scheduled capture jobs.
+   *
+   * @returns {Promise<object>} A promise that resolves to the result: `ok`,
+   *          `message` ("success") and the jobs (`jobs`, see `CaptureJob`).
+   */
+  static async list() {
+    const jobs = await JobScheduler.#read();
+    return { ok: true, message: "success", jobs: Object.values(jobs) };
+  }
+
+  /**
+   * Lists the last runs of the capture jobs, most recent first.
+   *
+   * @returns {Promise<object>} A promise that resolves to the result: `ok`,
+   *          `message` ("success") and the runs (`runs`, see the class
+   *          description).
+   */
+  static async runs() {
+    const runs = await JobScheduler.#read(RUNS_KEY, []);
+    return { ok: true, message: "success", runs };
+  }
+
+  /**
+   * Runs a capture job: saves the frames not captured yet, records them and
+   * notifies the outcome. The job is unscheduled once it ends.
+   *
+   * @param {string} id The identifier of the job.
+   * @returns {Promise<void>} A promise that resolves once the run ends.
+   */
+  static async run(id) {
+    if (JobScheduler.#running.has(id)) {
+      logger.debug("JS003", `Job still running: ${id}`);
+      return;
+    }
+    JobScheduler.#running.add(id);
+    try {
+      await JobScheduler.#run(id);
+    } finally {
+      JobScheduler.#running.delete(id);
+    }
+  }
+
+  /**
+   * Registers the listeners of the service worker: the requests of the
+   * bridge frames and the alarms of the jobs.
+   */
+  static attach() {
+    const requests = {
+      [MESSAGE.SCHEDULE]: (message) => JobScheduler.schedule(message.job),
+      [MESSAGE.UNSCHEDULE]: (message) => JobScheduler.unschedule(message.id),
+      [MESSAGE.JOBS]: () => JobScheduler.list(),
+      [MESSAGE.RUNS]: () => JobScheduler.runs(),
+    };
+    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+      const request = requests[message?.type];
+      if (!request) {
+        return false;
+      }
+      request(message).then(sendResponse);
+      return true; // the response is sent asynchronously
+    });
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name.startsWith(ALARM_PREFIX)) {
+        JobScheduler.run(alarm.name.slice(ALARM_PREFIX.length));
+      }
+    });
+  }
+
+  /**
+   * (Private function) Runs a capture job, unless it was unscheduled, and
+   * unschedules it once it ends.
+   *
+   * @param {string} id The identifier of the job.
+   * @returns {Promise<void>} A promise that resolves once the run ends.
+   */
+  static async #run(id) {
+    const { [id]: stored } = await JobScheduler.#read();
+    if (!stored) {
+      await chrome.alarms.clear(`${ALARM_PREFIX}${id}`);
+      return;
+    }
+    const job = new CaptureJob(stored);
+    const now = new Date();
+    let outcome;
+    try {
+      outcome = await JobScheduler.#capture(job, now);
+      job.prune(now);
+      await JobScheduler.#change((jobs) => {
+        // The job may have been unscheduled meanwhile
+        if (jobs[id]) {
+          jobs[id] = job.toJSON();
+        }
+      });
+      logger.info("JS004", `Job run: '${job.name}' (${outcome.saved} saved)`);
+    } catch (error) {
+      logger.error("JS102", `Job run failed: '${job.name}'`);
+      logger.debug("JS103", `Failed to run job: ${error.message}`);
+      outcome = { saved: 0, missing: 0, failed: 0, log: [], error };
+    }
+    JobScheduler.#notify(job, outcome);
+    await JobScheduler.#record(job, now, outcome);
+    if (job.ended()) {
+      await JobScheduler.unschedule(id);
+    }
+  }
+
+  /**
+   * (Private function) Saves the available frames a run of a job has to
+   * capture, each series in its own subfolder of the destination, and
+   * records them as captured.
+   *
+   * @param {CaptureJob} job The job.
+   * @param {Date} now The time of the run.
+   * @returns {Promise<object>} A promise that resolves to the number of
+   *          frames saved (`saved`), not published yet (`missing`) and that
+   *          failed to download (`failed`), and to the outcome of each frame
+   *          (`log`, see the class description).
+   */
+  static async #capture(job, now) {
+    const frames = job.frames(now);
+    const urls = frames.map((frame) => frame.url);
+    const present = await AvailabilityProbe.probe(urls, job.params, job.queue);
+    const outcome = { saved: 0, missing: 0, failed: 0, log: [] };
+    for (const [index, frame] of frames.entries()) {
+      if (!present[index]) {
+        ++outcome.missing;
+        outcome.log.push({ url: frame.url, status: "missing" });
+        continue;
+      }
+      const { folder, conflict } = job.destination;
+      const series = `${folder}/${frame.series}`;
+      const destination = { ...job.destination, folder: series };
+      const result = await DownloadManager.save({
+        url: frame.url,
+        filename: DownloadPath.build(frame.filename, destination, now),
+        conflict,
+      });
+      if (result.ok) {
+        job.capture(frame);
+        ++outcome.saved;
+      } else {
+        ++outcome.failed;
+      }
+      outcome.log.push({
+        url: frame.url,
+        status: result.ok ? "saved" : "failed",
+      });
+    }
+    return outcome;
+  }
+
+  /**
+   * (Private function) Notifies the outcome of a run of a job.
+   *
+   * @param {CaptureJob} job The job.
+   * @param {object} outcome The number of frames saved, missing and failed
+   *        (see `#capture`), or the error that stopped the run (`error`).
+   */
+  static #notify(job, outcome) {
+    const { saved, missing, failed, error } = outcome;
+    const lines = [];
+    if (error) {
+      lines.push(`La captura falló: ${error.message}`);
+    } else {
+      lines.push(`Imágenes guardadas: ${saved}`);
+      if (missing > 0) {
+        lines.push(`Aún no publicadas: ${missing}`);
+      }
+      if (failed > 0) {
+        lines.push(`Fallidas: ${failed}`);
+      }
+    }
+    if (job.ended()) {
+      lines.push("Captura programada finalizada.");
+    }
+    chrome.notifications.create({
+      type: "basic",
+      iconUrl: chrome.runtime.getURL(NOTIFICATION_ICON),
+      title: `RETSpy — ${job.name}`,
+      message: lines.join("\n"),
+      priority: error || failed > 0 ? 1 : 0,
+    });
+  }
+
+  /**
+   * (Private function) Records a run of a job, keeping the last runs only.
+   *
+   * @param {CaptureJob} job The job.
+   * @param {Date} now The time of the run.
+   * @param {object} outcome The outcome of the run (see `#capture`), and the
+   *        error that stopped it (`error`), if any.
+   * @returns {Promise<void>} A promise that resolves once the run is
+   *          recorded.
+   */
+  static #record(job, now, outcome) {
+    const { error, ...counts } = outcome;
+    const run = { job: job.id, name: job.name, time: now.getTime(), ...counts };
+    if (error) {
+      run.error = error.message;
+    }
+    return JobScheduler.#change(
+      (runs) => {
+        runs.unshift(run);
+        runs.splice(RUNS_KEPT);
+      },
+      RUNS_KEY,
+      [],
+    ).catch(() => {}); // already logged, the run is not recorded
+  }
+
+  /**
+   * (Private function) Reads the jobs, or another record of the scheduler,
+   * from the local storage.
+   *
+   * @param {string} key (Optional) The key of the record. Defaults to the
+   *        jobs.
+   * @param {*} empty (Optional) The record when none is stored. Defaults to
+   *        no jobs.
+   * @returns {Promise<*>} A promise that resolves to the record: the jobs,
+   *          by identifier, by default.
+   */
+  static async #read(key = JOBS_KEY, empty = {}) {
+    const stored = await chrome.storage.local.get(key);
+    return stored[key] || empty;
+  }
+
+  /**
+   * (Private function) Changes the jobs, or another record of the scheduler,
+   * in the local storage, after the pending changes.
+   *
+   * @param {function(*): void} change A function that changes the record in
+   *        place: the jobs, by identifier, by default.
+   * @param {string} key (Optional) The key of the record. Defaults to the
+   *        jobs.
+   * @param {*} empty (Optional) The record when none is stored. Defaults to
+   *        no jobs.
+   * @returns {Promise<void>} A promise that resolves once the record is
+   *          written.
+   */
+  static #change(change, key = JOBS_KEY, empty = {}) {
+    const write = JobScheduler.#changes.then(async () => {
+      const record = await JobScheduler.#read(key, empty);
+      change(record);
+      await chrome.storage.local.set({ [key]: record });
+    });
+    JobScheduler.#changes = write.catch((error) => {
+      logger.warn("JS201", `Record '${key}' not written: ${error.message}`);
+    });
+    return write;
+  }
+}
+
+/**
+ * Class keeping the settings and the named presets of each site in the
+ * synchronized storage (`chrome.storage.sync`), on behalf of the bridge
+ * frames, so that they survive the reloads of the pages and follow the user
+ * across browsers. Their content is site specific, and checked by the site
+ * adapters.
+ */
+class SettingsStore {
+  /**
+   * Reads the settings and the presets of a site.
+   *
+   * @param {string} site The site (e.g., "DMH").
+   * @returns {Promise<object>} A promise that resolves to the result: `ok`,
+   *          `message` ("success", "error"), the settings (`settings`, empty
+   *          if never stored), the presets (`presets`) and the reason it
+   *          failed (`error`), if it did.
+   */
+  static async load(site) {
+    const keys = SettingsStore.#keys(site);
+    try {
+      const stored = await chrome.storage.sync.get(Object.values(keys));
+      return {
+        ok: true,
+        message: "success",
+        settings: stored[keys.settings] || {},
+        presets: stored[keys.presets] || [],
+      };
+    } catch (error) {
+      logger.warn("SS101", `Settings not read: ${error.message}`);
+      return { ok: false, message: "error", error: error.message };
+    }
+  }
+
+  /**
+   * Stores the settings, the presets, or both, of a site.
+   *
+   * @param {string} site The site (e.g., "DMH").
+   * @param {object} settings The settings, or `undefined` to keep them.
+   * @param {Array<object>} presets The presets, or `undefined` to keep them.
+   * @returns {Promise<object>} A promise that resolves to the result: `ok`,
+   *          `message` ("success", "error") and the reason it failed
+   *          (`error`), if it did (e.g., the storage quota was exceeded).
+   */
+  static async store(site, settings, presets) {
+    const keys = SettingsStore.#keys(site);
+    const items = {};
+    if (settings) {
+      items[keys.settings] = settings;
+    }
+    if (presets) {
+      items[keys.presets] = presets;
+    }
+    try {
+      await chrome.storage.sync.set(items);
+      logger.info("SS001", `Settings stored: ${site}`);
+      return { ok: true, message: "success" };
+    } catch (error) {
+      logger.warn("SS102", `Settings not stored: ${error.message}`);
+      return { ok: false, message: "error", error: error.message };
+    }
+  }
+
+  /**
+   * Registers the listener of the requests of the bridge frames.
+   */
+  static attach() {
+    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+      const { type, site, settings, presets } = message || {};
+      if (type === MESSAGE.SETTINGS) {
+        SettingsStore.load(site).then(sendResponse);
+      } else if (type === MESSAGE.STORE_SETTINGS) {
+        SettingsStore.store(site, settings, presets).then(sendResponse);
+      } else {
+        return false;
+      }
+      return true; // the response is sent asynchronously
+    });
+  }
+
+  /**
+   * (Private function) Gets the keys of the settings and of the presets of a
+   * site in the synchronized storage.
+   *
+   * @param {string} site The site (e.g., "DMH").
+   * @returns {{settings: string, presets: string}} The keys.
+   */
+  static #keys(site) {
+    return {
+      settings: `${SETTINGS_PREFIX}${site}`,
+      presets: `${PRESETS_PREFIX}${site}`,
+    };
+  }
+}
+
+/**
+ * Class keeping the journal of the download jobs of the pages in the
+ * IndexedDB of the extension, on behalf of the bridge frames: the request,
+ * the files downloaded or failed, the archive saved and how long it took
+ * (see `JournalRecorder`). Only the last `JOURNAL_KEPT` entries are kept.
+ */
+class JournalStore {
+  /**
+   * (Private variable) A promise that resolves to the open database.
+   */
+  static #database;
+
+  /**
+   * Adds an entry to the journal, dropping the oldest ones beyond the
+   * number kept.
+   *
+   * @param {object} entry The journal entry, without identifier.
+   * @returns {Promise<object>} A promise that resolves to the result: `ok`,
+   *          `message` ("success", "error"), the identifier of the entry
+   *          (`id`) and the reason it failed (`error`), if it did.
+   */
+  static async record(entry) {
+    if (!Array.isArray(entry?.files)) {
+      return { ok: false, message: "error", error: "Invalid entry" };
+    }
+    const fields = { ...entry };
+    delete fields.id; // assigned by the journal
+    try {
+      const database = await JournalStore.#open();
+      const transaction = database.transaction(JOURNAL_STORE, "readwrite");
+      const store = transaction.objectStore(JOURNAL_STORE);
+      const id = await JournalStore.#request(store.add(fields));
+      const excess =
+        (await JournalStore.#request(store.count())) - JOURNAL_KEPT;
+      if (excess > 0) {
+        const keys = await JournalStore.#request(
+          store.getAllKeys(undefined, excess),
+        );
+        store.delete(IDBKeyRange.bound(keys[0], keys.at(-1)));
+      }
+      await JournalStore.#complete(transaction);
+      logger.info("JL001", `Job recorded: ${fields.kind} (${id})`);
+      return { ok: true, message: "success", id };
+    } catch (error) {
+      logger.warn("JL101", `Job not recorded: ${error.message}`);
+      return { ok: false, message: "error", error: error.message };
+    }
+  }
+
+  /**
+   * Lists the entries of the journal, most recent first.
+   *
+   * @param {string} site (Optional) The site of the entries to list (e.g.,
+   *        "DMH"), all of them if omitted.
+   * @returns {Promise<object>} A promise that resolves to the result: `ok`,
+   *          `message` ("success", "error"), the entries (`entries`) and the
+   *          reason it failed (`error`), if it did.
+   */
+  static async list(site) {
+    try {
+      const database = await JournalStore.#open();
+      const store = database
+        .transaction(JOURNAL_STORE)
+        .objectStore(JOURNAL_STORE);
+      const entries = await JournalStore.#request(store.getAll());
+      return {
+        ok: true,
+        message: "success",
+        entries: entries
+          .filter((entry) => !site || entry.site === site)
+          .reverse(),
+      };
+    } catch (error) {
+      logger.warn("JL102", `Journal not read: ${error.message}`);
+      return { ok: false, message: "error", error: error.message };
+    }
+  }
+
+  /**
+   * Registers the listener of the requests of the bridge frames.
+   */
+  static attach() {
+    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+      const { type, entry, site } = message || {};
+      if (type === MESSAGE.RECORD) {
+        JournalStore.record(entry).then(sendResponse);
+      } else if (type === MESSAGE.JOURNAL) {
+        JournalStore.list(site).then(sendResponse);
+      } else {
+        return false;
+      }
+      return true; // the response is sent asynchronously
+    });
+  }
+
+  /**
+   * (Private function) Opens the database of the journal once, creating its
+   * object store the first time.
+   *
+   * @returns {Promise<IDBDatabase>} A promise that resolves to the database.
+   */
+  static #open() {
+    JournalStore.#database ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(JOURNAL_DATABASE, JOURNAL_VERSION);
+      request.addEventListener("upgradeneeded", () => {
+        request.result.createObjectStore(JOURNAL_STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      });
+      request.addEventListener("success", () => resolve(request.result));
+      request.addEventListener("error", () => {
+        JournalStore.#database = undefined;
+        reject(request.error);
+      });
+    });
+    return JournalStore.#database;
+  }
+
+  /**
+   * (Private function) Waits for a request of the database.
+   *
+   * @param {IDBRequest} request The request.
+   * @returns {Promise<any>} A promise that resolves to the result of the
+   *          request.
+   */
+  static #request(request) {
+    return new Promise((resolve, reject) => {
+      request.addEventListener("success", () => resolve(request.result));
+      request.addEventListener("error", () => reject(request.error));
+    });
+  }
+
+  /**
+   * (Private function) Waits for a transaction of the database to commit.
+   *
+   * @param {IDBTransaction} transaction The transaction.
+   * @returns {Promise<void>} A promise that resolves once it commits.
+   */
+  static #complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.addEventListener("complete", () => resolve());
+      transaction.addEventListener("error", () => reject(transaction.error));
+      transaction.addEventListener("abort", () => reject(transaction.error));
+    });
+  }
+}
+
+DownloadManager.attach();
+JobScheduler.attach();
+SettingsStore.attach();
+JournalStore.attach();
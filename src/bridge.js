@@ -0,0 +1,131 @@
+import { MESSAGE, REQUESTS } from "./downloads.js";
+
+/**
+ * Class relaying the requests of the page embedding the bridge frame (e.g.,
+ * saving a file, scheduling a capture job) to the background service worker,
+ * which holds the extension APIs the page cannot reach.
+ *
+ * The page posts a request message with a message port to reply on, and the
+ * frame replies with the response of the service worker:
+ *
+ * message = {
+ *   type: {string},     // see `REQUESTS`
+ *   ...                 // the properties of the request
+ * }
+ *
+ * The content of a save request (`MESSAGE.SAVE`) is a Blob, given a URL of
+ * the extension the service worker can download; the URL is revoked once the
+ * download ends, not before, so that large files are not truncated.
+ *
+ * A fetch request (`MESSAGE.FETCH`) is answered by the frame itself: as a page
+ * of the extension, it can fetch the files of the origins in the host
+ * permissions of the manifest, which the embedding page cannot read without
+ * CORS headers.
+ */
+class BridgeFrame {
+  /**
+   * Registers the listener of the requests of the embedding page and tells
+   * the page the frame is ready.
+   */
+  static attach() {
+    globalThis.addEventListener("message", (event) => {
+      const [port] = event.ports;
+      if (event.source !== globalThis.parent || !port) {
+        return;
+      }
+      if (event.data?.type === MESSAGE.SAVE) {
+        BridgeFrame.#save(event.data, port);
+      } else if (event.data?.type === MESSAGE.FETCH) {
+        BridgeFrame.#fetch(event.data, port);
+      } else if (REQUESTS.includes(event.data?.type)) {
+        BridgeFrame.#relay(event.data, port);
+      }
+    });
+    globalThis.parent.postMessage({ type: MESSAGE.READY }, "*");
+  }
+
+  /**
+   * (Private function) Saves a file of the embedding page and replies with
+   * the result of the download.
+   *
+   * @param {object} message The save request: the content (`content`), the
+   *        relative path of the file (`filename`, see `DownloadPath`) and the
+   *        filename conflict action (`conflict`, see `CONFLICT`).
+   * @param {MessagePort} port The port to reply on.
+   */
+  static async #save(message, port) {
+    const { content, filename, conflict } = message;
+    const url = URL.createObjectURL(content);
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage({
+        type: MESSAGE.SAVE,
+        url,
+        filename,
+        conflict,
+      });
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      // The end of the download is unknown, and it may still be reading the
+      // content: the URL is left to be revoked with the frame
+      result = { ok: false, message: "error", filename, error: error.message };
+    }
+    BridgeFrame.#reply(port, result);
+  }
+
+  /**
+   * (Private function) Fetches a file for the embedding page and replies
+   * with its content and response status.
+   *
+   * @param {object} message The fetch request: the URL of the file (`url`)
+   *        and the request method (`method`).
+   * @param {MessagePort} port The port to reply on.
+   */
+  static async #fetch(message, port) {
+    const { url, method } = message;
+    let result;
+    try {
+      const response = await fetch(url, { method, credentials: "omit" });
+      result = {
+        ok: true,
+        message: "success",
+        status: response.status,
+        statusText: response.statusText,
+        content: await response.blob(),
+      };
+    } catch (error) {
+      result = { ok: false, message: "error", error: error.message };
+    }
+    BridgeFrame.#reply(port, result);
+  }
+
+  /**
+   * (Private function) Relays a request of the embedding page as is and
+   * replies with the response of the service worker.
+   *
+   * @param {object} message The request.
+   * @param {MessagePort} port The port to reply on.
+   */
+  static async #relay(message, port) {
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage(message);
+    } catch (error) {
+      result = { ok: false, message: "error", error: error.message };
+    }
+    BridgeFrame.#reply(port, result);
+  }
+
+  /**
+   * (Private function) Replies to a request of the embedding page.
+   *
+   * @param {MessagePort} port The port to reply on.
+   * @param {object} result The response.
+   */
+  static #reply(port, result) {
+    port.postMessage({ type: MESSAGE.REPLY, ...result });
+    port.close();
+  }
+}
+
+BridgeFrame.attach();
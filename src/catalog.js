@@ -0,0 +1,132 @@
+import { dict } from "./common.js";
+import {
+  ANIMATION,
+  ARCHIVE,
+  ARCHIVES,
+  IMAGE,
+  IMG_TYPE,
+  VIDEO,
+} from "./downloader.js";
+import { PLACEHOLDERS } from "./scheduler.js";
+
+/**
+ * The page of the GOES-16 imagery of the DMH, the root of the URLs of its
+ * images.
+ */
+const DMH_ROOT = "https://www.meteorologia.gov.py/satelite-goes-16";
+
+/**
+ * The instrument of the DMH imagery, part of the URLs of its images.
+ */
+const DMH_INSTRUMENT = "G16";
+
+/**
+ * The time between the scans of the DMH imagery, in milliseconds.
+ */
+const DMH_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * An array of the products of the DMH imagery.
+ */
+const PRODUCTS = [
+  "FCOLOR",
+  "BAND02",
+  "BAND07",
+  "BAND08",
+  "BAND09",
+  "BAND13",
+  "BAND14",
+  "BAND15",
+  "DCPRGB",
+  "NMPRGB",
+];
+
+/**
+ * A map of the products of the DMH imagery to their descriptions.
+ */
+const PRODUCT = dict(PRODUCTS, [
+  "Falso Color [Banda 02 + Banda 13]",
+  "Banda 02 [0.64 µm (Rojo)]",
+  "Banda 07 [3.90 µm (Infrarrojo de Onda Corta)]",
+  "Banda 08 [6.20 µm (Vapor de Agua - Niveles Altos)]",
+  "Banda 09 [6.90 µm (Vapor de Agua - Niveles Medios)]",
+  "Banda 13 [10.30 µm (Infrarrojo de Onda Larga - Limpio)]",
+  "Banda 14 [11.20 µm (Infrarrojo de Onda Larga)]",
+  "Banda 15 [12.30 µm (Infrarrojo de Onda Larga - Sucio)]",
+  "DCP RGB [Distinción de fase de nube Diurna (Compuesto RGB)]",
+  "NMP RGB [Microfisica Nocturna (Compuesto RGB)]",
+  // "Descargas Atmosféricas [GLM (20s) + Banda 13]", // gli20s
+  // "Descargas Atmosféricas [GLM (20s)]", // glm20s
+]);
+
+/**
+ * An array of the sectors of the DMH imagery.
+ */
+const SECTORS = ["PAR", "MER", "SEC"];
+
+/**
+ * A map of the sectors of the DMH imagery to their names.
+ */
+const SECTOR = dict(SECTORS, ["Paraguay", "Mercosur", "Sudamérica"]);
+
+/**
+ * The formats the DMH imagery is downloaded in, by kind: converted images,
+ * archives, videos and animated images.
+ */
+const FORMATS = {
+  type: [IMAGE.JPG, IMAGE.PNG, IMAGE.WEBP],
+  archive: [ARCHIVE.ZIP, ARCHIVE.TAR, ARCHIVE.GZIP, ARCHIVE.KMZ],
+  video: [VIDEO.MP4, VIDEO.WEBM, VIDEO.MKV],
+  animation: [ANIMATION.GIF, ANIMATION.APNG],
+};
+
+/**
+ * A map of the archive formats to their names, for people.
+ */
+const ARCHIVE_LABEL = dict(ARCHIVES, [
+  "ZIP",
+  "TAR",
+  "TAR.GZ",
+  "KMZ (Google Earth)",
+]);
+
+/**
+ * Builds the options of a drop-down field of formats.
+ *
+ * @param {string} section The kind of the formats (see `FORMATS`, e.g.,
+ *        "archive").
+ * @returns {Array<[string, string]>} The value-text pairs of the options.
+ */
+function formatOptions(section) {
+  const labels = section === "archive" ? ARCHIVE_LABEL : {};
+  return FORMATS[section].map((format) => [format, labels[format] || format]);
+}
+
+/**
+ * Builds the URL template of the images of a series, with placeholders for
+ * the scan time (see `PLACEHOLDERS`), to build their URLs without the page of
+ * the DMH. The original images are JPGs.
+ *
+ * @param {string} product The product identifier (e.g., "BAND13").
+ * @param {string} sector The sector identifier (e.g., "PAR").
+ * @returns {string} The URL template.
+ */
+function seriesTemplate(product, sector) {
+  const series = `${product}_${sector}`;
+  const path = `${DMH_INSTRUMENT}/${series}/${DMH_INSTRUMENT}_${series}_`;
+  return `${DMH_ROOT}/${path}${PLACEHOLDERS.join("")}${IMG_TYPE[IMAGE.JPG]}`;
+}
+
+export {
+  ARCHIVE_LABEL,
+  DMH_INSTRUMENT,
+  DMH_INTERVAL,
+  DMH_ROOT,
+  FORMATS,
+  formatOptions,
+  PRODUCT,
+  PRODUCTS,
+  SECTOR,
+  SECTORS,
+  seriesTemplate,
+};
@@ -9,6 +9,21 @@ function backdict(array) {
   return Object.fromEntries(unpack(array));
 }
 
+/**
+ * Clamps a number to a range, rounded to an integer.
+ *
+ * @param {number} value The number.
+ * @param {{current: number, min: number, max: number}} range The range,
+ *        and the value kept if the number is not valid.
+ * @returns {number} The clamped number.
+ */
+function clamp(value, range) {
+  if (!Number.isFinite(value)) {
+    return range.current;
+  }
+  return Math.min(Math.max(Math.round(value), range.min), range.max);
+}
+
 /**
  * Creates a dictionary object from key-value pairs.
  *
@@ -108,4 +123,4 @@ function zip(...arrays) {
   );
 }
 
-export { backdict, dict, invdict, lzip, undict, unpack, unzip, zip };
+export { backdict, clamp, dict, invdict, lzip, undict, unpack, unzip, zip };
@@ -54,31 +54,6 @@ class InjectionTarget {
     return link;
   }
 
-  loader() {
-    return Promise.resolve(this.#load.bind(this));
-  }
-
-  #load(url) {
-    // console.debug(`loading: ${url}`);
-
-    return new Promise((resolve, reject) => {
-      const script = document.createElement("script");
-
-      script.addEventListener("load", () => {
-        InjectionTarget.#onLoad(url);
-        resolve(InjectionTarget.prototype.#load.bind(this));
-      });
-      script.addEventListener("error", (event) => {
-        InjectionTarget.#onError(url, event, reject);
-      });
-
-      script.type = "text/javascript";
-      script.src = chrome.runtime.getURL(url);
-
-      this.#appendNodes([script]);
-    });
-  }
-
   static #onError(url, event, reject) {
     let message = `Unable to load '${url}'`;
     if (event?.message) {
@@ -95,68 +70,228 @@ class InjectionTarget {
   }
 }
 
-const dmh_tool = {
-  name: "RETSpy-WebTools — DMH Paraguay",
-
-  main: () => {
-    console.debug(`Starting ${dmh_tool.name}`);
+/**
+ * Shared modules the site adapters may require, keyed by name. Each entry
+ * declares the modules it imports, so that they are injected first.
+ */
+const SHARED_MODULES = {
+  fflate: { src: "lib/fflate.js" },
+  tarball: { src: "lib/tarball.js" },
+  advanced: { src: "src/advanced.js", requires: ["common"] },
+  animation: { src: "src/animation.js", requires: ["fflate"] },
+  annotation: { src: "src/annotation.js", requires: ["common"] },
+  availability: {
+    src: "src/availability.js",
+    requires: ["common", "downloader", "shared"],
+  },
+  catalog: {
+    src: "src/catalog.js",
+    requires: ["common", "downloader", "scheduler"],
+  },
+  common: { src: "src/common.js" },
+  downloads: { src: "src/downloads.js", requires: ["common"] },
+  geo: { src: "src/geo.js" },
+  journal: { src: "src/journal.js", requires: ["common", "downloader"] },
+  logging: { src: "src/logging.js", requires: ["common"] },
+  muxer: { src: "src/muxer.js" },
+  downloader: {
+    src: "src/downloader.js",
+    requires: [
+      "fflate",
+      "tarball",
+      "animation",
+      "common",
+      "downloads",
+      "geo",
+      "logging",
+      "muxer",
+      "timeseries",
+    ],
+  },
+  gui: { src: "src/gui.js" },
+  preferences: {
+    src: "src/preferences.js",
+    requires: ["catalog", "downloader", "gui", "shared"],
+  },
+  report: { src: "src/report.js", requires: ["common"] },
+  scheduler: { src: "src/scheduler.js" },
+  settings: { src: "src/settings.js" },
+  shared: {
+    src: "src/shared.js",
+    requires: ["common", "downloader", "gui", "logging", "scheduler"],
+  },
+  thermal: { src: "src/thermal.js", requires: ["common"] },
+  timeseries: { src: "src/timeseries.js", requires: ["common"] },
+};
 
-    const scripts = [
-      { src: "lib/fflate.js", async: true, module: true },
-      { src: "src/common.js", async: true, module: true },
-      { src: "src/logging.js", async: true, module: true },
-      { src: "src/downloader.js", async: true, module: true },
-      { src: "src/gui.js", async: true, module: true },
-      { src: "src/shared.js", async: true, module: true },
-      { src: "src/dmh.js", async: true, module: true },
-    ];
+/**
+ * Site adapters. Each one declares its identifier, the pages it applies to
+ * (URL prefixes), the shared modules its entry module imports, its
+ * stylesheets and the entry module itself. Adding a weather service only
+ * requires a new entry here (and its web accessible resources in the
+ * manifest, and its name in the options page).
+ */
+const SITE_ADAPTERS = [
+  {
+    id: "DMH",
+    name: "RETSpy-WebTools — DMH Paraguay",
+    matches: ["https://www.meteorologia.gov.py/satelite-goes-16"],
+    requires: [
+      "advanced",
+      "annotation",
+      "availability",
+      "catalog",
+      "common",
+      "downloader",
+      "downloads",
+      "geo",
+      "gui",
+      "journal",
+      "preferences",
+      "report",
+      "scheduler",
+      "settings",
+      "shared",
+      "thermal",
+    ],
+    css: ["assets/dmh.css"],
+    entry: "src/dmh.js",
+  },
+  {
+    id: "SIMEPAR",
+    name: "RETSpy-WebTools — SIMEPAR Brasil",
+    matches: ["https://www.simepar.br/simepar/radar_msc"],
+    requires: ["common", "downloader", "gui", "shared"],
+    css: ["assets/dmh.css"],
+    entry: "src/simepar.js",
+  },
+  {
+    id: "SMN",
+    name: "RETSpy-WebTools — SMN Argentina",
+    matches: ["https://www.smn.gob.ar/radar"],
+    requires: ["common", "downloader", "gui", "shared"],
+    css: ["assets/dmh.css"],
+    entry: "src/smn.js",
+  },
+];
 
-    const css = { href: "assets/dmh.css" };
+class AdapterRegistry {
+  #modules;
+  #adapters = [];
 
-    const head = new InjectionTarget("head");
-    head.injectLinks(css);
+  constructor(modules) {
+    this.#modules = modules;
+  }
 
-    const body = new InjectionTarget("body");
-    body.injectScripts(scripts);
-  },
+  register(adapters) {
+    adapters = Array.isArray(adapters) ? adapters : [adapters];
+    this.#adapters.push(...adapters);
+    return this;
+  }
 
-  matches: ["https://www.meteorologia.gov.py/satelite-goes-16"],
-};
+  disable(ids) {
+    this.#adapters = this.#adapters.filter(
+      (adapter) => !ids.includes(adapter.id),
+    );
+    return this;
+  }
 
-const simepar_tool = {
-  name: "RETSpy-WebTools — SIMEPAR Brasil",
+  match(url) {
+    return this.#adapters.filter((adapter) =>
+      adapter.matches.some((x) => url.startsWith(x)),
+    );
+  }
 
-  main: () => {
-    console.debug(`Starting ${simepar_tool.name}`);
+  inject(url) {
+    const adapters = this.match(url);
+    if (adapters.length === 0) {
+      return;
+    }
 
-    const target = new InjectionTarget("body");
+    // Modules shared by several adapters are injected only once
+    const scripts = [];
+    const styles = [];
+    const resolved = new Set();
+    for (const adapter of adapters) {
+      console.debug(`Starting ${adapter.name}`);
+      try {
+        const sources = this.#resolve(adapter.requires || [], resolved);
+        for (const source of sources) {
+          resolved.add(source);
+        }
+        scripts.push(...sources, adapter.entry);
+        styles.push(...(adapter.css || []));
+      } catch (error) {
+        console.error(`Unable to load: ${adapter.name}`, error);
+      }
+    }
+    if (scripts.length === 0) {
+      return;
+    }
 
-    target
-      .loader()
-      .then((load) => load("jszip.min.js"))
-      .then((load) => load("shared.js"))
-      .then((load) => load("simepar.js"))
-      .catch((error) => console.error(error));
-  },
+    // Dynamically inserted scripts are async by default; these are not, so
+    // that they execute in dependency order
+    const css = [...new Set(styles)].map((href) => ({ href }));
+    const head = new InjectionTarget("head");
+    head.injectLinks(css);
 
-  matches: [
-    "https://www.simepar.br/simepar/radar_msc",
-    "https://lb01.simepar.br/riak/pgw-radar",
-  ],
-};
+    const entries = scripts.map((src) => ({ src, async: false, module: true }));
+    const body = new InjectionTarget("body");
+    body.injectScripts(entries);
+  }
 
-if (dmh_tool.matches.some((x) => globalThis.location.href.startsWith(x))) {
-  try {
-    dmh_tool.main();
-  } catch (error) {
-    console.error(`Unable to load: ${dmh_tool.name}`, error);
+  #resolve(names, resolved) {
+    // Depth-first topological sort. `resolved` holds the sources already
+    // scheduled by previous adapters; it is left untouched, so that a failed
+    // resolution does not affect the other adapters.
+    const sources = [];
+    const visiting = new Set();
+    const visit = (name) => {
+      const module = this.#modules[name];
+      if (!module) {
+        throw new Error(`Unknown module '${name}'`);
+      }
+      if (resolved.has(module.src) || sources.includes(module.src)) {
+        return;
+      }
+      if (visiting.has(name)) {
+        throw new Error(`Circular requirement of module '${name}'`);
+      }
+      visiting.add(name);
+      for (const dependency of module.requires || []) {
+        visit(dependency);
+      }
+      visiting.delete(name);
+      sources.push(module.src);
+    };
+    for (const name of names) {
+      visit(name);
+    }
+    return sources;
   }
 }
 
-if (simepar_tool.matches.some((x) => globalThis.location.href.startsWith(x))) {
+/**
+ * The key of the identifiers of the site adapters the user disabled in the
+ * options page, in the synchronized storage.
+ */
+const DISABLED_ADAPTERS_KEY = "adapters.disabled";
+
+// The callback form, since content scripts cannot await at the top level.
+// Every adapter is enabled if the storage cannot be read
+chrome.storage.sync.get(DISABLED_ADAPTERS_KEY, (stored) => {
+  if (chrome.runtime.lastError) {
+    console.warn(
+      "Unable to read the disabled adapters",
+      chrome.runtime.lastError,
+    );
+  }
   try {
-    simepar_tool.main();
+    new AdapterRegistry(SHARED_MODULES)
+      .register(SITE_ADAPTERS)
+      .disable(stored?.[DISABLED_ADAPTERS_KEY] || [])
+      .inject(globalThis.location.href);
   } catch (error) {
-    console.error(`Unable to load: ${simepar_tool.name}`, error);
+    console.error("Unable to load RETSpy-WebTools", error);
   }
-}
+});
@@ -1,22 +1,84 @@
 // @ ts-check
-import { dict, zip } from "./common.js";
+import { AdvancedRequest, OUTPUT, OUTPUT_LABEL } from "./advanced.js";
+import { Annotator, CORNER, CORNERS, Marker } from "./annotation.js";
+import { GAP, GAPS, RangeAvailability } from "./availability.js";
 import {
+  DMH_INSTRUMENT,
+  DMH_INTERVAL,
+  DMH_ROOT,
+  FORMATS,
+  formatOptions,
+  PRODUCT,
+  PRODUCTS,
+  SECTOR,
+  SECTORS,
+  seriesTemplate,
+} from "./catalog.js";
+import { clamp, dict, zip } from "./common.js";
+import {
+  ANIM_TYPE,
+  AnimationDownloader,
+  ANIMATION,
   ARC_TYPE,
   ARCHIVE,
+  ExtensionBridge,
   FileDownloader,
+  FileSaver,
+  FrameRegion,
   IMAGE,
   ImageDownloader,
+  IMG_TYPE,
+  PixelDownloader,
+  SeriesDownloader,
+  VID_TYPE,
   VIDEO,
   VideoDownloader,
 } from "./downloader.js";
+import { DESTINATION, MESSAGE } from "./downloads.js";
 import {
   Button,
   ButtonGroup,
+  CheckboxField,
   DialogWindow,
   GuiElement,
+  InputField,
   ModalWall,
+  RegionSelector,
+  SelectField,
+  Timeline,
+  Tooltip,
 } from "./gui.js";
-import { DateUtils, FilenameUtils } from "./shared.js";
+import { GeoReference, ImageHeader, WGS84_PRJ } from "./geo.js";
+import {
+  JOB_KIND,
+  JOB_KINDS,
+  JournalFile,
+  JournalRecorder,
+} from "./journal.js";
+import { EventReport, REPORT_TYPES } from "./report.js";
+import {
+  DEFAULT_PREFERENCES,
+  PREFERENCE_RANGE,
+  PreferencesForm,
+} from "./preferences.js";
+import { PresetFile } from "./settings.js";
+import {
+  DateUtils,
+  DownloadRunner,
+  FilenameUtils,
+  LOCAL_TIME_ZONE,
+  RangeForm,
+  ResponseActions,
+  RESULT_LABEL,
+  TIME_ZONE,
+} from "./shared.js";
+import {
+  CloudTopAnalyzer,
+  COLOR_TABLE,
+  DETECTION,
+  KELVIN,
+  TemperatureGrid,
+} from "./thermal.js";
 
 const _MER_ = "MER";
 const _PAR_ = "PAR";
@@ -27,7 +89,13 @@ const _FCOLOR_ = "FCOLOR";
 
 const dmh_settings = {
   name: "DMH downloader tool",
-  prefix: "DMH_",
+  prefix: DEFAULT_PREFERENCES.prefix,
+  timeZone: DEFAULT_PREFERENCES.timeZone, // see `TIME_ZONE`
+  // Series selected by default in the forms; those of the page if empty
+  selection: {
+    products: [],
+    sectors: [],
+  },
   params: {
     cache: "default", // NA
     credentials: "include", // ALT="omit"
@@ -52,64 +120,183 @@ const dmh_settings = {
     referrer: "", // R
     referrerPolicy: "strict-origin-when-cross-origin", // R
   },
+  queue: {
+    concurrency: DEFAULT_PREFERENCES.concurrency, // see `DownloadQueue`
+  },
   satellite: {
     fps: {
-      current: 4,
-      min: 1,
-      max: 30,
+      current: DEFAULT_PREFERENCES.fps,
+      ...PREFERENCE_RANGE.fps,
     },
-    instrument: "G16",
+    instrument: DMH_INSTRUMENT,
     product: {
       current: _FCOLOR_,
-      supported: [
-        _FCOLOR_,
-        "BAND02",
-        "BAND07",
-        "BAND08",
-        "BAND09",
-        _BAND13_,
-        "BAND14",
-        "BAND15",
-        "DCPRGB",
-        "NMPRGB",
-      ],
+      supported: PRODUCTS,
     },
-    root: "https://www.meteorologia.gov.py/satelite-goes-16",
+    root: DMH_ROOT,
     sector: {
       current: _SEC_,
-      supported: [_PAR_, _MER_, _SEC_],
+      supported: SECTORS,
     },
-    interval: 10 * 60 * 1000,
+    interval: DMH_INTERVAL,
     type: {
-      current: IMAGE.JPG,
+      current: DEFAULT_PREFERENCES.image, // converted images
       source: IMAGE.JPG, // original files are JPGs
-      supported: [IMAGE.JPG, IMAGE.PnG],
+      supported: FORMATS.type,
+    },
+    archive: {
+      current: DEFAULT_PREFERENCES.archive,
+      supported: FORMATS.archive,
+    },
+    video: {
+      current: DEFAULT_PREFERENCES.video,
+      supported: FORMATS.video,
+    },
+    animation: {
+      current: ANIMATION.GIF,
+      supported: FORMATS.animation,
+      loop: 0, // number of plays, 0 plays forever
+      hold: {
+        current: 2, // seconds the last frame is held, in addition to its own
+        min: 0,
+        max: 10,
+      },
     },
     replace_video_button: dict([_PAR_, _MER_, _SEC_], [true, false, false]),
+    // Geographic extent of the images of each sector (equirectangular, WGS 84
+    // degrees, e.g. `{west, south, east, north}`), only once verified against
+    // a published source, noted next to it. DMH does not publish the extent
+    // nor the projection of its images, so none is known: the images are not
+    // georeferenced (world files and .prj files, KMZ ground overlays, event
+    // markers, and geographic positions of the probe, the series and the
+    // alerts) until the extent of their sector is added here
+    extent: {},
+    // Thresholds of the convection alerts: cloud tops colder than
+    // `threshold` (°C) and cooling faster than `cooling` (°C per 10 minutes)
+    alerts: {
+      threshold: -65,
+      cooling: 8,
+    },
+    // Regions of interest of each sector, as approximate fractions of the
+    // image size ([x, y, width, height])
+    presets: dict(
+      [_PAR_, _MER_, _SEC_],
+      [
+        {
+          "Paraguay Oriental": [0.44, 0.3, 0.54, 0.66],
+          Chaco: [0.035, 0.03, 0.615, 0.71],
+        },
+        {
+          Paraguay: [0.323, 0.237, 0.3, 0.294],
+          "Paraguay Oriental": [0.454, 0.329, 0.155, 0.189],
+          Chaco: [0.339, 0.251, 0.175, 0.203],
+        },
+        {
+          Paraguay: [0.387, 0.444, 0.191, 0.137],
+          "Paraguay Oriental": [0.471, 0.487, 0.098, 0.088],
+          Chaco: [0.397, 0.451, 0.112, 0.094],
+        },
+      ],
+    ),
+    // Regions of interest saved by the user, by sector and name, in pixels
+    // of the images ([x, y, width, height]), drawn over the images of the
+    // page (see `UserPreferences`)
+    regions: {},
+  },
+  event: {
+    products: [_BAND13_, _FCOLOR_],
+    sectors: [_PAR_, _MER_],
+    before: 3, // hours of imagery before the report
+    after: 1, // hours of imagery after the report
+  },
+  schedule: {
+    products: [_BAND13_],
+    sectors: [_PAR_],
+    repeat: 60, // minutes between the runs of a scheduled capture
+    lookback: 3, // hours of imagery each run looks back for
+    duration: 24, // hours the capture runs for, by default
+  },
+  annotation: {
+    corner: CORNER.BOTTOM_LEFT,
+    fontSize: 14,
+    box: true,
   },
 };
 
-const PRODUCT = dict(dmh_settings.satellite.product.supported, [
-  "Falso Color [Banda 02 + Banda 13]",
-  "Banda 02 [0.64 µm (Rojo)]",
-  "Banda 07 [3.90 µm (Infrarrojo de Onda Corta)]",
-  "Banda 08 [6.20 µm (Vapor de Agua - Niveles Altos)]",
-  "Banda 09 [6.90 µm (Vapor de Agua - Niveles Medios)]",
-  "Banda 13 [10.30 µm (Infrarrojo de Onda Larga - Limpio)]",
-  "Banda 14 [11.20 µm (Infrarrojo de Onda Larga)]",
-  "Banda 15 [12.30 µm (Infrarrojo de Onda Larga - Sucio)]",
-  "DCP RGB [Distinción de fase de nube Diurna (Compuesto RGB)]",
-  "NMP RGB [Microfisica Nocturna (Compuesto RGB)]",
-  // "Descargas Atmosféricas [GLM (20s) + Banda 13]", // gli20s
-  // "Descargas Atmosféricas [GLM (20s)]", // glm20s
+// Notes marking the decoded temperatures as uncalibrated: `comment` in the
+// files written (CSV comment lines, JSON), `label` in the page
+const UNCALIBRATED = {
+  comment:
+    "Uncalibrated brightness temperatures: decoded from the image colors with color scales sampled from the colorbars of the images, not published by DMH",
+  label: "sin calibrar",
+};
+
+// Infrared window bands, where cold cloud tops and their cooling reveal
+// severe convection
+const ALERT_PRODUCTS = new Set([_BAND13_, "BAND14", "BAND15"]);
+
+/**
+ * Builds the options of the output field of the advanced download panel:
+ * the temperatures are only offered once a product has a color table (see
+ * `COLOR_TABLE`), and the convection alerts once an infrared window band
+ * has one.
+ *
+ * @returns {Array<[string, string]>} The value-text pairs of the options.
+ */
+function outputOptions() {
+  const products = Object.keys(COLOR_TABLE);
+  const held = new Set();
+  if (products.length === 0) {
+    held.add(OUTPUT.TEMPERATURE);
+  }
+  if (!products.some((product) => ALERT_PRODUCTS.has(product))) {
+    held.add(OUTPUT.ALERTS);
+  }
+  return Object.entries(OUTPUT_LABEL).filter(([output]) => !held.has(output));
+}
+
+const GRIDS = ["CSV", "BIL"];
+
+const GRID = dict(GRIDS, GRIDS);
+
+const GRID_LABEL = dict(GRIDS, ["CSV (matriz)", "Binario (BIL float32)"]);
+
+const UNIT_LABEL = { C: "Grados Celsius (°C)", K: "Kelvin (K)" };
+
+const REPORT_LABEL = dict(REPORT_TYPES, ["Granizo", "Tornado", "Ráfaga"]);
+
+const JOB_KIND_LABEL = dict(JOB_KINDS, [
+  "Por fecha",
+  "Evento",
+  "Avanzada",
+  "Archivos",
 ]);
 
-const SECTOR = dict(dmh_settings.satellite.sector.supported, [
-  "Paraguay",
-  "Mercosur",
-  "Sudamérica",
+const GAP_LABEL = dict(GAPS, [
+  "Descargar sin comprobar",
+  "Omitir las faltantes",
+  "Ampliar la ventana hacia atrás",
+  "Sustituir por la más cercana",
 ]);
 
+const _NO_ANNOTATION_ = "NONE";
+
+// Region choices besides the presets and the regions saved for the current
+// sector
+const _FULL_REGION_ = "FULL";
+const _CUSTOM_REGION_ = "CUSTOM";
+
+const ANNOTATION_LABEL = dict(
+  [_NO_ANNOTATION_, ...CORNERS],
+  [
+    "Sin anotación",
+    "Arriba a la izquierda",
+    "Arriba a la derecha",
+    "Abajo a la izquierda",
+    "Abajo a la derecha",
+  ],
+);
+
 const SECT_MAP = {
   paraguay: _PAR_,
   mercosur: _MER_,
@@ -117,6 +304,7 @@ const SECT_MAP = {
 };
 
 function main() {
+  FileSaver.destination = { site: "DMH" };
   let message = "No query parameters found";
   const query = new URLSearchParams(globalThis.location.search);
   if (query.size > 0) {
@@ -143,6 +331,522 @@ function main() {
   );
 }
 
+/**
+ * Builds a copy of the `satellite` section of the settings for the given
+ * product and sector, leaving the settings of the current page untouched.
+ *
+ * @param {string} product The product identifier (e.g., "BAND13").
+ * @param {string} sector The sector identifier (e.g., "PAR").
+ * @returns {Object} The settings for the requested product and sector.
+ */
+function seriesSettings(product, sector) {
+  const settings = dmh_settings.satellite;
+  return {
+    ...settings,
+    product: { ...settings.product, current: product },
+    sector: { ...settings.sector, current: sector },
+  };
+}
+
+/**
+ * Builds the georeference of the images of a sector, to convert between their
+ * pixel and geographic (longitude, latitude) coordinates.
+ *
+ * @param {string} sector The sector identifier (e.g., "PAR").
+ * @param {number} width (Optional) The width of the images, in pixels.
+ *        Defaults to 1 (fractions of the image size).
+ * @param {number} height (Optional) The height of the images, in pixels.
+ *        Defaults to 1.
+ * @returns {GeoReference} The georeference, or `undefined` if the extent of
+ *          the sector has not been verified (see the `extent` setting).
+ */
+function sectorGeoReference(sector, width, height) {
+  const extent = dmh_settings.satellite.extent[sector];
+  return extent ? new GeoReference(extent, width, height) : undefined;
+}
+
+/**
+ * Gets the product and sector of an image from its DMH filename (e.g.,
+ * "G16_BAND13_PAR_202410041230.jpg").
+ *
+ * @param {string} filename The filename of the image.
+ * @returns {{product: string, sector: string}} The product and sector, or
+ *          `undefined` if the filename does not hold them.
+ */
+function filenameSeries(filename) {
+  const match = /_([\dA-Z]+)_([A-Z]+)_\d{12}\.\w+$/.exec(filename);
+  return match ? { product: match[1], sector: match[2] } : undefined;
+}
+
+/**
+ * Builds the georeference of an archived image of a sector, taking into
+ * account the region of the original image it holds, if it was cropped or
+ * scaled.
+ *
+ * @param {Object} entry The archived entry. See `FileArchiver.save`.
+ * @param {number} width (Optional) The width of the image, in pixels.
+ * @param {number} height (Optional) The height of the image, in pixels.
+ * @returns {GeoReference} The georeference, or `undefined` if the image
+ *          cannot be georeferenced.
+ */
+function entryGeoReference(entry, width, height) {
+  const series = filenameSeries(entry.filename);
+  const georef = series && sectorGeoReference(series.sector);
+  const source = entry.region?.relativeSource || [0, 0, 1, 1];
+  return georef && georef.crop(source, width, height);
+}
+
+/**
+ * Builds the world file (e.g., ".jgw") and projection file (".prj") of an
+ * archived image, as expected by the `sidecars` option of `FileArchiver`, so
+ * that GIS applications (e.g., QGIS) can place it on a map.
+ *
+ * @param {Object} entry The archived entry. See `FileArchiver.save`.
+ * @returns {Array<[string, string]>} The filename-content pairs of the files,
+ *          none if the image cannot be georeferenced.
+ */
+function georeferenceSidecars(entry) {
+  const size = ImageHeader.size(entry.data);
+  const georef = size && entryGeoReference(entry, size.width, size.height);
+  if (!georef) {
+    return [];
+  }
+  return [
+    [FilenameUtils.buildWorldFilename(entry.filename), georef.worldFile()],
+    [FilenameUtils.renameExtension(entry.filename, ".prj"), WGS84_PRJ],
+  ];
+}
+
+/**
+ * Describes the Google Earth ground overlay of an archived image, as expected
+ * by the `groundOverlay` option of `FileArchiver`. The overlay is shown from
+ * the scan time of the image until the next scan, so that the sequence plays
+ * with the time slider.
+ *
+ * @param {Object} entry The archived entry. See `FileArchiver.save`.
+ * @returns {Object} The overlay (see `KmlDocument`), or `undefined` if the
+ *          image cannot be georeferenced.
+ */
+function groundOverlay(entry) {
+  const georef = entryGeoReference(entry);
+  const begin = SatelliteURLRange.date(entry.filename);
+  if (!georef || Number.isNaN(begin.getTime())) {
+    return;
+  }
+  const { product, sector } = filenameSeries(entry.filename);
+  const end = new Date(begin.getTime() + dmh_settings.satellite.interval);
+  const utc = DateUtils.toZonedISODate(begin, "UTC").replace("T", " ");
+  return {
+    name: `${utc} UTC`,
+    folder: seriesTitle(product, sector),
+    bounds: georef.bounds,
+    begin,
+    end,
+  };
+}
+
+/**
+ * Builds the title of a series from the names of its product and sector.
+ *
+ * @param {string} product The product identifier (e.g., "BAND13").
+ * @param {string} sector The sector identifier (e.g., "PAR").
+ * @returns {string} The title of the series.
+ */
+function seriesTitle(product, sector) {
+  return `${PRODUCT[product] || product} — ${SECTOR[sector] || sector}`;
+}
+
+/**
+ * Adds the archive options of the DMH images to the download options: the
+ * ground overlays of KMZ archives, or the georeferencing sidecar files of
+ * other archives. Without georeferencing (see `sectorGeoReference`), KMZ
+ * archives hold the images without overlays.
+ *
+ * @param {Object} options (Optional) The download options.
+ * @param {string} type The archive format (see `ARCHIVE`).
+ * @param {Object} settings (Optional) The `satellite` section of the settings
+ *        of the series, to name the KML document after; a generic name is
+ *        used for several series.
+ * @returns {Object} The download options, with the archive options.
+ */
+function archiveOptions(options, type, settings) {
+  if (type === ARCHIVE.KMZ) {
+    const title = settings
+      ? seriesTitle(settings.product.current, settings.sector.current)
+      : `${dmh_settings.satellite.instrument} — DMH/DINAC`;
+    return { ...options, title, groundOverlay };
+  }
+  return { ...options, sidecars: georeferenceSidecars };
+}
+
+/**
+ * Builds a conversion function, as expected by `PixelDownloader`, that
+ * decodes the brightness temperatures of an infrared image with the color
+ * table of its product and writes them as a CSV grid or as a binary grid
+ * (`.bil`) with its header (`.hdr`) and, if the image can be georeferenced,
+ * its projection (`.prj`).
+ *
+ * @param {string} format The grid format (see `GRID`).
+ * @param {boolean} kelvin Whether to write the temperatures in kelvins
+ *        instead of degrees Celsius.
+ * @returns {function(ImageData, Object): Array<[string, any]>} The conversion
+ *          function.
+ */
+function temperatureConverter(format, kelvin) {
+  return (pixels, entry) => {
+    const series = filenameSeries(entry.filename);
+    const table = series && COLOR_TABLE[series.product];
+    if (!table) {
+      throw new Error(`No color table for '${entry.filename}'`);
+    }
+    const grid = TemperatureGrid.decode(pixels, table);
+    const rename = (type) =>
+      FilenameUtils.renameExtension(entry.filename, type);
+    if (format === GRID.CSV) {
+      return [[rename(".csv"), grid.toCSV(kelvin, UNCALIBRATED.comment)]];
+    }
+    const georef = entryGeoReference(entry, grid.width, grid.height);
+    const files = [
+      [rename(".bil"), grid.toBinary(kelvin)],
+      [rename(".hdr"), grid.toHeader(georef)],
+    ];
+    if (georef) {
+      files.push([rename(".prj"), WGS84_PRJ]);
+    }
+    return files;
+  };
+}
+
+/**
+ * Builds the decoding function of the time series of a product: brightness
+ * temperatures for the products with a color table, marked as uncalibrated,
+ * and the relative brightness of the pixels (an approximate reflectance for
+ * the visible band) for the others.
+ *
+ * @param {string} product The product identifier (e.g., "BAND13").
+ * @returns {{decode: function(number, number, number): number, unit:
+ *          string, comment: string}} The decoding function, the label of its
+ *          values and the note on them, if any.
+ */
+function seriesDecoder(product) {
+  const table = COLOR_TABLE[product];
+  if (table) {
+    return {
+      decode: (r, g, b) => table.decode(r, g, b),
+      unit: `Temperatura de brillo ${UNCALIBRATED.label} (°C)`,
+      comment: UNCALIBRATED.comment,
+    };
+  }
+  return {
+    decode: (r, g, b) => ((0.2126 * r + 0.7152 * g + 0.0722 * b) / 255) * 100,
+    unit:
+      product === "BAND02"
+        ? "Reflectancia aproximada (%)"
+        : "Brillo relativo (%)",
+  };
+}
+
+/**
+ * Formats a geographic position in degrees, with its hemispheres (e.g.,
+ * "25.28° S, 57.63° O").
+ *
+ * @param {number} lat The latitude, in decimal degrees.
+ * @param {number} lon The longitude, in decimal degrees.
+ * @returns {string} The formatted position.
+ */
+function formatPosition(lat, lon) {
+  const ns = lat < 0 ? "S" : "N";
+  const ew = lon < 0 ? "O" : "E";
+  return `${Math.abs(lat).toFixed(2)}° ${ns}, ${Math.abs(lon).toFixed(2)}° ${ew}`;
+}
+
+/**
+ * Builds the analysis of the signatures of severe convection of an infrared
+ * sequence (see `CloudTopAnalyzer`), as the `analyze` and `overlay` options
+ * of `ImageDownloader`. The analysis decodes the temperatures of the crop
+ * region of each image and lists the detections, with their approximate
+ * geographic position, in "DETECTIONS.json" and "DETECTIONS.csv"; the
+ * overlay marks them on the images, over the annotation, if any.
+ *
+ * @param {Object} thresholds The thresholds of the analysis, `threshold` (°C)
+ *        and `cooling` (°C per 10 minutes).
+ * @param {Object} options The download options, with the optional `crop`
+ *        rectangle, annotation `overlay` and cancellation `signal`.
+ * @returns {{analyze: function(Array<Object>): Promise<Array<Object>>,
+ *          overlay: function(CanvasRenderingContext2D, string,
+ *          FrameRegion)}} The analysis and overlay functions.
+ */
+function alertAnalysis(thresholds, options) {
+  const { crop, overlay: annotate, signal } = options;
+  const found = new Map();
+  const analyze = async (entries) => {
+    const analyzer = new CloudTopAnalyzer(thresholds);
+    const detections = [];
+    for (const entry of entries) {
+      // Let the page update the progress between images
+      await new Promise((resolve) => setTimeout(resolve));
+      if (signal?.aborted) {
+        break;
+      }
+      const series = "data" in entry && filenameSeries(entry.filename);
+      const table = series && COLOR_TABLE[series.product];
+      if (table) {
+        const { width, height } = entry.data;
+        const source = new FrameRegion(entry.data, { crop }).source;
+        const grid = TemperatureGrid.fromImage(entry.data, table, source);
+        const time = SatelliteURLRange.date(entry.filename);
+        const frame = analyzer.analyze(grid, time, source.slice(0, 2));
+        const georef = entryGeoReference(entry, width, height);
+        for (const detection of frame) {
+          detection.position = georef?.toGeographic(detection.x, detection.y);
+        }
+        found.set(entry.filename, frame);
+        detections.push(...frame);
+      }
+    }
+    return [
+      {
+        filename: "DETECTIONS.json",
+        data: detectionReport(detections, thresholds),
+      },
+      { filename: "DETECTIONS.csv", data: detectionTable(detections) },
+    ];
+  };
+  const overlay = (context, filename, region) => {
+    annotate?.(context, filename, region);
+    drawDetections(context, found.get(filename) || [], region);
+  };
+  return { analyze, overlay };
+}
+
+/**
+ * Writes the detections of the alert analysis as a JSON report, with the
+ * thresholds of the analysis.
+ *
+ * @param {Array<Object>} detections The detections (see `CloudTopAnalyzer`)
+ *        with their geographic `position`, if known.
+ * @param {Object} thresholds The thresholds of the analysis.
+ * @returns {string} The JSON report.
+ */
+function detectionReport(detections, thresholds) {
+  const report = {
+    source: "DMH/DINAC",
+    calibrated: false,
+    note: UNCALIBRATED.comment,
+    threshold_c: thresholds.threshold,
+    cooling_c_per_10min: thresholds.cooling,
+    detections: detections.map((detection) => ({
+      time: detection.time.toISOString(),
+      type: detection.type,
+      position: detection.position && {
+        lat: round(detection.position.lat, 3),
+        lon: round(detection.position.lon, 3),
+      },
+      x: Math.round(detection.x),
+      y: Math.round(detection.y),
+      bounds: detection.bounds,
+      pixels: detection.pixels,
+      value: round(detection.value, 1),
+      unit: detectionUnit(detection.type),
+    })),
+  };
+  return `${JSON.stringify(report, undefined, 2)}\n`;
+}
+
+/**
+ * Writes the detections of the alert analysis as a CSV table, one detection
+ * per row.
+ *
+ * @param {Array<Object>} detections The detections (see `CloudTopAnalyzer`)
+ *        with their geographic `position`, if known.
+ * @returns {string} The CSV table.
+ */
+function detectionTable(detections) {
+  const rows = [
+    `# ${UNCALIBRATED.comment}`,
+    "time_utc,type,lat,lon,x_px,y_px,pixels,value,unit",
+  ];
+  for (const detection of detections) {
+    const { time, type, position, x, y, pixels, value } = detection;
+    rows.push(
+      [
+        time.toISOString(),
+        type,
+        position ? position.lat.toFixed(3) : "",
+        position ? position.lon.toFixed(3) : "",
+        Math.round(x),
+        Math.round(y),
+        pixels,
+        value.toFixed(1),
+        detectionUnit(type),
+      ].join(","),
+    );
+  }
+  return `${rows.join("\n")}\n`;
+}
+
+/**
+ * Gets the unit of the value of a detection: the minimum temperature of cold
+ * tops, or the cooling rate of cooling regions.
+ *
+ * @param {string} type The detection type (see `DETECTION`).
+ * @returns {string} The unit of the value.
+ */
+function detectionUnit(type) {
+  return type === DETECTION.COLD_TOP ? "C" : "C/10min";
+}
+
+/**
+ * Rounds a number to the given decimals.
+ *
+ * @param {number} value The number to round.
+ * @param {number} decimals The number of decimals.
+ * @returns {number} The rounded number.
+ */
+function round(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * Marks the detections of an image on its encoded copy: cold tops with a
+ * solid box and their minimum temperature, cooling regions with a dashed box
+ * and their cooling rate.
+ *
+ * @param {CanvasRenderingContext2D} context The context of the encoded copy.
+ * @param {Array<Object>} detections The detections of the image (see
+ *        `CloudTopAnalyzer`), in pixels of the original image.
+ * @param {FrameRegion} region The region of the original image the copy
+ *        holds.
+ */
+function drawDetections(context, detections, region) {
+  context.save();
+  context.font = "bold 12px sans-serif";
+  context.textBaseline = "bottom";
+  for (const { type, bounds, value } of detections) {
+    const [x, y, width, height] = bounds;
+    const [left, top] = region.project(x, y);
+    const [right, bottom] = region.project(x + width, y + height);
+    const cold = type === DETECTION.COLD_TOP;
+    // "≈": the temperatures are uncalibrated
+    const label = cold
+      ? `≈${value.toFixed(0)} °C`
+      : `≈-${value.toFixed(0)} °C/10 min`;
+    const dash = cold ? [] : [4, 3];
+    const box = [left - 2, top - 2, right - left + 4, bottom - top + 4];
+    // A dark outline keeps the marks readable over any color of the scale
+    context.strokeStyle = "#000000";
+    context.lineWidth = 4;
+    context.setLineDash(dash);
+    context.strokeRect(...box);
+    context.setLineDash([]);
+    context.strokeText(label, box[0], box[1] - 2);
+    context.strokeStyle = cold ? "#ffffff" : "#ffff00";
+    context.fillStyle = context.strokeStyle;
+    context.lineWidth = 2;
+    context.setLineDash(dash);
+    context.strokeRect(...box);
+    context.fillText(label, box[0], box[1] - 2);
+  }
+  context.restore();
+}
+
+/**
+ * Parses a pair of comma-separated numbers (e.g., "-25.28, -57.63").
+ *
+ * @param {string} text The text to parse.
+ * @returns {[number, number]} The numbers, or `undefined` if the text is not
+ *          a pair of numbers.
+ */
+function parsePair(text) {
+  const parts = text.split(",");
+  if (parts.length !== 2 || parts.some((part) => part.trim() === "")) {
+    return;
+  }
+  const pair = parts.map(Number);
+  return pair.every((value) => Number.isFinite(value)) ? pair : undefined;
+}
+
+/**
+ * Parses a geographic position ("lat, lon", in decimal degrees).
+ *
+ * @param {string} text The text to parse.
+ * @returns {{lat: number, lon: number}} The position, or `undefined` if it
+ *          is invalid.
+ */
+function parsePosition(text) {
+  const pair = parsePair(text);
+  if (!pair || Math.abs(pair[0]) > 90 || Math.abs(pair[1]) > 180) {
+    return;
+  }
+  return { lat: pair[0], lon: pair[1] };
+}
+
+/**
+ * Builds an overlay function, as expected by `ImageDownloader`, that marks
+ * the location of a severe weather report on the georeferenced images that
+ * cover it, over the annotation, if any.
+ *
+ * @param {EventReport} report The report.
+ * @param {function(CanvasRenderingContext2D, string)} annotate (Optional)
+ *        The annotation overlay (see `annotationOverlay`).
+ * @returns {function(CanvasRenderingContext2D, string, FrameRegion)} The
+ *          overlay function.
+ */
+function eventOverlay(report, annotate) {
+  const marker = new Marker();
+  const { lat, lon } = report.position;
+  return (context, filename, region) => {
+    annotate?.(context, filename, region);
+    const { width, height } = context.canvas;
+    const georef = entryGeoReference({ filename, region }, width, height);
+    if (georef?.contains(lon, lat)) {
+      const { x, y } = georef.toPixel(lon, lat);
+      marker.draw(context, x, y, report.label);
+    }
+  };
+}
+
+/**
+ * Builds an overlay function, as expected by `ImageDownloader` and
+ * `VideoDownloader`, that annotates each image with its product, sector, scan
+ * time (UTC and local) and the credit of the source.
+ *
+ * @param {Object} annotation The annotation options (see `Annotator`).
+ * @returns {function(CanvasRenderingContext2D, string)} The overlay function.
+ */
+function annotationOverlay(annotation) {
+  const annotator = new Annotator(annotation);
+  return (context, filename) =>
+    annotator.draw(context, annotationLines(filename));
+}
+
+/**
+ * Builds the annotation lines of an image from its DMH filename (e.g.,
+ * "G16_BAND13_PAR_202410041230.png"). The product and sector of the current
+ * page are used if the filename does not hold them.
+ *
+ * @param {string} filename The filename of the image.
+ * @returns {string[]} The annotation lines.
+ */
+function annotationLines(filename) {
+  const settings = dmh_settings.satellite;
+  const series = filenameSeries(filename);
+  const product = series ? series.product : settings.product.current;
+  const sector = series ? series.sector : settings.sector.current;
+  const lines = [PRODUCT[product] || product, SECTOR[sector] || sector];
+  const date = SatelliteURLRange.date(filename);
+  if (!Number.isNaN(date.getTime())) {
+    const utc = DateUtils.toZonedISODate(date, "UTC").replace("T", " ");
+    const local = DateUtils.toZonedISODate(date, LOCAL_TIME_ZONE).replace(
+      "T",
+      " ",
+    );
+    lines.push(`${utc} UTC`, `${local} Hora local (Asunción)`);
+  }
+  lines.push("Fuente: DMH/DINAC");
+  return lines;
+}
+
 /**
  * Class representing a range of satellite data URLs based on provided
  * settings, start date, and end date.
@@ -193,6 +897,51 @@ class SatelliteURLRange {
     return SatelliteURLRange.#create(settings, beginDate, endDate);
   }
 
+  /**
+   * Computes the number of URLs a range would contain, without building it.
+   *
+   * @param {Object} settings An object containing settings for the DMH
+   *        downloader tool.
+   * @param {Date} beginDate The beginning date for the URL range.
+   * @param {Date} endDate The ending date for the URL range.
+   * @returns {number} The number of URLs in the range, or zero if the range
+   *          is empty or any of the dates is invalid.
+   */
+  static count(settings, beginDate, endDate) {
+    const interval = settings.interval;
+    const begin = DateUtils.truncateDate(beginDate, interval).getTime();
+    const end = endDate.getTime();
+    if (Number.isNaN(begin) || Number.isNaN(end) || end < begin) {
+      return 0;
+    }
+    return Math.floor((end - begin) / interval) + 1;
+  }
+
+  /**
+   * Parses the scan time of a DMH image URL or filename.
+   *
+   * @param {string} url The URL or filename of the image.
+   * @returns {Date} The scan time, or an invalid date if the URL holds none.
+   */
+  static date(url) {
+    const match = /_(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})\.\w+$/.exec(url);
+    if (!match) {
+      return new Date(Number.NaN);
+    }
+    const [, year, month, day, hours, minutes] = match;
+    return new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes));
+  }
+
+  /**
+   * Formats a date as the timestamp used in DMH filenames (UTC, YYYYMMDDhhmm).
+   *
+   * @param {Date} date The date to format.
+   * @returns {string} The formatted timestamp.
+   */
+  static timestamp(date) {
+    return SatelliteURLRange.#buildDateURL(date);
+  }
+
   /**
    * (Private method) Captures the current URL range from settings.
    *
@@ -221,7 +970,7 @@ class SatelliteURLRange {
    */
   static #create(settings, beginDate, endDate) {
     const baseURL = SatelliteURLRange.#buildBaseURL(settings);
-    const typeURL = settings.type.source;
+    const typeURL = IMG_TYPE[settings.type.source];
     const urls = [];
     let currentDate = beginDate;
     const scanInterval = settings.interval;
@@ -316,9 +1065,16 @@ class SatelliteDownloader {
    *
    * @param {string[]} urls An array of URLs for the satellite data to be
    *        downloaded.
+   * @param {Object} settings (Optional) The `satellite` section of the
+   *        settings the URLs were built with. Defaults to the settings of the
+   *        current page.
+   * @param {RangeAvailability} availability (Optional) The availability of
+   *        the range the URLs were taken from, listed in the README.
    */
-  constructor(urls) {
+  constructor(urls, settings, availability) {
     this._urls = urls;
+    this._settings = settings || dmh_settings.satellite;
+    this._availability = availability;
   }
 
   /**
@@ -336,12 +1092,18 @@ class SatelliteDownloader {
    * @param {Object} params (Optional) An object containing additional
    *        parameters for the download request (implementation specific to
    *        FileDownloader).
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries).
    * @returns {Promise<Response>} A Promise object representing the download
    *          operation. The resolved value is a Response object containing
    *          download details.
    */
-  downloadFiles(filenames, archivename, type, params) {
-    const readme = SatelliteDownloader.#getReadMe(filenames);
+  downloadFiles(filenames, archivename, type, params, options) {
+    const readme = SatelliteDownloader.#getReadMe(
+      filenames,
+      this._settings,
+      this._availability,
+    );
     const sequence = zip(this._urls, filenames);
     const promise = FileDownloader.download(
       sequence,
@@ -349,8 +1111,9 @@ class SatelliteDownloader {
       type,
       params,
       readme,
+      archiveOptions(options, type, this._settings),
     );
-    SatelliteDownloader.#setupResponseActions(promise, archivename);
+    return ResponseActions.setup(promise, archivename);
   }
 
   /**
@@ -366,12 +1129,18 @@ class SatelliteDownloader {
    * @param {string} archivename The name of the ZIP archive to create.
    * @param {string} imgtype (Optional) The desired format for the downloaded
    *        images (e.g., ".png"). Defaults to ".PNG_".
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries).
    * @returns {Promise<Response>} A Promise object representing the download
    *          operation. The resolved value is a Response object containing
    *          download details.
    */
-  downloadImages(filenames, archivename, imgtype, arctype) {
-    const readme = SatelliteDownloader.#getReadMe(filenames);
+  downloadImages(filenames, archivename, imgtype, arctype, options) {
+    const readme = SatelliteDownloader.#getReadMe(
+      filenames,
+      this._settings,
+      this._availability,
+    );
     const sequence = zip(this._urls, filenames);
     const promise = ImageDownloader.download(
       sequence,
@@ -379,8 +1148,9 @@ class SatelliteDownloader {
       imgtype,
       arctype,
       readme,
+      archiveOptions(options, arctype, this._settings),
     );
-    SatelliteDownloader.#setupResponseActions(promise, archivename);
+    return ResponseActions.setup(promise, archivename);
   }
 
   /**
@@ -391,83 +1161,523 @@ class SatelliteDownloader {
    * @param {number} fps The desired frames per second for the video.
    * @param {string} type (Optional) The desired format for the downloaded
    *        video (e.g., ".mp4"). Defaults to ".MP4_".
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries).
    * @returns {Promise<Response>} A Promise object representing the download
    *          operation. The resolved value is a Response object containing
    *          download details.
    */
-  downloadVideo(filename, fps, type = VIDEO.MP4) {
+  downloadVideo(filename, fps, type, options) {
+    type = type || VIDEO.MP4;
     const filenames = FilenameUtils.getFilenames(this._urls);
     const sequence = zip(this._urls, filenames);
-    const promise = VideoDownloader.download(sequence, filename, fps, type);
-    SatelliteDownloader.#setupResponseActions(promise, filename);
+    const promise = VideoDownloader.download(
+      sequence,
+      filename,
+      fps,
+      type,
+      options,
+    );
+    return ResponseActions.setup(promise, filename);
   }
 
   /**
-   * (Private helper function) Sets up response handling actions (logging and
-   * user alerts) for a download Promise.
+   * Downloads an animated image (GIF or APNG) from satellite data URLs, with
+   * one frame per image.
    *
-   * @param {Promise<Response>} promise The download Promise object.
-   * @param {string} filename The name of the downloaded file (archive or
-   *        video).
+   * @param {string} filename The desired filename for the animated image.
+   * @param {number} fps The desired frames per second for the animation.
+   * @param {string} type (Optional) The desired animation format (e.g.,
+   *        "GIF", "APNG"). Defaults to "GIF".
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries), the number of plays `loop` and the
+   *        additional time `hold` the last frame is shown, in milliseconds.
+   * @returns {Promise<Response>} A Promise object representing the download
+   *          operation. The resolved value is a Response object containing
+   *          download details.
    */
-  static #setupResponseActions(promise, filename) {
-    promise
-      .then((result) => {
-        if (result.ok) {
-          console.info(`${result.message}: '${filename}' downloaded!`);
-        } else {
-          console.warn(`${result.message}: '${filename}' failed!`);
-        }
-      })
-      .catch((error) => {
-        if (error instanceof Error) {
-          console.error(error);
-        } else if (error.message == "empty") {
-          console.info(`${error.message}: '${filename}' no data!`);
-          alert("No existen imágenes disponibles en el rango solicitado.");
-        } else if (error.error) {
-          console.info(`${error.message}: '${filename}':`, error.error);
-        } else {
-          console.warn(`${error.message}: '${filename}' failed!`);
-        }
-      });
+  downloadAnimation(filename, fps, type, options) {
+    type = type || ANIMATION.GIF;
+    const filenames = FilenameUtils.getFilenames(this._urls);
+    const sequence = zip(this._urls, filenames);
+    const promise = AnimationDownloader.download(
+      sequence,
+      filename,
+      fps,
+      type,
+      options,
+    );
+    return ResponseActions.setup(promise, filename);
   }
 
   /**
-   * (Private helper function) Generates a README string based on the provided
-   * filenames.
+   * Downloads the brightness temperatures of infrared satellite images,
+   * decoded from their colors, as grids in an archive with one grid per
+   * image.
    *
-   * @param {string[]} filenames An array of filenames.
-   * @returns {string} A README string listing the filenames and additional
-   *          information.
+   * @param {string} archivename The name of the archive to create.
+   * @param {string} type The desired archive format (see `ARCHIVE`).
+   * @param {string} format The grid format (see `GRID`).
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries), the optional `crop` rectangle and
+   *        whether to write the temperatures in kelvins (`kelvin`).
+   * @returns {Promise<Response>} A Promise object representing the download
+   *          operation. The resolved value is a Response object containing
+   *          download details.
    */
-  static #getReadMe(filenames) {
-    const datetime = DateUtils.currentISODate();
-    const sector = SECTOR[dmh_settings.satellite.sector.current];
-    const product = PRODUCT[dmh_settings.satellite.product.current];
-    const filelist = filenames.join("\n");
-    const year = datetime.slice(0, 4);
-    return `Imágenes del satélite GOES-16 (${datetime})
-=========================================================
+  downloadTemperatures(archivename, type, format, options) {
+    const filenames = FilenameUtils.getFilenames(this._urls);
+    const readme = SatelliteDownloader.#getReadMe(
+      filenames,
+      this._settings,
+      this._availability,
+      SatelliteDownloader.#readMeCalibration(),
+    );
+    const sequence = zip(this._urls, filenames);
+    const convert = temperatureConverter(format, options?.kelvin);
+    const promise = PixelDownloader.download(
+      sequence,
+      archivename,
+      type,
+      readme,
+      { ...archiveOptions(options, type, this._settings), convert },
+    );
+    return ResponseActions.setup(promise, archivename);
+  }
 
-Sector: ${sector}
-Producto: ${product}
+  /**
+   * Downloads the time series of the values of a location across the
+   * satellite images, as a CSV file and its chart (PNG) in an archive.
+   *
+   * @param {string} archivename The name of the archive to create.
+   * @param {string} type The desired archive format (see `ARCHIVE`).
+   * @param {Object} location The location: a `point`, as a pixel (`x`, `y`)
+   *        or a geographic position (`lat`, `lon`), and the `radius` of the
+   *        box of pixels around it. See `TimeSeries` for details.
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries) and an optional `onSeries` function
+   *        called with the series and its chart (see `SeriesDownloader`).
+   * @returns {Promise<Response>} A Promise object representing the download
+   *          operation. The resolved value is a Response object containing
+   *          download details.
+   */
+  downloadSeries(archivename, type, location, options) {
+    const filenames = FilenameUtils.getFilenames(this._urls);
+    const product = this._settings.product.current;
+    const sector = this._settings.sector.current;
+    const { decode, unit, comment } = seriesDecoder(product);
+    const readme = SatelliteDownloader.#getReadMe(
+      filenames,
+      this._settings,
+      this._availability,
+      comment && SatelliteDownloader.#readMeCalibration(),
+    );
+    const sequence = zip(this._urls, filenames);
+    const { point } = location;
+    const place =
+      "lat" in point
+        ? formatPosition(point.lat, point.lon)
+        : `x ${point.x}, y ${point.y} (px)`;
+    const chart = {
+      title: `${seriesTitle(product, sector)} — ${place}`,
+      unit,
+      labels: { mean: "media", range: "mín–máx", missing: "faltante" },
+    };
+    const promise = SeriesDownloader.download(
+      sequence,
+      archivename,
+      type,
+      readme,
+      {
+        ...options,
+        ...location,
+        decode,
+        comment,
+        time: (entry) => SatelliteURLRange.date(entry.filename),
+        georef: (entry, width, height) =>
+          entryGeoReference(entry, width, height),
+        chart,
+      },
+    );
+    return ResponseActions.setup(promise, archivename);
+  }
 
-Este producto contiene imágenes del satélite GOES-16, que es operado por la
-NOAA y la NASA. Las imágenes son generadas por la Dirección de Meteorología e
-Hidrología de la DINAC con datos recibidos a través de su Estación Geonetcast,
-y son distribuidas a través de su sitio web.
+  /**
+   * Downloads the satellite images of an infrared window band annotated with
+   * the signatures of severe convection found on them (cold cloud tops and
+   * rapid cooling, see `CloudTopAnalyzer`), with the list of detections as
+   * JSON and CSV files, in an archive.
+   *
+   * @param {string[]} filenames The filenames of the annotated images.
+   * @param {string} archivename The name of the archive to create.
+   * @param {string} imgtype The desired format of the images (e.g., ".png").
+   * @param {string} arctype The desired archive format (see `ARCHIVE`).
+   * @param {Object} thresholds The thresholds of the analysis, `threshold`
+   *        (°C) and `cooling` (°C per 10 minutes).
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries), the annotation `overlay` and the
+   *        region (`crop` and `scale`).
+   * @returns {Promise<Response>} A Promise object representing the download
+   *          operation. The resolved value is a Response object containing
+   *          download details.
+   */
+  downloadAlerts(
+    filenames,
+    archivename,
+    imgtype,
+    arctype,
+    thresholds,
+    options,
+  ) {
+    const readme = SatelliteDownloader.#getReadMe(
+      filenames,
+      this._settings,
+      this._availability,
+      SatelliteDownloader.#readMeAlerts(thresholds),
+    );
+    const sequence = zip(this._urls, filenames);
+    const analysis = alertAnalysis(thresholds, options || {});
+    const promise = ImageDownloader.download(
+      sequence,
+      archivename,
+      imgtype,
+      arctype,
+      readme,
+      { ...archiveOptions(options, arctype, this._settings), ...analysis },
+    );
+    return ResponseActions.setup(promise, archivename);
+  }
 
-El producto contiene imágenes de la región de América del Sur, y se actualiza
-cada 10 minutos. Las imágenes son generadas en formato JPG, y se encuentran
-disponibles en el enlace: https://www.meteorologia.gov.py/satelite-goes-16.
+  /**
+   * Downloads several satellite series (product and sector combinations) in
+   * their original format as a single archive, with one folder per series.
+   *
+   * @param {Array<{settings: Object, urls: string[], availability:
+   *        RangeAvailability}>} series The series to download; `settings` is
+   *        the `satellite` section of the settings the `urls` were built with,
+   *        and the optional `availability` is listed in the README.
+   * @param {string} archivename The name of the archive to create.
+   * @param {string} type The desired archive format (see `ARCHIVE`).
+   * @param {Object} params Parameters for the fetch requests.
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries).
+   * @returns {Promise<Response>} A Promise object representing the download
+   *          operation. The resolved value is a Response object containing
+   *          download details.
+   */
+  static downloadBatch(series, archivename, type, params, options) {
+    const sequence = [];
+    const sections = [];
+    for (const { settings, urls, availability } of series) {
+      const folder = `${settings.product.current}_${settings.sector.current}`;
+      const filenames = FilenameUtils.getFilenames(urls);
+      for (const [url, filename] of zip(urls, filenames)) {
+        sequence.push([url, filename, folder]);
+      }
+      sections.push({ folder, filenames, settings, availability });
+    }
+    const readme = SatelliteDownloader.#getBatchReadMe(sections);
+    const promise = FileDownloader.download(
+      sequence,
+      archivename,
+      type,
+      params,
+      readme,
+      archiveOptions(options, type),
+    );
+    return ResponseActions.setup(promise, archivename);
+  }
 
-Imágenes solicitadas:
---------------------------------
-${filelist}
+  /**
+   * Downloads the imagery of a severe weather event: several satellite
+   * series converted to the given image format, as a single archive with one
+   * folder per series, the location of the report marked on the
+   * georeferenced images, a README summarizing the report and its
+   * structured description (`evento.json`).
+   *
+   * @param {Array<{settings: Object, urls: string[], availability:
+   *        RangeAvailability}>} series The series to download. See
+   *        `downloadBatch` for details.
+   * @param {string} archivename The name of the archive to create.
+   * @param {string} imgtype The desired format of the images (e.g., ".jpg").
+   * @param {EventReport} report The report of the event.
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries) and the annotation `overlay`.
+   * @returns {Promise<Response>} A Promise object representing the download
+   *          operation. The resolved value is a Response object containing
+   *          download details.
+   */
+  static downloadEvent(series, archivename, imgtype, report, options) {
+    const sequence = [];
+    const sections = [];
+    const described = [];
+    for (const { settings, urls, availability } of series) {
+      const product = settings.product.current;
+      const sector = settings.sector.current;
+      const folder = `${product}_${sector}`;
+      const filenames = FilenameUtils.buildImageFilenames(
+        urls,
+        IMG_TYPE[imgtype],
+      );
+      for (const [url, filename] of zip(urls, filenames)) {
+        sequence.push([url, filename, folder]);
+      }
+      sections.push({ folder, filenames, settings, availability });
+      described.push({
+        source: "DMH",
+        product,
+        sector,
+        folder,
+        files: filenames,
+        missing:
+          availability &&
+          FilenameUtils.buildImageFilenames(
+            availability.missing,
+            IMG_TYPE[imgtype],
+          ),
+      });
+    }
+    const readme = SatelliteDownloader.#getBatchReadMe(sections, report);
+    const promise = ImageDownloader.download(
+      sequence,
+      archivename,
+      imgtype,
+      ARCHIVE.ZIP,
+      readme,
+      {
+        ...archiveOptions(options, ARCHIVE.ZIP),
+        overlay: eventOverlay(report, options?.overlay),
+        attachments: [["evento.json", report.toJSON(described)]],
+      },
+    );
+    return ResponseActions.setup(promise, archivename);
+  }
+
+  /**
+   * (Private helper function) Generates a README string based on the provided
+   * filenames.
+   *
+   * @param {string[]} filenames An array of filenames.
+   * @param {Object} settings The `satellite` section of the settings the
+   *        filenames were built with.
+   * @param {RangeAvailability} availability (Optional) The availability of
+   *        the range; if given, the available and missing images are listed
+   *        instead of the requested ones.
+   * @param {string} notes (Optional) Notes on the content of the archive
+   *        (e.g., the description of an analysis), listed after the files.
+   * @returns {string} A README string listing the filenames and additional
+   *          information.
+   */
+  static #getReadMe(filenames, settings, availability, notes) {
+    const datetime = DateUtils.currentISODate();
+    const sections = [
+      SatelliteDownloader.#readMeHeader(datetime),
+      SatelliteDownloader.#readMeSeries(settings),
+      SatelliteDownloader.#readMeDescription(),
+      SatelliteDownloader.#readMeFiles(filenames, availability),
+    ];
+    if (notes) {
+      sections.push(notes);
+    }
+    sections.push(SatelliteDownloader.#readMeFooter(datetime));
+    return sections.join("\n");
+  }
+
+  /**
+   * (Private helper function) Generates a README string for a batch archive,
+   * with one section per series folder.
+   *
+   * @param {Array<{folder: string, filenames: string[], settings: Object,
+   *        availability: RangeAvailability}>} sections The series included in
+   *        the archive.
+   * @param {EventReport} report (Optional) The severe weather report the
+   *        series were fetched for, summarized before them.
+   * @returns {string} A README string listing the folders, their filenames
+   *          and additional information.
+   */
+  static #getBatchReadMe(sections, report) {
+    const datetime = DateUtils.currentISODate();
+    const series = sections.map(
+      ({ folder, filenames, settings, availability }) =>
+        [
+          `Carpeta: ${folder}/\n${SatelliteDownloader.#readMeSeries(settings)}`,
+          SatelliteDownloader.#readMeFiles(filenames, availability),
+        ].join("\n"),
+    );
+    return [
+      SatelliteDownloader.#readMeHeader(datetime),
+      ...(report ? [SatelliteDownloader.#readMeEvent(report)] : []),
+      SatelliteDownloader.#readMeDescription(),
+      `Series incluidas: ${sections.length}\n`,
+      ...series,
+      SatelliteDownloader.#readMeFooter(datetime),
+    ].join("\n");
+  }
+
+  /**
+   * (Private helper function) README title.
+   */
+  static #readMeHeader(datetime) {
+    return `Imágenes del satélite GOES-16 (${datetime})
+=========================================================
+`;
+  }
+
+  /**
+   * (Private helper function) README summary of a severe weather report.
+   */
+  static #readMeEvent(report) {
+    const format = SatelliteDownloader.#readMeTime;
+    const { lat, lon } = report.position;
+    const lines = [
+      `Evento: ${report.label}`,
+      `Hora del reporte: ${format(report.time)}`,
+      `Ubicación: ${formatPosition(lat, lon)} (${lat}, ${lon})`,
+      `Ventana: ${format(report.begin)} a ${format(report.end)}`,
+    ];
+    if (report.description) {
+      lines.push(`Descripción: ${report.description}`);
+    }
+    return `${lines.join("\n")}
+
+La ubicación del reporte solo se marca en las imágenes de los sectores cuya
+extensión geográfica fue verificada: la DMH no publica la extensión
+geográfica de sus imágenes. El archivo evento.json describe el reporte, la
+ventana de tiempo y las series incluidas.
+
+El archivo solo incluye las imágenes satelitales de la DMH: los radares de
+SIMEPAR y del SMN no forman parte de él.
+`;
+  }
+
+  /**
+   * (Private helper function) README time, in UTC and local time.
+   */
+  static #readMeTime(date) {
+    const utc = DateUtils.toZonedISODate(date, "UTC").replace("T", " ");
+    const local = DateUtils.toZonedISODate(date, LOCAL_TIME_ZONE).slice(11);
+    return `${utc} UTC (${local} hora local)`;
+  }
+
+  /**
+   * (Private helper function) README sector and product of a series.
+   */
+  static #readMeSeries(settings) {
+    const sector = SECTOR[settings.sector.current];
+    const product = PRODUCT[settings.product.current];
+    return `Sector: ${sector}
+Producto: ${product}
+`;
+  }
+
+  /**
+   * (Private helper function) README description of the source.
+   */
+  static #readMeDescription() {
+    return `Este producto contiene imágenes del satélite GOES-16, que es operado por la
+NOAA y la NASA. Las imágenes son generadas por la Dirección de Meteorología e
+Hidrología de la DINAC con datos recibidos a través de su Estación Geonetcast,
+y son distribuidas a través de su sitio web.
+
+El producto contiene imágenes de la región de América del Sur, y se actualiza
+cada 10 minutos. Las imágenes son generadas en formato JPG, y se encuentran
+disponibles en el enlace: https://www.meteorologia.gov.py/satelite-goes-16.
+`;
+  }
+
+  /**
+   * (Private helper function) README list of requested files, or of the
+   * available and missing ones if the range was probed.
+   */
+  static #readMeFiles(filenames, availability) {
+    if (!availability) {
+      return SatelliteDownloader.#readMeFileList(filenames);
+    }
+    const available = FilenameUtils.getFilenames(availability.urls);
+    const missing = FilenameUtils.getFilenames(availability.missing);
+    const total = available.length + missing.length;
+    const lines = [
+      `Imágenes disponibles (${available.length} de ${total}):`,
+      "--------------------------------",
+      ...available,
+      "--------------------------------",
+      "",
+      "Imágenes faltantes:",
+      "--------------------------------",
+      ...(missing.length > 0 ? missing : ["(ninguna)"]),
+      "--------------------------------",
+    ];
+    const substitutes = availability.substitutes;
+    if (substitutes.length > 0) {
+      lines.push("", "Sustituciones (faltante -> más cercana):");
+      for (const [url, substitute] of substitutes) {
+        const names = FilenameUtils.getFilenames([url, substitute]);
+        lines.push(`${names[0]} -> ${names[1]}`);
+      }
+    }
+    if (availability.extended > 0) {
+      lines.push(
+        "",
+        `La ventana se amplió hacia atrás ${availability.extended} imágenes`,
+        "para compensar las faltantes.",
+      );
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * (Private helper function) README description of the alert analysis.
+   */
+  static #readMeAlerts(thresholds) {
+    return `Alertas de convección:
+--------------------------------
+Las imágenes están marcadas con las regiones más frías que ${thresholds.threshold} °C
+(recuadro blanco, con su temperatura mínima) y con las que se enfrían más de
+${thresholds.cooling} °C cada 10 minutos entre imágenes consecutivas (recuadro amarillo
+discontinuo, con la tasa de enfriamiento). Los archivos DETECTIONS.json y
+DETECTIONS.csv enumeran las detecciones con su hora (UTC), su tipo (COLD_TOP:
+tope frío, COOLING: enfriamiento), su posición en píxeles y su valor, y su
+latitud y longitud si se conoce la extensión geográfica del sector.
+
+Las temperaturas se obtienen de los colores de las imágenes, sin calibrar:
+las detecciones son orientativas y deben confirmarse con los datos
+originales.
+--------------------------------
+`;
+  }
+
+  /**
+   * (Private helper function) README warning on the decoded temperatures.
+   */
+  static #readMeCalibration() {
+    return `Temperaturas sin calibrar:
+--------------------------------
+Las temperaturas de brillo se obtienen de los colores de las imágenes con
+las escalas de colores muestreadas de sus barras de colores: la DMH no
+publica las escalas de sus productos. Los valores son orientativos y no
+deben usarse como mediciones.
+--------------------------------
+`;
+  }
+
+  /**
+   * (Private helper function) README list of requested files.
+   */
+  static #readMeFileList(filenames) {
+    const filelist = filenames.join("\n");
+    return `Imágenes solicitadas:
+--------------------------------
+${filelist}
 --------------------------------
+`;
+  }
 
-Observación: La lista anterior enumera los archivos que se intentaron
+  /**
+   * (Private helper function) README closing notes and credits.
+   */
+  static #readMeFooter(datetime) {
+    const year = datetime.slice(0, 4);
+    return `Observación: La lista anterior enumera los archivos que se intentaron
 recuperar. Algunos archivos pueden no haberse recuperado. Los archivos
 recuperados se incluyen en el archivo ZIP. El archivo RETSPY.log puede
 contener información adicional de las razones por las que no se pudieron
@@ -491,7 +1701,1346 @@ Fax: +595 21 438 1220
   }
 }
 
+/**
+ * Class keeping the preferences of the user, stored by the extension in the
+ * synchronized storage of the browser (see `SettingsStore`), so that they
+ * survive the reloads of the page and follow the user across browsers. See
+ * `DEFAULT_PREFERENCES` for the preferences.
+ *
+ * Unknown or invalid preferences (e.g., from an imported preset) are ignored.
+ */
+class UserPreferences {
+  /**
+   * Gets the series selected by default: those of the preferences, or those
+   * of the page if none.
+   *
+   * @returns {{products: string[], sectors: string[]}} The series.
+   */
+  static get selection() {
+    const { selection, satellite } = dmh_settings;
+    const { products, sectors } = selection;
+    return {
+      products: products.length > 0 ? products : [satellite.product.current],
+      sectors: sectors.length > 0 ? sectors : [satellite.sector.current],
+    };
+  }
+
+  /**
+   * Gets the current preferences.
+   *
+   * @returns {Object} The preferences. See the class description for
+   *          details.
+   */
+  static get current() {
+    const satellite = dmh_settings.satellite;
+    return {
+      ...UserPreferences.selection,
+      image: satellite.type.current,
+      archive: satellite.archive.current,
+      video: satellite.video.current,
+      fps: satellite.fps.current,
+      prefix: dmh_settings.prefix,
+      timeZone: dmh_settings.timeZone,
+      concurrency: dmh_settings.queue.concurrency,
+      regions: satellite.regions,
+    };
+  }
+
+  /**
+   * Applies preferences to the settings.
+   *
+   * @param {Object} preferences The preferences. See the class description
+   *        for details.
+   */
+  static apply(preferences) {
+    const { satellite, queue } = dmh_settings;
+    const { products, sectors, image, archive, video } = preferences;
+    dmh_settings.selection = {
+      products: UserPreferences.#filter(products, satellite.product),
+      sectors: UserPreferences.#filter(sectors, satellite.sector),
+    };
+    UserPreferences.#choose(satellite.type, image);
+    UserPreferences.#choose(satellite.archive, archive);
+    UserPreferences.#choose(satellite.video, video);
+    satellite.fps.current = clamp(preferences.fps, satellite.fps);
+    queue.concurrency = clamp(preferences.concurrency, {
+      ...PREFERENCE_RANGE.concurrency,
+      current: queue.concurrency,
+    });
+    if (typeof preferences.prefix === "string") {
+      dmh_settings.prefix = preferences.prefix.trim();
+    }
+    if (Object.hasOwn(TIME_ZONE, preferences.timeZone)) {
+      dmh_settings.timeZone = preferences.timeZone;
+    }
+    if (preferences.regions !== undefined) {
+      satellite.regions = UserPreferences.#regions(
+        preferences.regions,
+        satellite.sector,
+      );
+    }
+  }
+
+  /**
+   * Reads the preferences stored by the extension and applies them.
+   *
+   * @returns {Promise<Array<Object>>} A promise that resolves to the stored
+   *          presets, empty if the extension cannot be reached.
+   */
+  static async load() {
+    const message = { type: MESSAGE.SETTINGS, site: "DMH" };
+    const result = await ExtensionBridge.send(message);
+    if (!result?.ok) {
+      console.warn("Preferences not loaded: extension not available");
+      return [];
+    }
+    UserPreferences.apply(result.settings);
+    return result.presets;
+  }
+
+  /**
+   * Has the extension store the preferences, the presets, or both.
+   *
+   * @param {Object} settings The preferences, or `undefined` to keep them.
+   * @param {Array<Object>} presets The presets, or `undefined` to keep them.
+   * @returns {Promise<boolean>} A promise that resolves to `true` if they
+   *          were stored.
+   */
+  static async store(settings, presets) {
+    const message = {
+      type: MESSAGE.STORE_SETTINGS,
+      site: "DMH",
+      settings,
+      presets,
+    };
+    const result = await ExtensionBridge.send(message);
+    return result?.ok === true;
+  }
+
+  /**
+   * (Private function) Keeps the supported values of a list.
+   *
+   * @param {string[]} values The values.
+   * @param {Object} section The section of the settings with the supported
+   *        values.
+   * @returns {string[]} The supported values, empty if `values` is not a
+   *          list.
+   */
+  static #filter(values, section) {
+    if (!Array.isArray(values)) {
+      return [];
+    }
+    return values.filter((value) => section.supported.includes(value));
+  }
+
+  /**
+   * (Private function) Keeps the valid crop regions of the supported
+   * sectors: rectangles of non-negative integer pixels, with a width and a
+   * height.
+   *
+   * @param {Object} regions The regions, by sector and name.
+   * @param {Object} section The `sector` section of the settings.
+   * @returns {Object} The valid regions, by sector and name.
+   */
+  static #regions(regions, section) {
+    const valid = {};
+    for (const sector of section.supported) {
+      const entries = Object.entries(regions?.[sector] || {}).filter(
+        ([, rect]) =>
+          Array.isArray(rect) &&
+          rect.length === 4 &&
+          rect.every((value) => Number.isInteger(value) && value >= 0) &&
+          rect[2] > 0 &&
+          rect[3] > 0,
+      );
+      if (entries.length > 0) {
+        valid[sector] = Object.fromEntries(entries);
+      }
+    }
+    return valid;
+  }
+
+  /**
+   * (Private function) Sets the current value of a section of the settings,
+   * if supported.
+   *
+   * @param {Object} section The section of the settings.
+   * @param {string} value The value.
+   */
+  static #choose(section, value) {
+    if (section.supported.includes(value)) {
+      section.current = value;
+    }
+  }
+}
+
+/**
+ * Class representing the date/time range download form of the dashboard: the
+ * range form of the sites (see `RangeForm`), with the series to download and
+ * the availability check of the range.
+ *
+ * Dispatches a "download" event when the user submits the form, with the
+ * requested range as parameter:
+ *
+ * request = {
+ *   begin: {Date},
+ *   end: {Date},
+ *   products: {string[]},
+ *   sectors: {string[]},
+ *   gaps: {string}     // see `GAP`
+ * }
+ *
+ * Every selected product is requested for every selected sector; each
+ * combination is a series.
+ *
+ * Dispatches a "probe" event, with the same parameter, when the user asks to
+ * check the availability of the range. The result is shown by setting the
+ * `availability` property.
+ */
+class SeriesRangeForm extends RangeForm {
+  #products;
+  #sectors;
+  #timeline = new Timeline();
+  #report = GuiElement.create("div.retspy-gaps");
+
+  constructor() {
+    const products = new CheckboxField(
+      "Productos",
+      Object.entries(PRODUCT).map(([key, label]) => [key, key, label]),
+    );
+    const sectors = new CheckboxField("Sectores", Object.entries(SECTOR));
+    const gaps = new SelectField("Faltantes", Object.entries(GAP_LABEL));
+    const probe = new Button("Comprobar", ".btn.btn-default.btn-sm");
+    super({
+      settings: dmh_settings.satellite,
+      timeZones: TIME_ZONE,
+      timeZone: dmh_settings.timeZone,
+      fields: { products, sectors, gaps },
+      actions: [probe],
+      count: (request) => {
+        const { begin, end } = request;
+        const count = SatelliteURLRange.count(
+          dmh_settings.satellite,
+          begin,
+          end,
+        );
+        return count * SeriesRangeForm.#series(request);
+      },
+      check: (request) => {
+        return SeriesRangeForm.#series(request) === 0
+          ? "Seleccione producto y sector"
+          : undefined;
+      },
+    });
+    this.#products = products;
+    this.#sectors = sectors;
+    this.append([this.#timeline, this.#report]);
+    gaps.value = GAP.SKIP;
+    this.addEventListener("update", () => {
+      this.#timeline.hide();
+      this.#report.hide();
+    });
+    this.resetDefaults();
+
+    this.registerEvent("probe");
+    probe.registerEvent("probe");
+    probe.addEventListener("probe", () =>
+      this.dispatchEvent("probe", this.request),
+    );
+    probe.entangleEvents("click", "probe");
+  }
+
+  /**
+   * Shows the availability of the probed series as a timeline, with a summary
+   * of the gaps found.
+   *
+   * @param {RangeAvailability[]} results The availability of each series.
+   */
+  set availability(results) {
+    const title = (url) => this.#format(SatelliteURLRange.date(url));
+    const time = (url) => title(url).slice(11);
+    const rows = [];
+    const gaps = [];
+    let missing = 0;
+    let total = 0;
+    for (const availability of results) {
+      const { product, sector } = availability.settings;
+      const label = `${product.current}_${sector.current}`;
+      const slots = availability.slots;
+      rows.push({
+        label,
+        slots: slots.map(([url, present]) => [title(url), present]),
+      });
+      for (const { first, last, count } of availability.gaps) {
+        const span = count > 1 ? `${time(first)}–${time(last)}` : time(first);
+        gaps.push(`${label} ${span}`);
+      }
+      missing += availability.missing.length;
+      total += slots.length;
+    }
+    this.#timeline.rows = rows;
+    this.#report.text =
+      missing > 0
+        ? `Faltan ${missing} de ${total} imágenes: ${gaps.join("; ")}`
+        : `Las ${total} imágenes están disponibles`;
+    this.#timeline.show();
+    this.#report.show();
+  }
+
+  /**
+   * Resets the selected series and the time zone to the defaults of the
+   * user (see `UserPreferences`).
+   */
+  resetDefaults() {
+    const { products, sectors } = UserPreferences.selection;
+    this.#products.value = products;
+    this.#sectors.value = sectors;
+    this.zone = dmh_settings.timeZone;
+  }
+
+  /**
+   * (Private function) Counts the series of a request: every selected
+   * product for every selected sector.
+   *
+   * @param {Object} request The requested range. See the class description
+   *        for details.
+   * @returns {number} The number of series.
+   */
+  static #series(request) {
+    return request.products.length * request.sectors.length;
+  }
+
+  /**
+   * (Private method) Formats a date in the selected time zone.
+   *
+   * @param {Date} date The date to format.
+   * @returns {string} The formatted date (YYYY-MM-DD HH:MM).
+   */
+  #format(date) {
+    return DateUtils.toZonedISODate(date, this.zone).replace("T", " ");
+  }
+}
+
+/**
+ * Class representing the event download form of the dashboard, used to
+ * download the imagery of several series around a severe weather report.
+ * Only the satellite imagery of DMH is covered: the URLs of the radar images
+ * are learnt from the radar pages themselves (see `RadarLoop`), out of reach
+ * of the DMH page.
+ *
+ * Dispatches a "download" event when the user submits the form, with the
+ * requested event as parameter:
+ *
+ * request = {
+ *   report: {EventReport},
+ *   products: {string[]},
+ *   sectors: {string[]},
+ *   image: {string},   // see `IMAGE`
+ *   annotation: {Object}, // see `Annotator`, `undefined` if not requested
+ * }
+ */
+class EventForm extends GuiElement {
+  #scope = GuiElement.create("span.retspy-caption");
+  #type = new SelectField("Tipo", Object.entries(REPORT_LABEL));
+  #time = new InputField("Hora", "datetime-local");
+  #timeZone = new SelectField("Zona", Object.entries(TIME_ZONE));
+  #position = new InputField("Ubicación", "text");
+  #before = new InputField("Antes (h)", "number");
+  #after = new InputField("Después (h)", "number");
+  #description = new InputField("Descripción", "text");
+  #products = new CheckboxField(
+    "Productos",
+    Object.entries(PRODUCT).map(([key, label]) => [key, key, label]),
+  );
+  #sectors = new CheckboxField("Sectores", Object.entries(SECTOR));
+  #image = new SelectField(
+    "Imagen",
+    dmh_settings.satellite.type.supported.map((type) => [type, type]),
+  );
+  #corner = new SelectField("Anotación", Object.entries(ANNOTATION_LABEL));
+  #estimate = GuiElement.create("span.retspy-estimate");
+  #submit = new Button("Descargar", ".btn.btn-primary.btn-sm");
+  #zone = dmh_settings.timeZone;
+
+  constructor() {
+    super("form.retspy-form");
+    const fields = [
+      this.#type,
+      this.#time,
+      this.#timeZone,
+      this.#position,
+      this.#before,
+      this.#after,
+      this.#description,
+      this.#products,
+      this.#sectors,
+      this.#image,
+      this.#corner,
+    ];
+    this.append([this.#scope, ...fields, this.#estimate, this.#submit]);
+
+    const settings = dmh_settings.event;
+    this.#scope.text =
+      "Solo imágenes satelitales de la DMH (sin los radares de SIMEPAR y del SMN)";
+    const interval = dmh_settings.satellite.interval;
+    const now = DateUtils.truncateDate(new Date(), interval);
+    this.#type.value = REPORT_TYPES[0];
+    this.#time.value = DateUtils.toZonedISODate(now, this.#zone);
+    this.#timeZone.value = this.#zone;
+    this.#position.attributes = { placeholder: "lat, lon" };
+    this.#before.attributes = { min: 0, max: 24, step: 0.5 };
+    this.#before.value = settings.before;
+    this.#after.attributes = { min: 0, max: 24, step: 0.5 };
+    this.#after.value = settings.after;
+    this.#products.value = settings.products;
+    this.#sectors.value = settings.sectors;
+    this.#image.value = dmh_settings.satellite.type.source;
+    this.#corner.value = _NO_ANNOTATION_;
+    this.#update();
+
+    this.#timeZone.addEventListener("change", () => this.#changeTimeZone());
+    for (const field of fields) {
+      field.addEventListener("change", () => this.#update());
+    }
+
+    this.registerEvent("download");
+    this.registerEvent("submit");
+    this.addEventListener("submit", (data) => {
+      data.parameters.preventDefault();
+      this.dispatchEvent("download", this.request);
+    });
+    this.entangleEvents("submit", "submit");
+  }
+
+  /**
+   * Gets the event currently described in the form.
+   *
+   * @returns {Object} The requested event. See the class description for
+   *          details.
+   */
+  get request() {
+    const hour = 60 * 60 * 1000;
+    const type = this.#type.value;
+    return {
+      report: new EventReport({
+        ...this.#getPosition(),
+        type,
+        label: REPORT_LABEL[type],
+        time: DateUtils.fromZonedISODate(this.#time.value, this.#zone),
+        before: Number(this.#before.value) * hour,
+        after: Number(this.#after.value) * hour,
+        description: this.#description.value.trim(),
+      }),
+      products: this.#products.value,
+      sectors: this.#sectors.value,
+      image: this.#image.value,
+      annotation: this.#getAnnotation(),
+    };
+  }
+
+  /**
+   * (Private method) Gets the requested annotation options.
+   *
+   * @returns {Object} The annotation options, or `undefined` if no annotation
+   *          was requested.
+   */
+  #getAnnotation() {
+    const corner = this.#corner.value;
+    if (corner === _NO_ANNOTATION_) {
+      return;
+    }
+    return { ...dmh_settings.annotation, corner };
+  }
+
+  /**
+   * (Private method) Gets the position of the report.
+   *
+   * @returns {{lat: number, lon: number}} The position, or `undefined` if it
+   *          is invalid.
+   */
+  #getPosition() {
+    return parsePosition(this.#position.value.trim());
+  }
+
+  /**
+   * (Private method) Re-expresses the time of the report in the newly
+   * selected time zone, so that it still refers to the same instant.
+   */
+  #changeTimeZone() {
+    const timeZone = this.#timeZone.value;
+    const date = DateUtils.fromZonedISODate(this.#time.value, this.#zone);
+    if (!Number.isNaN(date.getTime())) {
+      this.#time.value = DateUtils.toZonedISODate(date, timeZone);
+    }
+    this.#zone = timeZone;
+  }
+
+  /**
+   * (Private method) Updates the frame-count estimate and enables the submit
+   * button only if the time and position of the report are valid, the
+   * window is not empty and at least one series is selected.
+   */
+  #update() {
+    const { report, products, sectors } = this.request;
+    const hours = [Number(this.#before.value), Number(this.#after.value)];
+    const window = hours.every((value) => 0 <= value && value <= 24);
+    const { begin, end } = report;
+    const settings = dmh_settings.satellite;
+    const count = window ? SatelliteURLRange.count(settings, begin, end) : 0;
+    const series = products.length * sectors.length;
+    if (Number.isNaN(report.time.getTime()) || count === 0) {
+      this.#estimate.text = "Hora o ventana inválida";
+    } else if (this.#getPosition() === undefined) {
+      this.#estimate.text = "Ubicación inválida (lat, lon)";
+    } else if (series === 0) {
+      this.#estimate.text = "Seleccione producto y sector";
+    } else {
+      this.#estimate.text = `Imágenes estimadas: ${count * series}`;
+    }
+    this.#submit.element.disabled =
+      count * series === 0 || this.#getPosition() === undefined;
+  }
+}
+
+/**
+ * Class representing the scheduled capture form of the dashboard, used to
+ * have the extension capture the selected series periodically, without an
+ * open page, until a given time, and to remove the scheduled captures.
+ *
+ * Dispatches a "schedule" event when the user submits the form, with the
+ * requested capture as parameter:
+ *
+ * request = {
+ *   products: {string[]},
+ *   sectors: {string[]},
+ *   repeat: {number},   // milliseconds between runs
+ *   lookback: {number}, // milliseconds of imagery each run looks back for
+ *   end: {Date},
+ * }
+ *
+ * Dispatches an "unschedule" event when the user removes a scheduled
+ * capture, with its identifier as parameter.
+ */
+class ScheduleForm extends GuiElement {
+  #products = new CheckboxField(
+    "Productos",
+    Object.entries(PRODUCT).map(([key, label]) => [key, key, label]),
+  );
+  #sectors = new CheckboxField("Sectores", Object.entries(SECTOR));
+  #repeat = new InputField("Cada (min)", "number");
+  #lookback = new InputField("Hacia atrás (h)", "number");
+  #end = new InputField("Hasta", "datetime-local");
+  #timeZone = new SelectField("Zona", Object.entries(TIME_ZONE));
+  #estimate = GuiElement.create("span.retspy-estimate");
+  #submit = new Button("Programar", ".btn.btn-primary.btn-sm");
+  #jobs = new SelectField("Programadas");
+  #remove = new Button("Quitar", ".btn.btn-default.btn-sm");
+  #zone = dmh_settings.timeZone;
+
+  constructor() {
+    super("form.retspy-form");
+    const fields = [
+      this.#products,
+      this.#sectors,
+      this.#repeat,
+      this.#lookback,
+      this.#end,
+      this.#timeZone,
+    ];
+    this.append([
+      ...fields,
+      this.#estimate,
+      this.#submit,
+      this.#jobs,
+      this.#remove,
+    ]);
+
+    const settings = dmh_settings.schedule;
+    const end = Date.now() + settings.duration * 60 * 60 * 1000;
+    const interval = dmh_settings.satellite.interval;
+    this.#products.value = settings.products;
+    this.#sectors.value = settings.sectors;
+    this.#repeat.attributes = { min: 10, max: 24 * 60, step: 10 };
+    this.#repeat.value = settings.repeat;
+    this.#lookback.attributes = { min: 0.5, max: 24, step: 0.5 };
+    this.#lookback.value = settings.lookback;
+    this.#end.value = DateUtils.toZonedISODate(
+      DateUtils.truncateDate(new Date(end), interval),
+      this.#zone,
+    );
+    this.#timeZone.value = this.#zone;
+    this.#remove.element.type = "button";
+    this.jobs = [];
+    this.#update();
+
+    this.#timeZone.addEventListener("change", () => this.#changeTimeZone());
+    for (const field of fields) {
+      field.addEventListener("change", () => this.#update());
+    }
+
+    this.registerEvent("schedule");
+    this.registerEvent("submit");
+    this.addEventListener("submit", (data) => {
+      data.parameters.preventDefault();
+      this.dispatchEvent("schedule", this.request);
+    });
+    this.entangleEvents("submit", "submit");
+
+    this.registerEvent("unschedule");
+    this.#remove.registerEvent("remove");
+    this.#remove.addEventListener("remove", () =>
+      this.dispatchEvent("unschedule", this.#jobs.value),
+    );
+    this.#remove.entangleEvents("click", "remove");
+  }
+
+  /**
+   * Gets the scheduled capture currently described in the form.
+   *
+   * @returns {Object} The requested capture. See the class description for
+   *          details.
+   */
+  get request() {
+    const minute = 60 * 1000;
+    return {
+      products: this.#products.value,
+      sectors: this.#sectors.value,
+      repeat: Number(this.#repeat.value) * minute,
+      lookback: Number(this.#lookback.value) * 60 * minute,
+      end: DateUtils.fromZonedISODate(this.#end.value, this.#zone),
+    };
+  }
+
+  /**
+   * Sets the scheduled captures listed in the form.
+   *
+   * @param {Array<Object>} jobs The scheduled captures (see `CaptureJob`).
+   */
+  set jobs(jobs) {
+    this.#jobs.options = jobs.map((job) => {
+      const end = DateUtils.toZonedISODate(new Date(job.end), this.#zone);
+      return [job.id, `${job.name} (hasta ${end.replace("T", " ")})`];
+    });
+    this.#jobs.disabled = jobs.length === 0;
+    this.#remove.element.disabled = jobs.length === 0;
+  }
+
+  /**
+   * (Private method) Re-expresses the end of the capture in the newly
+   * selected time zone, so that it still refers to the same instant.
+   */
+  #changeTimeZone() {
+    const timeZone = this.#timeZone.value;
+    const date = DateUtils.fromZonedISODate(this.#end.value, this.#zone);
+    if (!Number.isNaN(date.getTime())) {
+      this.#end.value = DateUtils.toZonedISODate(date, timeZone);
+    }
+    this.#zone = timeZone;
+  }
+
+  /**
+   * (Private method) Updates the image-count estimate and enables the submit
+   * button only if the end of the capture is in the future, the intervals
+   * are valid and at least one series is selected.
+   */
+  #update() {
+    const { products, sectors, repeat, lookback, end } = this.request;
+    const settings = dmh_settings.satellite;
+    const valid = repeat >= settings.interval && lookback > 0;
+    const begin = new Date(Date.now() - lookback);
+    const count = valid ? SatelliteURLRange.count(settings, begin, end) : 0;
+    const series = products.length * sectors.length;
+    if (Number.isNaN(end.getTime()) || end.getTime() <= Date.now()) {
+      this.#estimate.text = "Hora de fin inválida";
+    } else if (!valid) {
+      this.#estimate.text = "Intervalo inválido";
+    } else if (series === 0) {
+      this.#estimate.text = "Seleccione producto y sector";
+    } else {
+      this.#estimate.text = `Imágenes estimadas: ${count * series}`;
+    }
+    this.#submit.element.disabled = count * series === 0;
+  }
+}
+
+/**
+ * Class representing the advanced download form of the dashboard, used to
+ * download the sequence shown in the current page as original files,
+ * converted images, a video, an animated image (GIF or APNG), temperature
+ * grids, the time series of a point or images marked with convection alerts.
+ *
+ * Dispatches a "download" event when the user submits the form, with the
+ * requested options as parameter:
+ *
+ * request = {
+ *   output: {string},  // see `OUTPUT`
+ *   image: {string},   // see `IMAGE`
+ *   archive: {string}, // see `ARCHIVE`
+ *   video: {string},   // see `VIDEO`
+ *   animation: {string}, // see `ANIMATION`
+ *   fps: {number},
+ *   loop: {number},    // number of plays of the animation, 0 plays forever
+ *   hold: {number},    // seconds the last frame of the animation is held
+ *   prefix: {string},
+ *   annotation: {Object}, // see `Annotator`, `undefined` if not requested
+ *   crop: {Object},    // see `FrameRegion`, `undefined` for the whole image
+ *   scale: {number},   // output size factor
+ *   grid: {string},    // see `GRID`
+ *   kelvin: {boolean}, // temperatures in kelvins instead of degrees Celsius
+ *   point: {Object},   // see `TimeSeries`, `undefined` if invalid
+ *   radius: {number},  // pixels around the point of the time series
+ *   threshold: {number}, // °C, cold cloud top alerts
+ *   cooling: {number}, // °C per 10 minutes, rapid cooling alerts
+ * }
+ *
+ * Dispatches a "select" event when the user asks to draw the crop rectangle
+ * over the image of the page; the rectangle is then set with `crop`.
+ * Dispatches an "add" event when the user saves the custom crop rectangle as
+ * a region of the current sector, with `{name, rect}` as parameter (`rect`
+ * as [x, y, width, height] pixels), and a "remove" event when the user
+ * removes the selected region, with its name as parameter; the regions are
+ * then listed again with `resetDefaults`.
+ */
+class AdvancedForm extends GuiElement {
+  #output = new SelectField("Salida", outputOptions());
+  #image = new SelectField("Imagen", formatOptions("type"));
+  #archive = new SelectField("Archivo", formatOptions("archive"));
+  #video = new SelectField("Video", formatOptions("video"));
+  #animation = new SelectField("Animación", formatOptions("animation"));
+  #fps = new InputField("Cuadros/s", "number");
+  #loop = new InputField("Repeticiones", "number");
+  #hold = new InputField("Pausa final (s)", "number");
+  #grid = new SelectField("Formato", Object.entries(GRID_LABEL));
+  #unit = new SelectField("Unidad", Object.entries(UNIT_LABEL));
+  #point = new InputField("Punto", "text");
+  #radius = new InputField("Radio (px)", "number");
+  #threshold = new InputField("Umbral (°C)", "number");
+  #cooling = new InputField("Enfriamiento (°C/10 min)", "number");
+  #prefix = new InputField("Prefijo", "text");
+  #corner = new SelectField("Anotación", Object.entries(ANNOTATION_LABEL));
+  #fontSize = new InputField("Tamaño", "number");
+  #box = new SelectField("Fondo", [
+    ["BOX", "Recuadro oscuro"],
+    ["OUTLINE", "Texto contorneado"],
+  ]);
+  #region = new SelectField("Región", AdvancedForm.#regions());
+  #remove = new Button("Eliminar", ".btn.btn-default.btn-xs");
+  #crop = new InputField("Recorte (px)", "text", ".retspy-region");
+  #pick = new Button("Seleccionar", ".btn.btn-default.btn-xs");
+  #add = new Button("Guardar", ".btn.btn-default.btn-xs");
+  #scale = new InputField("Escala (%)", "number");
+  #submit = new Button("Descargar", ".btn.btn-primary.btn-sm");
+
+  constructor() {
+    super("form.retspy-form");
+    const fields = [
+      this.#output,
+      this.#image,
+      this.#archive,
+      this.#video,
+      this.#animation,
+      this.#fps,
+      this.#loop,
+      this.#hold,
+      this.#grid,
+      this.#unit,
+      this.#point,
+      this.#radius,
+      this.#threshold,
+      this.#cooling,
+      this.#prefix,
+      this.#corner,
+      this.#fontSize,
+      this.#box,
+      this.#region,
+      this.#crop,
+      this.#scale,
+    ];
+    this.append([...fields, this.#submit]);
+    this.#region.append(this.#remove);
+    this.#crop.append([this.#pick, this.#add]);
+
+    const settings = dmh_settings.satellite;
+    this.#fps.attributes = { min: settings.fps.min, max: settings.fps.max };
+    const animation = settings.animation;
+    this.#animation.value = animation.current;
+    this.#loop.attributes = { min: 0, title: "0: repetir sin fin" };
+    this.#loop.value = animation.loop;
+    const { min, max } = animation.hold;
+    this.#hold.attributes = { min, max, step: 0.5 };
+    this.#hold.value = animation.hold.current;
+    this.#grid.value = GRID.CSV;
+    this.#unit.value = "C";
+    this.#point.attributes = {
+      placeholder: "x, y px (o lat, lon)",
+      title: "lat, lon solo en los sectores de extensión geográfica conocida",
+    };
+    this.#radius.attributes = { min: 0, max: 25 };
+    this.#radius.value = 2;
+    const alerts = settings.alerts;
+    this.#threshold.attributes = { min: -100, max: 0 };
+    this.#threshold.value = alerts.threshold;
+    this.#cooling.attributes = { min: 1, max: 50 };
+    this.#cooling.value = alerts.cooling;
+    const annotation = dmh_settings.annotation;
+    this.#corner.value = _NO_ANNOTATION_;
+    this.#fontSize.attributes = { min: 8, max: 48 };
+    this.#fontSize.value = annotation.fontSize;
+    this.#box.value = annotation.box ? "BOX" : "OUTLINE";
+    this.#region.value = _FULL_REGION_;
+    this.#crop.attributes = { placeholder: "x, y, ancho, alto" };
+    this.#pick.element.type = "button";
+    this.#add.element.type = "button";
+    this.#add.element.title = "Guardar el recorte como región del sector";
+    this.#remove.element.type = "button";
+    this.#scale.attributes = { min: 10, max: 400 };
+    this.#scale.value = 100;
+    this.resetDefaults();
+
+    for (const field of fields) {
+      field.addEventListener("change", () => this.#update());
+    }
+
+    this.registerEvent("download");
+    this.registerEvent("submit");
+    this.addEventListener("submit", (data) => {
+      data.parameters.preventDefault();
+      this.dispatchEvent("download", this.request);
+    });
+    this.entangleEvents("submit", "submit");
+
+    this.registerEvent("select");
+    this.#pick.registerEvent("select");
+    this.#pick.addEventListener("select", () => this.dispatchEvent("select"));
+    this.#pick.entangleEvents("click", "select");
+
+    this.registerEvent("add");
+    this.#add.registerEvent("add");
+    this.#add.addEventListener("add", () => this.#addRegion());
+    this.#add.entangleEvents("click", "add");
+    this.registerEvent("remove");
+    this.#remove.registerEvent("remove");
+    this.#remove.addEventListener("remove", () =>
+      this.dispatchEvent("remove", this.#region.value),
+    );
+    this.#remove.entangleEvents("click", "remove");
+  }
+
+  /**
+   * Sets a custom crop rectangle, in image pixels.
+   *
+   * @param {{x: number, y: number, width: number, height: number}} crop The
+   *        crop rectangle.
+   */
+  set crop(crop) {
+    const { x, y, width, height } = crop;
+    this.#region.value = _CUSTOM_REGION_;
+    this.#crop.value = `${x}, ${y}, ${width}, ${height}`;
+    this.#update();
+  }
+
+  /**
+   * Gets the options currently selected in the form.
+   *
+   * @returns {Object} The requested options. See the class description for
+   *          details.
+   */
+  get request() {
+    const fields = {
+      output: this.#output.value,
+      image: this.#image.value,
+      archive: this.#archive.value,
+      video: this.#video.value,
+      animation: this.#animation.value,
+      fps: this.#fps.value,
+      loop: this.#loop.value,
+      hold: this.#hold.value,
+      prefix: this.#prefix.value,
+      annotation: this.#getAnnotation(),
+      crop: this.#getCrop(),
+      scale: this.#scale.value,
+      grid: this.#grid.value,
+      unit: this.#unit.value,
+      point: this.#getPoint(),
+      radius: this.#radius.value,
+      threshold: this.#threshold.value,
+      cooling: this.#cooling.value,
+    };
+    return AdvancedRequest.build(fields, dmh_settings.satellite);
+  }
+
+  /**
+   * (Private method) Gets the point of the time series: a geographic
+   * position ("lat, lon", in decimal degrees), only if the current sector
+   * can be georeferenced (see `sectorGeoReference`), or a pixel ("x, y px").
+   *
+   * @returns {Object} The point (see `TimeSeries`), or `undefined` if it is
+   *          invalid.
+   */
+  #getPoint() {
+    const text = this.#point.value.trim().toLowerCase();
+    if (!text.endsWith("px")) {
+      const sector = dmh_settings.satellite.sector.current;
+      return sectorGeoReference(sector) ? parsePosition(text) : undefined;
+    }
+    const pair = parsePair(text.slice(0, -2));
+    const valid = pair?.every((value) => Number.isInteger(value) && value >= 0);
+    return valid ? { x: pair[0], y: pair[1] } : undefined;
+  }
+
+  /**
+   * (Private method) Asks for the name of the custom crop rectangle and
+   * saves it as a region of the current sector. Names of the presets and of
+   * the other choices of the region field are not accepted.
+   */
+  #addRegion() {
+    const crop = this.#getCrop();
+    const name = crop && prompt("Nombre de la región:")?.trim();
+    const { presets, sector } = dmh_settings.satellite;
+    const reserved = [_FULL_REGION_, _CUSTOM_REGION_];
+    if (!name || reserved.includes(name) || name in presets[sector.current]) {
+      return;
+    }
+    const { x, y, width, height } = crop;
+    this.dispatchEvent("add", { name, rect: [x, y, width, height] });
+  }
+
+  /**
+   * (Private method) Gets the requested crop rectangle: a preset of the
+   * current sector (relative to the image size), or a region saved for it or
+   * a custom rectangle, in pixels.
+   *
+   * @returns {Object} The crop rectangle (see `FrameRegion`), or `undefined`
+   *          for the whole image or an invalid custom rectangle.
+   */
+  #getCrop() {
+    const region = this.#region.value;
+    if (region === _FULL_REGION_) {
+      return;
+    }
+    if (region === _CUSTOM_REGION_) {
+      const values = this.#crop.value.split(",").map(Number);
+      const valid =
+        values.length === 4 &&
+        values.every((value) => Number.isInteger(value) && value >= 0) &&
+        values[2] > 0 &&
+        values[3] > 0;
+      if (!valid) {
+        return;
+      }
+      const [x, y, width, height] = values;
+      return { x, y, width, height };
+    }
+    const { presets, regions, sector } = dmh_settings.satellite;
+    const preset = presets[sector.current][region];
+    const rect = preset || regions[sector.current]?.[region];
+    if (!rect) {
+      return;
+    }
+    const [x, y, width, height] = rect;
+    return { x, y, width, height, relative: preset !== undefined };
+  }
+
+  /**
+   * (Private method) Builds the value-text pairs of the region field: the
+   * whole image, the presets and the regions saved for the current sector
+   * and a custom rectangle.
+   *
+   * @returns {Array<[string, string]>} The options of the field.
+   */
+  static #regions() {
+    const { presets, regions, sector } = dmh_settings.satellite;
+    const names = Object.keys(presets[sector.current]);
+    const saved = Object.keys(regions[sector.current] || {});
+    return [
+      [_FULL_REGION_, "Imagen completa"],
+      ...names.map((name) => [name, name]),
+      ...saved.map((name) => [name, `${name} (guardada)`]),
+      [_CUSTOM_REGION_, "Personalizada"],
+    ];
+  }
+
+  /**
+   * (Private method) Gets the requested annotation options.
+   *
+   * @returns {Object} The annotation options, or `undefined` if no annotation
+   *          was requested or the output is not annotated (original files,
+   *          temperatures, time series).
+   */
+  #getAnnotation() {
+    const corner = this.#corner.value;
+    if (
+      corner === _NO_ANNOTATION_ ||
+      !AdvancedRequest.annotates(this.#output.value)
+    ) {
+      return;
+    }
+    return {
+      ...dmh_settings.annotation,
+      corner,
+      fontSize: Number(this.#fontSize.value),
+      box: this.#box.value === "BOX",
+    };
+  }
+
+  /**
+   * (Private method) Tells whether the temperatures of the current product
+   * can be decoded and archived in the given format (KMZ archives only hold
+   * images).
+   *
+   * @param {string} archive The archive format (see `ARCHIVE`).
+   * @returns {boolean} `true` if the temperatures can be downloaded.
+   */
+  static #decodable(archive) {
+    const product = dmh_settings.satellite.product.current;
+    return product in COLOR_TABLE && archive !== ARCHIVE.KMZ;
+  }
+
+  /**
+   * (Private method) Tells whether the convection alerts can be analyzed on
+   * the current product (an infrared window band with a color table).
+   *
+   * @returns {boolean} `true` if the alerts can be downloaded.
+   */
+  static #alertable() {
+    const product = dmh_settings.satellite.product.current;
+    return ALERT_PRODUCTS.has(product) && product in COLOR_TABLE;
+  }
+
+  /**
+   * Resets the formats, the frame rate and the filename prefix to the
+   * defaults of the user (see `UserPreferences`), and lists the regions saved
+   * for the current sector, keeping the selected one if still saved.
+   */
+  resetDefaults() {
+    const settings = dmh_settings.satellite;
+    this.#image.value = settings.type.current;
+    this.#archive.value = settings.archive.current;
+    this.#video.value = settings.video.current;
+    this.#fps.value = settings.fps.current;
+    this.#prefix.value = dmh_settings.prefix;
+    const region = this.#region.value;
+    const options = AdvancedForm.#regions();
+    this.#region.options = options;
+    const kept = options.some(([value]) => value === region);
+    this.#region.value = kept ? region : _FULL_REGION_;
+    this.#update();
+  }
+
+  /**
+   * (Private method) Enables the fields relevant to the selected output and
+   * the submit button only if the font size, the crop rectangle and the
+   * scale are valid (the frame rate is clamped, see `AdvancedRequest`), and temperatures and alerts are only
+   * requested for products they can be decoded from.
+   */
+  #update() {
+    const output = this.#output.value;
+    const video = output === OUTPUT.VIDEO;
+    const animated = output === OUTPUT.ANIMATION;
+    const thermal = output === OUTPUT.TEMPERATURE;
+    const series = output === OUTPUT.SERIES;
+    const alerts = output === OUTPUT.ALERTS;
+    this.#image.disabled = output !== OUTPUT.IMAGES && !alerts;
+    this.#archive.disabled = video || animated;
+    this.#video.disabled = !video;
+    this.#animation.disabled = !animated;
+    this.#fps.disabled = !video && !animated;
+    this.#loop.disabled = !animated;
+    this.#hold.disabled = !animated;
+    this.#grid.disabled = !thermal;
+    this.#unit.disabled = !thermal;
+    this.#point.disabled = !series;
+    this.#radius.disabled = !series;
+    this.#threshold.disabled = !alerts;
+    this.#cooling.disabled = !alerts;
+    const annotated = this.#getAnnotation() !== undefined;
+    this.#corner.disabled = output === OUTPUT.FILES || thermal || series;
+    this.#fontSize.disabled = !annotated;
+    this.#box.disabled = !annotated;
+    const files = output === OUTPUT.FILES || series;
+    const custom = this.#region.value === _CUSTOM_REGION_;
+    this.#region.disabled = files;
+    const { regions, sector } = dmh_settings.satellite;
+    const saved = Object.hasOwn(
+      regions[sector.current] || {},
+      this.#region.value,
+    );
+    this.#crop.disabled = files || !custom;
+    this.#pick.element.disabled = files;
+    this.#add.element.disabled =
+      files || !custom || this.#getCrop() === undefined;
+    this.#remove.element.disabled = files || !saved;
+    this.#scale.disabled = files || thermal;
+
+    const size = Number(this.#fontSize.value);
+    const scale = Number(this.#scale.value);
+    const loop = Number(this.#loop.value);
+    const hold = Number(this.#hold.value);
+    const radius = Number(this.#radius.value);
+    const threshold = Number(this.#threshold.value);
+    const cooling = Number(this.#cooling.value);
+    const limits = dmh_settings.satellite.animation.hold;
+    const valid =
+      (!animated ||
+        (Number.isInteger(loop) &&
+          loop >= 0 &&
+          limits.min <= hold &&
+          hold <= limits.max)) &&
+      (!annotated || (Number.isInteger(size) && 8 <= size && size <= 48)) &&
+      (files || !custom || this.#getCrop() !== undefined) &&
+      (files || thermal || (10 <= scale && scale <= 400)) &&
+      (!thermal || AdvancedForm.#decodable(this.#archive.value)) &&
+      (!series ||
+        (this.#getPoint() !== undefined &&
+          Number.isInteger(radius) &&
+          0 <= radius &&
+          radius <= 25 &&
+          this.#archive.value !== ARCHIVE.KMZ)) &&
+      (!alerts ||
+        (AdvancedForm.#alertable() &&
+          this.#threshold.value !== "" &&
+          -100 <= threshold &&
+          threshold <= 0 &&
+          1 <= cooling &&
+          cooling <= 50));
+    this.#submit.element.disabled = !valid;
+  }
+}
+
+/**
+ * Class representing the job journal page of the dashboard: the downloads
+ * recorded by the extension (see `JournalRecorder`), most recent first, with
+ * the details of the selected one.
+ *
+ * Dispatches a "repeat" event when the user asks to download the selected
+ * job again, and a "retry" event when the user asks to download only its
+ * failed files, with the journal entry as parameter; the jobs of the
+ * advanced form are not repeatable, as they depend on the page.
+ *
+ * Dispatches an "export" event when the user asks to save the journal, with
+ * the format ("JSON" or "CSV") as parameter, and a "refresh" event when the
+ * user asks to list it again.
+ */
+class JournalForm extends GuiElement {
+  #list = new SelectField("Historial");
+  #details = GuiElement.create("span.retspy-estimate");
+  #repeat = new Button("Repetir", ".btn.btn-primary.btn-sm");
+  #retry = new Button("Reintentar fallidas", ".btn.btn-default.btn-sm");
+  #json = new Button("Exportar JSON", ".btn.btn-default.btn-sm");
+  #csv = new Button("Exportar CSV", ".btn.btn-default.btn-sm");
+  #refresh = new Button("Actualizar", ".btn.btn-default.btn-sm");
+  #entries = [];
+
+  constructor() {
+    super("form.retspy-form");
+    this.append([
+      this.#list,
+      this.#details,
+      this.#repeat,
+      this.#retry,
+      this.#json,
+      this.#csv,
+      this.#refresh,
+    ]);
+    this.#list.addEventListener("change", () => this.#update());
+    this.entries = [];
+
+    const actions = [
+      [this.#repeat, "repeat", () => this.selected],
+      [this.#retry, "retry", () => this.selected],
+      [this.#json, "export", () => "JSON"],
+      [this.#csv, "export", () => "CSV"],
+      [this.#refresh, "refresh", () => {}],
+    ];
+    for (const name of ["repeat", "retry", "export", "refresh"]) {
+      this.registerEvent(name);
+    }
+    for (const [button, name, parameter] of actions) {
+      button.element.type = "button";
+      button.registerEvent(name);
+      button.addEventListener(name, () =>
+        this.dispatchEvent(name, parameter()),
+      );
+      button.entangleEvents("click", name);
+    }
+  }
+
+  /**
+   * Gets the journal listed in the form.
+   *
+   * @returns {Array<Object>} The journal entries, most recent first.
+   */
+  get entries() {
+    return this.#entries;
+  }
+
+  /**
+   * Sets the journal listed in the form.
+   *
+   * @param {Array<Object>} entries The journal entries, most recent first
+   *        (see `JournalRecorder`).
+   */
+  set entries(entries) {
+    this.#entries = entries;
+    const zone = dmh_settings.timeZone;
+    this.#list.options = entries.map((entry) => {
+      const started = DateUtils.toZonedISODate(new Date(entry.started), zone);
+      const outcome = entry.archive || RESULT_LABEL[entry.result] || "";
+      const label = `${started.replace("T", " ")} · ${JOB_KIND_LABEL[entry.kind]} · ${outcome}`;
+      return [String(entry.id), label];
+    });
+    this.#list.disabled = entries.length === 0;
+    this.#json.element.disabled = entries.length === 0;
+    this.#csv.element.disabled = entries.length === 0;
+    this.#update();
+  }
+
+  /**
+   * Gets the journal entry selected in the form.
+   *
+   * @returns {Object} The journal entry, or `undefined` if there is none.
+   */
+  get selected() {
+    const id = this.#list.value;
+    return this.#entries.find((entry) => String(entry.id) === id);
+  }
+
+  /**
+   * (Private method) Shows the details of the selected job and enables the
+   * buttons that apply to it.
+   */
+  #update() {
+    const entry = this.selected;
+    const failed = entry?.files.filter(({ ok }) => !ok).length || 0;
+    if (entry) {
+      const megabytes = (entry.size / (1024 * 1024)).toFixed(1);
+      const seconds = Math.round(entry.duration / 1000);
+      this.#details.text = `${entry.files.length} archivos, ${failed} fallidos, ${megabytes} MB, ${seconds} s`;
+    } else {
+      this.#details.text = "Sin descargas registradas";
+    }
+    this.#repeat.element.disabled = !entry || entry.kind === JOB_KIND.ADVANCED;
+    this.#retry.element.disabled = failed === 0;
+  }
+}
+
+/**
+ * Class showing the brightness temperature under the cursor, and its
+ * position, while hovering the infrared satellite images of the page (the
+ * products with a color table).
+ */
+class TemperatureProbe {
+  #tooltip = new Tooltip();
+  #canvas = document.createElement("canvas");
+  #src;
+  #pixels;
+
+  constructor() {
+    document.body.append(this.#tooltip.element);
+    document.addEventListener("mousemove", (event) => this.#probe(event));
+  }
+
+  /**
+   * Starts probing the images of the page, if any product has a color table
+   * (see `COLOR_TABLE`).
+   *
+   * @returns {TemperatureProbe} The probe, or `undefined` if no temperature
+   *          can be decoded.
+   */
+  static attach() {
+    return Object.keys(COLOR_TABLE).length > 0
+      ? new TemperatureProbe()
+      : undefined;
+  }
+
+  /**
+   * (Private method) Shows the temperature of the pixel under the cursor, or
+   * hides the tooltip if the cursor is not over an infrared image.
+   *
+   * @param {MouseEvent} event The mouse event.
+   */
+  #probe(event) {
+    const image = event.target;
+    const series =
+      image instanceof HTMLImageElement &&
+      image.complete &&
+      filenameSeries(image.src);
+    const table = series && COLOR_TABLE[series.product];
+    const pixels = table && this.#read(image);
+    if (!pixels) {
+      this.#tooltip.hide();
+      return;
+    }
+    const rect = image.getBoundingClientRect();
+    const x = Math.floor(
+      ((event.clientX - rect.left) * pixels.width) / rect.width,
+    );
+    const y = Math.floor(
+      ((event.clientY - rect.top) * pixels.height) / rect.height,
+    );
+    const lines = [TemperatureProbe.#format(table.sample(pixels, x, y))];
+    const { width, height } = pixels;
+    const georef = sectorGeoReference(series.sector, width, height);
+    if (georef) {
+      const { lon, lat } = georef.toGeographic(x + 0.5, y + 0.5);
+      lines.push(formatPosition(lat, lon));
+    }
+    this.#tooltip.place(lines.join("\n"), event.clientX, event.clientY);
+  }
+
+  /**
+   * (Private method) Reads the pixels of an image, once per image source.
+   *
+   * @param {HTMLImageElement} image The image to read.
+   * @returns {ImageData} The pixels of the image, or `undefined` if they
+   *          cannot be read.
+   */
+  #read(image) {
+    if (image.src !== this.#src) {
+      this.#src = image.src;
+      this.#pixels = undefined;
+      const { naturalWidth: width, naturalHeight: height } = image;
+      this.#canvas.width = width;
+      this.#canvas.height = height;
+      const context = this.#canvas.getContext("2d", {
+        willReadFrequently: true,
+      });
+      try {
+        context.drawImage(image, 0, 0);
+        this.#pixels = context.getImageData(0, 0, width, height);
+      } catch (error) {
+        console.warn(`${error.message}: '${image.src}' cannot be probed`);
+      }
+    }
+    return this.#pixels;
+  }
+
+  /**
+   * (Private function) Formats a temperature in degrees Celsius and kelvins.
+   *
+   * @param {number} celsius The temperature, in degrees Celsius.
+   * @returns {string} The formatted temperature.
+   */
+  static #format(celsius) {
+    if (Number.isNaN(celsius)) {
+      return "Sin dato";
+    }
+    const kelvin = celsius + KELVIN;
+    return `≈${celsius.toFixed(1)} °C (${kelvin.toFixed(1)} K), ${UNCALIBRATED.label}`;
+  }
+}
+
 class Dashboard extends ModalWall {
+  #runner;
+  #range;
+  #schedule;
+  #advanced;
+  #preferences;
+  #journal;
+  #presets = [];
+  #chart = new GuiElement("div.retspy-chart");
+  #pages = {};
+
   constructor(width, height) {
     super();
     this.hide();
@@ -505,43 +3054,862 @@ class Dashboard extends ModalWall {
     this.addEventListener("close", () => this.hide());
     this.entangleEvents("click", "close", ".retspy-close");
 
-    this.button_d = Dashboard.#createDownloadButton();
+    this.panel.statusbar.addSection().addSection();
+    this.#runner = new DownloadRunner(this.panel.statusbar, dmh_settings.queue);
+    this.panel.status = ["Listo", "", ""];
+
+    this.#range = new SeriesRangeForm();
+    this.#range.addEventListener("download", (data) =>
+      this.#downloadRange(data.parameters),
+    );
+    this.#range.addEventListener("probe", (data) =>
+      this.#probeRange(data.parameters),
+    );
+    this.#addPage("range", this.#range);
+
+    this.#advanced = new AdvancedForm();
+    this.#advanced.addEventListener("download", (data) =>
+      this.#downloadAdvanced(data.parameters),
+    );
+    this.#advanced.addEventListener("select", () =>
+      this.#selectRegion(this.#advanced),
+    );
+    this.#advanced.addEventListener("add", (data) => {
+      const { name, rect } = data.parameters;
+      this.#storeRegions((regions) => ({ ...regions, [name]: rect }));
+    });
+    this.#advanced.addEventListener("remove", (data) =>
+      this.#storeRegions((regions) =>
+        Object.fromEntries(
+          Object.entries(regions).filter(([name]) => name !== data.parameters),
+        ),
+      ),
+    );
+    this.#addPage("advanced", this.#advanced);
+
+    const event = new EventForm();
+    event.addEventListener("download", (data) =>
+      this.#downloadEvent(data.parameters),
+    );
+    this.#addPage("event", event);
+
+    this.#schedule = new ScheduleForm();
+    this.#schedule.addEventListener("schedule", (data) =>
+      this.#scheduleJob(data.parameters),
+    );
+    this.#schedule.addEventListener("unschedule", (data) =>
+      this.#unscheduleJob(data.parameters),
+    );
+    this.#addPage("schedule", this.#schedule);
+
+    this.#preferences = Dashboard.#createPreferences(this);
+    this.#addPage("preferences", this.#preferences);
+
+    this.#journal = new JournalForm();
+    this.#journal.addEventListener("repeat", (data) =>
+      this.#repeatJob(data.parameters),
+    );
+    this.#journal.addEventListener("retry", (data) =>
+      this.#retryJob(data.parameters),
+    );
+    this.#journal.addEventListener("export", (data) =>
+      this.#exportJournal(data.parameters),
+    );
+    this.#journal.addEventListener("refresh", () => this.#listJournal());
+    this.#addPage("journal", this.#journal);
+    this.#addPage("chart", this.#chart);
+
+    this.button_d = Dashboard.#createDownloadButton(this);
     this.button_p = Dashboard.#createButton(this);
   }
 
-  static download() {
-    dmh_settings.params.referrer = dmh_settings.satellite.root;
+  /**
+   * Shows the dashboard with the given page, hiding the others.
+   *
+   * @param {string} name The name of the page to show (e.g., "range").
+   */
+  showPage(name) {
+    for (const [key, page] of Object.entries(this.#pages)) {
+      if (key === name) {
+        page.show();
+      } else {
+        page.hide();
+      }
+    }
+    this.show();
+  }
+
+  /**
+   * Sets the presets of the user, listed in the preferences page.
+   *
+   * @param {Array<Object>} presets The presets (see `UserPreferences`).
+   */
+  set presets(presets) {
+    this.#presets = presets;
+    this.#preferences.presets = presets;
+  }
+
+  /**
+   * Shows the preferences page, with the current preferences.
+   */
+  showPreferences() {
+    this.#preferences.preferences = UserPreferences.current;
+    this.showPage("preferences");
+  }
+
+  /**
+   * Shows the scheduled capture page, with the captures currently scheduled.
+   */
+  showSchedule() {
+    this.showPage("schedule");
+    this.#listJobs();
+  }
+
+  /**
+   * Shows the job journal page, with the downloads recorded.
+   */
+  showJournal() {
+    this.showPage("journal");
+    this.#listJournal();
+  }
+
+  /**
+   * Cancels the download in progress, if any.
+   */
+  cancel() {
+    this.#runner.cancel();
+  }
 
+  download() {
     const range = new SatelliteURLRange(dmh_settings.satellite);
-    let fln = FilenameUtils.getFilenames(range.urls);
+    this.#downloadFiles(range.urls);
+  }
+
+  /**
+   * (Private method) Downloads the given images as they are, in a ZIP
+   * archive.
+   *
+   * @param {string[]} urls The URLs of the images.
+   */
+  #downloadFiles(urls) {
+    dmh_settings.params.referrer = dmh_settings.satellite.root;
+
+    let fln = FilenameUtils.getFilenames(urls);
     let zfn = FilenameUtils.buildArchiveFilename(
-      range.urls,
+      urls,
       dmh_settings.prefix,
       ARC_TYPE.ZIP,
     );
-    let fdl = new SatelliteDownloader(range.urls);
-    fdl.downloadFiles(fln, zfn, ARCHIVE.ZIP, dmh_settings.params);
-    // fdl.downloadImages(fln, zfn, IMAGE.JPG, ARCHIVE.ZIP);
-    // fdl.downloadVideo("video.mp4", 4, VIDEO.MP4);
+    let fdl = new SatelliteDownloader(urls);
+    this.#run(
+      (options) =>
+        fdl.downloadFiles(fln, zfn, ARCHIVE.ZIP, dmh_settings.params, options),
+      { kind: JOB_KIND.FILES, request: { urls } },
+    );
   }
 
-  static #downloadRange() {
-    const begin = new Date("2024-06-15T00:24:32-04:00");
-    const end = new Date("2024-06-16T01:26:41-04:00");
-    const range2 = new SatelliteURLRange(dmh_settings.satellite, begin, end);
-    let fln = FilenameUtils.getFilenames(range2.urls);
-    let zfn = FilenameUtils.buildArchiveFilename(
-      range2.urls,
-      dmh_settings.prefix,
+  /**
+   * (Private method) Lets the user draw the crop rectangle over the image
+   * shown in the page, with the dashboard hidden meanwhile, and sets it in
+   * the given form.
+   *
+   * @param {AdvancedForm} form The form to set the crop rectangle in.
+   */
+  #selectRegion(form) {
+    const image = Dashboard.#pageImage();
+    if (!image) {
+      alert("No se encontró la imagen satelital en la página.");
+      return;
+    }
+    const selector = new RegionSelector(
+      "Arrastre para seleccionar la región — Esc para cancelar",
+    );
+    document.body.append(selector.element);
+    const close = () => {
+      selector.element.remove();
+      this.show();
+    };
+    selector.addEventListener("select", (data) => {
+      form.crop = data.parameters;
+      close();
+    });
+    selector.addEventListener("cancel", close);
+    this.hide();
+    selector.select(image);
+  }
+
+  /**
+   * (Private method) Finds the satellite image shown in the page: the
+   * largest visible image with a DMH scan filename.
+   *
+   * @returns {HTMLImageElement} The image, or `undefined` if none is found.
+   */
+  static #pageImage() {
+    let found;
+    let area = 0;
+    for (const image of document.images) {
+      const valid = !Number.isNaN(SatelliteURLRange.date(image.src).getTime());
+      const size = image.clientWidth * image.clientHeight;
+      if (valid && image.complete && size > area) {
+        found = image;
+        area = size;
+      }
+    }
+    return found;
+  }
+
+  #downloadRange(request) {
+    dmh_settings.params.referrer = dmh_settings.satellite.root;
+
+    const series = Dashboard.#buildSeries(request);
+    if (series.every(({ urls }) => urls.length === 0)) {
+      alert("El rango de fechas solicitado no contiene imágenes.");
+      return;
+    }
+    const job = { kind: JOB_KIND.RANGE, request: Dashboard.#snapshot(request) };
+    this.#run(async (options) => {
+      if (request.gaps === GAP.NONE) {
+        return Dashboard.#downloadSeries(series, request, options);
+      }
+      const checked = await this.#checkSeries(series, request, options);
+      if (!checked) {
+        return { ok: false, message: "cancelled" };
+      }
+      if (checked.every(({ urls }) => urls.length === 0)) {
+        alert("No existen imágenes disponibles en el rango solicitado.");
+        return { ok: false, message: "empty" };
+      }
+      return Dashboard.#downloadSeries(checked, request, options);
+    }, job);
+  }
+
+  #probeRange(request) {
+    dmh_settings.params.referrer = dmh_settings.satellite.root;
+
+    const series = Dashboard.#buildSeries(request);
+    this.#run(async (options) => {
+      const checked = await this.#checkSeries(series, request, options);
+      return checked
+        ? { ok: true, message: "probed" }
+        : { ok: false, message: "cancelled" };
+    });
+  }
+
+  /**
+   * (Private helper function) Downloads the given series, as a single archive if
+   * there is only one of them, or as a batch archive otherwise.
+   *
+   * @param {Array<Object>} series The series to download. See
+   *        `SatelliteDownloader.downloadBatch` for details.
+   * @param {Object} request The requested range. See `SeriesRangeForm`.
+   * @param {Object} options Options for the download queue.
+   * @returns {Promise<Object>} A promise that resolves to the download result.
+   */
+  static #downloadSeries(series, request, options) {
+    const params = dmh_settings.params;
+    if (series.length === 1) {
+      const [{ settings, urls, availability }] = series;
+      const fln = FilenameUtils.getFilenames(urls);
+      const zfn = FilenameUtils.buildArchiveFilename(
+        urls,
+        dmh_settings.prefix,
+        ARC_TYPE.ZIP,
+      );
+      const fdl = new SatelliteDownloader(urls, settings, availability);
+      return fdl.downloadFiles(fln, zfn, ARCHIVE.ZIP, params, options);
+    }
+    const instrument = dmh_settings.satellite.instrument;
+    const first = SatelliteURLRange.timestamp(request.begin);
+    const last = SatelliteURLRange.timestamp(request.end);
+    const zfn = `${dmh_settings.prefix}${instrument}_LOTE_${first}_${last}${ARC_TYPE.ZIP}`;
+    return SatelliteDownloader.downloadBatch(
+      series,
+      zfn,
+      ARCHIVE.ZIP,
+      params,
+      options,
+    );
+  }
+
+  /**
+   * (Private method) Probes the availability of each series, one after the
+   * other, and shows the result in the range form.
+   *
+   * @param {Array<Object>} series The series to probe.
+   * @param {Object} request The requested range. See `SeriesRangeForm`.
+   * @param {Object} options Options for the probe queue.
+   * @returns {Promise<Array<Object>|undefined>} A promise that resolves to
+   *          the series restricted to their available images, or to
+   *          `undefined` if the probe was cancelled.
+   */
+  async #checkSeries(series, request, options) {
+    const checked = await Dashboard.#probeSeries(series, request, options);
+    if (checked) {
+      this.#range.availability = checked.map((item) => item.availability);
+    }
+    return checked;
+  }
+
+  /**
+   * (Private helper function) Probes the availability of each series, one
+   * after the other.
+   *
+   * @param {Array<Object>} series The series to probe.
+   * @param {Object} request The requested range. See `SeriesRangeForm`.
+   * @param {Object} options Options for the probe queue.
+   * @returns {Promise<Array<Object>|undefined>} A promise that resolves to
+   *          the series restricted to their available images, or to
+   *          `undefined` if the probe was cancelled.
+   */
+  static async #probeSeries(series, request, options) {
+    const { begin, end } = request;
+    const policy = request.gaps === GAP.NONE ? GAP.SKIP : request.gaps;
+    const params = dmh_settings.params;
+    const checked = [];
+    for (const { settings } of series) {
+      const urls = (from, to) => new SatelliteURLRange(settings, from, to).urls;
+      const availability = await RangeAvailability.check(
+        { settings, params, urls },
+        begin,
+        end,
+        policy,
+        options,
+      );
+      if (options.signal.aborted) {
+        return;
+      }
+      checked.push({ settings, urls: availability.urls, availability });
+    }
+    return checked;
+  }
+
+  static #buildSeries(request) {
+    const { begin, end, products, sectors } = request;
+    const series = [];
+    for (const product of products) {
+      for (const sector of sectors) {
+        const settings = seriesSettings(product, sector);
+        const range = new SatelliteURLRange(settings, begin, end);
+        series.push({ settings, urls: range.urls });
+      }
+    }
+    return series;
+  }
+
+  /**
+   * (Private method) Downloads the imagery of the selected series around a
+   * severe weather report, restricted to the available images.
+   *
+   * @param {Object} request The requested event. See `EventForm`.
+   */
+  #downloadEvent(request) {
+    dmh_settings.params.referrer = dmh_settings.satellite.root;
+
+    const { report, products, sectors, image, annotation } = request;
+    const { begin, end } = report;
+    const range = { begin, end, products, sectors, gaps: GAP.SKIP };
+    const series = Dashboard.#buildSeries(range);
+    const overlay = annotation && annotationOverlay(annotation);
+    const instrument = dmh_settings.satellite.instrument;
+    const timestamp = SatelliteURLRange.timestamp(report.time);
+    const zfn = `${dmh_settings.prefix}${instrument}_EVENTO_${report.type}_${timestamp}${ARC_TYPE.ZIP}`;
+    const { lat, lon } = report.position;
+    const job = {
+      kind: JOB_KIND.EVENT,
+      request: Dashboard.#snapshot({
+        ...request,
+        report: {
+          type: report.type,
+          label: report.label,
+          time: report.time,
+          lat,
+          lon,
+          before: report.time - begin,
+          after: end - report.time,
+          description: report.description,
+        },
+      }),
+    };
+    this.#run(async (options) => {
+      const checked = await Dashboard.#probeSeries(series, range, options);
+      if (!checked) {
+        return { ok: false, message: "cancelled" };
+      }
+      if (checked.every(({ urls }) => urls.length === 0)) {
+        alert("No existen imágenes disponibles en la ventana del evento.");
+        return { ok: false, message: "empty" };
+      }
+      return SatelliteDownloader.downloadEvent(checked, zfn, image, report, {
+        ...options,
+        overlay,
+      });
+    }, job);
+  }
+
+  /**
+   * (Private method) Has the extension capture the selected series
+   * periodically, without the page, and lists the scheduled captures.
+   *
+   * @param {Object} request The requested capture. See `ScheduleForm`.
+   */
+  async #scheduleJob(request) {
+    const job = Dashboard.#buildJob(request);
+    const result = await ExtensionBridge.send({ type: MESSAGE.SCHEDULE, job });
+    const message = result?.ok
+      ? "Captura programada"
+      : "No se pudo programar la captura";
+    this.panel.statusbar.section = [message, 0];
+    await this.#listJobs();
+  }
+
+  /**
+   * (Private method) Removes a scheduled capture and lists the remaining
+   * ones.
+   *
+   * @param {string} id The identifier of the scheduled capture.
+   */
+  async #unscheduleJob(id) {
+    await ExtensionBridge.send({ type: MESSAGE.UNSCHEDULE, id });
+    this.panel.statusbar.section = ["Captura eliminada", 0];
+    await this.#listJobs();
+  }
+
+  /**
+   * (Private method) Lists the scheduled captures in the scheduled capture
+   * page.
+   */
+  async #listJobs() {
+    const result = await ExtensionBridge.send({ type: MESSAGE.JOBS });
+    if (!result?.ok) {
+      this.panel.statusbar.section = ["Extensión no disponible", 0];
+    }
+    this.#schedule.jobs = result?.jobs || [];
+  }
+
+  /**
+   * (Private method) Builds the capture job of the selected series (see
+   * `CaptureJob`), run by the background service worker of the extension.
+   *
+   * @param {Object} request The requested capture. See `ScheduleForm`.
+   * @returns {Object} The capture job.
+   */
+  static #buildJob(request) {
+    const { products, sectors, repeat, lookback, end } = request;
+    const series = [];
+    for (const product of products) {
+      for (const sector of sectors) {
+        const template = seriesTemplate(product, sector);
+        series.push({ name: `${product}_${sector}`, template });
+      }
+    }
+    const settings = dmh_settings.satellite;
+    const names = `${products.join(", ")} · ${sectors.join(", ")}`;
+    return {
+      site: "DMH",
+      name: `${settings.instrument} ${names}`,
+      series,
+      interval: settings.interval,
+      repeat,
+      lookback,
+      end: end.getTime(),
+      destination: { ...DESTINATION, site: "DMH" },
+      params: { ...dmh_settings.params, referrer: settings.root },
+      queue: dmh_settings.queue,
+    };
+  }
+
+  /**
+   * (Private function) Has the extension record a job in its journal.
+   *
+   * @param {Object} entry The journal entry (see `JournalRecorder`).
+   */
+  static async #record(entry) {
+    const result = await ExtensionBridge.send({ type: MESSAGE.RECORD, entry });
+    if (!result?.ok) {
+      console.warn(`Job not recorded: ${result?.error || result?.message}`);
+    }
+  }
+
+  /**
+   * (Private method) Lists the downloads recorded by the extension in the
+   * job journal page.
+   */
+  async #listJournal() {
+    const result = await ExtensionBridge.send({
+      type: MESSAGE.JOURNAL,
+      site: "DMH",
+    });
+    if (!result?.ok) {
+      this.panel.statusbar.section = ["Historial no disponible", 0];
+    }
+    this.#journal.entries = result?.entries || [];
+  }
+
+  /**
+   * (Private method) Downloads a recorded job again, with the same
+   * parameters.
+   *
+   * @param {Object} entry The journal entry (see `JournalRecorder`).
+   */
+  #repeatJob(entry) {
+    const { request } = entry;
+    switch (entry.kind) {
+      case JOB_KIND.RANGE: {
+        this.#downloadRange({
+          ...request,
+          begin: new Date(request.begin),
+          end: new Date(request.end),
+        });
+        break;
+      }
+      case JOB_KIND.EVENT: {
+        const time = new Date(request.report.time);
+        const report = new EventReport({ ...request.report, time });
+        this.#downloadEvent({ ...request, report });
+        break;
+      }
+      case JOB_KIND.FILES: {
+        this.#downloadFiles(request.urls);
+        break;
+      }
+      default: {
+        this.panel.statusbar.section = ["Descarga no repetible", 0];
+      }
+    }
+  }
+
+  /**
+   * (Private method) Downloads the files that failed in a recorded job, as
+   * they are.
+   *
+   * @param {Object} entry The journal entry (see `JournalRecorder`).
+   */
+  #retryJob(entry) {
+    const urls = entry.files.filter(({ ok }) => !ok).map(({ url }) => url);
+    if (urls.length > 0) {
+      this.#downloadFiles(urls);
+    }
+  }
+
+  /**
+   * (Private method) Saves the job journal listed as a file.
+   *
+   * @param {string} format The format of the file, "JSON" or "CSV".
+   */
+  #exportJournal(format) {
+    const { entries } = this.#journal;
+    const [text, type, extension] =
+      format === "CSV"
+        ? [JournalFile.csv(entries), "text/csv", ".csv"]
+        : [JournalFile.json(entries), "application/json", ".json"];
+    const content = new Blob([text], { type });
+    FileSaver.save(content, `${dmh_settings.prefix}HISTORIAL${extension}`);
+  }
+
+  /**
+   * (Private function) Copies the parameters of a job as JSON, with the dates
+   * as ISO strings, to record them in the job journal.
+   *
+   * @param {Object} request The parameters of the job.
+   * @returns {Object} The copy.
+   */
+  static #snapshot(request) {
+    const json = JSON.stringify(request); // Dates as ISO strings
+    return JSON.parse(json);
+  }
+
+  /**
+   * (Private method) Applies preferences to the settings and to the forms,
+   * and optionally has the extension store them as the defaults.
+   *
+   * @param {Object} preferences The preferences (see `UserPreferences`).
+   * @param {boolean} save Whether to store them as the defaults.
+   */
+  async #applyPreferences(preferences, save) {
+    UserPreferences.apply(preferences);
+    this.#range.resetDefaults();
+    this.#advanced.resetDefaults();
+    if (!save) {
+      this.panel.statusbar.section = ["Preset aplicado", 0];
+      return;
+    }
+    const stored = await UserPreferences.store(UserPreferences.current);
+    const message = stored
+      ? "Preferencias guardadas"
+      : "No se pudieron guardar las preferencias";
+    this.panel.statusbar.section = [message, 0];
+  }
+
+  /**
+   * (Private method) Changes the regions saved for the current sector, lists
+   * them in the advanced form and has the extension store them with the
+   * preferences.
+   *
+   * @param {function(Object): Object} change The function returning the new
+   *        regions of the sector, by name, from the current ones.
+   */
+  async #storeRegions(change) {
+    const { regions, sector } = dmh_settings.satellite;
+    const current = sector.current;
+    UserPreferences.apply({
+      ...UserPreferences.current,
+      regions: { ...regions, [current]: change(regions[current] || {}) },
+    });
+    this.#advanced.resetDefaults();
+    const stored = await UserPreferences.store(UserPreferences.current);
+    const message = stored
+      ? "Regiones guardadas"
+      : "No se pudieron guardar las regiones";
+    this.panel.statusbar.section = [message, 0];
+  }
+
+  /**
+   * (Private method) Replaces the presets of the user and has the extension
+   * store them.
+   *
+   * @param {Array<Object>} presets The new presets.
+   */
+  async #storePresets(presets) {
+    this.presets = presets;
+    const stored = await UserPreferences.store(undefined, presets);
+    const message = stored
+      ? "Presets guardados"
+      : "No se pudieron guardar los presets";
+    this.panel.statusbar.section = [message, 0];
+  }
+
+  /**
+   * (Private method) Saves the presets of the user as a JSON file.
+   */
+  #exportPresets() {
+    const json = PresetFile.export("DMH", this.#presets);
+    const content = new Blob([json], { type: "application/json" });
+    FileSaver.save(content, `${dmh_settings.prefix}PRESETS.json`);
+  }
+
+  /**
+   * (Private method) Adds the presets of a preset file to those of the
+   * user, replacing the presets with the same names.
+   *
+   * @param {string} text The content of the preset file.
+   */
+  #importPresets(text) {
+    let presets;
+    try {
+      presets = PresetFile.import(text, "DMH");
+    } catch (error) {
+      console.warn(`Presets not imported: ${error.message}`);
+      alert("El archivo no contiene presets válidos de la DMH.");
+      return;
+    }
+    this.#storePresets(PresetFile.merge(this.#presets, presets));
+  }
+
+  #downloadAdvanced(request) {
+    dmh_settings.params.referrer = dmh_settings.satellite.root;
+
+    const { output, image, archive, video, animation, fps, prefix } = request;
+    const { loop, hold, annotation, crop, scale, grid, kelvin } = request;
+    const { point, radius, threshold, cooling } = request;
+    const range = new SatelliteURLRange(dmh_settings.satellite);
+    const fdl = new SatelliteDownloader(range.urls);
+    const overlay = annotation && annotationOverlay(annotation);
+    const region = { crop, scale };
+    const job = {
+      kind: JOB_KIND.ADVANCED,
+      request: Dashboard.#snapshot({ ...request, urls: range.urls }),
+    };
+    const run = (start) => this.#run(start, job);
+    switch (output) {
+      case OUTPUT.IMAGES: {
+        const fln = FilenameUtils.buildImageFilenames(
+          range.urls,
+          IMG_TYPE[image],
+        );
+        const zfn = FilenameUtils.buildArchiveFilename(
+          range.urls,
+          prefix,
+          ARC_TYPE[archive],
+        );
+        run((options) =>
+          fdl.downloadImages(fln, zfn, image, archive, {
+            ...options,
+            ...region,
+            overlay,
+          }),
+        );
+        break;
+      }
+      case OUTPUT.VIDEO: {
+        const vfn = FilenameUtils.buildArchiveFilename(
+          range.urls,
+          prefix,
+          VID_TYPE[video],
+        );
+        run((options) =>
+          fdl.downloadVideo(vfn, fps, video, {
+            ...options,
+            ...region,
+            overlay,
+          }),
+        );
+        break;
+      }
+      case OUTPUT.ANIMATION: {
+        const afn = FilenameUtils.buildArchiveFilename(
+          range.urls,
+          prefix,
+          ANIM_TYPE[animation],
+        );
+        const settings = { ...region, overlay, loop, hold: hold * 1000 };
+        run((options) =>
+          fdl.downloadAnimation(afn, fps, animation, {
+            ...options,
+            ...settings,
+          }),
+        );
+        break;
+      }
+      case OUTPUT.TEMPERATURE: {
+        const zfn = FilenameUtils.buildArchiveFilename(
+          range.urls,
+          prefix,
+          ARC_TYPE[archive],
+        );
+        run((options) =>
+          fdl.downloadTemperatures(zfn, archive, grid, {
+            ...options,
+            crop,
+            kelvin,
+          }),
+        );
+        break;
+      }
+      case OUTPUT.SERIES: {
+        const zfn = FilenameUtils.buildArchiveFilename(
+          range.urls,
+          `${prefix}SERIE_`,
+          ARC_TYPE[archive],
+        );
+        const onSeries = (_series, chart) => this.#showChart(chart);
+        run((options) =>
+          fdl.downloadSeries(
+            zfn,
+            archive,
+            { point, radius },
+            { ...options, onSeries },
+          ),
+        );
+        break;
+      }
+      case OUTPUT.ALERTS: {
+        const fln = FilenameUtils.buildImageFilenames(
+          range.urls,
+          IMG_TYPE[image],
+        );
+        const zfn = FilenameUtils.buildArchiveFilename(
+          range.urls,
+          `${prefix}ALERTAS_`,
+          ARC_TYPE[archive],
+        );
+        run((options) =>
+          fdl.downloadAlerts(
+            fln,
+            zfn,
+            image,
+            archive,
+            { threshold, cooling },
+            { ...options, ...region, overlay },
+          ),
+        );
+        break;
+      }
+      default: {
+        const fln = FilenameUtils.getFilenames(range.urls);
+        const zfn = FilenameUtils.buildArchiveFilename(
+          range.urls,
+          prefix,
+          ARC_TYPE[archive],
+        );
+        run((options) =>
+          fdl.downloadFiles(fln, zfn, archive, dmh_settings.params, options),
+        );
+      }
+    }
+  }
+
+  /**
+   * (Private method) Shows the chart of a time series in the dashboard.
+   *
+   * @param {HTMLCanvasElement} chart The canvas with the chart.
+   */
+  #showChart(chart) {
+    this.#chart.element.replaceChildren(chart);
+    this.showPage("chart");
+  }
+
+  #addPage(name, page) {
+    page.hide();
+    this.#pages[name] = page;
+    this.panel.body.append(page);
+  }
+
+  /**
+   * (Private method) Runs a download operation, showing its progress in the
+   * statusbar until it completes or is cancelled. Only one operation runs at
+   * a time.
+   *
+   * @param {function(Object): Promise<Object>} start A function that starts
+   *        the download with the given options and returns a promise that
+   *        resolves to the download result.
+   * @param {{kind: string, request: Object}} job (Optional) The kind (see
+   *        `JOB_KIND`) and the JSON-safe parameters of the job, to record it
+   *        in the job journal of the extension.
+   */
+  #run(start, job) {
+    this.show();
+    if (this.#runner.running) {
+      return;
+    }
+    const recorder = job && new JournalRecorder("DMH", job.kind, job.request);
+    this.#runner
+      .run((options) => start(recorder ? recorder.watch(options) : options))
+      .then((result) => {
+        if (recorder) {
+          Dashboard.#record(recorder.finish(result));
+        }
+      });
+  }
+
+  static #createPreferences(dashboard) {
+    const form = new PreferencesForm(UserPreferences.current);
+    form.addEventListener("save", (data) =>
+      dashboard.#applyPreferences(data.parameters, true),
+    );
+    form.addEventListener("apply", (data) =>
+      dashboard.#applyPreferences(data.parameters, false),
+    );
+    form.addEventListener("add", (data) =>
+      dashboard.#storePresets(
+        PresetFile.merge(dashboard.#presets, [data.parameters]),
+      ),
     );
-    let fdl = new SatelliteDownloader(range2.urls);
-    fdl.downloadFiles(fln, zfn, dmh_settings.params);
+    form.addEventListener("remove", (data) =>
+      dashboard.#storePresets(
+        dashboard.#presets.filter(({ name }) => name !== data.parameters),
+      ),
+    );
+    form.addEventListener("export", () => dashboard.#exportPresets());
+    form.addEventListener("import", (data) =>
+      dashboard.#importPresets(data.parameters),
+    );
+    return form;
   }
 
-  static #createDownloadButton() {
+  static #createDownloadButton(dashboard) {
     const button = new Button("Descarga", ".btn.btn-default");
     button.registerEvent("download");
-    button.addEventListener("download", () => Dashboard.download());
+    button.addEventListener("download", () => dashboard.download());
     button.entangleEvents("click", "download");
 
     const buttonContainer = document.querySelector(".row .btn-group");
@@ -582,21 +3950,48 @@ class Dashboard extends ModalWall {
   static #createPopup(dashboard) {
     const button1 = new Button("Descarga Por Fecha", ".btn.btn-default");
     const button2 = new Button("Descarga Avanzada", ".btn.btn-default");
+    const button3 = new Button("Descarga de Evento", ".btn.btn-default");
+    const button4 = new Button("Captura Programada", ".btn.btn-default");
+    const button5 = new Button("Preferencias", ".btn.btn-default");
+    const button6 = new Button("Historial", ".btn.btn-default");
 
     const group = new ButtonGroup(
       ".retspy-menu.btn-group.btn-group-vertical.btn-group-sm",
     );
-    group.append([button1, button2]);
+    group.append([button1, button2, button3, button4, button5, button6]);
 
     const popup = new GuiElement("div#retspy-menu.retspy-popup-menu");
     popup.append(group);
     popup.hide();
 
-    for (const button of [button1, button2]) {
-      button.registerEvent("open-dialog");
-      button.addEventListener("open-dialog", () => dashboard.toggle());
-      button.entangleEvents("click", "open-dialog");
+    button1.registerEvent("open-dialog");
+    button1.addEventListener("open-dialog", () => dashboard.showPage("range"));
+    button1.entangleEvents("click", "open-dialog");
+
+    button2.registerEvent("open-dialog");
+    button2.addEventListener("open-dialog", () =>
+      dashboard.showPage("advanced"),
+    );
+    button2.entangleEvents("click", "open-dialog");
+
+    button3.registerEvent("open-dialog");
+    button3.addEventListener("open-dialog", () => dashboard.showPage("event"));
+    button3.entangleEvents("click", "open-dialog");
+
+    button4.registerEvent("open-dialog");
+    button4.addEventListener("open-dialog", () => dashboard.showSchedule());
+    button4.entangleEvents("click", "open-dialog");
+
+    button5.registerEvent("open-dialog");
+    button5.addEventListener("open-dialog", () => dashboard.showPreferences());
+    button5.entangleEvents("click", "open-dialog");
+
+    button6.registerEvent("open-dialog");
+    button6.addEventListener("open-dialog", () => dashboard.showJournal());
+    button6.entangleEvents("click", "open-dialog");
 
+    const buttons = [button1, button2, button3, button4, button5, button6];
+    for (const button of buttons) {
       button.registerEvent("close-popup");
       button.addEventListener("close-popup", () => popup.toggle());
       button.entangleEvents("click", "close-popup");
@@ -612,8 +4007,11 @@ class Dashboard extends ModalWall {
   }
 }
 
-window.addEventListener("load", () => {
-  const dashboard = new Dashboard("400px", "300px");
+window.addEventListener("load", async () => {
+  const presets = await UserPreferences.load();
+  const dashboard = new Dashboard("460px", "760px");
+  dashboard.presets = presets;
+  TemperatureProbe.attach();
 });
 
 if (document.readyState === "loading") {
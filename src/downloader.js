@@ -1,6 +1,12 @@
-import { strToU8, zip } from "../lib/fflate.js";
+import { gzip, strToU8, zip } from "../lib/fflate.js";
+import { tarball } from "../lib/tarball.js";
+import { ApngEncoder, GifEncoder } from "./animation.js";
 import { dict } from "./common.js";
+import { DESTINATION, DownloadPath, MESSAGE } from "./downloads.js";
+import { KmlDocument } from "./geo.js";
 import { Logger } from "./logging.js";
+import { MatroskaMuxer, Mp4Muxer } from "./muxer.js";
+import { SeriesChart, TimeSeries } from "./timeseries.js";
 
 /**
  * The filename of the module.
@@ -23,15 +29,29 @@ const README_TXT = "README.txt";
  */
 const RETSPY_LOG = "RETSPY.log";
 
+/**
+ * The name of the archive folder for entries without a folder of their own.
+ * @type {string}
+ * @constant
+ */
+const SEQUENCE_FOLDER = "SEQUENCE";
+
+/**
+ * The filename of the KML document of KMZ archives.
+ * @type {string}
+ * @constant
+ */
+const DOC_KML = "doc.kml";
+
 /**
  * An array of archive types supported by the module.
  */
-const ARCHIVES = ["ZIP", "TAR", "GZIP"];
+const ARCHIVES = ["ZIP", "TAR", "GZIP", "KMZ"];
 
 /**
  * A map of archive types to their corresponding file extensions.
  */
-const ARC_TYPE = dict(ARCHIVES, [".zip", ".tar", ".tar.gz"]);
+const ARC_TYPE = dict(ARCHIVES, [".zip", ".tar", ".tar.gz", ".kmz"]);
 
 /**
  * A map of archive types to their corresponding MIME types.
@@ -40,6 +60,7 @@ const ARC_MEDIA = dict(ARCHIVES, [
   "application/zip",
   "application/x-tar",
   "application/gzip",
+  "application/vnd.google-earth.kmz",
 ]);
 
 /**
@@ -91,6 +112,65 @@ const VID_MEDIA = dict(VIDEOS, [
  */
 const VIDEO = dict(VIDEOS, VIDEOS);
 
+/**
+ * An array of animated image types supported by the module.
+ */
+const ANIMATIONS = ["GIF", "APNG"];
+
+/**
+ * A map of animated image types to their corresponding file extensions.
+ * Animated PNGs keep the PNG extension, so that viewers without APNG support
+ * still show the first frame.
+ */
+const ANIM_TYPE = dict(ANIMATIONS, [".gif", ".png"]);
+
+/**
+ * A map of animated image types to their corresponding MIME types.
+ */
+const ANIM_MEDIA = dict(ANIMATIONS, ["image/gif", "image/apng"]);
+
+/**
+ * The number of frames of an animated GIF its palette is built from, evenly
+ * spaced along the sequence, so that the frames need not be kept in memory.
+ */
+const SAMPLED_FRAMES = 8;
+
+/**
+ * A map (enumeration) of animated image types to their corresponding string
+ * values.
+ */
+const ANIMATION = dict(ANIMATIONS, ANIMATIONS);
+
+/**
+ * An array of download progress event types.
+ */
+const EVENTS = ["QUEUED", "FETCHED", "FAILED", "RECEIVED", "PHASE"];
+
+/**
+ * A map (enumeration) of download progress event types to their
+ * corresponding string values.
+ */
+const EVENT = dict(EVENTS, EVENTS);
+
+/**
+ * An array of download phases, in order of occurrence.
+ */
+const PHASES = [
+  "PROBING",
+  "DOWNLOADING",
+  "ANALYZING",
+  "ENCODING",
+  "ARCHIVING",
+  "COMPRESSING",
+  "SAVING",
+];
+
+/**
+ * A map (enumeration) of download phases to their corresponding string
+ * values.
+ */
+const PHASE = dict(PHASES, PHASES);
+
 /**
  * The logger for the module.
  * @type {Logger}
@@ -164,6 +244,306 @@ class Archive {
   }
 }
 
+/**
+ * Class to report the progress of a download operation and check for its
+ * cancellation.
+ *
+ * The `options` object accepted by the download methods may contain an
+ * `onProgress` callback, called with an event object each time the operation
+ * progresses, and a `signal` property, an `AbortSignal` used to cancel the
+ * operation. Progress events have a `type` property (see `EVENT`) and the
+ * following type-specific properties:
+ *
+ * - QUEUED: `count`, the number of files added to the download queue.
+ * - FETCHED: `src`, the URL of the downloaded file.
+ * - FAILED: `src`, the URL of the file that could not be downloaded.
+ * - RECEIVED: `bytes`, the number of bytes received since the last event.
+ * - PHASE: `phase`, the phase the operation has entered (see `PHASE`).
+ */
+class DownloadMonitor {
+  #onProgress;
+  #signal;
+
+  /**
+   * Constructs a DownloadMonitor object.
+   *
+   * @param {object} options (Optional) The download options, with the
+   *        `onProgress` and `signal` properties described in the class
+   *        description.
+   */
+  constructor(options) {
+    this.#onProgress = options?.onProgress;
+    this.#signal = options?.signal;
+  }
+
+  /**
+   * Reports a progress event.
+   *
+   * @param {string} type The event type (see `EVENT`).
+   * @param {object} detail (Optional) The type-specific event properties.
+   */
+  notify(type, detail) {
+    if (this.#onProgress) {
+      this.#onProgress({ type, ...detail });
+    }
+  }
+
+  /**
+   * Reads the body of a response, reporting the bytes received as they
+   * arrive.
+   *
+   * @param {Response} response The response to read.
+   * @returns {Promise<Blob>} A promise that resolves to the response body.
+   */
+  async read(response) {
+    if (!response.body) {
+      return response.blob();
+    }
+    const chunks = [];
+    const reader = response.body.getReader();
+    let chunk = await reader.read();
+    while (!chunk.done) {
+      chunks.push(chunk.value);
+      this.notify(EVENT.RECEIVED, { bytes: chunk.value.length });
+      chunk = await reader.read();
+    }
+    const type = response.headers.get("content-type") || "";
+    return new Blob(chunks, { type });
+  }
+
+  /**
+   * Indicates whether the operation has been cancelled.
+   *
+   * @returns {boolean} `true` if the operation has been cancelled.
+   */
+  get aborted() {
+    return this.#signal?.aborted ?? false;
+  }
+
+  /**
+   * Gets the signal used to cancel the operation, if any.
+   *
+   * @returns {AbortSignal|undefined} The cancellation signal.
+   */
+  get signal() {
+    return this.#signal;
+  }
+}
+
+/**
+ * Class to accumulate the progress events of a download operation into a
+ * summary suitable for display.
+ */
+class DownloadProgress {
+  #phase = PHASE.DOWNLOADING;
+  #total = 0;
+  #fetched = 0;
+  #failed = 0;
+  #bytes = 0;
+
+  /**
+   * Updates the summary with a progress event.
+   *
+   * @param {object} event A progress event. See `DownloadMonitor` class for
+   *        details.
+   * @returns {DownloadProgress} The current DownloadProgress object.
+   */
+  update(event) {
+    switch (event.type) {
+      case EVENT.QUEUED: {
+        this.#total += event.count;
+        break;
+      }
+      case EVENT.FETCHED: {
+        ++this.#fetched;
+        break;
+      }
+      case EVENT.FAILED: {
+        ++this.#failed;
+        break;
+      }
+      case EVENT.RECEIVED: {
+        this.#bytes += event.bytes;
+        break;
+      }
+      case EVENT.PHASE: {
+        this.#phase = event.phase;
+        break;
+      }
+      default: {
+        logger.warn("DP001", `Unknown progress event: ${event.type}`);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Gets the number of bytes received so far.
+   *
+   * @returns {number} The number of bytes received.
+   */
+  get bytes() {
+    return this.#bytes;
+  }
+
+  /**
+   * Gets the number of files that could not be downloaded.
+   *
+   * @returns {number} The number of failed files.
+   */
+  get failed() {
+    return this.#failed;
+  }
+
+  /**
+   * Gets the number of files downloaded so far.
+   *
+   * @returns {number} The number of fetched files.
+   */
+  get fetched() {
+    return this.#fetched;
+  }
+
+  /**
+   * Gets the current phase of the operation (see `PHASE`).
+   *
+   * @returns {string} The current phase.
+   */
+  get phase() {
+    return this.#phase;
+  }
+
+  /**
+   * Gets the number of files still waiting to be downloaded.
+   *
+   * @returns {number} The number of queued files.
+   */
+  get queued() {
+    return this.#total - this.#fetched - this.#failed;
+  }
+
+  /**
+   * Gets the total number of files requested.
+   *
+   * @returns {number} The total number of files.
+   */
+  get total() {
+    return this.#total;
+  }
+}
+
+/**
+ * Class connecting the page to the bridge frame of the extension (see
+ * `bridge.js`), a hidden frame relaying the requests of the page to the
+ * background service worker, which holds the extension APIs the page cannot
+ * reach (e.g., the downloads of the browser). The frame is embedded once, on
+ * the first request.
+ */
+class ExtensionBridge {
+  /**
+   * (Private variable) The time (in milliseconds) to wait for the bridge
+   * frame to load.
+   */
+  static #timeout = 5000;
+  /**
+   * (Private variable) A promise that resolves to the bridge frame, or to
+   * `undefined` if it could not be loaded.
+   */
+  static #frame;
+
+  /**
+   * Sends a request to the background service worker through the bridge
+   * frame.
+   *
+   * @param {object} message The request, with its type (see `REQUESTS`).
+   * @returns {Promise<object|undefined>} A promise that resolves to the
+   *          response of the service worker, or to `undefined` if the bridge
+   *          frame is not available.
+   */
+  static async send(message) {
+    ExtensionBridge.#frame ??= ExtensionBridge.#load();
+    const frame = await ExtensionBridge.#frame;
+    if (!frame) {
+      return;
+    }
+    const channel = new MessageChannel();
+    const reply = new Promise((resolve) => {
+      channel.port1.addEventListener("message", (event) => {
+        channel.port1.close();
+        resolve(event.data);
+      });
+      channel.port1.start();
+    });
+    frame.contentWindow.postMessage(message, new URL(frame.src).origin, [
+      channel.port2,
+    ]);
+    return reply;
+  }
+
+  /**
+   * Fetches a file through the bridge frame, which can read the files of the
+   * origins in the host permissions of the extension even if they do not
+   * allow the page to (CORS). Only the request method of the parameters is
+   * used; the request is not aborted, but its response is ignored if the
+   * signal aborts first.
+   *
+   * @param {string} src The URL of the file.
+   * @param {object} params Options for the fetch request: the `method` and
+   *        the abort `signal`.
+   * @returns {Promise<Response>} A promise that resolves to the response, or
+   *          rejects if the file cannot be fetched or the signal aborts.
+   */
+  static async fetch(src, params) {
+    const { method = "GET", signal } = params;
+    const result = await ExtensionBridge.send({
+      type: MESSAGE.FETCH,
+      url: src,
+      method,
+    });
+    signal?.throwIfAborted();
+    if (!result?.ok) {
+      const reason = result ? result.error : "extension not available";
+      throw new TypeError(`Failed to fetch through the extension: ${reason}`);
+    }
+    const { content, status, statusText } = result;
+    return new Response(content, { status, statusText });
+  }
+
+  /**
+   * (Private function) Embeds the bridge frame in the page and waits for it
+   * to be ready.
+   *
+   * @returns {Promise<HTMLIFrameElement|undefined>} A promise that resolves
+   *          to the bridge frame, or to `undefined` if it did not get ready
+   *          in time.
+   */
+  static #load() {
+    const frame = document.createElement("iframe");
+    frame.src = new URL("bridge.html", import.meta.url).href;
+    frame.hidden = true;
+    return new Promise((resolve) => {
+      const ready = (event) => {
+        if (
+          event.source === frame.contentWindow &&
+          event.data?.type === MESSAGE.READY
+        ) {
+          clearTimeout(timer);
+          globalThis.removeEventListener("message", ready);
+          resolve(frame);
+        }
+      };
+      const timer = setTimeout(() => {
+        globalThis.removeEventListener("message", ready);
+        frame.remove();
+        logger.debug("EB101", "Bridge frame not ready in time");
+        resolve();
+      }, ExtensionBridge.#timeout);
+      globalThis.addEventListener("message", ready);
+      document.body.append(frame);
+    });
+  }
+}
+
 /**
  * Class to save various types of content (Blob, Image, Video, Zip, etc.)
  * as a file with the specified filename.
@@ -174,11 +554,31 @@ class FileSaver {
    * for the content to avoid memory leaks.
    */
   static #revokeTimeout = 5000;
+  /**
+   * (Private variable) The destination of the saved files within the
+   * downloads folder of the browser, or `undefined` to save them from the
+   * page.
+   */
+  static #destination;
 
   static set revokeTimeout(value) {
     FileSaver.#revokeTimeout = value;
   }
 
+  /**
+   * Sets the destination of the saved files within the downloads folder of
+   * the browser (see `DESTINATION`). Once set, files are saved through the
+   * background service worker of the extension, which organizes them in
+   * subfolders and tracks the downloads; if the extension cannot be reached,
+   * they are still saved from the page.
+   *
+   * @param {object} value The destination, or `undefined` to always save
+   *        from the page.
+   */
+  static set destination(value) {
+    FileSaver.#destination = value && { ...DESTINATION, ...value };
+  }
+
   /**
    * Saves the provided content as a file with the specified filename.
    *
@@ -186,19 +586,23 @@ class FileSaver {
    *
    * result = {
    *   ok: {boolean},
-   *   message: {string}
+   *   message: {string},
+   *   filename: {string}, // the saved file, if saved
+   *   size: {number},     // its size in bytes, if saved
    * }
    *
    * @param {Blob} content The content (String|Image|Video|Zip) to be saved.
    * @param {string} filename The desired filename for the saved file.
-   * @returns {object} An object with an `ok` property indicating success
-   *          and a `message` property with details (e.g., "empty", "success").
+   * @returns {object|Promise<object>} An object (or a promise that resolves
+   *          to it, when saving through the extension) with an `ok` property
+   *          indicating success and a `message` property with details (e.g.,
+   *          "empty", "success").
    */
   static save(content, filename) {
-    const objectURL = URL.createObjectURL(content);
-    FileSaver.#saveAs(objectURL, filename);
-    logger.info("FS001", `File saved: '${filename}'`);
-    return FileSaver.#buildResponse(true, "success");
+    if (FileSaver.#destination) {
+      return FileSaver.#saveToDownloads(content, filename);
+    }
+    return FileSaver.#saveFromPage(content, filename);
   }
 
   static empty(filename) {
@@ -211,6 +615,11 @@ class FileSaver {
     return FileSaver.#buildResponse(false, "error", error);
   }
 
+  static cancel(filename) {
+    logger.info("FS004", `Saving cancelled: '${filename}'`);
+    return FileSaver.#buildResponse(false, "cancelled");
+  }
+
   static #buildResponse(ok, message, error) {
     if (error) {
       return { ok, message, error };
@@ -218,6 +627,59 @@ class FileSaver {
     return { ok, message };
   }
 
+  /**
+   * (Private function) Saves the content from the page, as a download of a
+   * temporary link.
+   *
+   * @param {Blob} content The content to be saved.
+   * @param {string} filename The desired filename for the saved file.
+   * @returns {object} The result of the save.
+   */
+  static #saveFromPage(content, filename) {
+    const objectURL = URL.createObjectURL(content);
+    FileSaver.#saveAs(objectURL, filename);
+    logger.info("FS001", `File saved: '${filename}'`);
+    return FileSaver.#saved(content, filename);
+  }
+
+  /**
+   * (Private function) Saves the content through the downloads of the
+   * browser, to the destination folder, falling back to saving it from the
+   * page if the extension cannot be reached.
+   *
+   * @param {Blob} content The content to be saved.
+   * @param {string} filename The desired filename for the saved file.
+   * @returns {Promise<object>} A promise that resolves to the result of the
+   *          save.
+   */
+  static async #saveToDownloads(content, filename) {
+    const { conflict } = FileSaver.#destination;
+    const path = DownloadPath.build(filename, FileSaver.#destination);
+    const message = { type: MESSAGE.SAVE, content, filename: path, conflict };
+    const result = await ExtensionBridge.send(message);
+    if (!result) {
+      logger.warn("FS201", `Extension downloads unavailable: '${filename}'`);
+      return FileSaver.#saveFromPage(content, filename);
+    }
+    if (!result.ok) {
+      return FileSaver.error(filename, new Error(result.error));
+    }
+    logger.info("FS001", `File saved: '${result.filename}'`);
+    return FileSaver.#saved(content, filename);
+  }
+
+  /**
+   * (Private function) Builds the result of a successful save.
+   *
+   * @param {Blob} content The saved content.
+   * @param {string} filename The filename of the saved file.
+   * @returns {object} The result of the save.
+   */
+  static #saved(content, filename) {
+    const response = FileSaver.#buildResponse(true, "success");
+    return { ...response, filename, size: content.size };
+  }
+
   /**
    * (Private function) Revokes the temporary URL created for the content
    * after a delay (`FileSaver.revokeTimeout`) to avoid memory leaks.
@@ -246,8 +708,8 @@ class FileSaver {
 }
 
 /**
- * Class to archive entries (data or URLs) into a ZIP file with an optional
- * readme content.
+ * Class to archive entries (data or URLs) into a ZIP, TAR, TAR.GZ or KMZ file
+ * with an optional readme content.
  */
 class FileArchiver {
   /**
@@ -257,14 +719,24 @@ class FileArchiver {
    * Each entry should have a `filename` property, the name under which the
    * file content, if any, will be archived and a `src` property containing the
    * URL from where the file content was downloaded, and, optionally, a `data`
-   * property containing the contents of the file, if available, that is:
+   * property containing the contents of the file, if available, and a
+   * `folder` property with the name of the archive folder the file belongs
+   * to (defaults to "SEQUENCE"), that is:
    *
    * entry = {
    *   filename: {string},
    *   src: {string},
+   *   folder: {string|undefined},
    *   data: {Blob|undefined}
    * }
    *
+   * A KMZ archive is a ZIP archive with a `doc.kml` document that shows each
+   * entry as a ground overlay in Google Earth. The optional `groundOverlay`
+   * function of the options, `groundOverlay(entry)`, returns the name,
+   * bounds, time span and KML folder of the overlay of an entry (see
+   * `KmlDocument`), or `undefined` to leave the entry out of the document;
+   * the optional `title` is the name of the document.
+   *
    * @param {Array<{data: Blob, filename: string, src?: string}>} entries
    *        An array of objects representing entries to be archived.
    *        Each entry should have a `filename` property and either a `data`
@@ -272,71 +744,227 @@ class FileArchiver {
    *        property(string) containing a URL to load the content.
    * @param {string} filename The desired filename for the archive.
    * @param {string} type The desired archive format for the downloaded files
-   *        (e.g., "ZIP", "TAR", "GZIP").
+   *        (e.g., "ZIP", "TAR", "GZIP", "KMZ").
    * @param {string} readme Optional readme content to include in the archive.
+   * @param {object} options (Optional) Progress reporting and cancellation
+   *        options. See `DownloadMonitor` class for details. An optional
+   *        `sidecars` function, `sidecars(entry)`, returns the files to archive
+   *        next to each entry with data (e.g., world files), as
+   *        filename-content pairs, and the optional `attachments` are the
+   *        files to archive at the root, next to the readme (e.g., a
+   *        structured description of the content), as filename-content pairs.
    * @returns {Promise<object>} A promise that resolves to an object with the
    *          operation result status. See `FileSaver.save` method for details.
    */
-  static save(entries, filename, type, readme) {
-    const zipfile = FileArchiver.#createZip(entries, readme);
+  static save(entries, filename, type, readme, options) {
+    const monitor = new DownloadMonitor(options);
+    if (monitor.aborted) {
+      return Promise.resolve(FileSaver.cancel(filename));
+    }
+    monitor.notify(EVENT.PHASE, { phase: PHASE.ARCHIVING });
+    const kml =
+      type === ARCHIVE.KMZ &&
+      FileArchiver.#createKml(entries, filename, options);
+    const zipfile = FileArchiver.#createZip(entries, readme, [
+      kml,
+      options?.sidecars,
+      options?.attachments,
+    ]);
     if (zipfile.length === 0) {
       return Promise.resolve(FileSaver.empty(filename));
     }
-    return new Promise((resolve) =>
-      FileArchiver.#deflate([filename, type], zipfile, resolve),
-    );
+    monitor.notify(EVENT.PHASE, { phase: PHASE.COMPRESSING });
+    return new Promise((resolve) => {
+      const { signal } = monitor;
+      const filespec = [filename, type, monitor];
+      const cancel = () => {
+        terminate();
+        logger.info("FA102", `Archive cancelled: '${filename}'`);
+        resolve(FileSaver.cancel(filename));
+      };
+      const terminate = FileArchiver.#deflate(filespec, zipfile, (result) => {
+        signal?.removeEventListener("abort", cancel);
+        resolve(result);
+      });
+      signal?.addEventListener("abort", cancel, { once: true });
+    });
   }
 
+  /**
+   * (Private function) Packs the archive content into the format requested
+   * in `filespec` and calls the completion handler with the result.
+   *
+   * @param {Array<any>} filespec An array containing the archive filename,
+   *        type and download monitor, (`[filename, type, monitor]`).
+   * @param {Archive} zipfile The archive to be packed.
+   * @param {function} resolve The function to be called with the operation
+   *        result status.
+   * @returns {function} A function that terminates the packing when called.
+   */
   static #deflate(filespec, zipfile, resolve) {
-    zip(zipfile.content, (error, data) =>
-      FileArchiver.#completion(filespec, error, data, resolve),
+    const type = filespec[1];
+    const callback = (error, data) =>
+      FileArchiver.#completion(filespec, error, data, resolve);
+    switch (type) {
+      case ARCHIVE.GZIP: {
+        let terminate = FileArchiver.#tar(zipfile.content, (error, data) => {
+          if (error) {
+            callback(error);
+          } else {
+            terminate = gzip(data, callback);
+          }
+        });
+        return () => terminate();
+      }
+      case ARCHIVE.TAR: {
+        return FileArchiver.#tar(zipfile.content, callback);
+      }
+      default: {
+        return zip(zipfile.content, callback);
+      }
+    }
+  }
+
+  /**
+   * (Private function) Packs the archive content into a POSIX (ustar) tar
+   * file.
+   *
+   * @param {Object} content The archive content, as returned by
+   *        `Archive.content`.
+   * @param {function} callback A callback function that will be called with
+   *        an error (if any) and the tar file data as a Uint8Array, following
+   *        the fflate callback convention.
+   * @returns {function} A function that, when called, prevents the callback
+   *          from being called.
+   */
+  static #tar(content, callback) {
+    let terminated = false;
+    const writer = new tarball.TarWriter();
+    FileArchiver.#addTarEntries(writer, content, "");
+    writer.write().then(
+      (data) => terminated || callback(undefined, data),
+      (error) => terminated || callback(error),
     );
+    return () => {
+      terminated = true;
+    };
+  }
+
+  /**
+   * (Private function) Recursively adds the folders and files of the archive
+   * content to a tar writer.
+   *
+   * @param {tarball.TarWriter} writer The tar writer.
+   * @param {Object} content The archive content (or a folder content).
+   * @param {string} path The path of the folder within the archive, with a
+   *        trailing slash, or an empty string for the root folder.
+   */
+  static #addTarEntries(writer, content, path) {
+    for (const [name, item] of Object.entries(content)) {
+      const pathname = `${path}${name}`;
+      if (item instanceof Uint8Array) {
+        writer.addFileArrayBuffer(pathname, item);
+      } else {
+        writer.addFolder(`${pathname}/`);
+        FileArchiver.#addTarEntries(writer, item, `${pathname}/`);
+      }
+    }
   }
 
   static #completion(filespec, error, data, resolve) {
-    const [filename, type] = filespec;
-    if (error) {
+    const [filename, type, monitor] = filespec;
+    if (monitor.aborted) {
+      resolve(FileSaver.cancel(filename));
+    } else if (error) {
       const message = `${error.code} - ${error.message}`;
       logger.error("FA201", `Failed to create archive: '${filename}'`);
       logger.debug("FA202", `${error.name}: ${message}`);
       resolve(FileSaver.error(filename, error));
     } else {
       logger.info("FA101", `Archive created: '${filename}'`);
+      monitor.notify(EVENT.PHASE, { phase: PHASE.SAVING });
       const content = new Blob([data], { type: ARC_MEDIA[type] });
       resolve(FileSaver.save(content, filename));
     }
   }
 
   /**
-   * (Private function) Creates a ZIP archive containing the provided entries
+   * (Private function) Creates the KML document of a KMZ archive, with a
+   * ground overlay for each entry with data the `groundOverlay` option
+   * describes.
+   *
+   * @param {Array<object>} entries An array of entries to be archived. See
+   *        `save` method for details.
+   * @param {string} filename The filename of the archive, the default name of
+   *        the document.
+   * @param {object} options (Optional) The archive options, with the
+   *        `groundOverlay` function and the `title` of the document.
+   * @returns {KmlDocument} The KML document.
+   */
+  static #createKml(entries, filename, options) {
+    const title = options?.title || filename.replace(/\.[^.]+$/, "");
+    const kml = new KmlDocument(title);
+    for (const entry of entries) {
+      const overlay = "data" in entry && options?.groundOverlay?.(entry);
+      if (overlay) {
+        const folder = entry.folder || SEQUENCE_FOLDER;
+        kml.add({ ...overlay, href: `${folder}/${entry.filename}` });
+      }
+    }
+    if (kml.length === 0) {
+      logger.warn(
+        "FA203",
+        `No ground overlays for the KML document: '${filename}'`,
+      );
+    }
+    return kml;
+  }
+
+  /**
+   * (Private function) Creates an archive containing the provided entries
    * and an optional readme.
    *
    * @param {Array<{data: Blob, filename: string, src?: string}>} entries
    *        An array of objects representing entries to be archived. See `save`
    *        method for details.
    * @param {string} readme Optional readme content to include in the archive.
-   * @returns {JSZip|undefined} A JSZip instance containing the archive or
-   *          undefined if no entries were archived.
+   * @param {Array<any>} extras An array containing the optional KML document
+   *        of the archive, the optional function returning the files to
+   *        archive next to an entry and the optional files to archive at the
+   *        root (`[kml, sidecars, attachments]`). See `save` method for
+   *        details.
+   * @returns {Archive} An Archive instance containing the KML document, the
+   *          archived entries, their sidecar files, the readme, the
+   *          attachments and the log file.
    */
-  static #createZip(entries, readme) {
+  static #createZip(entries, readme, extras) {
+    const [kml, sidecars, attachments] = extras;
     let count = 0;
     let empty = true;
     const zipfile = new Archive();
-    const sequence = zipfile.folder("SEQUENCE");
+    const folders = {};
+    if (kml?.length) {
+      // Google Earth reads the first KML document of the archive
+      zipfile.file(DOC_KML, kml.toString());
+    }
     for (const entry of entries) {
       empty = false;
       if ("data" in entry) {
-        sequence.file(entry.filename, entry.data);
+        const name = entry.folder || SEQUENCE_FOLDER;
+        folders[name] ??= zipfile.folder(name);
+        folders[name].file(entry.filename, entry.data);
         logger.info("FA001", `File archived: '${entry.filename}'`);
+        for (const [filename, data] of sidecars?.(entry) || []) {
+          folders[name].file(filename, data);
+          logger.debug("FA005", `Sidecar file archived: '${filename}'`);
+        }
         ++count;
       } else {
         logger.warn("FA002", `No data to archive: '${entry.filename}'`);
       }
     }
     if (count) {
-      if (readme) {
-        zipfile.file(README_TXT, readme);
-      }
+      FileArchiver.#addRootFiles(zipfile, readme, attachments);
     } else if (empty) {
       logger.info("FA003", "No entries to archive");
     } else {
@@ -348,6 +976,375 @@ class FileArchiver {
     }
     return zipfile;
   }
+
+  /**
+   * (Private function) Adds the readme and the attachments to the root of an
+   * archive.
+   *
+   * @param {Archive} zipfile The archive.
+   * @param {string} readme Optional readme content.
+   * @param {Array<[string, any]>} attachments Optional filename-content pairs
+   *        of the attachments.
+   */
+  static #addRootFiles(zipfile, readme, attachments) {
+    if (readme) {
+      zipfile.file(README_TXT, readme);
+    }
+    for (const [filename, data] of attachments || []) {
+      zipfile.file(filename, data);
+      logger.debug("FA006", `Attachment archived: '${filename}'`);
+    }
+  }
+}
+
+/**
+ * Error raised when a download attempt fails, telling the download queue
+ * whether the attempt may be retried.
+ */
+class DownloadError extends Error {
+  /**
+   * Constructs a DownloadError object.
+   *
+   * @param {string} message The error message.
+   * @param {boolean} retryable Whether the failed attempt may be retried
+   *        (e.g., `true` for 5xx responses, `false` for 404 responses).
+   */
+  constructor(message, retryable) {
+    super(message);
+    this.name = "DownloadError";
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Class to schedule download tasks with a bounded concurrency, a per-attempt
+ * timeout and retries with exponential backoff.
+ *
+ * The `options` object accepted by the constructor has the following
+ * properties, all of them optional:
+ *
+ * options = {
+ *   concurrency: {number}, // maximum number of simultaneous tasks
+ *   timeout: {number},     // time limit of each attempt, in milliseconds
+ *   retries: {number},     // number of retries after the first attempt
+ *   backoff: {number},     // delay before the first retry, in milliseconds,
+ *                          // doubled after each failed retry
+ *   signal: {AbortSignal}  // signal used to cancel all scheduled tasks
+ * }
+ */
+class DownloadQueue {
+  /**
+   * The default options for new download queues.
+   */
+  static #defaults = {
+    concurrency: 4,
+    timeout: 30_000,
+    retries: 3,
+    backoff: 1000,
+  };
+  #options;
+  #pending = [];
+  #active = 0;
+  /**
+   * (Private variable) The listener cancelling the queue when its signal
+   * aborts, registered only while the queue has tasks.
+   */
+  #onAbort;
+
+  /**
+   * Constructs a DownloadQueue object.
+   *
+   * @param {object} options (Optional) The queue options. See the class
+   *        description for details.
+   */
+  constructor(options) {
+    this.#options = { ...DownloadQueue.#defaults, ...options };
+  }
+
+  /**
+   * Schedules a download task.
+   *
+   * The task is a function that receives an `AbortSignal`, aborted when the
+   * attempt times out or the queue is cancelled, and returns a promise. An
+   * attempt is retried unless the promise rejects with an error whose
+   * `retryable` property is `false` (see `DownloadError`), no retries are left
+   * or the queue has been cancelled.
+   *
+   * @param {string} label A label identifying the task in the log (e.g., the
+   *        URL being downloaded).
+   * @param {function(AbortSignal): Promise<any>} task The download task.
+   * @returns {Promise<any>} A promise that resolves to the task result or
+   *          rejects with the error of the last failed attempt.
+   */
+  schedule(label, task) {
+    return new Promise((resolve, reject) => {
+      const signal = this.#options.signal;
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      this.#pending.push({ label, task, resolve, reject });
+      this.#watch();
+      this.#dispatch();
+    });
+  }
+
+  /**
+   * (Private function) Registers the listener cancelling the queue on its
+   * signal, unless it is already registered.
+   */
+  #watch() {
+    const signal = this.#options.signal;
+    if (!signal || this.#onAbort) {
+      return;
+    }
+    this.#onAbort = () => {
+      this.#onAbort = undefined;
+      this.#cancel();
+    };
+    signal.addEventListener("abort", this.#onAbort, { once: true });
+  }
+
+  /**
+   * (Private function) Removes the listener cancelling the queue once it has
+   * no running or pending tasks, so that a long-lived signal does not keep
+   * finished queues alive.
+   */
+  #unwatch() {
+    if (this.#active > 0 || this.#pending.length > 0 || !this.#onAbort) {
+      return;
+    }
+    this.#options.signal.removeEventListener("abort", this.#onAbort);
+    this.#onAbort = undefined;
+  }
+
+  /**
+   * (Private function) Rejects all pending tasks when the queue is cancelled.
+   * Running tasks are aborted through their attempt's signal.
+   */
+  #cancel() {
+    const reason = this.#options.signal.reason;
+    const pending = this.#pending.splice(0);
+    for (const job of pending) {
+      job.reject(reason);
+    }
+    logger.info("DQ002", `Queue cancelled: ${pending.length} tasks dropped`);
+  }
+
+  /**
+   * (Private function) Starts pending tasks while the concurrency limit
+   * allows it.
+   */
+  #dispatch() {
+    const concurrency = Math.max(1, this.#options.concurrency);
+    while (this.#active < concurrency && this.#pending.length > 0) {
+      const job = this.#pending.shift();
+      ++this.#active;
+      this.#execute(job.label, job.task)
+        .finally(() => {
+          --this.#active;
+          this.#dispatch();
+          this.#unwatch();
+        })
+        .then(job.resolve, job.reject);
+    }
+  }
+
+  /**
+   * (Private function) Runs a task, retrying failed attempts with an
+   * exponential backoff.
+   *
+   * @param {string} label A label identifying the task in the log.
+   * @param {function(AbortSignal): Promise<any>} task The download task.
+   * @returns {Promise<any>} A promise that resolves to the task result.
+   */
+  async #execute(label, task) {
+    const { retries, backoff, signal } = this.#options;
+    const attempts = retries + 1;
+    let attempt = 0;
+    while (true) {
+      ++attempt;
+      logger.debug("DQ001", `Attempt ${attempt}/${attempts}: '${label}'`);
+      try {
+        return await this.#attempt(task);
+      } catch (error) {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+        const retryable = error.retryable ?? true;
+        if (!retryable || attempt >= attempts) {
+          logger.warn("DQ102", `Attempt ${attempt} failed: '${label}'`);
+          throw error;
+        }
+        const delay = backoff * 2 ** (attempt - 1);
+        logger.warn(
+          "DQ101",
+          `Attempt ${attempt} failed: '${label}', retrying in ${delay} ms`,
+        );
+        await DownloadQueue.#sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * (Private function) Runs a single attempt of a task, aborting it when the
+   * timeout expires or the queue is cancelled.
+   *
+   * @param {function(AbortSignal): Promise<any>} task The download task.
+   * @returns {Promise<any>} A promise that resolves to the task result.
+   */
+  #attempt(task) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      const message = `Timeout after ${this.#options.timeout} ms`;
+      controller.abort(new DOMException(message, "TimeoutError"));
+    }, this.#options.timeout);
+    const signals = [controller.signal];
+    if (this.#options.signal) {
+      signals.push(this.#options.signal);
+    }
+    return task(AbortSignal.any(signals)).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * (Private function) Returns a promise that resolves after a delay, or
+   * rejects as soon as the operation is cancelled.
+   *
+   * @param {number} delay The delay in milliseconds.
+   * @param {AbortSignal} signal (Optional) The cancellation signal.
+   * @returns {Promise<void>} A promise that resolves after the delay.
+   */
+  static #sleep(delay, signal) {
+    return new Promise((resolve, reject) => {
+      const cancel = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", cancel);
+        resolve();
+      }, delay);
+      signal?.addEventListener("abort", cancel, { once: true });
+    });
+  }
+}
+
+/**
+ * Class to check which files of a sequence are available before downloading
+ * them, without transferring their contents.
+ *
+ * Each URL is probed with a HEAD request; servers that do not allow HEAD
+ * requests are probed with a GET request instead, whose body is discarded
+ * (images cannot be loaded in the service worker, see `JobScheduler`).
+ */
+class AvailabilityProbe {
+  /**
+   * Probes the availability of the specified URLs.
+   *
+   * @param {string[]} urls The URLs to probe.
+   * @param {object} params Options for the fetch requests (e.g., headers,
+   *        the `relay` flag of `FileDownloader.download`). The method is
+   *        always HEAD.
+   * @param {object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout), progress reporting and cancellation. See
+   *        `DownloadQueue` and `DownloadMonitor` classes for details.
+   * @returns {Promise<boolean[]>} A promise that resolves to an array with
+   *          the availability of each URL, in the same order. URLs that could
+   *          not be probed (e.g., network errors) are reported as missing.
+   */
+  static async probe(urls, params, options) {
+    const monitor = new DownloadMonitor(options);
+    const queue = new DownloadQueue(options);
+    params = { ...params, method: "HEAD" };
+    monitor.notify(EVENT.PHASE, { phase: PHASE.PROBING });
+    monitor.notify(EVENT.QUEUED, { count: urls.length });
+    const probes = urls.map((src) =>
+      AvailabilityProbe.#probe(src, params, queue, monitor),
+    );
+    return Promise.all(probes);
+  }
+
+  /**
+   * (Private function) Schedules the probe of the specified URL.
+   *
+   * @param {string} src The URL to probe.
+   * @param {object} params Options for the HEAD request.
+   * @param {DownloadQueue} queue The queue scheduling the probe.
+   * @param {DownloadMonitor} monitor The monitor of the probe operation.
+   * @returns {Promise<boolean>} A promise that resolves to `true` if the URL
+   *          is available, `false` otherwise.
+   */
+  static async #probe(src, params, queue, monitor) {
+    let available = false;
+    try {
+      available = await queue.schedule(src, (signal) =>
+        AvailabilityProbe.#request(src, { ...params, signal }),
+      );
+    } catch (error) {
+      if (!monitor.aborted) {
+        logger.warn("AP101", `Failed to probe: '${src}': ${error.message}`);
+      }
+    }
+    if (available) {
+      logger.debug("AP001", `File available: '${src}'`);
+      monitor.notify(EVENT.FETCHED, { src });
+    } else if (!monitor.aborted) {
+      logger.info("AP002", `File missing: '${src}'`);
+      monitor.notify(EVENT.FAILED, { src });
+    }
+    return available;
+  }
+
+  /**
+   * (Private function) Performs a single probe attempt for the specified URL.
+   *
+   * @param {string} src The URL to probe.
+   * @param {object} params Options for the HEAD request, including the
+   *        attempt's abort signal.
+   * @returns {Promise<boolean>} A promise that resolves to the availability
+   *          of the URL, or rejects if the attempt failed.
+   */
+  static async #request(src, params) {
+    const response = await (params.relay
+      ? ExtensionBridge.fetch(src, params)
+      : fetch(src, params));
+    if (response.ok) {
+      return true;
+    }
+    if (response.status === 405 || response.status === 501) {
+      logger.debug("AP102", `HEAD not allowed, requesting: '${src}'`);
+      return AvailabilityProbe.#get(src, params);
+    }
+    if (response.status >= 500) {
+      const statusMessage = `${response.status} ${response.statusText}`;
+      throw new DownloadError(statusMessage, true);
+    }
+    return false;
+  }
+
+  /**
+   * (Private function) Probes a URL with a GET request, discarding the body
+   * of the response as soon as it arrives. The request is aborted with the
+   * attempt's abort signal.
+   *
+   * @param {string} src The URL to probe.
+   * @param {object} params Options for the HEAD request, including the
+   *        attempt's abort signal.
+   * @returns {Promise<boolean>} A promise that resolves to the availability
+   *          of the URL, or rejects if the attempt failed.
+   */
+  static async #get(src, params) {
+    const get = { ...params, method: "GET" };
+    const response = await (params.relay
+      ? ExtensionBridge.fetch(src, get)
+      : fetch(src, get));
+    await response.body?.cancel();
+    if (response.status >= 500) {
+      const statusMessage = `${response.status} ${response.statusText}`;
+      throw new DownloadError(statusMessage, true);
+    }
+    return response.ok;
+  }
 }
 
 /**
@@ -364,148 +1361,414 @@ class FileDownloader {
    * filename and an optional readme.
    *
    * The `params` object can be used to specify options for the fetch requests
-   * and follows the usual fetch options format:
+   * and follows the usual fetch options format, with an optional `relay`
+   * flag to fetch the files through the extension (see
+   * `ExtensionBridge.fetch`), for origins that do not allow the page to read
+   * them (CORS):
    *
-   * params = { method: "GET", headers: { ... }, ... }
+   * params = { method: "GET", headers: { ... }, ..., relay: false }
    *
-   * @param {Array<[string, string]>} sequence An array of URL-filename pairs.
-   *        Each element represents a file to be downloaded. The first element
-   *        is the URL of the file, and the second element is the desired
-   *        filename for the downloaded content in the archive.
+   * @param {Array<[string, string, string?]>} sequence An array of
+   *        URL-filename pairs. Each element represents a file to be
+   *        downloaded. The first element is the URL of the file, and the
+   *        second element is the desired filename for the downloaded content
+   *        in the archive. An optional third element is the name of the
+   *        archive folder the file belongs to.
    * @param {string} filename The desired filename for the final archive.
    * @param {string} type The desired archive format for the downloaded files
    *        (e.g., "ZIP", "TAR", "GZIP").
    * @param {object} params Options for the fetch requests (e.g., method,
    *        headers).
    * @param {string} readme Optional readme content to include in the archive.
+   * @param {object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout), progress reporting and cancellation. See
+   *        `DownloadQueue` and `DownloadMonitor` classes for details.
    * @returns {Promise<object>} A promise that resolves to an object with the
    *          operation result status. See `FileSaver.save` method for details.
    */
-  static async download(sequence, filename, type, params, readme) {
-    const entries = await FileDownloader.#getData(sequence, params);
-    return FileArchiver.save(entries, filename, type, readme);
+  static async download(sequence, filename, type, params, readme, options) {
+    const monitor = new DownloadMonitor(options);
+    const entries = await FileDownloader.#getData(
+      sequence,
+      params,
+      options,
+      monitor,
+    );
+    if (monitor.aborted) {
+      return FileSaver.cancel(filename);
+    }
+    return FileArchiver.save(entries, filename, type, readme, options);
   }
 
   /**
-   * (Private function) Fetches the content from the specified URL and returns
-   * an object with the URL, filename, and downloaded data (if successful).
+   * (Private function) Schedules the download of the specified item and
+   * returns an object with the URL, filename, and downloaded data (if
+   * successful).
    *
-   * @param {Array<string>} item An array containing the URL and desired
-   *        filename, (`[URL, filename]`).
+   * @param {Array<string>} item An array containing the URL, desired
+   *        filename and optional folder, (`[URL, filename, folder]`).
    * @param {object} params Options for the fetch request (e.g., method,
    *        headers). See `download` method for details.
+   * @param {DownloadQueue} queue The queue scheduling the download.
+   * @param {DownloadMonitor} monitor The monitor of the download operation.
    * @returns {Promise<object>} A promise that resolves to an object with the
    *          URL, filename, and downloaded data (if successful). See
    *          `FileArchiver.save` method for details.
    */
-  static async #fetch(item, params) {
-    const src = item[0];
-    const filename = item[1];
-    let network_error = true;
-    let decoding_error = true;
+  static async #fetch(item, params, queue, monitor) {
+    const [src, filename, folder] = item;
     try {
-      const response = await fetch(src, params);
-      network_error = false;
-      const statusMessage = `${response.status} ${response.statusText}`;
-      if (!response.ok) {
-        decoding_error = false;
-        throw new Error(statusMessage);
-      }
-      const data = await response.arrayBuffer();
+      const data = await queue.schedule(src, (signal) =>
+        FileDownloader.#request(src, { ...params, signal }, monitor),
+      );
       logger.info("FD001", `File fetched: '${src}'`);
-      if (response.status === 200) {
-        logger.info("FD002", `Response status: ${statusMessage}`);
+      monitor.notify(EVENT.FETCHED, { src });
+      return { src, filename, folder, data };
+    } catch {
+      if (monitor.aborted) {
+        logger.info("FD105", `Fetch cancelled: '${src}'`);
       } else {
-        logger.warn("FD003", `Response status: ${statusMessage}`);
+        logger.error("FD101", `Failed to fetch: '${src}'`);
+        monitor.notify(EVENT.FAILED, { src });
       }
-      return { src, filename, data };
+      return { src, filename, folder };
+    }
+  }
+
+  /**
+   * (Private function) Performs a single fetch attempt for the specified URL.
+   *
+   * @param {string} src The URL of the file.
+   * @param {object} params Options for the fetch request, including the
+   *        attempt's abort signal.
+   * @param {DownloadMonitor} monitor The monitor of the download operation.
+   * @returns {Promise<ArrayBuffer>} A promise that resolves to the file
+   *          content, or rejects if the attempt failed.
+   */
+  static async #request(src, params, monitor) {
+    let response;
+    try {
+      response = await (params.relay
+        ? ExtensionBridge.fetch(src, params)
+        : fetch(src, params));
     } catch (error) {
-      logger.error("FD101", `Failed to fetch: '${src}'`);
-      if (network_error) {
-        logger.debug("FD104", `Network error: '${error.message}'`);
-      } else if (decoding_error) {
-        logger.debug("FD103", `Decoding error: '${error.message}'`);
+      logger.debug("FD104", `Network error: '${error.message}'`);
+      throw error;
+    }
+    const statusMessage = `${response.status} ${response.statusText}`;
+    if (!response.ok) {
+      logger.debug("FD102", `HTTP error: ${statusMessage}`);
+      throw new DownloadError(statusMessage, response.status >= 500);
+    }
+    let data;
+    try {
+      const blob = await monitor.read(response);
+      data = await blob.arrayBuffer();
+    } catch (error) {
+      logger.debug("FD103", `Decoding error: '${error.message}'`);
+      throw error;
+    }
+    if (response.status === 200) {
+      logger.info("FD002", `Response status: ${statusMessage}`);
+    } else {
+      logger.warn("FD003", `Response status: ${statusMessage}`);
+    }
+    return data;
+  }
+
+  /**
+   * (Private function) Schedules all items in the sequence in a download
+   * queue and returns an array of objects containing the URL, filename, and
+   * downloaded data (if successful).
+   *
+   * @param {Array<[string, string, string?]>} sequence An array of
+   *        URL-filename pairs. See `download` method for details.
+   * @param {object} params Options for the fetch requests (e.g., method,
+   *        headers). See `download` method for details.
+   * @param {object} options Options for the download queue. See
+   *        `DownloadQueue` class for details.
+   * @param {DownloadMonitor} monitor The monitor of the download operation.
+   * @returns {Promise<Array<object>>} A promise that resolves to an array of
+   *          objects representing the downloaded entries.
+   */
+  static #getData(sequence, params, options, monitor) {
+    const loaders = [];
+    const queue = new DownloadQueue(options);
+    params = params || { method: "GET" };
+    monitor.notify(EVENT.PHASE, { phase: PHASE.DOWNLOADING });
+    monitor.notify(EVENT.QUEUED, { count: sequence.length });
+    for (const item of sequence) {
+      loaders.push(FileDownloader.#fetch(item, params, queue, monitor));
+    }
+    return Promise.all(loaders);
+  }
+}
+
+/**
+ * Class for asynchronously loading images from URLs.
+ */
+class ImageLoader {
+  /**
+   * Loads a sequence of images from the provided URLs.
+   *
+   * @param {Array<[string, string, string?]>} sequence An array of
+   *        URL-filename pairs. Each element represents an image to be
+   *        downloaded. The first element is the URL of the image file, and the
+   *        second element is the desired filename for the downloaded image
+   *        file. An optional third element is the name of the archive folder
+   *        the image belongs to.
+   * @param {object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout), progress reporting and cancellation. See
+   *        `DownloadQueue` and `DownloadMonitor` classes for details.
+   * @returns {Promise<Array<object>>} A promise that resolves to an array of
+   *          objects representing the loaded images. Each object has the URL,
+   *          filename, and downloaded data (if successful). See
+   *          `FileArchiver.save` method for details.
+   */
+  static load(sequence, options) {
+    const loaders = [];
+    const queue = new DownloadQueue(options);
+    const monitor = new DownloadMonitor(options);
+    monitor.notify(EVENT.PHASE, { phase: PHASE.DOWNLOADING });
+    monitor.notify(EVENT.QUEUED, { count: sequence.length });
+    for (const item of sequence) {
+      loaders.push(ImageLoader.#fetch(item, queue, monitor));
+    }
+    return Promise.all(loaders);
+  }
+
+  /**
+   * (Private function) Schedules the loading of a single image from the
+   * specified URL and returns a promise that resolves to an object containing
+   * the image data.
+   *
+   * @param {Array<string>} item An array containing the URL, desired
+   *        filename and optional folder, (`[URL, filename, folder]`).
+   * @param {DownloadQueue} queue The queue scheduling the download.
+   * @param {DownloadMonitor} monitor The monitor of the download operation.
+   * @returns {Promise<object>} A promise that resolves to an object with the
+   *          URL, filename, and downloaded data (if successful). See
+   *          `FileArchiver.save` method for details.
+   */
+  static async #fetch(item, queue, monitor) {
+    const [src, filename, folder] = item;
+    try {
+      const data = await queue.schedule(src, (signal) =>
+        ImageLoader.#request(src, signal, monitor),
+      );
+      logger.info("IL001", `Image loaded: '${src}'`);
+      monitor.notify(EVENT.FETCHED, { src });
+      return { src, filename, folder, data };
+    } catch (error) {
+      if (monitor.aborted) {
+        logger.info("IL102", `Aborted loading: '${src}'`);
       } else {
-        logger.debug("FD102", `HTTP error: ${error.message}`);
+        logger.error("IL101", `Failed to load: '${src}'`);
+        logger.debug("IL103", `${error.name}: ${error.message}`);
+        monitor.notify(EVENT.FAILED, { src });
       }
-      return { src, filename };
+      return { src, filename, folder };
     }
   }
 
   /**
-   * (Private function) Fetches all items in the sequence concurrently and
-   * returns an array of objects containing the URL, filename, and downloaded
-   * data (if successful).
+   * (Private function) Performs a single attempt to fetch and decode an
+   * image.
+   *
+   * The image is fetched, rather than loaded directly by an `Image` element,
+   * so that HTTP errors can be told apart from network errors, and the
+   * attempt can be aborted.
+   *
+   * @param {string} src The URL of the image.
+   * @param {AbortSignal} signal The attempt's abort signal.
+   * @param {DownloadMonitor} monitor The monitor of the download operation.
+   * @returns {Promise<Image>} A promise that resolves to the decoded image.
+   */
+  static async #request(src, signal, monitor) {
+    const response = await fetch(src, { method: "GET", signal });
+    if (!response.ok) {
+      const statusMessage = `${response.status} ${response.statusText}`;
+      throw new DownloadError(statusMessage, response.status >= 500);
+    }
+    const blob = await monitor.read(response);
+    return ImageLoader.#decode(blob);
+  }
+
+  /**
+   * (Private function) Decodes an image from its binary content.
+   *
+   * @param {Blob} blob The image content.
+   * @returns {Promise<Image>} A promise that resolves to the decoded image.
+   */
+  static #decode(blob) {
+    return new Promise((resolve, reject) => {
+      const objectURL = URL.createObjectURL(blob);
+      const img = new Image();
+      img.addEventListener("load", () => {
+        URL.revokeObjectURL(objectURL);
+        resolve(img);
+      });
+      img.addEventListener("error", () => {
+        URL.revokeObjectURL(objectURL);
+        reject(new DownloadError("Unable to decode image", false));
+      });
+      img.src = objectURL;
+    });
+  }
+}
+
+/**
+ * Class describing the part of a source image drawn on an output image or
+ * video frame (the crop rectangle) and its scale. The same region is applied
+ * to every image of a sequence.
+ *
+ * The options object supports the following properties:
+ *
+ * options = {
+ *   crop: {
+ *     x: {number},
+ *     y: {number},
+ *     width: {number},
+ *     height: {number},
+ *     relative: {boolean}, // values are fractions of the image size (0..1)
+ *                          // instead of pixels, defaults to `false`
+ *   },
+ *   scale: {number},       // output size factor, defaults to 1
+ * }
+ *
+ * Without a crop rectangle the whole image is drawn. The rectangle is
+ * clipped to the image bounds.
+ */
+class FrameRegion {
+  /**
+   * (Private variable) The source rectangle, in image pixels
+   * (`[x, y, width, height]`).
+   */
+  #source;
+  /**
+   * (Private variable) The size of the source image, in pixels
+   * (`[width, height]`).
+   */
+  #imageSize;
+  /**
+   * (Private variable) The width of the output, in pixels.
+   */
+  #width;
+  /**
+   * (Private variable) The height of the output, in pixels.
+   */
+  #height;
+
+  /**
+   * Constructs a FrameRegion object for images of the size of the given one.
+   *
+   * @param {Image} image The image the region refers to.
+   * @param {object} options (Optional) The crop rectangle and scale. See the
+   *        class description for details.
+   */
+  constructor(image, options) {
+    const { crop, scale = 1 } = options || {};
+    this.#source = FrameRegion.#clip(image, crop);
+    this.#imageSize = [image.width, image.height];
+    this.#width = Math.max(1, Math.round(this.#source[2] * scale));
+    this.#height = Math.max(1, Math.round(this.#source[3] * scale));
+  }
+
+  /**
+   * Gets the width of the output image, in pixels.
+   *
+   * @returns {number} The output width.
+   */
+  get width() {
+    return this.#width;
+  }
+
+  /**
+   * Gets the height of the output image, in pixels.
+   *
+   * @returns {number} The output height.
+   */
+  get height() {
+    return this.#height;
+  }
+
+  /**
+   * Gets the source rectangle as fractions of the source image size (e.g.,
+   * to locate the output within a georeferenced image).
+   *
+   * @returns {number[]} The relative source rectangle,
+   *          `[x, y, width, height]`.
+   */
+  get relativeSource() {
+    const [width, height] = this.#imageSize;
+    const [x, y, w, h] = this.#source;
+    return [x / width, y / height, w / width, h / height];
+  }
+
+  /**
+   * Gets the source rectangle, in pixels of the source image.
+   *
+   * @returns {number[]} The source rectangle, `[x, y, width, height]`.
+   */
+  get source() {
+    return [...this.#source];
+  }
+
+  /**
+   * Converts a position in pixels of the source image to pixels of the
+   * output image (e.g., to draw over the output what was found on the
+   * source).
    *
-   * @param {Array<[string, string]>} sequence An array of URL-filename pairs.
-   * @param {object} params Options for the fetch requests (e.g., method,
-   *        headers). See `download` method for details.
-   * @returns {Promise<Array<object>>} A promise that resolves to an array of
-   *          objects representing the downloaded entries.
+   * @param {number} x The horizontal position in the source image.
+   * @param {number} y The vertical position in the source image.
+   * @returns {[number, number]} The position in the output image, possibly
+   *          outside it.
    */
-  static #getData(sequence, params) {
-    const loaders = [];
-    params = params || { method: "GET" };
-    for (const item of sequence) {
-      loaders.push(FileDownloader.#fetch(item, params));
-    }
-    return Promise.all(loaders);
+  project(x, y) {
+    const [left, top, width, height] = this.#source;
+    return [
+      ((x - left) * this.#width) / width,
+      ((y - top) * this.#height) / height,
+    ];
   }
-}
 
-/**
- * Class for asynchronously loading images from URLs.
- */
-class ImageLoader {
   /**
-   * Loads a sequence of images from the provided URLs.
+   * Draws the region of an image, scaled, at the top left corner of the
+   * canvas of the given context.
    *
-   * @param {Array<[string, string]>} sequence An array of URL-filename pairs.
-   *        Each element represents an image to be downloaded. The first
-   *        element is the URL of the image file, and the second element is the
-   *        desired filename for the downloaded image file.
-   * @returns {Promise<Array<object>>} A promise that resolves to an array of
-   *          objects representing the loaded images. Each object has the URL,
-   *          filename, and downloaded data (if successful). See
-   *          `FileArchiver.save` method for details.
+   * @param {CanvasRenderingContext2D} context The context to draw on.
+   * @param {Image} image The image to draw.
    */
-  static load(sequence) {
-    const loaders = [];
-    for (const item of sequence) {
-      loaders.push(ImageLoader.#fetch(item));
-    }
-    return Promise.all(loaders);
+  draw(context, image) {
+    context.imageSmoothingQuality = "high";
+    context.drawImage(image, ...this.#source, 0, 0, this.#width, this.#height);
   }
 
   /**
-   * (Private function) Fetches a single image from the specified URL and
-   * returns a promise that resolves to an object containing the image data.
+   * (Private function) Converts a crop rectangle to image pixels and clips
+   * it to the image bounds.
    *
-   * @param {Array<string>} item An array containing the URL and desired
-   *        filename, (`[URL, filename]`).
-   * @returns {Promise<object>} A promise that resolves to an object with the
-   *          URL, filename, and downloaded data (if successful). See
-   *          `FileArchiver.save` method for details.
+   * @param {Image} image The image the rectangle refers to.
+   * @param {object} crop (Optional) The crop rectangle.
+   * @returns {number[]} The source rectangle, `[x, y, width, height]`; the
+   *          whole image if there is no rectangle or it falls outside the
+   *          image.
    */
-  static #fetch(item) {
-    const src = item[0];
-    const filename = item[1];
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.addEventListener("load", () => {
-        logger.info("IL001", `Image loaded: '${src}'`);
-        resolve({ src, filename, data: img });
-      });
-      img.addEventListener("error", () => {
-        logger.error("IL101", `Failed to load: '${src}'`);
-        resolve({ src, filename });
-      });
-      img.addEventListener("abort", () => {
-        logger.info("IL102", `Aborted loading: '${src}'`);
-        resolve({ src, filename });
-      });
-      img.src = src;
-    });
+  static #clip(image, crop) {
+    const { width, height } = image;
+    if (!crop) {
+      return [0, 0, width, height];
+    }
+    const [sx, sy] = crop.relative ? [width, height] : [1, 1];
+    const left = Math.max(0, Math.round(crop.x * sx));
+    const top = Math.max(0, Math.round(crop.y * sy));
+    const right = Math.min(width, Math.round((crop.x + crop.width) * sx));
+    const bottom = Math.min(height, Math.round((crop.y + crop.height) * sy));
+    if (right <= left || bottom <= top) {
+      logger.warn("FR201", "Crop rectangle outside the image, ignored");
+      return [0, 0, width, height];
+    }
+    return [left, top, right - left, bottom - top];
   }
 }
 
@@ -528,28 +1791,72 @@ class ImageDownloader {
    * @param {string} arctype The desired archive format for the downloaded
    *        files (e.g., "ZIP", "TAR", "GZIP").
    * @param {string} readme Optional readme content to include in the archive.
+   * @param {object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout), progress reporting and cancellation. See
+   *        `DownloadQueue` and `DownloadMonitor` classes for details. An
+   *        optional `overlay` function, `overlay(context, filename, region)`,
+   *        is called to draw over each image before encoding it, and the
+   *        optional `crop` rectangle and `scale` select the part of the
+   *        images to keep (see `FrameRegion`). An optional `analyze`
+   *        function, `analyze(entries)`, is called with the loaded images
+   *        before encoding them (e.g., to find what the overlay marks on
+   *        them) and returns, or resolves to, the additional entries to
+   *        archive with the images (e.g., a report of the analysis).
    * @returns {Promise<object>} A promise that resolves to an object with the
    *          operation result status. See `FileSaver.save` method for details.
    */
-  static async download(sequence, filename, imgtype, arctype, readme) {
-    let entries = await ImageLoader.load(sequence);
-    entries = await ImageDownloader.#encodeData(entries, imgtype);
-    return FileArchiver.save(entries, filename, arctype, readme);
+  static async download(sequence, filename, imgtype, arctype, readme, options) {
+    const monitor = new DownloadMonitor(options);
+    let entries = await ImageLoader.load(sequence, options);
+    if (monitor.aborted) {
+      return FileSaver.cancel(filename);
+    }
+    let extras = [];
+    if (options?.analyze) {
+      monitor.notify(EVENT.PHASE, { phase: PHASE.ANALYZING });
+      try {
+        extras = (await options.analyze(entries)) || [];
+      } catch (error) {
+        logger.error("ID104", `Image analysis failed: '${filename}'`);
+        logger.debug("ID105", `Failed to analyze images: ${error.message}`);
+        return FileSaver.error(filename, error);
+      }
+      if (monitor.aborted) {
+        return FileSaver.cancel(filename);
+      }
+    }
+    monitor.notify(EVENT.PHASE, { phase: PHASE.ENCODING });
+    entries = await ImageDownloader.#encodeData(entries, imgtype, [
+      monitor,
+      options,
+    ]);
+    if (monitor.aborted) {
+      return FileSaver.cancel(filename);
+    }
+    return FileArchiver.save(
+      [...entries, ...extras],
+      filename,
+      arctype,
+      readme,
+      options,
+    );
   }
 
   /**
-   * (Private function) Draws an image onto a canvas element.
+   * (Private function) Draws a region of an image onto a canvas element of
+   * the region size.
    *
    * @param {Image} image The image to be drawn.
+   * @param {FrameRegion} region The region of the image to draw.
    * @returns {HTMLCanvasElement} The canvas element containing the drawn
    *          image.
    */
-  static #drawImage(image) {
+  static #drawImage(image, region) {
     const canvas = document.createElement("canvas");
-    canvas.width = image.width;
-    canvas.height = image.height;
+    canvas.width = region.width;
+    canvas.height = region.height;
     const context = canvas.getContext("2d");
-    context.drawImage(image, 0, 0);
+    region.draw(context, image);
     return canvas;
   }
 
@@ -562,17 +1869,30 @@ class ImageDownloader {
    *        for details.
    * @param {string} type The desired image format for encoding (e.g., ".png",
    *        ".jpeg", ".webp").
+   * @param {Array<any>} encspec An array containing the monitor of the
+   *        download operation and the download options, with the optional
+   *        overlay function and region (`[monitor, options]`). Encoding stops
+   *        as soon as the operation is cancelled.
    * @returns {Promise<Array<object>>} A promise that resolves to an array of
    *          entries with the encoded image data.
    */
-  static #encodeData(entries, type) {
-    const encoders = [];
+  static async #encodeData(entries, type, encspec) {
+    const [monitor, options] = encspec;
+    const encoded = [];
     for (const entry of entries) {
+      if (monitor.aborted) {
+        logger.info("ID103", "Image encoding cancelled");
+        break;
+      }
       if ("data" in entry) {
         try {
-          const encoder = ImageDownloader.#encodeImage(entry, type);
+          const image = await ImageDownloader.#encodeImage(
+            entry,
+            type,
+            options,
+          );
+          encoded.push(image);
           logger.info("ID001", `Image encoded: '${entry.filename}'`);
-          encoders.push(encoder);
         } catch (error) {
           logger.error("ID101", `Image encoding failed: '${entry.filename}'`);
           logger.debug("ID102", `Failed to encode image: ${error.message}`);
@@ -581,10 +1901,10 @@ class ImageDownloader {
         logger.warn("ID201", `No image data to encode: '${entry.filename}'`);
       }
     }
-    if (encoders.length === 0) {
+    if (encoded.length === 0) {
       logger.info("ID202", "No images encoded");
     }
-    return Promise.all(encoders);
+    return encoded;
   }
 
   /**
@@ -593,22 +1913,220 @@ class ImageDownloader {
    * @param {Image} image The image to be encoded.
    * @param {string} type The desired image format (e.g., ".png", ".jpeg",
    *        ".webp").
+   * @param {object} options (Optional) The download options, with the
+   *        optional function drawing over the image before encoding it
+   *        (`overlay`) and the region to keep (`crop` and `scale`).
    * @returns {Promise<object>} A promise that resolves to an object with the
-   *          encoded image data as an array buffer.
+   *          encoded image data as an array buffer and the region of the
+   *          source image it holds (`region`, see `FrameRegion`).
    */
-  static async #encodeImage(entry, type) {
-    const canvas = ImageDownloader.#drawImage(entry.data);
+  static async #encodeImage(entry, type, options) {
+    const region = new FrameRegion(entry.data, options);
+    const canvas = ImageDownloader.#drawImage(entry.data, region);
+    options?.overlay?.(canvas.getContext("2d"), entry.filename, region);
     const mimeType = IMG_MEDIA[type];
     const dataURI = canvas.toDataURL(mimeType);
     const response = await fetch(dataURI);
     entry.data = await response.arrayBuffer();
+    entry.region = region;
     return entry;
   }
 }
 
+/**
+ * Class for downloading a sequence of images, converting their pixels to
+ * data files (e.g., a grid of values decoded from the colors of the images)
+ * and creating an archive with an optional readme.
+ */
+class PixelDownloader {
+  /**
+   * Downloads a sequence of images, converts their pixels to data files with
+   * the `convert` function of the options, and creates an archive with the
+   * specified filename and an optional readme.
+   *
+   * The `convert` function, `convert(pixels, entry)`, receives the pixels of
+   * each image (`ImageData`) and its entry, with the region of the image the
+   * pixels were taken from (`region`, see `FrameRegion`), and returns the
+   * files to archive for it, as filename-content pairs. Only the `crop`
+   * rectangle of the options applies: scaling would blend the colors of the
+   * images.
+   *
+   * @param {Array<[string, string]>} sequence An array of URL-filename pairs.
+   *        See `ImageDownloader.download` method for details.
+   * @param {string} filename The desired filename for the final archive.
+   * @param {string} arctype The desired archive format for the data files
+   *        (e.g., "ZIP", "TAR", "GZIP").
+   * @param {string} readme Optional readme content to include in the archive.
+   * @param {object} options Options for the download queue (e.g.,
+   *        concurrency, timeout), progress reporting and cancellation, the
+   *        `convert` function and the optional `crop` rectangle.
+   * @returns {Promise<object>} A promise that resolves to an object with the
+   *          operation result status. See `FileSaver.save` method for details.
+   */
+  static async download(sequence, filename, arctype, readme, options) {
+    const monitor = new DownloadMonitor(options);
+    const entries = await ImageLoader.load(sequence, options);
+    if (monitor.aborted) {
+      return FileSaver.cancel(filename);
+    }
+    monitor.notify(EVENT.PHASE, { phase: PHASE.ENCODING });
+    const converted = await PixelDownloader.#convertData(entries, [
+      monitor,
+      options,
+    ]);
+    if (monitor.aborted) {
+      return FileSaver.cancel(filename);
+    }
+    return FileArchiver.save(converted, filename, arctype, readme, options);
+  }
+
+  /**
+   * (Private function) Converts the pixels of the images in the provided
+   * entries to data files.
+   *
+   * @param {Array<object>} entries An array of entries, each with a `data`
+   *        property containing the image. See `FileArchiver.save` method for
+   *        details.
+   * @param {Array<any>} convspec An array containing the monitor of the
+   *        download operation and the download options, with the `convert`
+   *        function and the crop rectangle (`[monitor, options]`). Conversion
+   *        stops as soon as the operation is cancelled.
+   * @returns {Promise<Array<object>>} A promise that resolves to an array of
+   *          entries with the data files.
+   */
+  static async #convertData(entries, convspec) {
+    const [monitor, options] = convspec;
+    const converted = [];
+    for (const entry of entries) {
+      // Let the page update the progress between images
+      await new Promise((resolve) => setTimeout(resolve));
+      if (monitor.aborted) {
+        logger.info("PD103", "Image conversion cancelled");
+        break;
+      }
+      if ("data" in entry) {
+        try {
+          const files = PixelDownloader.#convertImage(entry, options);
+          for (const [filename, data] of files) {
+            converted.push({ ...entry, filename, data });
+          }
+          logger.info("PD001", `Image converted: '${entry.filename}'`);
+        } catch (error) {
+          logger.error("PD101", `Image conversion failed: '${entry.filename}'`);
+          logger.debug("PD102", `Failed to convert image: ${error.message}`);
+        }
+      } else {
+        logger.warn("PD201", `No image data to convert: '${entry.filename}'`);
+      }
+    }
+    if (converted.length === 0) {
+      logger.info("PD202", "No images converted");
+    }
+    return converted;
+  }
+
+  /**
+   * (Private function) Reads the pixels of the requested region of an image
+   * and converts them to data files.
+   *
+   * @param {object} entry The entry of the image. See `FileArchiver.save`
+   *        method for details.
+   * @param {object} options The download options, with the `convert`
+   *        function and the optional crop rectangle.
+   * @returns {Array<[string, any]>} The filename-content pairs of the data
+   *          files.
+   */
+  static #convertImage(entry, options) {
+    const region = new FrameRegion(entry.data, { crop: options.crop });
+    const canvas = document.createElement("canvas");
+    canvas.width = region.width;
+    canvas.height = region.height;
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    region.draw(context, entry.data);
+    const pixels = context.getImageData(0, 0, region.width, region.height);
+    entry.region = region;
+    return options.convert(pixels, entry);
+  }
+}
+
+/**
+ * Class for downloading a sequence of images, sampling a location on each of
+ * them and creating an archive with the time series of its values (CSV) and
+ * its chart (PNG), with an optional readme.
+ */
+class SeriesDownloader {
+  /**
+   * Downloads a sequence of images, samples the location given in the
+   * options on each of them, and creates an archive with the specified
+   * filename with the time series and its chart, named after the archive.
+   *
+   * @param {Array<[string, string]>} sequence An array of URL-filename pairs.
+   *        See `ImageDownloader.download` method for details.
+   * @param {string} filename The desired filename for the final archive.
+   * @param {string} arctype The desired archive format (e.g., "ZIP", "TAR",
+   *        "GZIP").
+   * @param {string} readme Optional readme content to include in the archive.
+   * @param {object} options Options for the download queue (e.g.,
+   *        concurrency, timeout), progress reporting and cancellation, the
+   *        location and the decoding and timing functions (see `TimeSeries`),
+   *        the `chart` options (see `SeriesChart`), an optional `comment` on
+   *        the values written first in the CSV file, and an optional
+   *        `onSeries` function, `onSeries(series, chart)`, called with the
+   *        series and the canvas of its chart before archiving them.
+   * @returns {Promise<object>} A promise that resolves to an object with the
+   *          operation result status. See `FileSaver.save` method for details.
+   */
+  static async download(sequence, filename, arctype, readme, options) {
+    const monitor = new DownloadMonitor(options);
+    const entries = await ImageLoader.load(sequence, options);
+    if (monitor.aborted) {
+      return FileSaver.cancel(filename);
+    }
+    monitor.notify(EVENT.PHASE, { phase: PHASE.ENCODING });
+    let files;
+    try {
+      const series = TimeSeries.sample(entries, options);
+      const { length } = series.samples;
+      logger.info(
+        "SD001",
+        `Series sampled: ${length} frames, ${series.missing} missing`,
+      );
+      const chart = SeriesChart.render(series, options.chart);
+      options.onSeries?.(series, chart);
+      const response = await fetch(chart.toDataURL(IMG_MEDIA.PNG));
+      const basename = SeriesDownloader.#basename(filename, arctype);
+      files = [
+        { filename: `${basename}.csv`, data: series.toCSV(options.comment) },
+        { filename: `${basename}.png`, data: await response.arrayBuffer() },
+      ];
+    } catch (error) {
+      logger.error("SD101", `Series sampling failed: '${filename}'`);
+      logger.debug("SD102", `Failed to sample series: ${error.message}`);
+      return FileSaver.error(filename, error);
+    }
+    return FileArchiver.save(files, filename, arctype, readme, options);
+  }
+
+  /**
+   * (Private function) Removes the extension of the archive format from an
+   * archive filename.
+   *
+   * @param {string} filename The archive filename.
+   * @param {string} arctype The archive format.
+   * @returns {string} The filename without the extension.
+   */
+  static #basename(filename, arctype) {
+    const extension = ARC_TYPE[arctype] || "";
+    return filename.endsWith(extension)
+      ? filename.slice(0, filename.length - extension.length)
+      : filename;
+  }
+}
+
 /**
  * Class responsible for animating a sequence of images and capturing video
- * frames.
+ * frames. Recording runs in real time, so it is only used when WebCodecs
+ * cannot encode the video (see `FrameEncoder`).
  */
 class Animator {
   /**
@@ -667,6 +2185,19 @@ class Animator {
    * (Private variable) Flag to trigger video capture initiation.
    */
   #capture = false;
+  /**
+   * (Private variable) Holds the identifier of the pending animation frame
+   * request.
+   */
+  #frameRequest;
+  /**
+   * (Private field) Optional function drawing over each frame.
+   */
+  #decorate;
+  /**
+   * (Private field) The region of the images drawn on each frame.
+   */
+  #region;
 
   /**
    * Constructs an Animator instance to animate a sequence of images at the
@@ -675,12 +2206,18 @@ class Animator {
    * @param {Array<Image>} images An array of image objects representing the
    *        video frames.
    * @param {number} fps The desired frames per second for the video animation.
+   * @param {function(CanvasRenderingContext2D, number)} decorate (Optional) A
+   *        function drawing over each frame, given the frame index.
+   * @param {FrameRegion} region (Optional) The region of the images drawn on
+   *        each frame, defaults to the whole first image.
    */
-  constructor(images, fps) {
+  constructor(images, fps, decorate, region) {
     this.#lapse = 1000 / fps;
     this.#last = images.length - 1;
 
     this.#images = images;
+    this.#decorate = decorate;
+    this.#region = region || new FrameRegion(images[0]);
 
     this.#canvas = this.#createCanvas();
     this.#context = this.#canvas.getContext("2d");
@@ -710,6 +2247,17 @@ class Animator {
     this.#animate(document.timeline.currentTime);
   }
 
+  /**
+   * Stops the animation loop and discards any video capture in progress.
+   */
+  stop() {
+    cancelAnimationFrame(this.#frameRequest);
+    if (this.#recorder?.state === "recording") {
+      this.#recorder.onstop = undefined;
+      this.#recorder.stop();
+    }
+  }
+
   #animate(currentTime) {
     const elapsedTime = currentTime - this.#lastDraw;
 
@@ -738,7 +2286,7 @@ class Animator {
       this.#currentImage = nextImage % this.#images.length;
     }
 
-    requestAnimationFrame(this.#animate.bind(this));
+    this.#frameRequest = requestAnimationFrame(this.#animate.bind(this));
   }
 
   /**
@@ -752,15 +2300,15 @@ class Animator {
 
   /**
    * (Private function) Creates a canvas element with dimensions based on the
-   * first image of th sequence.
+   * region drawn from the images of the sequence.
    *
    * @returns {HTMLCanvasElement} A newly created canvas element.
    */
   #createCanvas() {
     const canvas = document.createElement("canvas");
 
-    canvas.width = this.#images[0].width;
-    canvas.height = this.#images[0].height;
+    canvas.width = this.#region.width;
+    canvas.height = this.#region.height;
 
     return canvas;
   }
@@ -812,7 +2360,198 @@ class Animator {
    */
   #updateFrame() {
     this.#context.clearRect(0, 0, this.#canvas.width, this.#canvas.height);
-    this.#context.drawImage(this.#images[this.#currentImage], 0, 0);
+    this.#region.draw(this.#context, this.#images[this.#currentImage]);
+    this.#decorate?.(this.#context, this.#currentImage);
+  }
+}
+
+/**
+ * Class to encode a sequence of images into a video with the WebCodecs
+ * `VideoEncoder`, muxed into the container of the video type.
+ *
+ * Every image becomes exactly one frame with an explicit timestamp, so the
+ * result does not depend on the timing of the page (e.g., background tabs)
+ * as a live canvas recording does: a loop of N frames at F fps always has N
+ * frames and lasts N/F seconds.
+ */
+class FrameEncoder {
+  /**
+   * The codecs to try for each video type, in order of preference.
+   */
+  static #codecs = dict(VIDEOS, [
+    ["avc1.640033", "avc1.4d0033", "avc1.420033"],
+    ["avc1.640033", "avc1.4d0033", "avc1.420033"],
+    ["vp09.00.51.08", "vp8"],
+  ]);
+  /**
+   * The interval between key frames, in seconds.
+   */
+  static #keyInterval = 2;
+
+  /**
+   * Encodes the provided images into a video using the specified frame rate
+   * and format.
+   *
+   * @param {Array<Image>} images An array of image objects representing the
+   *        video frames.
+   * @param {number} fps The desired frames per second for the video.
+   * @param {string} type The desired video format (e.g., "MP4", "WEBM").
+   * @param {Array<any>} encspec An array containing the monitor of the
+   *        download operation, the optional function drawing over each frame
+   *        and the optional region of the images drawn on each frame,
+   *        (`[monitor, decorate, region]`). The encoding is stopped as soon as
+   *        the operation is cancelled.
+   * @returns {Promise<Blob>} A promise that resolves to a Blob containing the
+   *          encoded video data, or to undefined if the browser does not
+   *          support any codec of the video type; rejects if the encoding
+   *          fails or is cancelled.
+   */
+  static async encode(images, fps, type, encspec) {
+    const [monitor, decorate, region = new FrameRegion(images[0])] = encspec;
+    const canvas = document.createElement("canvas");
+    // 4:2:0 chroma subsampling requires even dimensions
+    canvas.width = region.width + (region.width % 2);
+    canvas.height = region.height + (region.height % 2);
+    const config = await FrameEncoder.#configure(type, canvas, fps);
+    if (!config) {
+      return;
+    }
+    logger.info("FE001", `Encoding video with codec '${config.codec}'`);
+
+    const muxer = FrameEncoder.#createMuxer(type, config);
+    let failure;
+    const encoder = new VideoEncoder({
+      output: (chunk, metadata) => muxer.add(chunk, metadata),
+      error: (error) => (failure = error),
+    });
+    encoder.configure(config);
+    try {
+      await FrameEncoder.#encodeFrames(encoder, images, fps, [
+        canvas,
+        monitor,
+        decorate,
+        region,
+      ]);
+      if (!failure) {
+        await encoder.flush();
+      }
+    } finally {
+      if (encoder.state !== "closed") {
+        encoder.close();
+      }
+    }
+    if (failure) {
+      throw failure;
+    }
+    const mimeType = VID_MEDIA[type].split(";")[0];
+    return new Blob([muxer.finalize()], { type: mimeType });
+  }
+
+  /**
+   * (Private function) Creates the muxer of the container of a video type.
+   *
+   * @param {string} type The video format (e.g., "MP4", "WEBM").
+   * @param {object} config The encoder configuration.
+   * @returns {Mp4Muxer|MatroskaMuxer} The muxer.
+   */
+  static #createMuxer(type, config) {
+    const { width, height, codec } = config;
+    if (type === VIDEO.MP4) {
+      return new Mp4Muxer({ width, height });
+    }
+    const docType = type === VIDEO.WEBM ? "webm" : "matroska";
+    return new MatroskaMuxer({ width, height, codec, docType });
+  }
+
+  /**
+   * (Private function) Draws every image on the canvas and submits it to
+   * the encoder as a frame, with its exact timestamp and duration. Waits for
+   * the encoder queue to drain, so that frames are not kept in memory.
+   *
+   * @param {VideoEncoder} encoder The configured encoder.
+   * @param {Array<Image>} images The video frames.
+   * @param {number} fps The frames per second of the video.
+   * @param {Array<any>} framespec An array containing the canvas to draw on,
+   *        the monitor of the download operation, the optional function
+   *        drawing over each frame and the region of the images drawn on it,
+   *        (`[canvas, monitor, decorate, region]`).
+   * @returns {Promise<void>} A promise that resolves when all frames are
+   *          submitted, or rejects if the operation is cancelled.
+   */
+  static async #encodeFrames(encoder, images, fps, framespec) {
+    const [canvas, monitor, decorate, region] = framespec;
+    const context = canvas.getContext("2d");
+    const keyFrames = Math.max(1, Math.round(fps * FrameEncoder.#keyInterval));
+    // Timestamps in microseconds, rounded from the exact frame times so that
+    // errors do not accumulate
+    const time = (index) => Math.round((index * 1_000_000) / fps);
+    for (const [index, image] of images.entries()) {
+      monitor.signal?.throwIfAborted();
+      if (encoder.state === "closed") {
+        return;
+      }
+      context.fillStyle = "black";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      region.draw(context, image);
+      decorate?.(context, index);
+      const frame = new VideoFrame(canvas, {
+        timestamp: time(index),
+        duration: time(index + 1) - time(index),
+      });
+      encoder.encode(frame, { keyFrame: index % keyFrames === 0 });
+      frame.close();
+      while (encoder.encodeQueueSize > 2) {
+        await new Promise((resolve) =>
+          encoder.addEventListener("dequeue", resolve, { once: true }),
+        );
+      }
+    }
+  }
+
+  /**
+   * (Private function) Finds the first codec of the video type the browser
+   * can encode frames of the canvas size with.
+   *
+   * @param {string} type The video format (e.g., "MP4", "WEBM").
+   * @param {HTMLCanvasElement} canvas The canvas the frames are drawn on.
+   * @param {number} fps The frames per second of the video.
+   * @returns {Promise<object>} A promise that resolves to the encoder
+   *          configuration, or to undefined if no codec is supported.
+   */
+  static async #configure(type, canvas, fps) {
+    if (!("VideoEncoder" in globalThis)) {
+      logger.warn("FE201", "WebCodecs video encoding not available");
+      return;
+    }
+    const { width, height } = canvas;
+    // About half a bit per pixel, generous for mostly static satellite scenes
+    const bitrate = Math.min(
+      20_000_000,
+      Math.max(1_000_000, Math.round(width * height * fps * 0.5)),
+    );
+    for (const codec of FrameEncoder.#codecs[type] || []) {
+      const config = {
+        codec,
+        width,
+        height,
+        bitrate,
+        framerate: fps,
+        latencyMode: "quality",
+        ...(codec.startsWith("avc1") && { avc: { format: "avc" } }),
+      };
+      try {
+        const { supported } = await VideoEncoder.isConfigSupported(config);
+        if (supported) {
+          return config;
+        }
+      } catch (error) {
+        logger.debug(
+          "FE101",
+          `Invalid encoder configuration: ${error.message}`,
+        );
+      }
+      logger.info("FE202", `Codec not supported: '${codec}'`);
+    }
   }
 }
 
@@ -832,18 +2571,36 @@ class VideoDownloader {
    * @param {string} filename The desired filename for the final video.
    * @param {number} fps The desired frames per second for the video.
    * @param {string} type The desired video format (e.g., ".mp4", ".webm").
+   * @param {object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout), progress reporting and cancellation. See
+   *        `DownloadQueue` and `DownloadMonitor` classes for details. An
+   *        optional `overlay` function, `overlay(context, filename)`, is
+   *        called to draw over each frame, and the optional `crop` rectangle
+   *        and `scale` select the part of the images to show (see
+   *        `FrameRegion`).
    * @returns {Promise<object>} A promise that resolves when the video is saved
    *          to an object with the operation result status. See
    *          `FileSaver.save` method for details.
    */
-  static async download(sequence, filename, fps, type) {
-    let entries = await ImageLoader.load(sequence);
-    const content = await VideoDownloader.#encodeData(
-      entries,
-      fps,
-      type,
+  static async download(sequence, filename, fps, type, options) {
+    const monitor = new DownloadMonitor(options);
+    let entries = await ImageLoader.load(sequence, options);
+    if (monitor.aborted) {
+      return FileSaver.cancel(filename);
+    }
+    monitor.notify(EVENT.PHASE, { phase: PHASE.ENCODING });
+    const content = await VideoDownloader.#encodeData(entries, fps, type, [
       filename,
-    );
+      monitor,
+      options,
+    ]);
+    if (monitor.aborted) {
+      return FileSaver.cancel(filename);
+    }
+    if (!content) {
+      return FileSaver.empty(filename);
+    }
+    monitor.notify(EVENT.PHASE, { phase: PHASE.SAVING });
     return FileSaver.save(content, filename);
   }
 
@@ -855,15 +2612,23 @@ class VideoDownloader {
    *        property containing the image data (if successful).
    * @param {number} fps The desired frames per second for the video.
    * @param {string} type The desired video format (e.g., ".mp4", ".webm").
+   * @param {Array<any>} filespec An array containing the video filename, the
+   *        monitor of the download operation and the download options, with
+   *        the optional overlay function and region,
+   *        (`[filename, monitor, options]`).
    * @returns {Promise<Blob>} A promise that resolves to a Blob containing the
-   *          encoded video data (if successful), or rejects if no images were
-   *          downloaded.
+   *          encoded video data (if successful), or to undefined if no images
+   *          were downloaded, the encoding failed or was cancelled.
    */
-  static #encodeData(entries, fps, type, filename) {
+  static #encodeData(entries, fps, type, filespec) {
+    const [filename, monitor, options] = filespec;
+    const overlay = options?.overlay;
     const images = [];
+    const names = [];
     for (const entry of entries) {
       if ("data" in entry) {
         images.push(entry.data);
+        names.push(entry.filename);
         logger.info("VD001", `Frame added for encoding: '${entry.filename}'`);
       } else {
         logger.warn("VD201", `No frame data to encode: '${entry.filename}'`);
@@ -872,48 +2637,308 @@ class VideoDownloader {
     if (images.length === 0) {
       logger.info("VD202", "No frames to encode");
     }
-    return VideoDownloader.#encodeVideo(images, fps, type).catch((error) => {
-      logger.error("VD101", `Video encoding failed: '${filename}'`);
-      logger.debug("VD102", `Failed to encode video: ${error.message}`);
+    const decorate = overlay
+      ? (context, index) => overlay(context, names[index])
+      : undefined;
+    const region = images.length > 0 && new FrameRegion(images[0], options);
+    const encoder = VideoDownloader.#encodeVideo(images, fps, type, [
+      monitor,
+      decorate,
+      region,
+    ]);
+    return encoder.catch((error) => {
+      if (monitor.aborted) {
+        logger.info("VD103", `Video encoding cancelled: '${filename}'`);
+      } else {
+        logger.error("VD101", `Video encoding failed: '${filename}'`);
+        logger.debug("VD102", `Failed to encode video: ${error.message}`);
+      }
     });
   }
 
   /**
    * (Private function) Encodes the provided images into a video using the
-   * specified frame rate and format.
+   * specified frame rate and format. Uses WebCodecs when the browser supports
+   * a codec of the format (see `FrameEncoder`), and falls back to recording
+   * an animation of the images (see `Animator`) otherwise.
+   *
+   * @param {Array<Image>} images An array of image objects representing the
+   *        video frames.
+   * @param {number} fps The desired frames per second for the video.
+   * @param {string} type The desired video format (e.g., ".mp4", ".webm").
+   * @param {Array<any>} encspec An array containing the monitor of the
+   *        download operation, the optional function drawing over each frame
+   *        and the region of the images drawn on it,
+   *        (`[monitor, decorate, region]`). The encoding is stopped as soon
+   *        as the operation is cancelled.
+   * @returns {Promise<Blob>} A promise that resolves to a Blob containing the
+   *          encoded video data, or rejects if the encoding fails or is
+   *          cancelled.
+   */
+  static async #encodeVideo(images, fps, type, encspec) {
+    if (images.length === 0) {
+      return;
+    }
+    const video = await FrameEncoder.encode(images, fps, type, encspec);
+    if (video) {
+      return video;
+    }
+    logger.warn("VD203", "Falling back to recording the video in real time");
+    return VideoDownloader.#recordVideo(images, fps, type, encspec);
+  }
+
+  /**
+   * (Private function) Records a real-time animation of the provided images
+   * as a video, using the specified frame rate and format. The result
+   * depends on the page timing: frames may be duplicated or dropped.
    *
    * @param {Array<Image>} images An array of image objects representing the
    *        video frames.
    * @param {number} fps The desired frames per second for the video.
    * @param {string} type The desired video format (e.g., ".mp4", ".webm").
+   * @param {Array<any>} encspec An array containing the monitor of the
+   *        download operation, the optional function drawing over each frame
+   *        and the region of the images drawn on it,
+   *        (`[monitor, decorate, region]`). The animation is stopped as soon
+   *        as the operation is cancelled.
    * @returns {Promise<Blob>} A promise that resolves to a Blob containing the
-   *          encoded video data, or rejects if the encoding fails.
-   */
-  static #encodeVideo(images, fps, type) {
-    if (images.length > 0) {
-      return new Promise((resolve) => {
-        const animator = new Animator(images, fps);
-        animator.run();
-        const mimeType = VID_MEDIA[type];
-        animator.doCapture(mimeType, resolve);
+   *          encoded video data, or rejects if the recording fails or is
+   *          cancelled.
+   */
+  static #recordVideo(images, fps, type, encspec) {
+    const [monitor, decorate, region] = encspec;
+    return new Promise((resolve, reject) => {
+      const { signal } = monitor;
+      const animator = new Animator(images, fps, decorate, region);
+      const cancel = () => {
+        animator.stop();
+        reject(signal.reason);
+      };
+      signal?.addEventListener("abort", cancel, { once: true });
+      animator.run();
+      const mimeType = VID_MEDIA[type];
+      animator.doCapture(mimeType, (blob) => {
+        signal?.removeEventListener("abort", cancel);
+        animator.stop();
+        resolve(blob);
       });
+    });
+  }
+}
+
+/**
+ * Class for downloading a sequence of images, encoding them into an animated
+ * image (GIF or APNG), and saving it with a specified filename.
+ *
+ * Unlike `VideoDownloader`, the encoding does not depend on the media
+ * recording capabilities of the browser: frames are encoded in JavaScript,
+ * one at a time, with exact delays.
+ */
+class AnimationDownloader {
+  /**
+   * The encoder of each animated image type.
+   */
+  static #encoders = dict(ANIMATIONS, [GifEncoder, ApngEncoder]);
+
+  /**
+   * Downloads a sequence of images, encodes them into an animated image with
+   * the specified frame rate and format, and saves it with the specified
+   * filename.
+   *
+   * @param {Array<[string, string]>} sequence An array of URL-filename pairs.
+   *        Each element represents an image to be downloaded (considered a
+   *        frame for the animation).
+   * @param {string} filename The desired filename for the animated image.
+   * @param {number} fps The desired frames per second for the animation.
+   * @param {string} type The desired animation format (e.g., "GIF", "APNG").
+   * @param {object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout), progress reporting and cancellation. See
+   *        `DownloadQueue` and `DownloadMonitor` classes for details. Also
+   *        supports the optional `overlay` function, `overlay(context,
+   *        filename)`, called to draw over each frame, the `crop` rectangle
+   *        and `scale` of the part of the images to show (see `FrameRegion`),
+   *        the number of plays `loop` (0, the default, plays forever) and the
+   *        additional time `hold`, in milliseconds, the last frame is shown.
+   * @returns {Promise<object>} A promise that resolves when the animation is
+   *          saved to an object with the operation result status. See
+   *          `FileSaver.save` method for details.
+   */
+  static async download(sequence, filename, fps, type, options) {
+    const monitor = new DownloadMonitor(options);
+    let entries = await ImageLoader.load(sequence, options);
+    if (monitor.aborted) {
+      return FileSaver.cancel(filename);
+    }
+    monitor.notify(EVENT.PHASE, { phase: PHASE.ENCODING });
+    const content = await AnimationDownloader.#encodeData(entries, fps, type, [
+      filename,
+      monitor,
+      options,
+    ]);
+    if (monitor.aborted) {
+      return FileSaver.cancel(filename);
+    }
+    if (!content) {
+      return FileSaver.empty(filename);
+    }
+    monitor.notify(EVENT.PHASE, { phase: PHASE.SAVING });
+    return FileSaver.save(content, filename);
+  }
+
+  /**
+   * (Private function) Draws the downloaded entries as frames and encodes
+   * them into an animated image, one frame at a time: each frame is drawn
+   * when the encoder asks for it and released once encoded. The palette of
+   * the GIF animations is built from a sample of the frames
+   * (`SAMPLED_FRAMES`).
+   *
+   * @param {Array<object>} entries An array of entries, each with a `data`
+   *        property containing the image data (if successful).
+   * @param {number} fps The desired frames per second for the animation.
+   * @param {string} type The desired animation format (e.g., "GIF", "APNG").
+   * @param {Array<any>} filespec An array containing the animation filename,
+   *        the monitor of the download operation and the download options,
+   *        (`[filename, monitor, options]`).
+   * @returns {Promise<Blob>} A promise that resolves to a Blob containing the
+   *          encoded animation (if successful), or to undefined if no images
+   *          were downloaded, the encoding failed or was cancelled.
+   */
+  static async #encodeData(entries, fps, type, filespec) {
+    const [filename, monitor, options] = filespec;
+    const { loop = 0, hold = 0 } = options || {};
+    const loaded = entries.filter((entry) => {
+      if (!("data" in entry)) {
+        logger.warn("AD201", `No frame data to encode: '${entry.filename}'`);
+        return false;
+      }
+      return true;
+    });
+    if (loaded.length === 0) {
+      logger.info("AD202", "No frames to encode");
+      return;
+    }
+    const draw = AnimationDownloader.#painter(loaded[0].data, options);
+    const delay = 1000 / fps;
+    const frames = loaded.map((entry, index) => ({
+      entry,
+      delay: index === loaded.length - 1 ? delay + hold : delay,
+    }));
+    const step = Math.max(1, Math.ceil(loaded.length / SAMPLED_FRAMES));
+    const sampled = loaded.filter((_entry, index) => index % step === 0);
+    try {
+      const data = await AnimationDownloader.#encoders[type].encode(
+        AnimationDownloader.#frames(frames, draw),
+        {
+          ...draw.size,
+          count: loaded.length,
+          loop,
+          samples: AnimationDownloader.#samples(sampled, draw),
+          signal: monitor.signal,
+        },
+      );
+      return new Blob([data], { type: ANIM_MEDIA[type] });
+    } catch (error) {
+      if (monitor.aborted) {
+        logger.info("AD103", `Animation encoding cancelled: '${filename}'`);
+      } else {
+        logger.error("AD101", `Animation encoding failed: '${filename}'`);
+        logger.debug("AD102", `Failed to encode animation: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * (Private function) Creates the function drawing the requested region of
+   * an image on a canvas, sized after the first image, and capturing its
+   * pixels.
+   *
+   * @param {HTMLImageElement} image The first image of the animation.
+   * @param {object} options (Optional) The download options, with the
+   *        optional function drawing over each frame (`overlay`) and the
+   *        region to show (`crop` and `scale`).
+   * @returns {function(object): Uint8ClampedArray} The function drawing an
+   *          entry and returning its RGBA pixels; its `size` property holds
+   *          the `width` and `height` of the frames.
+   */
+  static #painter(image, options) {
+    const region = new FrameRegion(image, options);
+    const canvas = document.createElement("canvas");
+    canvas.width = region.width;
+    canvas.height = region.height;
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    const { width, height } = canvas;
+    const draw = (entry) => {
+      context.clearRect(0, 0, width, height);
+      region.draw(context, entry.data);
+      options?.overlay?.(context, entry.filename);
+      return context.getImageData(0, 0, width, height).data;
+    };
+    draw.size = { width, height };
+    return draw;
+  }
+
+  /**
+   * (Private function) Draws the frames of the animation on demand.
+   *
+   * @param {Array<{entry: object, delay: number}>} frames The entries of the
+   *        frames and their delays, in milliseconds.
+   * @param {function(object): Uint8ClampedArray} draw The function drawing
+   *        an entry (see `#painter`).
+   * @yields {{pixels: Uint8ClampedArray, delay: number}} The frames, in
+   *         order.
+   */
+  static *#frames(frames, draw) {
+    for (const { entry, delay } of frames) {
+      yield { pixels: draw(entry), delay };
+      logger.info("AD001", `Frame encoded: '${entry.filename}'`);
+    }
+  }
+
+  /**
+   * (Private function) Draws the sampled frames of the animation on demand,
+   * to build the palette from.
+   *
+   * @param {Array<object>} entries The entries of the sampled frames.
+   * @param {function(object): Uint8ClampedArray} draw The function drawing
+   *        an entry (see `#painter`).
+   * @yields {Uint8ClampedArray} The RGBA pixels of the sampled frames.
+   */
+  static *#samples(entries, draw) {
+    for (const entry of entries) {
+      yield draw(entry);
     }
-    return Promise.resolve();
   }
 }
 
 export {
+  ANIM_TYPE,
+  AnimationDownloader,
+  ANIMATION,
+  ANIMATIONS,
   ARC_TYPE,
   ARCHIVE,
+  ARCHIVES,
+  AvailabilityProbe,
+  DownloadError,
+  DownloadMonitor,
+  DownloadProgress,
+  DownloadQueue,
+  EVENT,
+  ExtensionBridge,
   FileArchiver,
   FileDownloader,
   FileSaver,
+  FrameRegion,
   IMAGE,
   ImageDownloader,
   ImageLoader,
   IMG_TYPE,
   logger,
+  PHASE,
+  PixelDownloader,
+  SeriesDownloader,
   VID_TYPE,
   VIDEO,
   VideoDownloader,
 };
+export { CONFLICT, CONFLICTS } from "./downloads.js";
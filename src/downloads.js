@@ -0,0 +1,143 @@
+import { dict } from "./common.js";
+
+/**
+ * An array of the actions to take when a saved file already exists in the
+ * destination folder.
+ */
+const CONFLICTS = ["UNIQUIFY", "OVERWRITE", "PROMPT"];
+
+/**
+ * A map (enumeration) of filename conflict actions to their corresponding
+ * string values: "UNIQUIFY" adds a counter to the new filename, "OVERWRITE"
+ * replaces the existing file and "PROMPT" asks the user for a filename.
+ */
+const CONFLICT = dict(CONFLICTS, CONFLICTS);
+
+/**
+ * An array of the types of the messages exchanged by the pages, the bridge
+ * frame and the background service worker: the bridge frame is ready, the
+ * reply to a request, and the requests themselves (save a file through the
+ * downloads of the browser, fetch a file of another origin, schedule or
+ * unschedule a capture job, list the capture jobs or their last runs, read or
+ * store the settings and presets of a site, record a download in the job
+ * journal or list the journal).
+ */
+const MESSAGES = [
+  "READY",
+  "REPLY",
+  "SAVE",
+  "FETCH",
+  "SCHEDULE",
+  "UNSCHEDULE",
+  "JOBS",
+  "RUNS",
+  "SETTINGS",
+  "STORE_SETTINGS",
+  "RECORD",
+  "JOURNAL",
+];
+
+/**
+ * A map (enumeration) of message types to their corresponding string values,
+ * prefixed so that they do not clash with the messages of the pages.
+ */
+const MESSAGE = dict(
+  MESSAGES,
+  MESSAGES.map((type) => `RETSPY_${type}`),
+);
+
+/**
+ * An array of the types of the requests the bridge frame relays to the
+ * background service worker.
+ */
+const REQUESTS = [
+  MESSAGE.SAVE,
+  MESSAGE.SCHEDULE,
+  MESSAGE.UNSCHEDULE,
+  MESSAGE.JOBS,
+  MESSAGE.SETTINGS,
+  MESSAGE.STORE_SETTINGS,
+  MESSAGE.RECORD,
+  MESSAGE.JOURNAL,
+];
+
+/**
+ * The default destination of the saved files: a subfolder of the downloads
+ * folder of the browser, per site and per day, and the action to take on
+ * filename conflicts.
+ *
+ * destination = {
+ *   site: {string},     // e.g., "DMH"
+ *   folder: {string},   // template, see `DownloadPath`
+ *   conflict: {string}, // see `CONFLICT`
+ * }
+ */
+const DESTINATION = {
+  site: "",
+  folder: "RETSpy/{site}/{date}/",
+  conflict: CONFLICT.UNIQUIFY,
+};
+
+/**
+ * Class to build the path of a saved file within the downloads folder of
+ * the browser from a folder template.
+ *
+ * The template may hold the placeholders `{site}`, replaced by the site the
+ * file comes from (e.g., "DMH"), and `{date}`, replaced by the date it is
+ * saved (YYYY-MM-DD, local time). Paths are always relative and their
+ * segments are stripped of the characters file systems reject.
+ */
+class DownloadPath {
+  /**
+   * Builds the path of a saved file.
+   *
+   * @param {string} filename The filename of the saved file.
+   * @param {object} destination (Optional) The destination of the file. See
+   *        `DESTINATION` for details.
+   * @param {Date} date (Optional) The date the file is saved. Defaults to
+   *        now.
+   * @returns {string} The relative path of the file.
+   */
+  static build(filename, destination, date = new Date()) {
+    const { site, folder } = { ...DESTINATION, ...destination };
+    const day = [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, "0"),
+      String(date.getDate()).padStart(2, "0"),
+    ].join("-");
+    const path = folder
+      .replaceAll("{site}", site || "RETSpy")
+      .replaceAll("{date}", day);
+    const segments = [...path.split("/"), filename]
+      .map((segment) => DownloadPath.#sanitize(segment))
+      .filter((segment) => segment !== "");
+    return segments.join("/");
+  }
+
+  /**
+   * (Private function) Removes the characters file systems reject from a
+   * segment of a path, and the segments that would leave the downloads
+   * folder.
+   *
+   * @param {string} segment The segment of the path.
+   * @returns {string} The sanitized segment, empty if nothing is left.
+   */
+  static #sanitize(segment) {
+    const clean = [...segment]
+      .filter((character) => character.codePointAt(0) >= 0x20)
+      .join("")
+      .replaceAll(/["*:<>?\\|]/g, "_")
+      .trim();
+    return clean.replaceAll(".", "") === "" ? "" : clean;
+  }
+}
+
+export {
+  CONFLICT,
+  CONFLICTS,
+  DESTINATION,
+  DownloadPath,
+  MESSAGE,
+  MESSAGES,
+  REQUESTS,
+};
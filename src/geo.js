@@ -0,0 +1,395 @@
+/**
+ * The coordinate reference system of the georeferenced images (WGS 84
+ * geographic coordinates), as the well-known text (WKT) of `.prj` files.
+ */
+const WGS84_PRJ =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+  'SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+/**
+ * Class to convert between the pixel coordinates of an image in the
+ * equirectangular (plate carrée) projection and geographic coordinates.
+ *
+ * The image covers the given bounds, in decimal degrees (negative south and
+ * west):
+ *
+ * bounds = {
+ *   west: {number},
+ *   south: {number},
+ *   east: {number},
+ *   north: {number},
+ * }
+ *
+ * Pixel coordinates grow rightwards and downwards from the top left corner
+ * of the image; the center of the top left pixel is at (0.5, 0.5).
+ */
+class GeoReference {
+  #bounds;
+  #width;
+  #height;
+
+  /**
+   * Constructs a GeoReference object.
+   *
+   * @param {object} bounds The geographic bounds of the image. See the class
+   *        description for details.
+   * @param {number} width (Optional) The width of the image, in pixels.
+   *        Defaults to 1, so that pixel coordinates are fractions of the
+   *        image size.
+   * @param {number} height (Optional) The height of the image, in pixels.
+   *        Defaults to 1.
+   */
+  constructor(bounds, width = 1, height = 1) {
+    this.#bounds = { ...bounds };
+    this.#width = width;
+    this.#height = height;
+  }
+
+  /**
+   * Gets the geographic bounds of the image.
+   *
+   * @returns {object} The bounds. See the class description for details.
+   */
+  get bounds() {
+    return { ...this.#bounds };
+  }
+
+  /**
+   * Gets the size of a pixel, in degrees.
+   *
+   * @returns {[number, number]} The width and height of a pixel.
+   */
+  get resolution() {
+    const { west, south, east, north } = this.#bounds;
+    return [(east - west) / this.#width, (north - south) / this.#height];
+  }
+
+  /**
+   * Converts pixel coordinates to geographic coordinates.
+   *
+   * @param {number} x The horizontal pixel coordinate.
+   * @param {number} y The vertical pixel coordinate.
+   * @returns {{lon: number, lat: number}} The longitude and latitude, in
+   *          decimal degrees.
+   */
+  toGeographic(x, y) {
+    const [dx, dy] = this.resolution;
+    return {
+      lon: this.#bounds.west + x * dx,
+      lat: this.#bounds.north - y * dy,
+    };
+  }
+
+  /**
+   * Converts geographic coordinates to pixel coordinates.
+   *
+   * @param {number} lon The longitude, in decimal degrees.
+   * @param {number} lat The latitude, in decimal degrees.
+   * @returns {{x: number, y: number}} The pixel coordinates, possibly outside
+   *          the image.
+   */
+  toPixel(lon, lat) {
+    const [dx, dy] = this.resolution;
+    return {
+      x: (lon - this.#bounds.west) / dx,
+      y: (this.#bounds.north - lat) / dy,
+    };
+  }
+
+  /**
+   * Tells whether a geographic position falls within the image.
+   *
+   * @param {number} lon The longitude, in decimal degrees.
+   * @param {number} lat The latitude, in decimal degrees.
+   * @returns {boolean} `true` if the position is within the bounds.
+   */
+  contains(lon, lat) {
+    const { west, south, east, north } = this.#bounds;
+    return west <= lon && lon <= east && south <= lat && lat <= north;
+  }
+
+  /**
+   * Builds the georeference of a rectangle of the image, resampled to the
+   * given size (e.g., a cropped and scaled copy of the image).
+   *
+   * @param {number[]} source The rectangle, in pixels of this image
+   *        (`[x, y, width, height]`).
+   * @param {number} width The width of the resampled image, in pixels.
+   * @param {number} height The height of the resampled image, in pixels.
+   * @returns {GeoReference} The georeference of the resampled image.
+   */
+  crop(source, width, height) {
+    const [x, y, w, h] = source;
+    const topLeft = this.toGeographic(x, y);
+    const bottomRight = this.toGeographic(x + w, y + h);
+    const bounds = {
+      west: topLeft.lon,
+      south: bottomRight.lat,
+      east: bottomRight.lon,
+      north: topLeft.lat,
+    };
+    return new GeoReference(bounds, width, height);
+  }
+
+  /**
+   * Builds the content of the world file of the image (e.g., `.jgw`, `.pgw`),
+   * the affine transform GIS applications (e.g., QGIS) use to place it.
+   *
+   * @returns {string} The six lines of the world file.
+   */
+  worldFile() {
+    const [dx, dy] = this.resolution;
+    const { west, north } = this.#bounds;
+    // The last two lines locate the center of the top left pixel
+    const lines = [dx, 0, 0, -dy, west + dx / 2, north - dy / 2];
+    return `${lines.map((value) => value.toFixed(10)).join("\n")}\n`;
+  }
+}
+
+/**
+ * Class to build a KML document of ground overlays (georeferenced images),
+ * as the `doc.kml` of a KMZ file. Overlays with a time span play with the
+ * time slider of Google Earth.
+ *
+ * Each overlay is described by an object with the following properties:
+ *
+ * overlay = {
+ *   name: {string},
+ *   href: {string},          // path of the image within the KMZ file
+ *   bounds: {object},        // see `GeoReference`
+ *   begin: {Date|undefined}, // start of the time span
+ *   end: {Date|undefined},   // end of the time span
+ *   folder: {string|undefined}, // name of the KML folder of the overlay
+ * }
+ */
+class KmlDocument {
+  #name;
+  #folders = new Map();
+
+  /**
+   * Constructs a KmlDocument object.
+   *
+   * @param {string} name The name of the document.
+   */
+  constructor(name) {
+    this.#name = name;
+  }
+
+  /**
+   * Gets the number of overlays in the document.
+   *
+   * @returns {number} The number of overlays.
+   */
+  get length() {
+    let length = 0;
+    for (const overlays of this.#folders.values()) {
+      length += overlays.length;
+    }
+    return length;
+  }
+
+  /**
+   * Adds a ground overlay to the document.
+   *
+   * @param {object} overlay The overlay. See the class description for
+   *        details.
+   * @returns {KmlDocument} The current KmlDocument object.
+   */
+  add(overlay) {
+    const folder = overlay.folder || "";
+    if (!this.#folders.has(folder)) {
+      this.#folders.set(folder, []);
+    }
+    this.#folders.get(folder).push(overlay);
+    return this;
+  }
+
+  /**
+   * Gets the KML text of the document.
+   *
+   * @returns {string} The KML document.
+   */
+  toString() {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      "<Document>",
+      `<name>${KmlDocument.#escape(this.#name)}</name>`,
+    ];
+    for (const [folder, overlays] of this.#folders) {
+      if (folder) {
+        lines.push("<Folder>", `<name>${KmlDocument.#escape(folder)}</name>`);
+      }
+      lines.push(...overlays.map((overlay) => KmlDocument.#overlay(overlay)));
+      if (folder) {
+        lines.push("</Folder>");
+      }
+    }
+    lines.push("</Document>", "</kml>", "");
+    return lines.join("\n");
+  }
+
+  /**
+   * (Private function) Builds the KML element of a ground overlay.
+   *
+   * @param {object} overlay The overlay. See the class description for
+   *        details.
+   * @returns {string} The `GroundOverlay` element.
+   */
+  static #overlay(overlay) {
+    const { name, href, bounds, begin, end } = overlay;
+    const lines = [
+      "<GroundOverlay>",
+      `<name>${KmlDocument.#escape(name)}</name>`,
+    ];
+    if (begin || end) {
+      lines.push("<TimeSpan>");
+      if (begin) {
+        lines.push(`<begin>${KmlDocument.#time(begin)}</begin>`);
+      }
+      if (end) {
+        lines.push(`<end>${KmlDocument.#time(end)}</end>`);
+      }
+      lines.push("</TimeSpan>");
+    }
+    lines.push(
+      `<Icon><href>${KmlDocument.#escape(href)}</href></Icon>`,
+      "<LatLonBox>",
+      `<north>${bounds.north}</north>`,
+      `<south>${bounds.south}</south>`,
+      `<east>${bounds.east}</east>`,
+      `<west>${bounds.west}</west>`,
+      "</LatLonBox>",
+      "</GroundOverlay>",
+    );
+    return lines.join("\n");
+  }
+
+  /**
+   * (Private function) Formats a date as a KML (XML Schema) UTC time, without
+   * milliseconds.
+   *
+   * @param {Date} date The date to format.
+   * @returns {string} The formatted date (e.g., "2024-10-04T12:30:00Z").
+   */
+  static #time(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+  }
+
+  /**
+   * (Private function) Escapes the XML special characters of a text.
+   *
+   * @param {string} text The text to escape.
+   * @returns {string} The escaped text.
+   */
+  static #escape(text) {
+    const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+    return String(text).replaceAll(/["&<>]/g, (char) => entities[char]);
+  }
+}
+
+/**
+ * Class to read the pixel size of JPEG, PNG and WEBP images from their
+ * headers, without decoding them.
+ */
+class ImageHeader {
+  /**
+   * Reads the pixel size of an image.
+   *
+   * @param {ArrayBuffer|Uint8Array} data The image file data.
+   * @returns {{width: number, height: number}} The size of the image, or
+   *          `undefined` if the format is not recognized.
+   */
+  static size(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    if (bytes.length < 30) {
+      return;
+    }
+    if (view.getUint16(0) === 0xff_d8) {
+      return ImageHeader.#jpeg(view);
+    }
+    if (
+      view.getUint32(0) === 0x89_50_4e_47 &&
+      view.getUint32(12) === 0x49_48_44_52
+    ) {
+      return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+    if (
+      view.getUint32(0) === 0x52_49_46_46 &&
+      view.getUint32(8) === 0x57_45_42_50
+    ) {
+      return ImageHeader.#webp(view);
+    }
+  }
+
+  /**
+   * (Private function) Reads the pixel size of a JPEG image from its start
+   * of frame segment.
+   *
+   * @param {DataView} view The image file data.
+   * @returns {{width: number, height: number}} The size of the image, or
+   *          `undefined` if no start of frame segment is found.
+   */
+  static #jpeg(view) {
+    let offset = 2;
+    while (offset + 9 < view.byteLength) {
+      if (view.getUint8(offset) !== 0xff) {
+        return;
+      }
+      const marker = view.getUint8(offset + 1);
+      if (marker === 0xff) {
+        offset++; // fill byte
+        continue;
+      }
+      // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      const frame =
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (frame) {
+        return {
+          width: view.getUint16(offset + 7),
+          height: view.getUint16(offset + 5),
+        };
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  }
+
+  /**
+   * (Private function) Reads the pixel size of a WEBP image from its first
+   * chunk (lossy, lossless or extended format).
+   *
+   * @param {DataView} view The image file data.
+   * @returns {{width: number, height: number}} The size of the image, or
+   *          `undefined` if the chunk is not recognized.
+   */
+  static #webp(view) {
+    const chunk = view.getUint32(12);
+    if (chunk === 0x56_50_38_20) {
+      // "VP8 ": 14-bit sizes after the key frame start code
+      return {
+        width: view.getUint16(26, true) & 0x3f_ff,
+        height: view.getUint16(28, true) & 0x3f_ff,
+      };
+    }
+    if (chunk === 0x56_50_38_4c) {
+      // "VP8L": 14-bit sizes minus one, after the signature byte
+      const bits = view.getUint32(21, true);
+      return {
+        width: (bits & 0x3f_ff) + 1,
+        height: ((bits >> 14) & 0x3f_ff) + 1,
+      };
+    }
+    if (chunk === 0x56_50_38_58) {
+      // "VP8X": 24-bit canvas sizes minus one
+      const width = view.getUint16(24, true) | (view.getUint8(26) << 16);
+      const height = view.getUint16(27, true) | (view.getUint8(29) << 16);
+      return { width: width + 1, height: height + 1 };
+    }
+  }
+}
+
+export { GeoReference, ImageHeader, KmlDocument, WGS84_PRJ };
@@ -392,6 +392,247 @@ class ButtonGroup extends GuiElement {
 
 // Components and small widgets
 
+/**
+ * Represents a labelled form field wrapping a form control element.
+ *
+ * Dispatches a "change" event, with the DOM event as parameter, whenever the
+ * value of the control changes.
+ */
+class FormField extends GuiElement {
+  #control;
+
+  /**
+   * Constructs a new FormField element.
+   *
+   * @param {string} label The caption of the field.
+   * @param {string} control The specification of the control element (e.g.,
+   *        "input", "select").
+   * @param {string} selector (Optional) An optional ID and zero or more CSS
+   *        class names to apply to the field.
+   */
+  constructor(label, control, selector = "") {
+    super(`label${selector}.retspy-field span.retspy-caption`);
+    this.#control = GuiElement.create(control);
+    this.append(this.#control);
+    this.querySelector(".retspy-caption").text = label;
+    this.registerEvent("change");
+    this.entangleEvents("input", "change", control.split(/[#.]/)[0]);
+  }
+
+  /**
+   * Gets the control element of the field.
+   *
+   * @returns {GuiElement} The control element.
+   */
+  get control() {
+    return this.#control;
+  }
+
+  /**
+   * Enables or disables the control element of the field.
+   *
+   * @param {boolean} disabled Whether the control should be disabled.
+   */
+  set disabled(disabled) {
+    this.#control.element.disabled = disabled;
+  }
+
+  /**
+   * Gets the current value of the control element.
+   *
+   * @returns {string} The value of the control.
+   */
+  get value() {
+    return this.#control.element.value;
+  }
+
+  /**
+   * Sets the current value of the control element.
+   *
+   * @param {string} value The new value of the control.
+   */
+  set value(value) {
+    this.#control.element.value = value;
+  }
+}
+
+/**
+ * Represents a labelled input field (text, number, datetime-local, etc.).
+ */
+class InputField extends FormField {
+  /**
+   * Constructs a new InputField element.
+   *
+   * @param {string} label The caption of the field.
+   * @param {string} type (Optional) The type of the input element (defaults
+   *        to "text").
+   * @param {string} selector (Optional) An optional ID and zero or more CSS
+   *        class names to apply to the field.
+   */
+  constructor(label, type = "text", selector = "") {
+    super(label, "input.retspy-input", selector);
+    this.control.element.type = type;
+  }
+
+  /**
+   * Sets the attributes of the input element (e.g., `min`, `max`, `step`).
+   *
+   * @param {Object.<string, string|number>} attributes A map of attribute
+   *        names to their values.
+   */
+  set attributes(attributes) {
+    for (const [name, value] of Object.entries(attributes)) {
+      this.control.element.setAttribute(name, value);
+    }
+  }
+}
+
+/**
+ * Represents a labelled group of checkboxes allowing multiple choices.
+ *
+ * Dispatches a "change" event, with the DOM event as parameter, whenever a
+ * checkbox is checked or unchecked.
+ */
+class CheckboxField extends GuiElement {
+  #choices = GuiElement.create(".retspy-choices");
+
+  /**
+   * Constructs a new CheckboxField element.
+   *
+   * @param {string} label The caption of the field.
+   * @param {Array<[string, string, string?]>} options (Optional) An array of
+   *        value-text pairs, one for each checkbox of the field, with an
+   *        optional tooltip text as third element.
+   * @param {string} selector (Optional) An optional ID and zero or more CSS
+   *        class names to apply to the field.
+   */
+  constructor(label, options = [], selector = "") {
+    super(`div${selector}.retspy-field span.retspy-caption`);
+    this.querySelector(".retspy-caption").text = label;
+    this.append(this.#choices);
+    this.options = options;
+    this.registerEvent("change");
+    this.entangleEvents("input", "change");
+  }
+
+  /**
+   * Replaces the checkboxes of the field.
+   *
+   * @param {Array<[string, string, string?]>} options An array of value-text
+   *        pairs, one for each checkbox of the field, with an optional tooltip
+   *        text as third element.
+   */
+  set options(options) {
+    const choices = [];
+    for (const [value, text, title] of options) {
+      const choice = GuiElement.create("label.retspy-choice input");
+      const checkbox = choice.element.querySelector("input");
+      checkbox.type = "checkbox";
+      checkbox.value = value;
+      choice.element.append(text);
+      choice.element.title = title || "";
+      choices.push(choice.element);
+    }
+    this.#choices.element.replaceChildren(...choices);
+  }
+
+  /**
+   * Gets the values of the checked checkboxes.
+   *
+   * @returns {string[]} The checked values, in the order of the options.
+   */
+  get value() {
+    const checked = this.#choices.element.querySelectorAll("input:checked");
+    return [...checked].map((checkbox) => checkbox.value);
+  }
+
+  /**
+   * Checks the checkboxes with the given values and unchecks the others.
+   *
+   * @param {string|string[]} values The values to be checked.
+   */
+  set value(values) {
+    values = Array.isArray(values) ? values : [values];
+    for (const checkbox of this.#choices.element.querySelectorAll("input")) {
+      checkbox.checked = values.includes(checkbox.value);
+    }
+  }
+}
+
+/**
+ * Represents an availability timeline: one row of slots per series, each slot
+ * marked as present or missing.
+ */
+class Timeline extends GuiElement {
+  /**
+   * Constructs a new Timeline element.
+   *
+   * @param {string} selector (Optional) An optional ID and zero or more CSS
+   *        class names to apply to the timeline.
+   */
+  constructor(selector = "") {
+    super(`div${selector}.retspy-timeline`);
+  }
+
+  /**
+   * Replaces the rows of the timeline.
+   *
+   * @param {Array<{label: string, slots: Array<[string, boolean]>}>} rows An
+   *        array of rows, each one with its label and its slots as
+   *        title-present pairs, in chronological order.
+   */
+  set rows(rows) {
+    const elements = [];
+    for (const { label, slots } of rows) {
+      const row = GuiElement.create("div.retspy-row span.retspy-caption");
+      row.querySelector(".retspy-caption").text = label;
+      const track = GuiElement.create(".retspy-track");
+      for (const [title, present] of slots) {
+        const slot = document.createElement("span");
+        slot.className = present ? "retspy-slot" : "retspy-slot retspy-missing";
+        slot.title = title;
+        track.element.append(slot);
+      }
+      row.append(track);
+      elements.push(row.element);
+    }
+    this.element.replaceChildren(...elements);
+  }
+}
+
+/**
+ * Represents a labelled drop-down selection field.
+ */
+class SelectField extends FormField {
+  /**
+   * Constructs a new SelectField element.
+   *
+   * @param {string} label The caption of the field.
+   * @param {Array<[string, string]>} options (Optional) An array of
+   *        value-text pairs, one for each option of the field.
+   * @param {string} selector (Optional) An optional ID and zero or more CSS
+   *        class names to apply to the field.
+   */
+  constructor(label, options = [], selector = "") {
+    super(label, "select.retspy-select", selector);
+    this.options = options;
+  }
+
+  /**
+   * Replaces the options of the field.
+   *
+   * @param {Array<[string, string]>} options An array of value-text pairs,
+   *        one for each option of the field.
+   */
+  set options(options) {
+    const select = this.control.element;
+    select.replaceChildren();
+    for (const [value, text] of options) {
+      select.append(new Option(text, value));
+    }
+  }
+}
+
 /**
  * Represents a titlebar element for a GUI application.
  *
@@ -463,6 +704,22 @@ class Statusbar extends GuiElement {
     return this;
   }
 
+  /**
+   * Adds a new button to the statusbar.
+   *
+   * @param {string} text (Optional) The text content of the button.
+   * @param {string} selector (Optional) An optional ID and zero or more CSS
+   *        class names to apply to the button.
+   * @returns {Button} The newly created button.
+   */
+  addButton(text = "", selector = "") {
+    const button = new Button(text, `${selector}.retspy-button`);
+    const frame = new GuiElement(".retspy-frame");
+    frame.append(button);
+    this.append(frame);
+    return button;
+  }
+
   /**
    * Creates a new statusbar section element.
    *
@@ -475,7 +732,7 @@ class Statusbar extends GuiElement {
   static #createSection(type) {
     type = type ? `.${type}` : ".retspy-bevel";
     const frame = new GuiElement(`.retspy-frame span.retspy-label${type}`);
-    const label = frame.querySelectorAll(".retspy-label");
+    const label = frame.querySelector(".retspy-label");
     return { frame, label };
   }
 
@@ -582,6 +839,195 @@ class DialogWindow extends GuiElement {
 
 // Auxiliary widgets
 
+/**
+ * Represents a rubber-band selector to draw a rectangle over an image of the
+ * page with the mouse.
+ *
+ * Dispatches a "select" event when the user releases the mouse, with the
+ * rectangle in natural image pixels as parameter (`{x, y, width, height}`),
+ * or a "cancel" event if the user presses Escape or the rectangle is too
+ * small.
+ */
+class RegionSelector extends GuiElement {
+  #box = GuiElement.create("div.retspy-selection");
+  #hint = GuiElement.create("span.retspy-caption");
+  #image;
+  #start;
+  #onKey = (event) => {
+    if (event.key === "Escape") {
+      this.#finish();
+      this.dispatchEvent("cancel");
+    }
+  };
+
+  /**
+   * Constructs a new RegionSelector element.
+   *
+   * @param {string} hint (Optional) The instructions shown over the image.
+   * @param {string} selector (Optional) An optional ID and zero or more CSS
+   *        class names to apply to the selector.
+   */
+  constructor(hint = "", selector = "") {
+    super(`div${selector}.retspy-selector`);
+    this.append([this.#hint, this.#box]);
+    this.#hint.text = hint;
+    this.hide();
+    this.#box.hide();
+
+    this.registerEvent("select");
+    this.registerEvent("cancel");
+    this.element.addEventListener("pointerdown", (event) => this.#begin(event));
+    this.element.addEventListener("pointermove", (event) => this.#drag(event));
+    this.element.addEventListener("pointerup", (event) => this.#end(event));
+  }
+
+  /**
+   * Shows the selector over the given image, so that the user can draw a
+   * rectangle on it.
+   *
+   * @param {HTMLImageElement} image The image to select a region of.
+   */
+  select(image) {
+    this.#image = image;
+    const bounds = image.getBoundingClientRect();
+    this.element.style.left = `${bounds.left}px`;
+    this.element.style.top = `${bounds.top}px`;
+    this.size = [bounds.width, bounds.height];
+    this.#box.hide();
+    this.show();
+    document.addEventListener("keydown", this.#onKey);
+  }
+
+  /**
+   * (Private method) Starts a rectangle at the pointer position.
+   *
+   * @param {PointerEvent} event The pointer event.
+   */
+  #begin(event) {
+    this.element.setPointerCapture(event.pointerId);
+    this.#start = this.#position(event);
+    this.#drag(event);
+    this.#box.show();
+  }
+
+  /**
+   * (Private method) Stretches the rectangle to the pointer position.
+   *
+   * @param {PointerEvent} event The pointer event.
+   */
+  #drag(event) {
+    if (!this.#start) {
+      return;
+    }
+    const { x, y, width, height } = this.#rectangle(event);
+    const style = this.#box.element.style;
+    style.left = `${x}px`;
+    style.top = `${y}px`;
+    this.#box.size = [width, height];
+  }
+
+  /**
+   * (Private method) Completes the rectangle and dispatches it in natural
+   * image pixels.
+   *
+   * @param {PointerEvent} event The pointer event.
+   */
+  #end(event) {
+    if (!this.#start) {
+      return;
+    }
+    const rectangle = this.#rectangle(event);
+    this.#finish();
+    if (rectangle.width < 4 || rectangle.height < 4) {
+      this.dispatchEvent("cancel");
+      return;
+    }
+    const bounds = this.element.getBoundingClientRect();
+    const sx = this.#image.naturalWidth / bounds.width;
+    const sy = this.#image.naturalHeight / bounds.height;
+    this.dispatchEvent("select", {
+      x: Math.round(rectangle.x * sx),
+      y: Math.round(rectangle.y * sy),
+      width: Math.round(rectangle.width * sx),
+      height: Math.round(rectangle.height * sy),
+    });
+  }
+
+  /**
+   * (Private method) Hides the selector and stops listening to the keyboard.
+   */
+  #finish() {
+    this.#start = undefined;
+    this.hide();
+    document.removeEventListener("keydown", this.#onKey);
+  }
+
+  /**
+   * (Private method) Gets the pointer position relative to the selector,
+   * clamped to its bounds.
+   *
+   * @param {PointerEvent} event The pointer event.
+   * @returns {[number, number]} The position, in CSS pixels.
+   */
+  #position(event) {
+    const bounds = this.element.getBoundingClientRect();
+    const x = Math.min(Math.max(event.clientX - bounds.left, 0), bounds.width);
+    const y = Math.min(Math.max(event.clientY - bounds.top, 0), bounds.height);
+    return [x, y];
+  }
+
+  /**
+   * (Private method) Gets the rectangle between the starting point and the
+   * pointer position.
+   *
+   * @param {PointerEvent} event The pointer event.
+   * @returns {{x: number, y: number, width: number, height: number}} The
+   *          rectangle, in CSS pixels relative to the selector.
+   */
+  #rectangle(event) {
+    const [x0, y0] = this.#start;
+    const [x1, y1] = this.#position(event);
+    return {
+      x: Math.min(x0, x1),
+      y: Math.min(y0, y1),
+      width: Math.abs(x1 - x0),
+      height: Math.abs(y1 - y0),
+    };
+  }
+}
+
+/**
+ * A small floating label that follows the pointer (e.g., to show the value
+ * of the pixel under the cursor).
+ */
+class Tooltip extends GuiElement {
+  /**
+   * Constructs a new Tooltip element, hidden until it is placed.
+   *
+   * @param {string} selector (Optional) An optional ID and zero or more CSS
+   *        class names to apply to the tooltip.
+   */
+  constructor(selector = "") {
+    super(`div${selector}.retspy-tooltip`);
+    this.hide();
+  }
+
+  /**
+   * Shows the tooltip with the given text next to a position of the
+   * viewport.
+   *
+   * @param {string} text The text to show.
+   * @param {number} x The horizontal position, in viewport pixels.
+   * @param {number} y The vertical position, in viewport pixels.
+   */
+  place(text, x, y) {
+    this.text = text;
+    this.element.style.left = `${x + 12}px`;
+    this.element.style.top = `${y + 12}px`;
+    this.show();
+  }
+}
+
 class ModalWall extends GuiElement {
   #container;
 
@@ -599,10 +1045,17 @@ class ModalWall extends GuiElement {
 export {
   Button,
   ButtonGroup,
+  CheckboxField,
   DialogWindow,
+  FormField,
   GuiElement,
+  InputField,
   LinkButton,
   ModalWall,
+  RegionSelector,
+  SelectField,
   Statusbar,
+  Timeline,
   Titlebar,
+  Tooltip,
 };
@@ -0,0 +1,195 @@
+import { dict } from "./common.js";
+import { EVENT, PHASE } from "./downloader.js";
+
+/**
+ * An array of the kinds of jobs recorded in the journal.
+ */
+const JOB_KINDS = ["RANGE", "EVENT", "ADVANCED", "FILES"];
+
+/**
+ * A map (enumeration) of the kinds of jobs recorded in the journal to their
+ * corresponding string values:
+ *
+ * - RANGE: a date range of series, repeatable.
+ * - EVENT: the imagery around a severe weather report, repeatable.
+ * - ADVANCED: the sequence of the page, not repeatable.
+ * - FILES: a list of URLs, repeatable.
+ */
+const JOB_KIND = dict(JOB_KINDS, JOB_KINDS);
+
+/**
+ * Class recording a download job for the journal kept by the extension: the
+ * parameters of the request, the files downloaded or failed, the archive
+ * saved and how long it took.
+ *
+ * The journal entry has the following properties:
+ *
+ * entry = {
+ *   id: {number},       // assigned by the journal
+ *   site: {string},     // the site of the job (e.g., "DMH")
+ *   kind: {string},     // see `JOB_KIND`
+ *   request: {object},  // the parameters of the job, JSON safe
+ *   files: [{url: {string}, ok: {boolean}}],
+ *   archive: {string|undefined}, // the filename of the saved archive
+ *   size: {number},     // bytes of the saved archive, 0 if not saved
+ *   started: {number},  // milliseconds since the epoch
+ *   duration: {number}, // milliseconds
+ *   result: {string},   // the message of the download result
+ * }
+ */
+class JournalRecorder {
+  #entry;
+  #phase;
+
+  /**
+   * Constructs a JournalRecorder object, starting the job now.
+   *
+   * @param {string} site The site of the job.
+   * @param {string} kind The kind of the job (see `JOB_KIND`).
+   * @param {object} request The parameters of the job, JSON safe.
+   */
+  constructor(site, kind, request) {
+    this.#entry = {
+      site,
+      kind,
+      request,
+      files: [],
+      archive: undefined,
+      size: 0,
+      started: Date.now(),
+      duration: 0,
+      result: "",
+    };
+  }
+
+  /**
+   * Wraps the progress reporting of download options to record the files
+   * downloaded or failed. The availability probes are not recorded.
+   *
+   * @param {object} options The download options, with an optional
+   *        `onProgress` callback.
+   * @returns {object} The download options to use.
+   */
+  watch(options) {
+    const { onProgress } = options;
+    return {
+      ...options,
+      onProgress: (event) => {
+        this.#track(event);
+        onProgress?.(event);
+      },
+    };
+  }
+
+  /**
+   * Finishes the job with its result.
+   *
+   * @param {object} result The download result (see `FileSaver.save`).
+   * @returns {object} The journal entry, without identifier. See the class
+   *          description for details.
+   */
+  finish(result) {
+    const entry = this.#entry;
+    entry.duration = Date.now() - entry.started;
+    entry.result = result?.message || "error";
+    if (result?.ok) {
+      entry.archive = result.filename;
+      entry.size = result.size || 0;
+    }
+    return entry;
+  }
+
+  /**
+   * (Private method) Records a progress event of the download.
+   *
+   * @param {object} event The progress event (see `DownloadMonitor`).
+   */
+  #track(event) {
+    if (event.type === EVENT.PHASE) {
+      this.#phase = event.phase;
+      return;
+    }
+    if (this.#phase === PHASE.PROBING) {
+      return;
+    }
+    if (event.type === EVENT.FETCHED || event.type === EVENT.FAILED) {
+      this.#entry.files.push({
+        url: event.src,
+        ok: event.type === EVENT.FETCHED,
+      });
+    }
+  }
+}
+
+/**
+ * Class to export the entries of the journal (see `JournalRecorder`) as JSON
+ * or CSV files.
+ */
+class JournalFile {
+  /**
+   * Formats the entries as JSON.
+   *
+   * @param {Array<object>} entries The journal entries.
+   * @returns {string} The JSON document.
+   */
+  static json(entries) {
+    return `${JSON.stringify(entries, undefined, 2)}\n`;
+  }
+
+  /**
+   * Formats the entries as CSV, one line per entry, with the number of files
+   * requested and failed and the URLs of the failed ones separated by
+   * spaces; the request is not included.
+   *
+   * @param {Array<object>} entries The journal entries.
+   * @returns {string} The CSV text.
+   */
+  static csv(entries) {
+    const lines = [
+      "id,site,kind,started_utc,duration_ms,archive,size,result,files,failed,failed_urls",
+    ];
+    for (const entry of entries) {
+      lines.push(JournalFile.#row(entry));
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * (Private function) Formats an entry as a CSV line.
+   *
+   * @param {object} entry The journal entry.
+   * @returns {string} The CSV line.
+   */
+  static #row(entry) {
+    const { id, site, kind, started, duration, archive, size, result } = entry;
+    const failed = entry.files.filter(({ ok }) => !ok).map(({ url }) => url);
+    const values = [
+      id,
+      site,
+      kind,
+      new Date(started).toISOString(),
+      duration,
+      archive || "",
+      size,
+      result,
+      entry.files.length,
+      failed.length,
+      failed.join(" "),
+    ];
+    return values.map((value) => JournalFile.#escape(value)).join(",");
+  }
+
+  /**
+   * (Private function) Quotes a CSV value if it contains commas, quotes or
+   * line breaks.
+   *
+   * @param {any} value The value.
+   * @returns {string} The CSV value.
+   */
+  static #escape(value) {
+    const text = String(value ?? "");
+    return /[\n",]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+  }
+}
+
+export { JOB_KIND, JOB_KINDS, JournalFile, JournalRecorder };
@@ -0,0 +1,664 @@
+/**
+ * The name written as the muxing application in the containers.
+ */
+const MUXING_APP = "RETSpy-WebTools";
+
+/**
+ * Concatenates byte arrays.
+ *
+ * (Private helper function)
+ *
+ * @param {Array<Uint8Array>} parts The byte arrays, in order.
+ * @returns {Uint8Array} The concatenated bytes.
+ */
+function concat(parts) {
+  let length = 0;
+  for (const part of parts) {
+    length += part.length;
+  }
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Encodes unsigned integers as big-endian bytes of the given width.
+ *
+ * (Private helper function)
+ *
+ * @param {number} width The number of bytes of each integer (1, 2 or 4).
+ * @param {...number} values The integers.
+ * @returns {Uint8Array} The encoded integers.
+ */
+function uint(width, ...values) {
+  const bytes = new Uint8Array(width * values.length);
+  const view = new DataView(bytes.buffer);
+  for (const [index, value] of values.entries()) {
+    if (width === 1) {
+      view.setUint8(index, value);
+    } else if (width === 2) {
+      view.setUint16(index * 2, value);
+    } else {
+      view.setUint32(index * 4, value);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Encodes an ASCII string, optionally padded with zeros to a fixed length.
+ *
+ * (Private helper function)
+ *
+ * @param {string} text The string to encode.
+ * @param {number} length (Optional) The length of the result, defaults to the
+ *        length of the string.
+ * @returns {Uint8Array} The encoded string.
+ */
+function ascii(text, length) {
+  const bytes = new Uint8Array(length ?? text.length);
+  for (const [index, char] of [...text].slice(0, bytes.length).entries()) {
+    bytes[index] = char.codePointAt(0) & 0x7f;
+  }
+  return bytes;
+}
+
+/**
+ * Class to collect the encoded chunks of a video track, in decoding order,
+ * and their timing.
+ *
+ * Chunks are objects with the interface of `EncodedVideoChunk` (WebCodecs):
+ * `type` ("key" or "delta"), `timestamp` and `duration` in microseconds,
+ * `byteLength` and `copyTo(destination)`.
+ *
+ * (Private helper class)
+ */
+class VideoTrack {
+  #samples = [];
+  #description;
+
+  /**
+   * Adds an encoded chunk to the track.
+   *
+   * @param {EncodedVideoChunk} chunk The encoded chunk.
+   * @param {object} metadata (Optional) The metadata output by the encoder
+   *        along with the chunk; the codec description (e.g., the `avcC`
+   *        record of H.264), if any, is taken from its decoder configuration.
+   */
+  add(chunk, metadata) {
+    const description = metadata?.decoderConfig?.description;
+    if (description && !this.#description) {
+      // Either an ArrayBuffer or a view of one
+      const { buffer = description, byteOffset = 0, byteLength } = description;
+      this.#description = [...new Uint8Array(buffer, byteOffset, byteLength)];
+    }
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    this.#samples.push({
+      data,
+      key: chunk.type === "key",
+      timestamp: chunk.timestamp,
+      duration: chunk.duration ?? 0,
+    });
+  }
+
+  /**
+   * Gets the samples of the track, in decoding order.
+   *
+   * @returns {Array<{data: Uint8Array, key: boolean, timestamp: number,
+   *          duration: number}>} The samples; times are in microseconds.
+   */
+  get samples() {
+    return this.#samples;
+  }
+
+  /**
+   * Gets the codec description (codec private data) of the track.
+   *
+   * @returns {Uint8Array} The description, or `undefined` if the encoder did
+   *          not provide one.
+   */
+  get description() {
+    return this.#description;
+  }
+
+  /**
+   * Gets the presentation time at which the track ends.
+   *
+   * @returns {number} The end time of the last sample, in microseconds.
+   */
+  get end() {
+    let end = 0;
+    for (const sample of this.#samples) {
+      end = Math.max(end, sample.timestamp + sample.duration);
+    }
+    return end;
+  }
+}
+
+/**
+ * Class to mux an H.264 (AVC) video track into an MP4 file, entirely in
+ * memory. The movie metadata is written before the media data, so the file
+ * can be played while it is still being loaded.
+ *
+ * The options object supports the following properties:
+ *
+ * options = {
+ *   width: {number},   // frame width, in pixels
+ *   height: {number},  // frame height, in pixels
+ * }
+ *
+ * Media timestamps are kept in microseconds, as output by WebCodecs, so no
+ * frame timing is lost to rounding.
+ */
+class Mp4Muxer {
+  /**
+   * The timescale of the media (ticks per second).
+   */
+  static #timescale = 1_000_000;
+  /**
+   * The timescale of the movie header (ticks per second).
+   */
+  static #movieTimescale = 1000;
+  #options;
+  #track = new VideoTrack();
+
+  /**
+   * Constructs an Mp4Muxer object.
+   *
+   * @param {object} options The track options. See the class description for
+   *        details.
+   */
+  constructor(options) {
+    this.#options = options;
+  }
+
+  /**
+   * Adds an encoded chunk to the video track. Chunks must be added in
+   * decoding order, as output by the encoder.
+   *
+   * @param {EncodedVideoChunk} chunk The encoded chunk.
+   * @param {object} metadata (Optional) The metadata output by the encoder
+   *        along with the chunk. The first one must include the `avcC`
+   *        decoder configuration record as description.
+   */
+  add(chunk, metadata) {
+    this.#track.add(chunk, metadata);
+  }
+
+  /**
+   * Builds the MP4 file from the chunks added so far.
+   *
+   * @returns {Uint8Array} The MP4 file data.
+   * @throws {Error} If no chunks were added or the decoder configuration
+   *         record is missing.
+   */
+  finalize() {
+    const track = this.#track;
+    if (track.samples.length === 0 || !track.description) {
+      throw new Error("No encoded frames or decoder configuration to mux");
+    }
+    const ftyp = Mp4Muxer.#box(
+      "ftyp",
+      ascii("isom"),
+      uint(4, 0x2_00),
+      ascii("isomiso2avc1mp41"),
+    );
+    // The chunk offset depends on the size of the moov box, which does not
+    // depend on the offset value itself
+    const size = this.#moov(0).length;
+    const moov = this.#moov(ftyp.length + size + 8);
+    const data = concat(track.samples.map((sample) => sample.data));
+    const mdat = concat([uint(4, data.length + 8), ascii("mdat"), data]);
+    return concat([ftyp, moov, mdat]);
+  }
+
+  /**
+   * (Private method) Builds the movie box, with the sample tables of the
+   * video track.
+   *
+   * @param {number} offset The file offset of the media data.
+   * @returns {Uint8Array} The moov box.
+   */
+  #moov(offset) {
+    const { width, height } = this.#options;
+    const track = this.#track;
+    const box = Mp4Muxer.#box;
+    const full = Mp4Muxer.#fullBox;
+    const duration = track.end;
+    const movieDuration = Math.round(
+      (duration * Mp4Muxer.#movieTimescale) / Mp4Muxer.#timescale,
+    );
+    const matrix = uint(
+      4,
+      0x1_00_00,
+      0,
+      0,
+      0,
+      0x1_00_00,
+      0,
+      0,
+      0,
+      0x40_00_00_00,
+    );
+
+    const mvhd = full("mvhd", 0, 0, [
+      uint(4, 0, 0, Mp4Muxer.#movieTimescale, movieDuration, 0x1_00_00),
+      uint(2, 0x1_00, 0),
+      uint(4, 0, 0),
+      matrix,
+      uint(4, 0, 0, 0, 0, 0, 0, 2),
+    ]);
+    const tkhd = full("tkhd", 0, 3, [
+      uint(4, 0, 0, 1, 0, movieDuration, 0, 0),
+      uint(2, 0, 0, 0, 0),
+      matrix,
+      uint(4, width * 0x1_00_00, height * 0x1_00_00),
+    ]);
+    const mdhd = full("mdhd", 0, 0, [
+      uint(4, 0, 0, Mp4Muxer.#timescale, duration),
+      uint(2, 0x55_c4, 0), // language "und"
+    ]);
+    const hdlr = full("hdlr", 0, 0, [
+      uint(4, 0),
+      ascii("vide"),
+      uint(4, 0, 0, 0),
+      ascii("VideoHandler\0"),
+    ]);
+    const vmhd = full("vmhd", 0, 1, [uint(2, 0, 0, 0, 0)]);
+    const dref = full("dref", 0, 0, [uint(4, 1), full("url ", 0, 1, [])]);
+    const minf = box("minf", vmhd, box("dinf", dref), this.#stbl(offset));
+    const mdia = box("mdia", mdhd, hdlr, minf);
+    return box("moov", mvhd, box("trak", tkhd, mdia));
+  }
+
+  /**
+   * (Private method) Builds the sample table box of the video track. All
+   * samples are stored in a single chunk.
+   *
+   * @param {number} offset The file offset of the media data.
+   * @returns {Uint8Array} The stbl box.
+   */
+  #stbl(offset) {
+    const { width, height } = this.#options;
+    const samples = this.#track.samples;
+    const box = Mp4Muxer.#box;
+    const full = Mp4Muxer.#fullBox;
+
+    const avc1 = box(
+      "avc1",
+      uint(1, 0, 0, 0, 0, 0, 0),
+      uint(2, 1, 0, 0),
+      uint(4, 0, 0, 0),
+      uint(2, width, height),
+      uint(4, 0x48_00_00, 0x48_00_00, 0),
+      uint(2, 1),
+      uint(1, MUXING_APP.length), // compressor name, as a Pascal string
+      ascii(MUXING_APP, 31),
+      uint(2, 0x18, 0xff_ff),
+      box("avcC", this.#track.description),
+    );
+    const stsd = full("stsd", 0, 0, [uint(4, 1), avc1]);
+
+    // Decoding times are the presentation times in increasing order; they
+    // differ only if the encoder reorders frames
+    const presentation = samples.map((sample) => sample.timestamp);
+    const decoding = presentation.toSorted((a, b) => a - b);
+    const deltas = decoding.map((time, index) =>
+      index + 1 < decoding.length
+        ? decoding[index + 1] - time
+        : samples.at(-1).duration || 0,
+    );
+    const stts = full("stts", 0, 0, Mp4Muxer.#runs(deltas));
+    const offsets = presentation.map((time, index) => time - decoding[index]);
+    const ctts = offsets.some(Boolean)
+      ? [full("ctts", 1, 0, Mp4Muxer.#runs(offsets))]
+      : [];
+    const sync = [];
+    for (const [index, sample] of samples.entries()) {
+      if (sample.key) {
+        sync.push(index + 1);
+      }
+    }
+    const stss = full("stss", 0, 0, [uint(4, sync.length, ...sync)]);
+    const stsc = full("stsc", 0, 0, [uint(4, 1, 1, samples.length, 1)]);
+    const sizes = samples.map((sample) => sample.data.length);
+    const stsz = full("stsz", 0, 0, [uint(4, 0, sizes.length, ...sizes)]);
+    const stco = full("stco", 0, 0, [uint(4, 1, offset)]);
+    return box("stbl", stsd, stts, ...ctts, stss, stsc, stsz, stco);
+  }
+
+  /**
+   * (Private function) Run-length encodes a table of per-sample values, as
+   * used by the stts and ctts boxes.
+   *
+   * @param {number[]} values The value of each sample.
+   * @returns {Array<Uint8Array>} The entry count followed by the
+   *          (count, value) pairs.
+   */
+  static #runs(values) {
+    const runs = [];
+    for (const value of values) {
+      if (runs.length > 0 && runs.at(-1)[1] === value) {
+        runs.at(-1)[0]++;
+      } else {
+        runs.push([1, value]);
+      }
+    }
+    return [
+      uint(4, runs.length),
+      ...runs.map(([count, value]) => uint(4, count, value >>> 0)),
+    ];
+  }
+
+  /**
+   * (Private function) Builds an ISO BMFF box.
+   *
+   * @param {string} type The four-letter box type.
+   * @param {...Uint8Array} parts The box contents, in order.
+   * @returns {Uint8Array} The box.
+   */
+  static #box(type, ...parts) {
+    const content = concat(parts);
+    return concat([uint(4, content.length + 8), ascii(type), content]);
+  }
+
+  /**
+   * (Private function) Builds an ISO BMFF full box (a box with version and
+   * flags).
+   *
+   * @param {string} type The four-letter box type.
+   * @param {number} version The box version.
+   * @param {number} flags The box flags (24 bits).
+   * @param {Array<Uint8Array>} parts The box contents, in order.
+   * @returns {Uint8Array} The box.
+   */
+  static #fullBox(type, version, flags, parts) {
+    return Mp4Muxer.#box(
+      type,
+      uint(4, ((version << 24) | flags) >>> 0),
+      ...parts,
+    );
+  }
+}
+
+/**
+ * Class to mux a video track into a Matroska (MKV) or WebM file, entirely in
+ * memory, with a cue (seek index) entry per cluster.
+ *
+ * The options object supports the following properties:
+ *
+ * options = {
+ *   width: {number},   // frame width, in pixels
+ *   height: {number},  // frame height, in pixels
+ *   codec: {string},   // WebCodecs codec string (e.g., "vp8", "vp09...",
+ *                      // "avc1...")
+ *   docType: {string}, // "webm" (default) or "matroska"
+ * }
+ *
+ * Block timestamps are stored in milliseconds, the Matroska default.
+ */
+class MatroskaMuxer {
+  /**
+   * The Matroska codec identifiers of the supported WebCodecs codecs, by
+   * codec string prefix.
+   */
+  static #codecIds = {
+    vp8: "V_VP8",
+    vp09: "V_VP9",
+    av01: "V_AV1",
+    avc1: "V_MPEG4/ISO/AVC",
+  };
+  /**
+   * The EBML identifiers of the elements written by the muxer.
+   */
+  static #id = {
+    EBML: 0x1a_45_df_a3,
+    EBMLVersion: 0x42_86,
+    EBMLReadVersion: 0x42_f7,
+    EBMLMaxIDLength: 0x42_f2,
+    EBMLMaxSizeLength: 0x42_f3,
+    DocType: 0x42_82,
+    DocTypeVersion: 0x42_87,
+    DocTypeReadVersion: 0x42_85,
+    Segment: 0x18_53_80_67,
+    Info: 0x15_49_a9_66,
+    TimestampScale: 0x2a_d7_b1,
+    MuxingApp: 0x4d_80,
+    WritingApp: 0x57_41,
+    Duration: 0x44_89,
+    Tracks: 0x16_54_ae_6b,
+    TrackEntry: 0xae,
+    TrackNumber: 0xd7,
+    TrackUID: 0x73_c5,
+    TrackType: 0x83,
+    FlagLacing: 0x9c,
+    CodecID: 0x86,
+    CodecPrivate: 0x63_a2,
+    Video: 0xe0,
+    PixelWidth: 0xb0,
+    PixelHeight: 0xba,
+    Cluster: 0x1f_43_b6_75,
+    Timestamp: 0xe7,
+    SimpleBlock: 0xa3,
+    Cues: 0x1c_53_bb_6b,
+    CuePoint: 0xbb,
+    CueTime: 0xb3,
+    CueTrackPositions: 0xb7,
+    CueTrack: 0xf7,
+    CueClusterPosition: 0xf1,
+  };
+  #options;
+  #track = new VideoTrack();
+
+  /**
+   * Constructs a MatroskaMuxer object.
+   *
+   * @param {object} options The track options. See the class description for
+   *        details.
+   */
+  constructor(options) {
+    this.#options = { docType: "webm", ...options };
+  }
+
+  /**
+   * Adds an encoded chunk to the video track. Chunks must be added in
+   * decoding order, as output by the encoder.
+   *
+   * @param {EncodedVideoChunk} chunk The encoded chunk.
+   * @param {object} metadata (Optional) The metadata output by the encoder
+   *        along with the chunk, with the codec description, if any.
+   */
+  add(chunk, metadata) {
+    this.#track.add(chunk, metadata);
+  }
+
+  /**
+   * Builds the Matroska file from the chunks added so far.
+   *
+   * @returns {Uint8Array} The Matroska (or WebM) file data.
+   * @throws {Error} If no chunks were added or the codec is not supported.
+   */
+  finalize() {
+    const { width, height, codec, docType } = this.#options;
+    const id = MatroskaMuxer.#id;
+    const element = MatroskaMuxer.#element;
+    const unsigned = MatroskaMuxer.#unsigned;
+    const track = this.#track;
+    const codecId = MatroskaMuxer.#codecIds[codec.split(".")[0]];
+    if (track.samples.length === 0 || !codecId) {
+      throw new Error(`No encoded frames or unsupported codec: '${codec}'`);
+    }
+
+    const header = element(
+      id.EBML,
+      unsigned(id.EBMLVersion, 1),
+      unsigned(id.EBMLReadVersion, 1),
+      unsigned(id.EBMLMaxIDLength, 4),
+      unsigned(id.EBMLMaxSizeLength, 8),
+      element(id.DocType, ascii(docType)),
+      unsigned(id.DocTypeVersion, 4),
+      unsigned(id.DocTypeReadVersion, 2),
+    );
+    const duration = new Uint8Array(8);
+    new DataView(duration.buffer).setFloat64(0, track.end / 1000);
+    const info = element(
+      id.Info,
+      unsigned(id.TimestampScale, 1_000_000),
+      element(id.MuxingApp, ascii(MUXING_APP)),
+      element(id.WritingApp, ascii(MUXING_APP)),
+      element(id.Duration, duration),
+    );
+    const priv = track.description
+      ? [element(id.CodecPrivate, track.description)]
+      : [];
+    const tracks = element(
+      id.Tracks,
+      element(
+        id.TrackEntry,
+        unsigned(id.TrackNumber, 1),
+        unsigned(id.TrackUID, 1),
+        unsigned(id.TrackType, 1),
+        unsigned(id.FlagLacing, 0),
+        element(id.CodecID, ascii(codecId)),
+        ...priv,
+        element(
+          id.Video,
+          unsigned(id.PixelWidth, width),
+          unsigned(id.PixelHeight, height),
+        ),
+      ),
+    );
+
+    const clusters = [];
+    const cues = [];
+    let position = info.length + tracks.length;
+    for (const [time, blocks] of this.#clusters()) {
+      const cluster = element(
+        id.Cluster,
+        unsigned(id.Timestamp, time),
+        ...blocks,
+      );
+      cues.push(
+        element(
+          id.CuePoint,
+          unsigned(id.CueTime, time),
+          element(
+            id.CueTrackPositions,
+            unsigned(id.CueTrack, 1),
+            unsigned(id.CueClusterPosition, position),
+          ),
+        ),
+      );
+      clusters.push(cluster);
+      position += cluster.length;
+    }
+    const segment = element(
+      id.Segment,
+      info,
+      tracks,
+      ...clusters,
+      element(id.Cues, ...cues),
+    );
+    return concat([header, segment]);
+  }
+
+  /**
+   * (Private method) Groups the samples into clusters, as simple blocks. A
+   * cluster starts at every key frame, or when the block timestamps no longer
+   * fit the 16-bit offset from the cluster timestamp.
+   *
+   * @returns {Array<[number, Array<Uint8Array>]>} The timestamp, in
+   *          milliseconds, and the blocks of each cluster.
+   */
+  #clusters() {
+    const clusters = [];
+    for (const sample of this.#track.samples) {
+      const time = Math.round(sample.timestamp / 1000);
+      const current = clusters.at(-1);
+      if (!current || sample.key || time - current[0] > 0x7f_ff) {
+        clusters.push([time, []]);
+      }
+      const [start, blocks] = clusters.at(-1);
+      const block = new Uint8Array(4 + sample.data.length);
+      const view = new DataView(block.buffer);
+      view.setUint8(0, 0x81); // track number 1, as a 1-byte variable integer
+      view.setInt16(1, time - start);
+      view.setUint8(3, sample.key ? 0x80 : 0);
+      block.set(sample.data, 4);
+      blocks.push(MatroskaMuxer.#element(MatroskaMuxer.#id.SimpleBlock, block));
+    }
+    return clusters;
+  }
+
+  /**
+   * (Private function) Builds an EBML element.
+   *
+   * @param {number} id The element identifier, including its length marker.
+   * @param {...Uint8Array} parts The element data, in order.
+   * @returns {Uint8Array} The element.
+   */
+  static #element(id, ...parts) {
+    const data = concat(parts);
+    return concat([
+      MatroskaMuxer.#bytes(id),
+      MatroskaMuxer.#size(data.length),
+      data,
+    ]);
+  }
+
+  /**
+   * (Private function) Builds an EBML unsigned integer element.
+   *
+   * @param {number} id The element identifier, including its length marker.
+   * @param {number} value The value of the element.
+   * @returns {Uint8Array} The element.
+   */
+  static #unsigned(id, value) {
+    return MatroskaMuxer.#element(id, MatroskaMuxer.#bytes(value));
+  }
+
+  /**
+   * (Private function) Encodes a non-negative integer as big-endian bytes,
+   * with the least number of bytes (at least one).
+   *
+   * @param {number} value The integer.
+   * @returns {Uint8Array} The encoded integer.
+   */
+  static #bytes(value) {
+    const bytes = [];
+    do {
+      bytes.unshift(value % 256);
+      value = Math.floor(value / 256);
+    } while (value > 0);
+    return Uint8Array.from(bytes);
+  }
+
+  /**
+   * (Private function) Encodes an element data size as an EBML variable
+   * length integer, with the least number of bytes.
+   *
+   * @param {number} size The size, in bytes.
+   * @returns {Uint8Array} The encoded size.
+   */
+  static #size(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) {
+      length++;
+    }
+    const bytes = new Uint8Array(length);
+    let value = size;
+    for (let index = length - 1; index >= 0; index--) {
+      bytes[index] = value % 256;
+      value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+  }
+}
+
+export { MatroskaMuxer, Mp4Muxer };
@@ -0,0 +1,444 @@
+import { dict } from "./common.js";
+import { FileSaver } from "./downloader.js";
+import { MESSAGE } from "./downloads.js";
+import {
+  Button,
+  CheckboxField,
+  GuiElement,
+  SelectField,
+  Statusbar,
+} from "./gui.js";
+import { DEFAULT_PREFERENCES, PreferencesForm } from "./preferences.js";
+import { PresetFile } from "./settings.js";
+import { DateUtils, TIME_ZONE } from "./shared.js";
+
+/**
+ * An array of the identifiers of the site adapters (see `SITE_ADAPTERS` in
+ * the content script).
+ */
+const SITES = ["DMH", "SIMEPAR", "SMN"];
+
+/**
+ * A map of the site adapters to their names.
+ */
+const SITE_LABEL = dict(SITES, [
+  "DMH Paraguay (satélite GOES-16)",
+  "SIMEPAR Brasil (radar)",
+  "SMN Argentina (radar)",
+]);
+
+/**
+ * The key of the identifiers of the site adapters the user disabled, in the
+ * synchronized storage; the content script reads it before injecting them.
+ */
+const DISABLED_ADAPTERS_KEY = "adapters.disabled";
+
+/**
+ * A map of the outcomes of the frames of a run of a capture job to their
+ * names.
+ */
+const STATUS_LABEL = {
+  saved: "Guardada",
+  missing: "No publicada",
+  failed: "Fallida",
+};
+
+/**
+ * Sends a request to the background service worker.
+ *
+ * @param {Object} message The request (see `MESSAGE`).
+ * @returns {Promise<Object>} A promise that resolves to the response, with
+ *          `ok` set to `false` if the service worker cannot be reached.
+ */
+async function send(message) {
+  try {
+    const result = await chrome.runtime.sendMessage(message);
+    return result || { ok: false, message: "error" };
+  } catch (error) {
+    console.warn(`Request not sent: ${message.type}: ${error.message}`);
+    return { ok: false, message: "error", error: error.message };
+  }
+}
+
+/**
+ * Formats a time of the record of the capture jobs.
+ *
+ * @param {number} time The time, in milliseconds.
+ * @param {string} timeZone The time zone to show it in (see `TIME_ZONE`).
+ * @returns {string} The formatted time.
+ */
+function formatTime(time, timeZone) {
+  return DateUtils.toZonedISODate(new Date(time), timeZone).replace("T", " ");
+}
+
+/**
+ * Class representing the site adapter form of the options page, used to
+ * enable or disable the adapter of each site.
+ *
+ * Dispatches a "change" event when the user enables or disables an adapter,
+ * with the identifiers of the disabled adapters as parameter.
+ */
+class AdapterForm extends GuiElement {
+  #enabled = new CheckboxField("Habilitados", Object.entries(SITE_LABEL));
+
+  /**
+   * Constructs an AdapterForm object.
+   *
+   * @param {string[]} disabled The identifiers of the disabled adapters.
+   */
+  constructor(disabled) {
+    super("form.retspy-form");
+    const note = GuiElement.create("span.retspy-estimate");
+    note.text = "Los cambios se aplican al recargar la página del sitio.";
+    this.append([this.#enabled, note]);
+    this.#enabled.value = SITES.filter((site) => !disabled.includes(site));
+    this.registerEvent("change");
+    this.#enabled.addEventListener("change", () =>
+      this.dispatchEvent("change", this.disabled),
+    );
+  }
+
+  /**
+   * Gets the identifiers of the adapters disabled in the form.
+   *
+   * @returns {string[]} The identifiers of the disabled adapters.
+   */
+  get disabled() {
+    const enabled = this.#enabled.value;
+    return SITES.filter((site) => !enabled.includes(site));
+  }
+}
+
+/**
+ * Class representing the capture job view of the options page: the scheduled
+ * capture jobs, and the last runs of the jobs with the outcome of each frame
+ * (see `JobScheduler`).
+ *
+ * Dispatches an "unschedule" event when the user removes a job, with its
+ * identifier as parameter, and a "refresh" event when the user asks to list
+ * the jobs and runs again.
+ */
+class JobView extends GuiElement {
+  #jobs = new SelectField("Programadas");
+  #remove = new Button("Quitar", ".btn.btn-default.btn-sm");
+  #refresh = new Button("Actualizar", ".btn.btn-default.btn-sm");
+  #runs = GuiElement.create("div.retspy-runs");
+  #timeZone;
+
+  /**
+   * Constructs a JobView object.
+   *
+   * @param {string} timeZone The time zone the times are shown in (see
+   *        `TIME_ZONE`).
+   */
+  constructor(timeZone) {
+    super("form.retspy-form");
+    this.#timeZone = timeZone;
+    const actions = GuiElement.create("div.retspy-actions");
+    actions.append([this.#remove, this.#refresh]);
+    this.append([this.#jobs, actions, this.#runs]);
+    this.jobs = [];
+    this.runs = [];
+
+    this.registerEvent("unschedule");
+    this.registerEvent("refresh");
+    JobView.#bind(this.#remove, () =>
+      this.dispatchEvent("unschedule", this.#jobs.value),
+    );
+    JobView.#bind(this.#refresh, () => this.dispatchEvent("refresh"));
+  }
+
+  /**
+   * Sets the scheduled capture jobs listed in the view.
+   *
+   * @param {Array<Object>} jobs The capture jobs (see `CaptureJob`).
+   */
+  set jobs(jobs) {
+    this.#jobs.options = jobs.map((job) => {
+      const end = formatTime(job.end, this.#timeZone);
+      return [job.id, `${job.name} (hasta ${end})`];
+    });
+    this.#jobs.disabled = jobs.length === 0;
+    this.#remove.element.disabled = jobs.length === 0;
+  }
+
+  /**
+   * Sets the runs listed in the view, each one with its log folded.
+   *
+   * @param {Array<Object>} runs The runs, most recent first (see
+   *        `JobScheduler`).
+   */
+  set runs(runs) {
+    const elements = runs.map((run) => this.#createRun(run).element);
+    if (elements.length === 0) {
+      const empty = GuiElement.create("span.retspy-estimate");
+      empty.text = "Sin ejecuciones registradas";
+      elements.push(empty.element);
+    }
+    this.#runs.element.replaceChildren(...elements);
+  }
+
+  /**
+   * (Private function) Turns a button of the view into a plain button (not
+   * submitting the form) that calls the given function when clicked.
+   *
+   * @param {Button} button The button.
+   * @param {function(): void} action The function to call.
+   */
+  static #bind(button, action) {
+    button.element.type = "button";
+    button.registerEvent("action");
+    button.addEventListener("action", action);
+    button.entangleEvents("click", "action");
+  }
+
+  /**
+   * (Private method) Creates the element of a run: a summary of its outcome,
+   * unfolding into the outcome of each frame.
+   *
+   * @param {Object} run The run (see `JobScheduler`).
+   * @returns {GuiElement} The element of the run.
+   */
+  #createRun(run) {
+    const details = GuiElement.create("details.retspy-run summary");
+    const time = formatTime(run.time, this.#timeZone);
+    const outcome = run.error
+      ? `falló: ${run.error}`
+      : `${run.saved} guardadas, ${run.missing} no publicadas, ` +
+        `${run.failed} fallidas`;
+    details.querySelector("summary").text = `${time} — ${run.name}: ${outcome}`;
+    const log = document.createElement("ul");
+    for (const { url, status } of run.log) {
+      const item = document.createElement("li");
+      item.textContent = `${STATUS_LABEL[status] || status}: ${url}`;
+      log.append(item);
+    }
+    details.element.append(log);
+    return details;
+  }
+}
+
+/**
+ * Class representing the options page of the extension: the preferences and
+ * presets of the user of the DMH imagery, the site adapters, and the capture
+ * jobs with their last runs. Each section has a title, and the outcome of the
+ * changes is shown in the statusbar.
+ */
+class OptionsPage extends GuiElement {
+  #preferences;
+  #presets;
+  #jobs;
+  #statusbar = new Statusbar();
+
+  /**
+   * Constructs an OptionsPage object.
+   *
+   * @param {Object} stored The stored preferences (`settings`) and presets
+   *        (`presets`) of the user, and the identifiers of the disabled
+   *        adapters (`disabled`).
+   */
+  constructor(stored) {
+    super("div.retspy-options");
+    const preferences = { ...DEFAULT_PREFERENCES, ...stored.settings };
+    const timeZone = Object.hasOwn(TIME_ZONE, preferences.timeZone)
+      ? preferences.timeZone
+      : DEFAULT_PREFERENCES.timeZone;
+
+    const title = GuiElement.create("h1.retspy-title");
+    title.text = "RETSpy — Opciones";
+    this.#preferences = OptionsPage.#createPreferences(this, preferences);
+    this.presets = stored.presets;
+    const adapters = new AdapterForm(stored.disabled);
+    adapters.addEventListener("change", (data) =>
+      this.#storeAdapters(data.parameters),
+    );
+    this.#jobs = new JobView(timeZone);
+    this.#jobs.addEventListener("unschedule", (data) =>
+      this.#unscheduleJob(data.parameters),
+    );
+    this.#jobs.addEventListener("refresh", () => this.listJobs());
+
+    this.append(title);
+    this.#addSection("Preferencias y presets (DMH)", this.#preferences);
+    this.#addSection("Sitios", adapters);
+    this.#addSection("Capturas programadas", this.#jobs);
+    this.append(this.#statusbar);
+    this.#statusbar.status = "Listo";
+  }
+
+  /**
+   * Reads what the options page edits: the stored preferences and presets of
+   * the user, and the disabled adapters.
+   *
+   * @returns {Promise<Object>} A promise that resolves to what was read (see
+   *          the constructor); empty if the storage cannot be reached.
+   */
+  static async load() {
+    const result = await send({ type: MESSAGE.SETTINGS, site: "DMH" });
+    let disabled = [];
+    try {
+      const stored = await chrome.storage.sync.get(DISABLED_ADAPTERS_KEY);
+      disabled = stored[DISABLED_ADAPTERS_KEY] || [];
+    } catch (error) {
+      console.warn(`Adapters not read: ${error.message}`);
+    }
+    return {
+      settings: result.ok ? result.settings : {},
+      presets: result.ok ? result.presets : [],
+      disabled,
+    };
+  }
+
+  /**
+   * Sets the presets of the user, listed in the preferences section.
+   *
+   * @param {Array<Object>} presets The presets (see `DEFAULT_PREFERENCES`).
+   */
+  set presets(presets) {
+    this.#presets = presets;
+    this.#preferences.presets = presets;
+  }
+
+  /**
+   * Lists the scheduled capture jobs and their last runs.
+   */
+  async listJobs() {
+    const [jobs, runs] = await Promise.all([
+      send({ type: MESSAGE.JOBS }),
+      send({ type: MESSAGE.RUNS }),
+    ]);
+    this.#jobs.jobs = jobs.ok ? jobs.jobs : [];
+    this.#jobs.runs = runs.ok ? runs.runs : [];
+  }
+
+  /**
+   * (Private method) Adds a titled section to the page.
+   *
+   * @param {string} title The title of the section.
+   * @param {GuiElement} content The content of the section.
+   */
+  #addSection(title, content) {
+    const section = GuiElement.create("section.retspy-section h2");
+    section.querySelector("h2").text = title;
+    section.append(content);
+    this.append(section);
+  }
+
+  /**
+   * (Private method) Has the extension store the preferences, the presets,
+   * or both, and shows the outcome.
+   *
+   * @param {Object} settings The preferences, or `undefined` to keep them.
+   * @param {Array<Object>} presets The presets, or `undefined` to keep them.
+   * @param {string} what What is stored, for the outcome (e.g.,
+   *        "Preferencias guardadas").
+   */
+  async #store(settings, presets, what) {
+    const message = { type: MESSAGE.STORE_SETTINGS, site: "DMH" };
+    const result = await send({ ...message, settings, presets });
+    this.#statusbar.status = result.ok ? what : "No se pudieron guardar";
+  }
+
+  /**
+   * (Private method) Replaces the presets of the user and has the extension
+   * store them.
+   *
+   * @param {Array<Object>} presets The new presets.
+   */
+  #storePresets(presets) {
+    this.presets = presets;
+    this.#store(undefined, presets, "Presets guardados");
+  }
+
+  /**
+   * (Private method) Saves the presets of the user as a JSON file.
+   */
+  #exportPresets() {
+    const json = PresetFile.export("DMH", this.#presets);
+    const content = new Blob([json], { type: "application/json" });
+    const { prefix } = this.#preferences.preferences;
+    FileSaver.save(content, `${prefix}PRESETS.json`);
+  }
+
+  /**
+   * (Private method) Adds the presets of a preset file to those of the
+   * user, replacing the presets with the same names.
+   *
+   * @param {string} text The content of the preset file.
+   */
+  #importPresets(text) {
+    let presets;
+    try {
+      presets = PresetFile.import(text, "DMH");
+    } catch (error) {
+      console.warn(`Presets not imported: ${error.message}`);
+      this.#statusbar.status = "El archivo no contiene presets de la DMH";
+      return;
+    }
+    this.#storePresets(PresetFile.merge(this.#presets, presets));
+  }
+
+  /**
+   * (Private method) Stores the disabled adapters and shows the outcome.
+   *
+   * @param {string[]} disabled The identifiers of the disabled adapters.
+   */
+  async #storeAdapters(disabled) {
+    try {
+      await chrome.storage.sync.set({ [DISABLED_ADAPTERS_KEY]: disabled });
+      this.#statusbar.status = "Sitios guardados";
+    } catch (error) {
+      console.warn(`Adapters not stored: ${error.message}`);
+      this.#statusbar.status = "No se pudieron guardar los sitios";
+    }
+  }
+
+  /**
+   * (Private method) Has the extension unschedule a capture job and lists
+   * the jobs again.
+   *
+   * @param {string} id The identifier of the job.
+   */
+  async #unscheduleJob(id) {
+    const result = await send({ type: MESSAGE.UNSCHEDULE, id });
+    this.#statusbar.status = result.ok
+      ? "Captura programada quitada"
+      : "No se pudo quitar la captura programada";
+    await this.listJobs();
+  }
+
+  /**
+   * (Private function) Creates the preferences form of the page, storing
+   * the preferences and presets as the user changes them.
+   *
+   * @param {OptionsPage} page The options page.
+   * @param {Object} preferences The preferences shown in the form.
+   * @returns {PreferencesForm} The preferences form.
+   */
+  static #createPreferences(page, preferences) {
+    const form = new PreferencesForm(preferences);
+    form.addEventListener("save", (data) =>
+      page.#store(data.parameters, undefined, "Preferencias guardadas"),
+    );
+    form.addEventListener("apply", () => {
+      page.#statusbar.status = "Preset cargado, sin guardar";
+    });
+    form.addEventListener("add", (data) =>
+      page.#storePresets(PresetFile.merge(page.#presets, [data.parameters])),
+    );
+    form.addEventListener("remove", (data) =>
+      page.#storePresets(
+        page.#presets.filter(({ name }) => name !== data.parameters),
+      ),
+    );
+    form.addEventListener("export", () => page.#exportPresets());
+    form.addEventListener("import", (data) =>
+      page.#importPresets(data.parameters),
+    );
+    return form;
+  }
+}
+
+const page = new OptionsPage(await OptionsPage.load());
+document.body.append(page.element);
+await page.listJobs();
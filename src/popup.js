@@ -0,0 +1,196 @@
+import { DMH_INTERVAL, DMH_ROOT, PRODUCT, SECTOR } from "./catalog.js";
+import { FileSaver } from "./downloader.js";
+import { DESTINATION, MESSAGE } from "./downloads.js";
+import {
+  Button,
+  GuiElement,
+  InputField,
+  SelectField,
+  Statusbar,
+} from "./gui.js";
+import { DEFAULT_PREFERENCES } from "./preferences.js";
+import { QuickDownload } from "./quick.js";
+import { DownloadRunner } from "./shared.js";
+
+const popup_settings = {
+  // Series downloaded if the user has no preferred one
+  favorite: {
+    product: "BAND13",
+    sector: "PAR",
+  },
+  hours: {
+    current: 3,
+    min: 1,
+    max: 24,
+  },
+  params: {
+    cache: "no-cache",
+    method: "GET",
+    referrer: DMH_ROOT,
+  },
+  queue: {
+    concurrency: DEFAULT_PREFERENCES.concurrency, // see `DownloadQueue`
+  },
+  prefix: DEFAULT_PREFERENCES.prefix,
+};
+
+/**
+ * Class representing the quick download form of the toolbar popup, used to
+ * download the last hours of a series of the DMH imagery without its page.
+ *
+ * Dispatches a "download" event when the user submits the form, with the
+ * requested series as parameter (see `QuickDownload`).
+ */
+class QuickForm extends GuiElement {
+  #product = new SelectField("Producto", Object.entries(PRODUCT));
+  #sector = new SelectField("Sector", Object.entries(SECTOR));
+  #hours = new InputField("Últimas (h)", "number");
+  #estimate = GuiElement.create("span.retspy-estimate");
+  #submit = new Button("Descargar", ".btn.btn-primary.btn-sm");
+
+  /**
+   * Constructs a QuickForm object.
+   *
+   * @param {{product: string, sector: string}} favorite The series selected
+   *        in the form.
+   */
+  constructor(favorite) {
+    super("form.retspy-form");
+    this.append([
+      this.#product,
+      this.#sector,
+      this.#hours,
+      this.#estimate,
+      this.#submit,
+    ]);
+
+    const { current, min, max } = popup_settings.hours;
+    this.#product.value = favorite.product;
+    this.#sector.value = favorite.sector;
+    this.#hours.attributes = { min, max };
+    this.#hours.value = current;
+    this.#update();
+    this.#hours.addEventListener("change", () => this.#update());
+
+    this.registerEvent("download");
+    this.registerEvent("submit");
+    this.addEventListener("submit", (data) => {
+      data.parameters.preventDefault();
+      this.dispatchEvent("download", this.request);
+    });
+    this.entangleEvents("submit", "submit");
+  }
+
+  /**
+   * Gets the series currently requested in the form.
+   *
+   * @returns {Object} The requested series. See `QuickDownload` for
+   *          details.
+   */
+  get request() {
+    return {
+      product: this.#product.value,
+      sector: this.#sector.value,
+      hours: Number(this.#hours.value),
+    };
+  }
+
+  /**
+   * Enables or disables the submit button of the form.
+   *
+   * @param {boolean} disabled Whether the button should be disabled.
+   */
+  set disabled(disabled) {
+    this.#submit.element.disabled = disabled;
+  }
+
+  /**
+   * (Private method) Updates the image-count estimate and enables the submit
+   * button only if the number of hours is valid.
+   */
+  #update() {
+    const { hours } = this.request;
+    const { min, max } = popup_settings.hours;
+    const valid = Number.isFinite(hours) && hours >= min && hours <= max;
+    const count = valid ? Math.floor((hours * 3_600_000) / DMH_INTERVAL) : 0;
+    this.#estimate.text = valid
+      ? `Imágenes estimadas: ${count + 1}`
+      : `Entre ${min} y ${max} horas`;
+    this.disabled = !valid;
+  }
+}
+
+/**
+ * Class representing the toolbar popup of the extension: the quick download
+ * form and a statusbar with the progress of the download.
+ *
+ * The popup downloads the images itself, probing first which ones are
+ * published, and saves the archive through the downloads of the browser;
+ * closing the popup cancels the download.
+ */
+class ToolbarPopup extends GuiElement {
+  #form;
+  #statusbar = new Statusbar();
+  #runner = new DownloadRunner(this.#statusbar, popup_settings.queue);
+
+  /**
+   * Constructs a ToolbarPopup object.
+   *
+   * @param {{product: string, sector: string}} favorite The series selected
+   *        in the form.
+   */
+  constructor(favorite) {
+    super("div.retspy-popup");
+    const title = GuiElement.create("h1.retspy-title");
+    title.text = "RETSpy — Descarga rápida (DMH)";
+    this.#form = new QuickForm(favorite);
+    this.#form.addEventListener("download", (data) =>
+      this.#download(data.parameters),
+    );
+    this.append([title, this.#form, this.#statusbar]);
+    this.#statusbar.status = "Listo";
+  }
+
+  /**
+   * Reads the preferences of the user stored by the extension: the first of
+   * their preferred products and sectors is the favorite series, and their
+   * filename prefix and simultaneous downloads are used as well.
+   *
+   * @returns {Promise<{product: string, sector: string}>} A promise that
+   *          resolves to the favorite series.
+   */
+  static async favorite() {
+    let settings = {};
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: MESSAGE.SETTINGS,
+        site: "DMH",
+      });
+      settings = result?.ok ? result.settings : {};
+    } catch (error) {
+      console.warn(`Preferences not loaded: ${error.message}`);
+    }
+    return QuickDownload.configure(popup_settings, settings);
+  }
+
+  /**
+   * (Private method) Downloads the requested series and shows its progress
+   * and result in the statusbar. Only one download runs at a time.
+   *
+   * @param {Object} request The requested series. See `QuickDownload`.
+   */
+  async #download(request) {
+    if (this.#runner.running) {
+      return;
+    }
+    this.#form.disabled = true;
+    await this.#runner.run((options) =>
+      QuickDownload.fetch(request, popup_settings, options),
+    );
+    this.#form.disabled = false;
+  }
+}
+
+FileSaver.destination = { ...DESTINATION, site: "DMH" };
+const popup = new ToolbarPopup(await ToolbarPopup.favorite());
+document.body.append(popup.element);
@@ -0,0 +1,263 @@
+import { formatOptions, PRODUCT, SECTOR } from "./catalog.js";
+import { ARCHIVE, IMAGE, VIDEO } from "./downloader.js";
+import {
+  Button,
+  CheckboxField,
+  GuiElement,
+  InputField,
+  SelectField,
+} from "./gui.js";
+import { LOCAL_TIME_ZONE, TIME_ZONE } from "./shared.js";
+
+/**
+ * The preferences of the user of the DMH imagery when none are stored. The
+ * preferences are stored by the extension in the synchronized storage of the
+ * browser (see `SettingsStore`), and a named preset holds the same
+ * preferences, plus its name:
+ *
+ * preferences = {
+ *   products: {string[]}, // series selected by default, those of the page
+ *   sectors: {string[]},  // if empty
+ *   image: {string},       // see `IMAGE`
+ *   archive: {string},     // see `ARCHIVE`
+ *   video: {string},       // see `VIDEO`
+ *   fps: {number},
+ *   prefix: {string},      // filename prefix
+ *   timeZone: {string},    // see `TIME_ZONE`
+ *   concurrency: {number}, // simultaneous downloads
+ *   regions: {Object},     // crop regions saved by the user, by sector and
+ *                          // name, in pixels ([x, y, width, height])
+ * }
+ */
+const DEFAULT_PREFERENCES = {
+  products: [],
+  sectors: [],
+  image: IMAGE.PNG,
+  archive: ARCHIVE.ZIP,
+  video: VIDEO.MP4,
+  fps: 4,
+  prefix: "DMH_",
+  timeZone: LOCAL_TIME_ZONE,
+  concurrency: 4,
+  regions: {},
+};
+
+/**
+ * The ranges of the numeric preferences.
+ */
+const PREFERENCE_RANGE = {
+  fps: { min: 1, max: 30 },
+  concurrency: { min: 1, max: 8 },
+};
+
+/**
+ * Class representing the preferences form of the DMH dashboard and of the
+ * options page of the extension, used to change the defaults of the user and
+ * to manage the named presets: apply, save, remove, export and import them.
+ *
+ * Dispatches a "save" event when the user submits the form, and an "apply"
+ * event when the user applies a preset, with the preferences as parameter
+ * (see `DEFAULT_PREFERENCES`). Dispatches an "add" event when the user saves
+ * the preferences of the form as a preset, with the preset as parameter; a
+ * "remove" event when the user removes a preset, with its name as parameter;
+ * an "export" event when the user exports the presets, and an "import" event
+ * when the user picks a preset file, with its content as parameter.
+ */
+class PreferencesForm extends GuiElement {
+  #products = new CheckboxField(
+    "Productos",
+    Object.entries(PRODUCT).map(([key, label]) => [key, key, label]),
+  );
+  #sectors = new CheckboxField("Sectores", Object.entries(SECTOR));
+  #image = new SelectField("Imagen", formatOptions("type"));
+  #archive = new SelectField("Archivo", formatOptions("archive"));
+  #video = new SelectField("Video", formatOptions("video"));
+  #fps = new InputField("Cuadros/s", "number");
+  #prefix = new InputField("Prefijo", "text");
+  #timeZone = new SelectField("Hora", Object.entries(TIME_ZONE));
+  #concurrency = new InputField("Descargas simultáneas", "number");
+  #submit = new Button("Guardar", ".btn.btn-primary.btn-sm");
+  #presets = new SelectField("Presets");
+  #name = new InputField("Nombre", "text");
+  #apply = new Button("Aplicar", ".btn.btn-default.btn-sm");
+  #add = new Button("Guardar preset", ".btn.btn-default.btn-sm");
+  #remove = new Button("Eliminar", ".btn.btn-default.btn-sm");
+  #export = new Button("Exportar", ".btn.btn-default.btn-sm");
+  #import = new Button("Importar", ".btn.btn-default.btn-sm");
+  #file = GuiElement.create("input.retspy-file");
+  #list = [];
+  #regions = {};
+
+  /**
+   * Constructs a PreferencesForm object.
+   *
+   * @param {Object} preferences (Optional) The preferences shown in the
+   *        form. Defaults to `DEFAULT_PREFERENCES`.
+   */
+  constructor(preferences = DEFAULT_PREFERENCES) {
+    super("form.retspy-form");
+    const actions = GuiElement.create("div.retspy-actions");
+    actions.append([
+      this.#apply,
+      this.#add,
+      this.#remove,
+      this.#export,
+      this.#import,
+    ]);
+    this.append([
+      this.#products,
+      this.#sectors,
+      this.#image,
+      this.#archive,
+      this.#video,
+      this.#fps,
+      this.#prefix,
+      this.#timeZone,
+      this.#concurrency,
+      this.#submit,
+      this.#presets,
+      this.#name,
+      actions,
+      this.#file,
+    ]);
+
+    this.#fps.attributes = PREFERENCE_RANGE.fps;
+    this.#concurrency.attributes = PREFERENCE_RANGE.concurrency;
+    this.#name.attributes = { placeholder: "Caso granizo – BAND13+FCOLOR PAR" };
+    this.#file.element.type = "file";
+    this.#file.element.accept = ".json,application/json";
+    this.#file.hide();
+    this.preferences = preferences;
+    this.presets = [];
+
+    this.registerEvent("save");
+    this.registerEvent("submit");
+    this.addEventListener("submit", (data) => {
+      data.parameters.preventDefault();
+      this.dispatchEvent("save", this.preferences);
+    });
+    this.entangleEvents("submit", "submit");
+
+    for (const name of ["apply", "add", "remove", "export", "import"]) {
+      this.registerEvent(name);
+    }
+    PreferencesForm.#bind(this.#apply, () => this.#applyPreset());
+    PreferencesForm.#bind(this.#add, () => this.#addPreset());
+    PreferencesForm.#bind(this.#remove, () =>
+      this.dispatchEvent("remove", this.#presets.value),
+    );
+    PreferencesForm.#bind(this.#export, () => this.dispatchEvent("export"));
+    PreferencesForm.#bind(this.#import, () => this.#file.element.click());
+    this.#file.registerEvent("pick");
+    this.#file.addEventListener("pick", () => this.#importFile());
+    this.#file.entangleEvents("change", "pick");
+  }
+
+  /**
+   * Gets the preferences currently set in the form.
+   *
+   * @returns {Object} The preferences. See `DEFAULT_PREFERENCES`.
+   */
+  get preferences() {
+    return {
+      products: this.#products.value,
+      sectors: this.#sectors.value,
+      image: this.#image.value,
+      archive: this.#archive.value,
+      video: this.#video.value,
+      fps: Number(this.#fps.value),
+      prefix: this.#prefix.value.trim(),
+      timeZone: this.#timeZone.value,
+      concurrency: Number(this.#concurrency.value),
+      regions: this.#regions,
+    };
+  }
+
+  /**
+   * Sets the preferences shown in the form.
+   *
+   * @param {Object} preferences The preferences. See `DEFAULT_PREFERENCES`.
+   */
+  set preferences(preferences) {
+    this.#products.value = preferences.products;
+    this.#sectors.value = preferences.sectors;
+    this.#image.value = preferences.image;
+    this.#archive.value = preferences.archive;
+    this.#video.value = preferences.video;
+    this.#fps.value = preferences.fps;
+    this.#prefix.value = preferences.prefix;
+    this.#timeZone.value = preferences.timeZone;
+    this.#concurrency.value = preferences.concurrency;
+    // Saved from the advanced form of the dashboard, kept as they are
+    this.#regions = preferences.regions || {};
+  }
+
+  /**
+   * Sets the presets listed in the form.
+   *
+   * @param {Array<Object>} presets The presets, with their names.
+   */
+  set presets(presets) {
+    this.#list = presets;
+    this.#presets.options = presets.map(({ name }) => [name, name]);
+    const empty = presets.length === 0;
+    this.#presets.disabled = empty;
+    for (const button of [this.#apply, this.#remove, this.#export]) {
+      button.element.disabled = empty;
+    }
+  }
+
+  /**
+   * (Private function) Turns a button of the form into a plain button (not
+   * submitting the form) that calls the given function when clicked.
+   *
+   * @param {Button} button The button.
+   * @param {function(): void} action The function to call.
+   */
+  static #bind(button, action) {
+    button.element.type = "button";
+    button.registerEvent("action");
+    button.addEventListener("action", action);
+    button.entangleEvents("click", "action");
+  }
+
+  /**
+   * (Private method) Shows the preferences of the selected preset in the
+   * form and applies them.
+   */
+  #applyPreset() {
+    const preset = this.#list.find(({ name }) => name === this.#presets.value);
+    if (!preset) {
+      return;
+    }
+    this.preferences = { ...this.preferences, ...preset };
+    this.#name.value = preset.name;
+    this.dispatchEvent("apply", this.preferences);
+  }
+
+  /**
+   * (Private method) Saves the preferences of the form as a preset with the
+   * given name, replacing the preset with the same name, if any.
+   */
+  #addPreset() {
+    const name = this.#name.value.trim();
+    if (name === "") {
+      this.#name.control.element.focus();
+      return;
+    }
+    this.dispatchEvent("add", { name, ...this.preferences });
+  }
+
+  /**
+   * (Private method) Reads the preset file picked by the user.
+   */
+  async #importFile() {
+    const [file] = this.#file.element.files;
+    this.#file.element.value = "";
+    if (file) {
+      this.dispatchEvent("import", await file.text());
+    }
+  }
+}
+
+export { DEFAULT_PREFERENCES, PREFERENCE_RANGE, PreferencesForm };
@@ -0,0 +1,166 @@
+import {
+  DMH_INSTRUMENT,
+  DMH_INTERVAL,
+  PRODUCT,
+  SECTOR,
+  seriesTemplate,
+} from "./catalog.js";
+import {
+  ARC_TYPE,
+  ARCHIVE,
+  AvailabilityProbe,
+  FileDownloader,
+  FileSaver,
+} from "./downloader.js";
+import { PREFERENCE_RANGE } from "./preferences.js";
+import { CaptureJob } from "./scheduler.js";
+import { DateUtils, FilenameUtils } from "./shared.js";
+
+/**
+ * Class downloading the last hours of a series of the DMH imagery without
+ * its page, as the quick download of the toolbar popup does.
+ *
+ * The settings of the quick download have the following properties:
+ *
+ * settings = {
+ *   favorite: {{product: string, sector: string}}, // series downloaded if
+ *                       // the user has no preferred one
+ *   params: {Object},   // options for the fetch requests
+ *   queue: {Object},    // options for the download queue
+ *   prefix: {string},   // prefix of the archive filename
+ * }
+ *
+ * The requested series has the following properties:
+ *
+ * request = {
+ *   product: {string},
+ *   sector: {string},
+ *   hours: {number},
+ * }
+ */
+class QuickDownload {
+  /**
+   * Applies the preferences of the user stored by the extension to the
+   * settings: their filename prefix and simultaneous downloads, if valid.
+   * The first of their preferred products and sectors is the favorite
+   * series.
+   *
+   * @param {Object} settings The settings of the quick download, updated.
+   *        See the class description for details.
+   * @param {Object} preferences The stored preferences (see
+   *        `DEFAULT_PREFERENCES`), possibly incomplete.
+   * @returns {{product: string, sector: string}} The favorite series.
+   */
+  static configure(settings, preferences) {
+    if (typeof preferences.prefix === "string") {
+      settings.prefix = preferences.prefix.trim();
+    }
+    if (Number.isFinite(preferences.concurrency)) {
+      const { min, max } = PREFERENCE_RANGE.concurrency;
+      const concurrency = Math.min(Math.max(preferences.concurrency, min), max);
+      settings.queue.concurrency = concurrency;
+    }
+    const { favorite } = settings;
+    const product = preferences.products?.find((key) =>
+      Object.hasOwn(PRODUCT, key),
+    );
+    const sector = preferences.sectors?.find((key) =>
+      Object.hasOwn(SECTOR, key),
+    );
+    return {
+      product: product || favorite.product,
+      sector: sector || favorite.sector,
+    };
+  }
+
+  /**
+   * Builds the URLs of the images of the last hours of a series, up to the
+   * latest scan time.
+   *
+   * @param {Object} request The requested series. See the class description
+   *        for details.
+   * @param {Date} now (Optional) The current date. Defaults to now.
+   * @returns {string[]} The URLs of the images, in chronological order.
+   */
+  static urls(request, now = new Date()) {
+    const { product, sector, hours } = request;
+    const template = seriesTemplate(product, sector);
+    const end = DateUtils.truncateDate(now, DMH_INTERVAL).getTime();
+    const urls = [];
+    for (
+      let time = end - hours * 3_600_000;
+      time <= end;
+      time += DMH_INTERVAL
+    ) {
+      urls.push(CaptureJob.fill(template, new Date(time)));
+    }
+    return urls;
+  }
+
+  /**
+   * Probes the images of the last hours of a series and archives the
+   * published ones, as a ZIP file with a README.
+   *
+   * @param {Object} request The requested series. See the class description
+   *        for details.
+   * @param {Object} settings The settings of the quick download. See the
+   *        class description for details.
+   * @param {Object} options Options for the download queue, progress
+   *        reporting and cancellation.
+   * @returns {Promise<Object>} A promise that resolves to the download
+   *          result (see `FileSaver.save`).
+   */
+  static async fetch(request, settings, options) {
+    const urls = QuickDownload.urls(request);
+    const { params, prefix } = settings;
+    const present = await AvailabilityProbe.probe(urls, params, options);
+    const published = urls.filter((_url, index) => present[index]);
+    const archivename = FilenameUtils.buildArchiveFilename(
+      published.length > 0 ? published : urls,
+      prefix,
+      ARC_TYPE.ZIP,
+    );
+    if (options.signal.aborted) {
+      return FileSaver.cancel(archivename);
+    }
+    if (published.length === 0) {
+      return FileSaver.empty(archivename);
+    }
+    const filenames = FilenameUtils.getFilenames(published);
+    const readme = QuickDownload.#readMe(request, filenames);
+    return FileDownloader.download(
+      published.map((url, index) => [url, filenames[index]]),
+      archivename,
+      ARCHIVE.ZIP,
+      params,
+      readme,
+      options,
+    );
+  }
+
+  /**
+   * (Private function) Generates the README of the archive.
+   *
+   * @param {Object} request The requested series. See the class description
+   *        for details.
+   * @param {string[]} filenames The filenames of the archived images.
+   * @returns {string} The README.
+   */
+  static #readMe(request, filenames) {
+    const { product, sector, hours } = request;
+    return [
+      `Imágenes ${DMH_INSTRUMENT} de las últimas ${hours} horas`,
+      `Producto: ${PRODUCT[product]}`,
+      `Sector: ${SECTOR[sector]}`,
+      `Fecha de descarga: ${new Date().toISOString()}`,
+      "",
+      "Archivos:",
+      ...filenames.map((filename) => `- ${filename}`),
+      "",
+      "Fuente: DMH/DINAC",
+      "",
+    ].join("\n");
+  }
+}
+
+export { QuickDownload };
@@ -0,0 +1,152 @@
+import { dict } from "./common.js";
+
+/**
+ * An array of the types of severe weather reports.
+ */
+const REPORT_TYPES = ["HAIL", "TORNADO", "GUST"];
+
+/**
+ * A map (enumeration) of severe weather report types to their corresponding
+ * string values.
+ */
+const REPORT_TYPE = dict(REPORT_TYPES, REPORT_TYPES);
+
+/**
+ * Class representing a severe weather report (e.g., hail, a tornado, a
+ * damaging gust) and the window of time around it to fetch imagery for, to
+ * bundle the imagery of the event with a structured description of the
+ * report (`evento.json`).
+ *
+ * The report is described by an object with the following properties:
+ *
+ * report = {
+ *   type: {string},        // see `REPORT_TYPE`
+ *   label: {string},       // name of the type, for people (e.g., "Granizo")
+ *   time: {Date},          // time of the report
+ *   lat: {number},         // position of the report, in decimal degrees
+ *   lon: {number},
+ *   before: {number},      // start of the window, milliseconds before `time`
+ *   after: {number},       // end of the window, milliseconds after `time`
+ *   description: {string|undefined},
+ * }
+ */
+class EventReport {
+  #report;
+
+  /**
+   * Constructs an EventReport object.
+   *
+   * @param {object} report The report. See the class description for
+   *        details.
+   */
+  constructor(report) {
+    this.#report = { ...report };
+  }
+
+  /**
+   * Gets the type of the report.
+   *
+   * @returns {string} The type (see `REPORT_TYPE`).
+   */
+  get type() {
+    return this.#report.type;
+  }
+
+  /**
+   * Gets the name of the type of the report.
+   *
+   * @returns {string} The name of the type, or the type if it has no name.
+   */
+  get label() {
+    return this.#report.label || this.#report.type;
+  }
+
+  /**
+   * Gets the time of the report.
+   *
+   * @returns {Date} The time of the report.
+   */
+  get time() {
+    return new Date(this.#report.time);
+  }
+
+  /**
+   * Gets the position of the report.
+   *
+   * @returns {{lat: number, lon: number}} The latitude and longitude, in
+   *          decimal degrees.
+   */
+  get position() {
+    return { lat: this.#report.lat, lon: this.#report.lon };
+  }
+
+  /**
+   * Gets the description of the report.
+   *
+   * @returns {string} The description, empty if there is none.
+   */
+  get description() {
+    return this.#report.description || "";
+  }
+
+  /**
+   * Gets the start of the window of the event.
+   *
+   * @returns {Date} The start of the window.
+   */
+  get begin() {
+    return new Date(this.#report.time.getTime() - this.#report.before);
+  }
+
+  /**
+   * Gets the end of the window of the event.
+   *
+   * @returns {Date} The end of the window.
+   */
+  get end() {
+    return new Date(this.#report.time.getTime() + this.#report.after);
+  }
+
+  /**
+   * Builds the structured description of the event (`evento.json`): the
+   * report, its window and the imagery series fetched for it.
+   *
+   * Each series is described by an object with the following properties:
+   *
+   * series = {
+   *   source: {string},   // the site the imagery comes from (e.g., "DMH")
+   *   product: {string},
+   *   sector: {string},
+   *   folder: {string},   // archive folder of the series
+   *   files: {string[]},  // filenames of the images requested
+   *   missing: {string[]|undefined}, // filenames of the unavailable ones
+   * }
+   *
+   * @param {Array<object>} series The imagery series of the event.
+   * @returns {string} The JSON document.
+   */
+  toJSON(series) {
+    const { type, lat, lon, before, after } = this.#report;
+    const document = {
+      report: {
+        type,
+        label: this.label,
+        time: this.time.toISOString(),
+        lat,
+        lon,
+        description: this.description,
+      },
+      window: {
+        begin: this.begin.toISOString(),
+        end: this.end.toISOString(),
+        before_minutes: before / 60_000,
+        after_minutes: after / 60_000,
+      },
+      series,
+      generated: new Date().toISOString(),
+    };
+    return `${JSON.stringify(document, undefined, 2)}\n`;
+  }
+}
+
+export { EventReport, REPORT_TYPE, REPORT_TYPES };
@@ -0,0 +1,214 @@
+/**
+ * The placeholders of the scan time in the URL templates of the series of a
+ * capture job, filled with the UTC fields of the time of each frame.
+ */
+const PLACEHOLDERS = ["{YYYY}", "{MM}", "{DD}", "{hh}", "{mm}"];
+
+/**
+ * Class representing a scheduled capture job: a set of image series captured
+ * periodically, without an open page, until the job ends.
+ *
+ * Each run captures the frames of the last `lookback` milliseconds that were
+ * not captured in the previous runs, so that frames published late are still
+ * captured and frames already captured are not saved twice. The job is
+ * described by an object with the following properties, stored as is:
+ *
+ * job = {
+ *   id: {string},
+ *   site: {string},        // the site the series come from (e.g., "DMH")
+ *   name: {string},        // name of the job, for people
+ *   series: [{
+ *     name: {string},      // e.g., "BAND13_PAR", also the subfolder
+ *     template: {string},  // URL template, see `PLACEHOLDERS`
+ *   }],
+ *   interval: {number},    // milliseconds between the frames of the series
+ *   repeat: {number},      // milliseconds between runs
+ *   lookback: {number},    // milliseconds before each run to capture
+ *   end: {number},         // time the job ends, in milliseconds
+ *   destination: {object}, // see `DESTINATION`
+ *   params: {object},      // options of the fetch requests (e.g., headers)
+ *   queue: {object},       // options of the probe queue, see `DownloadQueue`
+ *   captured: {Object<string, number[]>}, // frame times, by series name
+ *   created: {number},     // time the job was created, in milliseconds
+ * }
+ */
+class CaptureJob {
+  #job;
+
+  /**
+   * Constructs a CaptureJob object.
+   *
+   * @param {object} job The job. See the class description for details.
+   */
+  constructor(job) {
+    this.#job = { captured: {}, ...job };
+  }
+
+  /**
+   * Fills a URL template with the time of a frame.
+   *
+   * @param {string} template The URL template (see `PLACEHOLDERS`).
+   * @param {Date} date The time of the frame.
+   * @returns {string} The URL of the frame.
+   */
+  static fill(template, date) {
+    const fields = [
+      date.getUTCFullYear(),
+      date.getUTCMonth() + 1,
+      date.getUTCDate(),
+      date.getUTCHours(),
+      date.getUTCMinutes(),
+    ];
+    let url = template;
+    for (const [index, placeholder] of PLACEHOLDERS.entries()) {
+      const length = placeholder.length - 2;
+      url = url.replaceAll(
+        placeholder,
+        String(fields[index]).padStart(length, "0"),
+      );
+    }
+    return url;
+  }
+
+  /**
+   * Gets the identifier of the job.
+   *
+   * @returns {string} The identifier.
+   */
+  get id() {
+    return this.#job.id;
+  }
+
+  /**
+   * Gets the name of the job.
+   *
+   * @returns {string} The name of the job.
+   */
+  get name() {
+    return this.#job.name;
+  }
+
+  /**
+   * Gets the time between runs.
+   *
+   * @returns {number} The time between runs, in milliseconds.
+   */
+  get repeat() {
+    return this.#job.repeat;
+  }
+
+  /**
+   * Gets the time the job ends.
+   *
+   * @returns {Date} The end of the job.
+   */
+  get end() {
+    return new Date(this.#job.end);
+  }
+
+  /**
+   * Gets the destination of the captured frames.
+   *
+   * @returns {object} The destination (see `DESTINATION`).
+   */
+  get destination() {
+    return this.#job.destination;
+  }
+
+  /**
+   * Gets the options of the fetch requests probing the frames.
+   *
+   * @returns {object} The options of the fetch requests.
+   */
+  get params() {
+    return this.#job.params;
+  }
+
+  /**
+   * Gets the options of the queue probing the frames.
+   *
+   * @returns {object} The options of the queue (see `DownloadQueue`).
+   */
+  get queue() {
+    return this.#job.queue;
+  }
+
+  /**
+   * Tells whether the job has ended.
+   *
+   * @param {Date} now (Optional) The current time. Defaults to now.
+   * @returns {boolean} `true` if the end of the job has passed.
+   */
+  ended(now = new Date()) {
+    return now.getTime() > this.#job.end;
+  }
+
+  /**
+   * Lists the frames a run started at the given time has to capture: the
+   * frames of every series within the lookback window, not captured yet.
+   *
+   * frame = {
+   *   series: {string}, // the name of the series
+   *   time: {number},   // the scan time, in milliseconds
+   *   url: {string},
+   *   filename: {string},
+   * }
+   *
+   * @param {Date} now (Optional) The time of the run. Defaults to now.
+   * @returns {Array<object>} The frames to capture, in chronological order
+   *          within each series.
+   */
+  frames(now = new Date()) {
+    const { interval, lookback, end } = this.#job;
+    const last = Math.min(now.getTime(), end);
+    const begin = Math.ceil((last - lookback) / interval) * interval;
+    const frames = [];
+    for (const { name, template } of this.#job.series) {
+      const captured = new Set(this.#job.captured[name]);
+      for (let time = begin; time <= last; time += interval) {
+        if (captured.has(time)) {
+          continue;
+        }
+        const url = CaptureJob.fill(template, new Date(time));
+        const filename = url.slice(url.lastIndexOf("/") + 1);
+        frames.push({ series: name, time, url, filename });
+      }
+    }
+    return frames;
+  }
+
+  /**
+   * Records a frame as captured, so that later runs skip it.
+   *
+   * @param {object} frame The captured frame (see `frames`).
+   */
+  capture(frame) {
+    const captured = this.#job.captured[frame.series] || [];
+    captured.push(frame.time);
+    this.#job.captured[frame.series] = captured;
+  }
+
+  /**
+   * Forgets the captured frames older than the lookback window of a run
+   * started at the given time, which no run captures again anyway.
+   *
+   * @param {Date} now (Optional) The time of the run. Defaults to now.
+   */
+  prune(now = new Date()) {
+    const first = now.getTime() - this.#job.lookback;
+    for (const [name, times] of Object.entries(this.#job.captured)) {
+      this.#job.captured[name] = times.filter((time) => time >= first);
+    }
+  }
+
+  /**
+   * Gets the description of the job, to store it.
+   *
+   * @returns {object} The job. See the class description for details.
+   */
+  toJSON() {
+    return structuredClone(this.#job);
+  }
+}
+
+export { CaptureJob, PLACEHOLDERS };
@@ -0,0 +1,107 @@
+/**
+ * The format of the preset files, to recognize them on import.
+ */
+const PRESET_FORMAT = "retspy-presets";
+
+/**
+ * The version of the format of the preset files.
+ */
+const PRESET_VERSION = 1;
+
+/**
+ * Class to export and import the named presets of a site (e.g., "Caso
+ * granizo – BAND13+FCOLOR PAR") as JSON files, to share them across
+ * browsers:
+ *
+ * file = {
+ *   format: {string},   // `PRESET_FORMAT`
+ *   version: {number},  // `PRESET_VERSION`
+ *   site: {string},     // the site the presets apply to (e.g., "DMH")
+ *   presets: [{
+ *     name: {string},
+ *     ...               // the preferences of the preset, site specific
+ *   }],
+ *   exported: {string}, // ISO date
+ * }
+ *
+ * The preferences of the presets are not checked here: the site adapters
+ * ignore the unknown or invalid ones when they apply a preset.
+ */
+class PresetFile {
+  /**
+   * Builds the preset file of a site.
+   *
+   * @param {string} site The site the presets apply to.
+   * @param {Array<object>} presets The presets.
+   * @returns {string} The JSON document.
+   */
+  static export(site, presets) {
+    const document = {
+      format: PRESET_FORMAT,
+      version: PRESET_VERSION,
+      site,
+      presets,
+      exported: new Date().toISOString(),
+    };
+    return `${JSON.stringify(document, undefined, 2)}\n`;
+  }
+
+  /**
+   * Reads the presets of a site from a preset file.
+   *
+   * @param {string} text The JSON document.
+   * @param {string} site The site the presets must apply to.
+   * @returns {Array<object>} The presets, with their names trimmed.
+   *
+   * @throws {SyntaxError} If the document is not valid JSON.
+   * @throws {TypeError} If the document is not a preset file of the site, or
+   *         any of its presets has no name.
+   */
+  static import(text, site) {
+    const document = JSON.parse(text);
+    if (document?.format !== PRESET_FORMAT) {
+      throw new TypeError("Not a preset file");
+    }
+    if (document.version > PRESET_VERSION) {
+      throw new TypeError(`Unsupported version: ${document.version}`);
+    }
+    if (document.site !== site || !Array.isArray(document.presets)) {
+      throw new TypeError(`Not a preset file of ${site}`);
+    }
+    return document.presets.map((preset) => PresetFile.#named(preset));
+  }
+
+  /**
+   * Merges presets into a list of presets: the presets with the name of an
+   * existing one replace it, the others are added.
+   *
+   * @param {Array<object>} presets The list of presets.
+   * @param {Array<object>} added The presets to merge.
+   * @returns {Array<object>} The merged list, sorted by name.
+   */
+  static merge(presets, added) {
+    const merged = new Map(presets.map((preset) => [preset.name, preset]));
+    for (const preset of added) {
+      merged.set(preset.name, preset);
+    }
+    return [...merged.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * (Private function) Checks that an imported preset has a name.
+   *
+   * @param {object} preset The imported preset.
+   * @returns {object} The preset, with its name trimmed.
+   *
+   * @throws {TypeError} If the preset has no name.
+   */
+  static #named(preset) {
+    const name = typeof preset?.name === "string" ? preset.name.trim() : "";
+    if (name === "") {
+      throw new TypeError("Preset without a name");
+    }
+    return { ...preset, name };
+  }
+}
+
+export { PRESET_FORMAT, PRESET_VERSION, PresetFile };
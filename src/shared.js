@@ -1,4 +1,8 @@
+import { dict } from "./common.js";
+import { DownloadProgress, PHASE } from "./downloader.js";
+import { Button, GuiElement, InputField, SelectField } from "./gui.js";
 import { Logger } from "./logging.js";
+import { CaptureJob } from "./scheduler.js";
 
 /**
  * The filename of the module.
@@ -14,6 +18,62 @@ const MODULE_FILENAME = "shared.js";
  */
 const logger = new Logger(MODULE_FILENAME);
 
+/**
+ * The local time zone of the users, that of Paraguay.
+ */
+const LOCAL_TIME_ZONE = "America/Asuncion";
+
+/**
+ * A map of the time zones the times are shown in to their names: the local
+ * time zone and UTC. Sites add their own time zone (see `RangeForm`).
+ */
+const TIME_ZONE = dict(
+  [LOCAL_TIME_ZONE, "UTC"],
+  ["Hora local (Paraguay)", "Tiempo universal (UTC)"],
+);
+
+/**
+ * A map of the download phases (see `PHASE`) to their names, shown in the
+ * statusbar while downloading.
+ */
+const PHASE_LABEL = dict(
+  [
+    PHASE.PROBING,
+    PHASE.DOWNLOADING,
+    PHASE.ANALYZING,
+    PHASE.ENCODING,
+    PHASE.ARCHIVING,
+    PHASE.COMPRESSING,
+    PHASE.SAVING,
+  ],
+  [
+    "Comprobando",
+    "Descargando",
+    "Analizando",
+    "Codificando",
+    "Archivando",
+    "Comprimiendo",
+    "Guardando",
+  ],
+);
+
+/**
+ * A map of the messages of the download results (see `FileSaver.save`) to
+ * their texts, shown in the statusbar when a download ends.
+ */
+const RESULT_LABEL = {
+  success: "Descarga completada",
+  probed: "Comprobación completada",
+  empty: "Sin imágenes disponibles",
+  cancelled: "Descarga cancelada",
+  error: "Error en la descarga",
+};
+
+// Matches the scan time in a frame filename, with optional separators
+// (e.g., "202410041230", "2024_10_04_12_30", "2024-10-04T12-30").
+const TIMESTAMP_PATTERN =
+  /(\d{4})([_-]?)(\d{2})\2(\d{2})([T_-]?)(\d{2})([_-]?)(\d{2})/;
+
 /**
  * Class providing utility functions for date manipulation.
  */
@@ -42,6 +102,80 @@ class DateUtils {
     return new Date(timestamp);
   }
 
+  /**
+   * Parses a date and time string without offset (e.g., the value of a
+   * `datetime-local` input) as a wall-clock time in the given time zone.
+   *
+   * @param {string} value The date and time string (YYYY-MM-DDTHH:MM).
+   * @param {string} timeZone The IANA time zone name (e.g.,
+   *        "America/Asuncion", "UTC").
+   * @returns {Date} The corresponding date, or an invalid date if `value`
+   *          cannot be parsed.
+   */
+  static fromZonedISODate(value, timeZone) {
+    const wallClock = new Date(`${value}Z`);
+    if (Number.isNaN(wallClock.getTime())) {
+      return wallClock;
+    }
+    // The offset is computed twice to account for offset transitions
+    // between the wall-clock time and the actual time.
+    let offset = DateUtils.#timeZoneOffset(wallClock, timeZone);
+    const estimate = new Date(wallClock.getTime() - offset);
+    offset = DateUtils.#timeZoneOffset(estimate, timeZone);
+    return new Date(wallClock.getTime() - offset);
+  }
+
+  /**
+   * Formats a date as a date and time string without offset, suitable for
+   * the value of a `datetime-local` input, in the given time zone.
+   *
+   * @param {Date} date The date to be formatted.
+   * @param {string} timeZone The IANA time zone name (e.g.,
+   *        "America/Asuncion", "UTC").
+   * @returns {string} The formatted date (YYYY-MM-DDTHH:MM).
+   */
+  static toZonedISODate(date, timeZone) {
+    const offset = DateUtils.#timeZoneOffset(date, timeZone);
+    const wallClock = new Date(date.getTime() + offset);
+    return wallClock.toISOString().slice(0, 16);
+  }
+
+  /**
+   * (Private function) Computes the offset of a time zone from UTC at a
+   * given date.
+   *
+   * @param {Date} date The date at which the offset is computed.
+   * @param {string} timeZone The IANA time zone name.
+   * @returns {number} The offset in milliseconds (e.g., -10800000 for
+   *          UTC-03:00).
+   */
+  static #timeZoneOffset(date, timeZone) {
+    const format = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    const parts = format.formatToParts(date);
+    const field = Object.fromEntries(
+      parts.map((part) => [part.type, Number(part.value)]),
+    );
+    const wallClock = Date.UTC(
+      field.year,
+      field.month - 1,
+      field.day,
+      field.hour,
+      field.minute,
+      field.second,
+    );
+    const seconds = Math.floor(date.getTime() / 1000) * 1000;
+    return wallClock - seconds;
+  }
+
   /**
    * (Private function) Gets the current date and time.
    *
@@ -56,6 +190,11 @@ class DateUtils {
  * Class providing utility functions for working with filenames.
  */
 class FilenameUtils {
+  /**
+   * (Private variable) The world file extensions of the image extensions.
+   */
+  static #worldTypes = { ".jpg": ".jgw", ".jpeg": ".jgw", ".png": ".pgw" };
+
   /**
    * Builds a filename suitable for an archive containing the provided URLs.
    *
@@ -91,6 +230,21 @@ class FilenameUtils {
     return filenames;
   }
 
+  /**
+   * Builds the filename of the world file of an image (e.g., ".jgw" for
+   * ".jpg", ".pgw" for ".png", ".wld" for other formats).
+   *
+   * @param {string} filename The filename of the image.
+   * @returns {string} The filename of the world file.
+   */
+  static buildWorldFilename(filename) {
+    const type = /\.[^./]+$/.exec(filename)?.[0].toLowerCase();
+    const world = FilenameUtils.#worldTypes[type] || ".wld";
+    return type
+      ? FilenameUtils.renameExtension(filename, world)
+      : `${filename}${world}`;
+  }
+
   /**
    * Extracts the filename from a URL.
    *
@@ -147,4 +301,650 @@ class FilenameUtils {
   }
 }
 
-export { DateUtils, FilenameUtils, logger };
+/**
+ * Class representing the URLs of the images of a series within a date range,
+ * filled from a URL template with the UTC scan time of each image.
+ *
+ * The settings of the series have the following properties:
+ *
+ * settings = {
+ *   root: {string},     // URL the template is relative to
+ *   template: {string}, // filename template (see `PLACEHOLDERS`), or
+ *                       // `undefined` while unknown
+ *   interval: {number}, // milliseconds between the images
+ * }
+ */
+class TemplateURLRange {
+  /**
+   * Constructs a TemplateURLRange object with the URLs of the images from
+   * the beginning date, truncated to the interval of the images, to the
+   * ending date.
+   *
+   * @param {Object} settings The settings of the series. See the class
+   *        description for details.
+   * @param {Date} beginDate The beginning date for the URL range.
+   * @param {Date} endDate The ending date for the URL range.
+   */
+  constructor(settings, beginDate, endDate) {
+    const count = TemplateURLRange.count(settings, beginDate, endDate);
+    const begin = DateUtils.truncateDate(beginDate, settings.interval);
+    this._urls = Array.from({ length: count }, (_value, index) => {
+      const date = new Date(begin.getTime() + index * settings.interval);
+      return `${settings.root}/${CaptureJob.fill(settings.template, date)}`;
+    });
+  }
+
+  /**
+   * Computes the number of URLs a range would contain, without building it.
+   *
+   * @param {Object} settings The settings of the series. See the class
+   *        description for details.
+   * @param {Date} beginDate The beginning date for the URL range.
+   * @param {Date} endDate The ending date for the URL range.
+   * @returns {number} The number of URLs in the range, or zero if the range
+   *          is empty, any of the dates is invalid or the URL template is
+   *          unknown.
+   */
+  static count(settings, beginDate, endDate) {
+    if (!settings.template) {
+      return 0;
+    }
+    const interval = settings.interval;
+    const begin = DateUtils.truncateDate(beginDate, interval).getTime();
+    const end = endDate.getTime();
+    if (Number.isNaN(begin) || Number.isNaN(end) || end < begin) {
+      return 0;
+    }
+    return Math.floor((end - begin) / interval) + 1;
+  }
+
+  /**
+   * Builds a copy of the settings of a series with the fields of the series
+   * (e.g., the radar station) filled in its filename template, so that it
+   * only holds the placeholders of the scan time. The fields the template
+   * does not hold are ignored.
+   *
+   * @param {Object} settings The settings of the series. See the class
+   *        description for details.
+   * @param {Object<string, string>} fields The values of the fields, by the
+   *        name of their placeholder (e.g., `{station: "RMA4"}` for
+   *        `{station}`).
+   * @returns {Object} The settings of the series with the fields filled.
+   */
+  static series(settings, fields) {
+    let template = settings.template;
+    for (const [name, value] of Object.entries(fields)) {
+      template = template?.replaceAll(`{${name}}`, value);
+    }
+    return { ...settings, template };
+  }
+
+  /**
+   * Gets the array of URLs generated by the TemplateURLRange object.
+   *
+   * @returns {string[]} An array of URLs representing the generated URL range.
+   */
+  get urls() {
+    return this._urls;
+  }
+}
+
+/**
+ * Class to find the frames of the radar loop shown in a page, from which the
+ * filename template of the images is learnt. The URLs of a date range are
+ * built from the template (see `TemplateURLRange`).
+ *
+ * The frames are the images of the page and the resources already loaded by
+ * it, so that frames preloaded by the page scripts are found too, whose
+ * filename holds a scan time. Besides those of `TemplateURLRange`, the
+ * settings of the series have the following properties:
+ *
+ * settings = {
+ *   root: {string},     // URL the frames are under, or `undefined` to learn
+ *                       // it along with the template
+ *   images: {RegExp},   // (Optional) matches the URLs of the frames while
+ *                       // the root is unknown
+ *   placeholders: {string[]}, // (Optional) names of the sections of the
+ *                       // settings (e.g., "station") whose supported value
+ *                       // a filename holds, replaced by a placeholder with
+ *                       // the same name (e.g., "{station}"); the value found
+ *                       // is stored as the current one of the section
+ * }
+ */
+class RadarLoop {
+  /**
+   * Gets the URLs of the frames of the radar loop currently shown in the
+   * page, only those of the latest series should the page hold several.
+   *
+   * @param {Object} settings The settings of the series. See the class
+   *        description for details.
+   * @param {string[]} sources (Optional) The URLs of the images of the page.
+   * @returns {string[]} The URLs of the frames, sorted by scan time.
+   */
+  static urls(settings, sources = RadarLoop.#sources()) {
+    const frames = RadarLoop.#capture(settings, sources);
+    const series = frames.at(-1)?.series;
+    return frames
+      .filter((frame) => frame.series === series)
+      .map((frame) => frame.url);
+  }
+
+  /**
+   * Learns the root, if unknown, the filename template and the scan interval
+   * of the images from the frames of the radar loop currently shown in the
+   * page, and stores them in the given settings.
+   *
+   * @param {Object} settings The settings of the series. See the class
+   *        description for details.
+   * @param {string[]} sources (Optional) The URLs of the images of the page.
+   * @returns {boolean} `true` if any frame was found, `false` otherwise.
+   */
+  static learn(settings, sources = RadarLoop.#sources()) {
+    const frames = RadarLoop.#capture(settings, sources);
+    if (frames.length === 0) {
+      return false;
+    }
+    const latest = frames.at(-1);
+    settings.root = latest.root;
+    settings.template = latest.template;
+    for (const [name, value] of Object.entries(latest.fields)) {
+      settings[name].current = value;
+    }
+    const series = frames.filter((frame) => frame.series === latest.series);
+    const intervals = series
+      .slice(1)
+      .map((frame, index) => frame.date - series[index].date)
+      .filter((interval) => interval > 0);
+    if (intervals.length > 0) {
+      settings.interval = Math.min(...intervals);
+    }
+    return true;
+  }
+
+  /**
+   * (Private function) Gets the URLs of the images in the page and of the
+   * resources already loaded by it.
+   *
+   * @returns {string[]} The URLs.
+   */
+  static #sources() {
+    return [
+      ...Array.from(document.images, (image) => image.src),
+      ...performance.getEntriesByType("resource").map((entry) => entry.name),
+    ];
+  }
+
+  /**
+   * (Private function) Captures the frames of the radar loop from the URLs of
+   * the images of the page.
+   *
+   * @param {Object} settings The settings of the series.
+   * @param {string[]} sources The URLs of the images of the page.
+   * @returns {Array<Object>} The frames found, sorted by scan time. See
+   *          `#parse`.
+   */
+  static #capture(settings, sources) {
+    const frames = new Map();
+    for (const url of sources) {
+      const known = settings.root
+        ? url.startsWith(`${settings.root}/`)
+        : settings.images?.test(url);
+      if (!known || frames.has(url)) {
+        continue;
+      }
+      const frame = RadarLoop.#parse(url, settings);
+      if (frame) {
+        frames.set(url, frame);
+      }
+    }
+    return [...frames.values()].sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * (Private function) Parses the scan time of a frame URL and derives the
+   * filename template (relative to the root URL) from it.
+   *
+   * @param {string} url The URL of the frame.
+   * @param {Object} settings The settings of the series.
+   * @returns {Object} The parsed frame: its URL, root, scan time (`date`),
+   *          filename template of its series (`series`), that template with
+   *          the placeholders of the fields (`template`) and the values of
+   *          the fields (`fields`), by name; or `undefined` if the filename
+   *          holds no scan time.
+   */
+  static #parse(url, settings) {
+    const path = url.split(/[#?]/)[0];
+    const root = settings.root ?? path.slice(0, path.lastIndexOf("/"));
+    const filename = path.slice(root.length + 1);
+    const match = TIMESTAMP_PATTERN.exec(filename);
+    if (!match) {
+      return;
+    }
+    const [stamp, year, sep1, month, day, sep2, hours, sep3, minutes] = match;
+    const date = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes));
+    if (Number.isNaN(date.getTime())) {
+      return;
+    }
+    const series =
+      filename.slice(0, match.index) +
+      `{YYYY}${sep1}{MM}${sep1}{DD}${sep2}{hh}${sep3}{mm}` +
+      filename.slice(match.index + stamp.length);
+    let template = series;
+    const fields = {};
+    for (const name of settings.placeholders || []) {
+      const value = settings[name].supported.find((supported) =>
+        RadarLoop.#token(supported).test(template),
+      );
+      if (value !== undefined) {
+        template = template.replace(RadarLoop.#token(value), `{${name}}`);
+        fields[name] = value;
+      }
+    }
+    return { url, root, date, series, template, fields };
+  }
+
+  /**
+   * (Private function) Builds a regular expression matching a value as a
+   * whole part of a filename, between separators.
+   *
+   * @param {string} value The value.
+   * @returns {RegExp} The regular expression.
+   */
+  static #token(value) {
+    return new RegExp(String.raw`(?<=^|[\/_.-])${value}(?=[\/_.-]|$)`);
+  }
+}
+
+/**
+ * Class representing the date/time range download form of the dashboards of
+ * the sites: the range, the time zone it is expressed in and the fields of
+ * the site (e.g., the radar station, or the series of the DMH), with an
+ * estimate of the number of images.
+ *
+ * The options of the form have the following properties:
+ *
+ * options = {
+ *   settings: {Object},  // settings of the series (see `TemplateURLRange`),
+ *                        // read when the range is estimated
+ *   timeZones: {Object}, // names of the time zones, by IANA name
+ *   timeZone: {string},  // (Optional) selected time zone, the local one by
+ *                        // default
+ *   fields: {Object},    // (Optional) fields of the site, by the name of
+ *                        // their value in the request
+ *   actions: {Button[]}, // (Optional) buttons shown beside the submit
+ *                        // button, enabled along with it
+ *   waiting: {string},   // (Optional) text shown while the URL template of
+ *                        // the images is unknown
+ *   count: {function(Object): number}, // (Optional) counts the images of a
+ *                        // request, those of the range by default
+ *   check: {function(Object): string}, // (Optional) tells why the fields of
+ *                        // the site leave a request empty, `undefined` if
+ *                        // they do not
+ * }
+ *
+ * Dispatches a "download" event when the user submits the form, with the
+ * requested range as parameter, plus the values of the fields of the site:
+ *
+ * request = {
+ *   begin: {Date},
+ *   end: {Date},
+ * }
+ *
+ * Dispatches an "update" event, with the same parameter, whenever the range
+ * or the fields change.
+ */
+class RangeForm extends GuiElement {
+  #begin = new InputField("Desde", "datetime-local");
+  #end = new InputField("Hasta", "datetime-local");
+  #timeZone;
+  #estimate = GuiElement.create("span.retspy-estimate");
+  #submit = new Button("Descargar", ".btn.btn-primary.btn-sm");
+  #zone;
+  #options;
+
+  /**
+   * Constructs a RangeForm object, with the range of the last three hours.
+   *
+   * @param {Object} options The options of the form. See the class
+   *        description for details.
+   */
+  constructor(options) {
+    super("form.retspy-form");
+    this.#options = {
+      timeZone: LOCAL_TIME_ZONE,
+      fields: {},
+      actions: [],
+      waiting: "",
+      count: ({ begin, end }) =>
+        TemplateURLRange.count(this.#options.settings, begin, end),
+      check: () => {},
+      ...options,
+    };
+    this.#timeZone = new SelectField(
+      "Hora",
+      Object.entries(this.#options.timeZones),
+    );
+    const fields = [
+      this.#begin,
+      this.#end,
+      this.#timeZone,
+      ...Object.values(this.#options.fields),
+    ];
+    this.append([...fields, this.#estimate, this.#getActions()]);
+
+    this.registerEvent("update");
+    this.#zone = this.#options.timeZone;
+    this.#timeZone.value = this.#zone;
+    this.reset();
+
+    this.#timeZone.addEventListener("change", () => this.#changeTimeZone());
+    for (const field of fields) {
+      field.addEventListener("change", () => this.#update());
+    }
+
+    this.registerEvent("download");
+    this.registerEvent("submit");
+    this.addEventListener("submit", (data) => {
+      data.parameters.preventDefault();
+      this.dispatchEvent("download", this.request);
+    });
+    this.entangleEvents("submit", "submit");
+  }
+
+  /**
+   * Gets the time zone the range is expressed in.
+   *
+   * @returns {string} The IANA name of the time zone.
+   */
+  get zone() {
+    return this.#zone;
+  }
+
+  /**
+   * Selects the time zone the range is expressed in, re-expressing the
+   * selected range so that it still refers to the same instants.
+   *
+   * @param {string} timeZone The IANA name of the time zone.
+   */
+  set zone(timeZone) {
+    this.#timeZone.value = timeZone;
+    this.#changeTimeZone();
+    this.#update();
+  }
+
+  /**
+   * Resets the range to the last three hours.
+   */
+  reset() {
+    const interval = this.#options.settings.interval;
+    const end = DateUtils.truncateDate(new Date(), interval);
+    const begin = new Date(end.getTime() - 3 * 60 * 60 * 1000);
+    this.#begin.value = DateUtils.toZonedISODate(begin, this.#zone);
+    this.#end.value = DateUtils.toZonedISODate(end, this.#zone);
+    this.#update();
+  }
+
+  /**
+   * Gets the range currently selected in the form.
+   *
+   * @returns {Object} The requested range. See the class description for
+   *          details.
+   */
+  get request() {
+    const request = {
+      begin: DateUtils.fromZonedISODate(this.#begin.value, this.#zone),
+      end: DateUtils.fromZonedISODate(this.#end.value, this.#zone),
+    };
+    for (const [name, field] of Object.entries(this.#options.fields)) {
+      request[name] = field.value;
+    }
+    return request;
+  }
+
+  /**
+   * (Private method) Re-expresses the selected range in the newly selected
+   * time zone, so that it still refers to the same instants.
+   */
+  #changeTimeZone() {
+    const timeZone = this.#timeZone.value;
+    for (const field of [this.#begin, this.#end]) {
+      const date = DateUtils.fromZonedISODate(field.value, this.#zone);
+      if (!Number.isNaN(date.getTime())) {
+        field.value = DateUtils.toZonedISODate(date, timeZone);
+      }
+    }
+    this.#zone = timeZone;
+  }
+
+  /**
+   * (Private method) Gets the buttons of the form: the submit button alone,
+   * or along with the actions of the site.
+   *
+   * @returns {GuiElement} The submit button or the group of buttons.
+   */
+  #getActions() {
+    const actions = this.#options.actions;
+    if (actions.length === 0) {
+      return this.#submit;
+    }
+    for (const action of actions) {
+      action.element.type = "button";
+    }
+    const group = GuiElement.create("div.retspy-actions");
+    group.append([...actions, this.#submit]);
+    return group;
+  }
+
+  /**
+   * (Private method) Updates the image-count estimate and enables the
+   * buttons only if the range is not empty, the fields of the site leave
+   * images to download and the URL template of the images is known.
+   */
+  #update() {
+    const request = this.request;
+    const { settings, waiting } = this.#options;
+    const problem = this.#options.check(request);
+    const count = problem ? 0 : this.#options.count(request);
+    if (!settings.template && waiting) {
+      this.#estimate.text = waiting;
+    } else if (problem) {
+      this.#estimate.text = problem;
+    } else if (count === 0) {
+      this.#estimate.text = "Rango de fechas inválido";
+    } else {
+      this.#estimate.text = `Imágenes estimadas: ${count}`;
+    }
+    for (const button of [...this.#options.actions, this.#submit]) {
+      button.element.disabled = count === 0;
+    }
+    this.dispatchEvent("update", request);
+  }
+}
+
+/**
+ * Class providing the response actions (logging and user alerts) of the
+ * download operations of the dashboards.
+ */
+class ResponseActions {
+  /**
+   * Sets up the response actions for a download Promise.
+   *
+   * @param {Promise<Response>} promise The download Promise object.
+   * @param {string} filename The name of the downloaded file (archive or
+   *        video).
+   * @returns {Promise<Response>} A Promise object that resolves to the
+   *          download result once the actions have been performed.
+   */
+  static setup(promise, filename) {
+    return promise
+      .then((result) => ResponseActions.#onResult(result, filename))
+      .catch((error) => ResponseActions.#onError(error, filename));
+  }
+
+  /**
+   * (Private function) Logs the result of a download.
+   *
+   * @param {Object} result The download result (see `FileSaver.save`).
+   * @param {string} filename The name of the downloaded file.
+   * @returns {Object} The download result.
+   */
+  static #onResult(result, filename) {
+    if (result.ok) {
+      console.info(`${result.message}: '${filename}' downloaded!`);
+    } else if (result.message == "cancelled") {
+      console.info(`${result.message}: '${filename}' cancelled!`);
+    } else {
+      console.warn(`${result.message}: '${filename}' failed!`);
+    }
+    return result;
+  }
+
+  /**
+   * (Private function) Logs the failure of a download, and alerts the user
+   * if no images were available.
+   *
+   * @param {Object} error The error, or the failed download result.
+   * @param {string} filename The name of the downloaded file.
+   */
+  static #onError(error, filename) {
+    if (error instanceof Error) {
+      console.error(error);
+    } else if (error.message == "empty") {
+      console.info(`${error.message}: '${filename}' no data!`);
+      alert("No existen imágenes disponibles en el rango solicitado.");
+    } else if (error.error) {
+      console.info(`${error.message}: '${filename}':`, error.error);
+    } else {
+      console.warn(`${error.message}: '${filename}' failed!`);
+    }
+  }
+}
+
+/**
+ * Class running the download operations of a dashboard or a popup, one at a
+ * time, with their progress and result shown in its statusbar and a button
+ * to cancel them.
+ *
+ * The progress fills the first three sections of the statusbar, if present:
+ * the phase and the files done, the files failed and the megabytes
+ * received. The result is shown in the first section.
+ */
+class DownloadRunner {
+  #statusbar;
+  #queue;
+  #cancel;
+  #controller;
+
+  /**
+   * Constructs a DownloadRunner object, adding the cancel button to the
+   * statusbar.
+   *
+   * @param {Statusbar} statusbar The statusbar to show the progress in.
+   * @param {Object} queue (Optional) Options for the download queue (e.g.,
+   *        concurrency), read when each operation starts. See
+   *        `DownloadQueue`.
+   */
+  constructor(statusbar, queue = {}) {
+    this.#statusbar = statusbar;
+    this.#queue = queue;
+    this.#cancel = statusbar.addButton("Cancelar", ".retspy-cancel");
+    this.#cancel.registerEvent("cancel");
+    this.#cancel.addEventListener("cancel", () => this.cancel());
+    this.#cancel.entangleEvents("click", "cancel");
+    this.#cancel.hide();
+  }
+
+  /**
+   * Tells whether a download operation is running.
+   *
+   * @returns {boolean} `true` if an operation is running.
+   */
+  get running() {
+    return this.#controller !== undefined;
+  }
+
+  /**
+   * Cancels the download operation in progress, if any.
+   */
+  cancel() {
+    this.#controller?.abort();
+  }
+
+  /**
+   * Runs a download operation, unless another one is running.
+   *
+   * @param {function(Object): Promise<Object>} start A function that starts
+   *        the download with the given options (queue options, progress
+   *        reporting and cancellation) and returns a promise that resolves
+   *        to the download result.
+   * @returns {Promise<Object|undefined>} A promise that resolves to the
+   *          download result (see `FileSaver.save`), or to `undefined` if
+   *          another operation is running or the download failed.
+   */
+  async run(start) {
+    if (this.running) {
+      return;
+    }
+    const controller = new AbortController();
+    const progress = new DownloadProgress();
+    const options = {
+      ...this.#queue,
+      signal: controller.signal,
+      onProgress: (event) => this.#showProgress(progress.update(event)),
+    };
+    this.#controller = controller;
+    this.#cancel.show();
+    try {
+      const result = await start(options);
+      this.#showResult(result);
+      return result;
+    } catch (error) {
+      logger.error("DR101", `Download failed: ${error.message}`);
+      this.#showResult(error);
+    } finally {
+      this.#controller = undefined;
+      this.#cancel.hide();
+    }
+  }
+
+  /**
+   * (Private method) Shows the progress of the download in the statusbar.
+   *
+   * @param {DownloadProgress} progress The progress of the download.
+   */
+  #showProgress(progress) {
+    const phase = PHASE_LABEL[progress.phase] || "";
+    const done = progress.fetched + progress.failed;
+    const megabytes = (progress.bytes / (1024 * 1024)).toFixed(1);
+    this.#statusbar.status = [
+      `${phase}: ${done}/${progress.total}`,
+      `${progress.failed} fallidos`,
+      `${megabytes} MB`,
+    ];
+  }
+
+  /**
+   * (Private method) Shows the result of the download in the statusbar.
+   *
+   * @param {Object} result The download result (see `FileSaver.save`).
+   */
+  #showResult(result) {
+    const message = RESULT_LABEL[result?.message] || RESULT_LABEL.error;
+    this.#statusbar.section = [message, 0];
+  }
+}
+
+export {
+  DateUtils,
+  DownloadRunner,
+  FilenameUtils,
+  LOCAL_TIME_ZONE,
+  logger,
+  PHASE_LABEL,
+  RadarLoop,
+  RangeForm,
+  ResponseActions,
+  RESULT_LABEL,
+  TemplateURLRange,
+  TIME_ZONE,
+};
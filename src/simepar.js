@@ -0,0 +1,289 @@
+// @ ts-check
+import { zip } from "./common.js";
+import { ARC_TYPE, ARCHIVE, FileDownloader, FileSaver } from "./downloader.js";
+import { Button, ButtonGroup, DialogWindow, ModalWall } from "./gui.js";
+import {
+  DateUtils,
+  DownloadRunner,
+  FilenameUtils,
+  RadarLoop,
+  RangeForm,
+  ResponseActions,
+  TemplateURLRange,
+  TIME_ZONE,
+} from "./shared.js";
+
+const simepar_settings = {
+  name: "SIMEPAR downloader tool",
+  prefix: "SIMEPAR_",
+  params: {
+    cache: "default", // NA
+    credentials: "omit", // mosaics are served from another origin
+    headers: {
+      accept:
+        "image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8",
+      "cache-control": "no-cache",
+      pragma: "no-cache",
+    }, // NR
+    keepalive: false, // NA
+    method: "GET", // R
+    mode: "cors", // R
+    referrer: "", // R
+    referrerPolicy: "strict-origin-when-cross-origin", // R
+    // The mosaics are served from another origin that may not allow the page
+    // to read them (CORS): they are fetched through the extension, which has
+    // a host permission for it (see `ExtensionBridge.fetch`)
+    relay: true,
+  },
+  radar: {
+    page: "https://www.simepar.br/simepar/radar_msc",
+    root: "https://lb01.simepar.br/riak/pgw-radar",
+    // Filename template of the mosaics, with `{YYYY}`, `{MM}`, `{DD}`, `{hh}`
+    // and `{mm}` placeholders for the UTC scan time. It is learnt from the
+    // frames of the radar loop shown in the page (see `RadarLoop.learn`).
+    template: undefined,
+    interval: 5 * 60 * 1000,
+  },
+};
+
+// The time zones of the range form, with that of the radar network
+const RADAR_TIME_ZONE = {
+  ...TIME_ZONE,
+  "America/Sao_Paulo": "Hora de Brasilia (Brasil)",
+};
+
+function main() {
+  FileSaver.destination = { site: "SIMEPAR" };
+  const message = RadarLoop.learn(simepar_settings.radar)
+    ? "Radar loop found"
+    : "No radar loop found";
+  console.debug(
+    `${message}: ` +
+      `${simepar_settings.radar.template}, ` +
+      `${simepar_settings.radar.interval / 60_000} min`,
+  );
+}
+
+/**
+ * Class responsible for downloading radar mosaics based on a provided URL
+ * list.
+ */
+class RadarDownloader {
+  /**
+   * Constructs a RadarDownloader object to manage downloading radar mosaics.
+   *
+   * @param {string[]} urls An array of URLs for the mosaics to be downloaded.
+   */
+  constructor(urls) {
+    this._urls = urls;
+  }
+
+  /**
+   * Downloads the radar mosaics in their original format as an archive.
+   *
+   * The caller is responsible for setting the fetch parameters.
+   *
+   * @param {string[]} filenames An array of filenames for the downloaded
+   *        mosaics.
+   * @param {string} archivename The name of the archive to create.
+   * @param {string} type The desired archive format (see `ARCHIVE`).
+   * @param {Object} params Parameters for the fetch requests.
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries).
+   * @returns {Promise<Response>} A Promise object representing the download
+   *          operation. The resolved value is a Response object containing
+   *          download details.
+   */
+  downloadFiles(filenames, archivename, type, params, options) {
+    const readme = RadarDownloader.#getReadMe(filenames);
+    const sequence = zip(this._urls, filenames);
+    const promise = FileDownloader.download(
+      sequence,
+      archivename,
+      type,
+      params,
+      readme,
+      options,
+    );
+    return ResponseActions.setup(promise, archivename);
+  }
+
+  /**
+   * (Private helper function) Generates a README string based on the provided
+   * filenames.
+   *
+   * @param {string[]} filenames An array of filenames.
+   * @returns {string} A README string listing the filenames and additional
+   *          information.
+   */
+  static #getReadMe(filenames) {
+    const datetime = DateUtils.currentISODate();
+    const filelist = filenames.join("\n");
+    const year = datetime.slice(0, 4);
+    return `Mosaicos de radar del SIMEPAR (${datetime})
+=========================================================
+
+Este producto contiene mosaicos de las estaciones de radar meteorológico de la
+red del Sistema de Tecnologia e Monitoramento Ambiental do Paraná (SIMEPAR),
+Brasil, distribuidos a través de su sitio web.
+
+Los mosaicos se encuentran disponibles en el enlace:
+https://www.simepar.br/simepar/radar_msc. La hora indicada en el nombre de
+cada archivo corresponde al tiempo universal coordinado (UTC).
+
+Imágenes solicitadas:
+--------------------------------
+${filelist}
+--------------------------------
+
+Observación: La lista anterior enumera los archivos que se intentaron
+recuperar. Algunos archivos pueden no haberse recuperado. Los archivos
+recuperados se incluyen en el archivo ZIP. El archivo RETSPY.log puede
+contener información adicional de las razones por las que no se pudieron
+recuperar algunos archivos.
+
+---
+Copyright ${year}, Sistema de Tecnologia e Monitoramento Ambiental do Paraná.
+Vía RETSpy - Proyecto de Reporte de Eventos de Tiempo Severo - Paraguay.
+`;
+  }
+}
+
+/**
+ * Class representing the download dashboard of the SIMEPAR radar page, with
+ * floating buttons to download the current radar loop or a date/time range.
+ */
+class Dashboard extends ModalWall {
+  #runner;
+  #range;
+
+  constructor(width, height) {
+    super();
+    this.hide();
+    document.body.append(this.element);
+
+    this.panel = new DialogWindow("", [width, height]);
+    this.panel.title = "RETSpy — Descarga de mosaicos de radar";
+    this.body.append(this.panel);
+
+    this.registerEvent("close");
+    this.addEventListener("close", () => this.hide());
+    this.entangleEvents("click", "close", ".retspy-close");
+
+    this.panel.statusbar.addSection().addSection();
+    this.#runner = new DownloadRunner(this.panel.statusbar);
+    this.panel.status = ["Listo", "", ""];
+
+    this.#range = new RangeForm({
+      settings: simepar_settings.radar,
+      timeZones: RADAR_TIME_ZONE,
+      waiting: "Esperando el bucle de radar de la página",
+    });
+    this.#range.addEventListener("download", (data) =>
+      this.#downloadRange(data.parameters),
+    );
+    this.panel.body.append(this.#range);
+
+    this.buttons = Dashboard.#createButtons(this);
+  }
+
+  /**
+   * Shows the dashboard with the range form, refreshing the filename
+   * template from the radar loop if it was not yet known.
+   */
+  showRange() {
+    if (!simepar_settings.radar.template) {
+      RadarLoop.learn(simepar_settings.radar);
+    }
+    this.#range.reset();
+    this.show();
+  }
+
+  /**
+   * Cancels the download in progress, if any.
+   */
+  cancel() {
+    this.#runner.cancel();
+  }
+
+  /**
+   * Downloads the frames of the radar loop currently shown in the page.
+   */
+  download() {
+    this.#downloadURLs(RadarLoop.urls(simepar_settings.radar));
+  }
+
+  #downloadRange(request) {
+    const { begin, end } = request;
+    const range = new TemplateURLRange(simepar_settings.radar, begin, end);
+    this.#downloadURLs(range.urls);
+  }
+
+  #downloadURLs(urls) {
+    simepar_settings.params.referrer = simepar_settings.radar.page;
+
+    if (urls.length === 0) {
+      alert("No se encontraron mosaicos de radar para descargar.");
+      return;
+    }
+    const fln = FilenameUtils.getFilenames(urls);
+    const zfn = FilenameUtils.buildArchiveFilename(
+      urls,
+      simepar_settings.prefix,
+      ARC_TYPE.ZIP,
+    );
+    const fdl = new RadarDownloader(urls);
+    this.#run((options) =>
+      fdl.downloadFiles(
+        fln,
+        zfn,
+        ARCHIVE.ZIP,
+        simepar_settings.params,
+        options,
+      ),
+    );
+  }
+
+  /**
+   * (Private method) Runs a download operation, showing its progress in the
+   * statusbar until it completes or is cancelled. Only one operation runs at
+   * a time.
+   *
+   * @param {function(Object): Promise<Object>} start A function that starts
+   *        the download with the given options and returns a promise that
+   *        resolves to the download result.
+   */
+  #run(start) {
+    this.show();
+    this.#runner.run(start);
+  }
+
+  static #createButtons(dashboard) {
+    // The SIMEPAR page has no button bar to extend, so the buttons float
+    // over the bottom right corner of the page.
+    const button1 = new Button("Descarga", ".btn.btn-default");
+    const button2 = new Button("Descarga Por Fecha", ".btn.btn-default");
+
+    button1.registerEvent("download");
+    button1.addEventListener("download", () => dashboard.download());
+    button1.entangleEvents("click", "download");
+
+    button2.registerEvent("open-dialog");
+    button2.addEventListener("open-dialog", () => dashboard.showRange());
+    button2.entangleEvents("click", "open-dialog");
+
+    const group = new ButtonGroup(".retspy-float.btn-group.btn-group-sm");
+    group.append([button1, button2]);
+    document.body.append(group.element);
+
+    return group;
+  }
+}
+
+window.addEventListener("load", () => new Dashboard("460px", "300px"));
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", main);
+} else {
+  main();
+}
@@ -0,0 +1,375 @@
+// @ ts-check
+import { dict, zip } from "./common.js";
+import { ARC_TYPE, ARCHIVE, FileDownloader, FileSaver } from "./downloader.js";
+import {
+  Button,
+  ButtonGroup,
+  DialogWindow,
+  ModalWall,
+  SelectField,
+} from "./gui.js";
+import {
+  DateUtils,
+  DownloadRunner,
+  FilenameUtils,
+  RadarLoop,
+  RangeForm,
+  ResponseActions,
+  TemplateURLRange,
+  TIME_ZONE,
+} from "./shared.js";
+
+const _RMA3_ = "RMA3";
+const _RMA4_ = "RMA4";
+const _RMA5_ = "RMA5";
+const _RMA8_ = "RMA8";
+
+const _COLMAX_ = "COLMAX";
+
+const smn_settings = {
+  name: "SMN downloader tool",
+  prefix: "SMN_",
+  params: {
+    cache: "default", // NA
+    credentials: "omit", // images are served from another origin
+    headers: {
+      accept:
+        "image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8",
+      "cache-control": "no-cache",
+      pragma: "no-cache",
+    }, // NR
+    keepalive: false, // NA
+    method: "GET", // R
+    mode: "cors", // R
+    referrer: "", // R
+    referrerPolicy: "strict-origin-when-cross-origin", // R
+    // The images are served from another origin that may not allow the page
+    // to read them (CORS): they are fetched through the extension, which has
+    // a host permission for it (see `ExtensionBridge.fetch`)
+    relay: true,
+  },
+  radar: {
+    page: "https://www.smn.gob.ar/radar",
+    // The URLs of the images are not documented by SMN: their root and
+    // filename template are learnt from the images loaded by the radar page
+    // (see `RadarLoop.learn`), with the radar station and the product they
+    // hold replaced by `{station}` and `{product}` placeholders
+    root: undefined,
+    images: /^https:\/\/[\w.-]+\.smn\.gob\.ar\//,
+    template: undefined,
+    placeholders: ["station", "product"],
+    interval: 10 * 60 * 1000,
+    // SINARAME radars whose coverage reaches Paraguay. SINARAME has no radar
+    // in Posadas: Misiones and Ñeembucú are seen from Bernardo de Irigoyen
+    // (RMA5) and Mercedes (RMA8).
+    station: {
+      current: _RMA4_,
+      supported: [_RMA3_, _RMA4_, _RMA5_, _RMA8_],
+    },
+    product: {
+      current: _COLMAX_,
+      supported: [_COLMAX_, "ZH"],
+    },
+  },
+};
+
+const STATION = dict(smn_settings.radar.station.supported, [
+  "Las Lomitas (Formosa)",
+  "Resistencia (Chaco)",
+  "Bernardo de Irigoyen (Misiones)",
+  "Mercedes (Corrientes)",
+]);
+
+const PRODUCT = dict(smn_settings.radar.product.supported, [
+  "Reflectividad máxima en la columna (COLMAX)",
+  "Reflectividad horizontal, elevación más baja (ZH)",
+]);
+
+// The time zones of the range form, with that of the radar network
+const RADAR_TIME_ZONE = {
+  ...TIME_ZONE,
+  "America/Argentina/Buenos_Aires": "Hora oficial (Argentina)",
+};
+
+/**
+ * Builds a copy of the `radar` section of the settings for the given station
+ * and product, leaving the default settings untouched. Its filename template
+ * has the station and product filled in, so that it only holds the
+ * placeholders of the scan time (see `TemplateURLRange.series`).
+ *
+ * @param {string} station The station identifier (e.g., "RMA4").
+ * @param {string} product The product identifier (e.g., "COLMAX").
+ * @returns {Object} The settings for the requested station and product.
+ */
+function seriesSettings(station, product) {
+  const settings = smn_settings.radar;
+  return {
+    ...TemplateURLRange.series(settings, { station, product }),
+    station: { ...settings.station, current: station },
+    product: { ...settings.product, current: product },
+  };
+}
+
+/**
+ * Class responsible for downloading SINARAME radar images based on a
+ * provided URL list.
+ */
+class RadarDownloader {
+  /**
+   * Constructs a RadarDownloader object to manage downloading radar images.
+   *
+   * @param {string[]} urls An array of URLs for the images to be downloaded.
+   * @param {Object} settings The `radar` section of the settings the URLs
+   *        were built with.
+   */
+  constructor(urls, settings) {
+    this._urls = urls;
+    this._settings = settings;
+  }
+
+  /**
+   * Downloads the radar images in their original format as an archive.
+   *
+   * The caller is responsible for setting the fetch parameters.
+   *
+   * @param {string[]} filenames An array of filenames for the downloaded
+   *        images.
+   * @param {string} archivename The name of the archive to create.
+   * @param {string} type The desired archive format (see `ARCHIVE`).
+   * @param {Object} params Parameters for the fetch requests.
+   * @param {Object} options (Optional) Options for the download queue (e.g.,
+   *        concurrency, timeout, retries).
+   * @returns {Promise<Response>} A Promise object representing the download
+   *          operation. The resolved value is a Response object containing
+   *          download details.
+   */
+  downloadFiles(filenames, archivename, type, params, options) {
+    const readme = RadarDownloader.#getReadMe(
+      filenames,
+      archivename,
+      this._settings,
+    );
+    const sequence = zip(this._urls, filenames);
+    const promise = FileDownloader.download(
+      sequence,
+      archivename,
+      type,
+      params,
+      readme,
+      options,
+    );
+    return ResponseActions.setup(promise, archivename);
+  }
+
+  /**
+   * (Private helper function) Generates a README string based on the provided
+   * filenames.
+   *
+   * @param {string[]} filenames An array of filenames.
+   * @param {string} archivename The name of the archive the files are
+   *        included in.
+   * @param {Object} settings The `radar` section of the settings the
+   *        filenames were built with.
+   * @returns {string} A README string listing the filenames and additional
+   *          information.
+   */
+  static #getReadMe(filenames, archivename, settings) {
+    const datetime = DateUtils.currentISODate();
+    const minutes = settings.interval / 60_000;
+    const station = STATION[settings.station.current];
+    const product = PRODUCT[settings.product.current];
+    const filelist = filenames.join("\n");
+    const year = datetime.slice(0, 4);
+    return `Imágenes de radar de la red SINARAME (${datetime})
+=========================================================
+
+Radar: ${settings.station.current} - ${station}
+Producto: ${product}
+
+Este producto contiene imágenes de los radares meteorológicos del Sistema
+Nacional de Radares Meteorológicos (SINARAME) de Argentina, generadas y
+distribuidas por el Servicio Meteorológico Nacional (SMN) a través de su sitio
+web.
+
+Las imágenes se actualizan cada ${minutes} minutos y se encuentran disponibles en
+el enlace: https://www.smn.gob.ar/radar. La hora indicada en el nombre de cada
+archivo corresponde al tiempo universal coordinado (UTC).
+
+Imágenes solicitadas:
+--------------------------------
+${filelist}
+--------------------------------
+
+Observación: La lista anterior enumera los archivos que se intentaron
+recuperar. Algunos archivos pueden no haberse recuperado. Los archivos
+recuperados se incluyen en el archivo ${archivename}. El archivo RETSPY.log puede
+contener información adicional de las razones por las que no se pudieron
+recuperar algunos archivos.
+
+---
+Copyright ${year}, Servicio Meteorológico Nacional (Argentina).
+Vía RETSpy - Proyecto de Reporte de Eventos de Tiempo Severo - Paraguay.
+
+---
+Servicio Meteorológico Nacional
+Av. Dorrego 4019, C1425GBE Ciudad Autónoma de Buenos Aires
+Tel: +54 11 5167 6767
+`;
+  }
+}
+
+/**
+ * Class representing the download dashboard of the SMN radar page, opened
+ * from a floating button.
+ */
+class Dashboard extends ModalWall {
+  #runner;
+  #fields = Dashboard.#createFields();
+  #range;
+
+  constructor(width, height) {
+    super();
+    this.hide();
+    document.body.append(this.element);
+
+    this.panel = new DialogWindow("", [width, height]);
+    this.panel.title = "RETSpy — Descarga de imágenes de radar SINARAME";
+    this.body.append(this.panel);
+
+    this.registerEvent("close");
+    this.addEventListener("close", () => this.hide());
+    this.entangleEvents("click", "close", ".retspy-close");
+
+    this.panel.statusbar.addSection().addSection();
+    this.#runner = new DownloadRunner(this.panel.statusbar);
+    this.panel.status = ["Listo", "", ""];
+
+    this.#range = new RangeForm({
+      settings: smn_settings.radar,
+      timeZones: RADAR_TIME_ZONE,
+      fields: this.#fields,
+      waiting: "Esperando las imágenes de radar de la página",
+      check: (request) => Dashboard.#check(request),
+    });
+    this.#range.addEventListener("download", (data) =>
+      this.#downloadRange(data.parameters),
+    );
+    this.panel.body.append(this.#range);
+
+    this.buttons = Dashboard.#createButtons(this);
+  }
+
+  /**
+   * Shows the dashboard with the range form reset to the last hours,
+   * learning the URLs of the images from the page if they were not yet
+   * known, along with the radar station and the product it shows.
+   */
+  showRange() {
+    const settings = smn_settings.radar;
+    if (!settings.template && RadarLoop.learn(settings)) {
+      this.#fields.station.value = settings.station.current;
+      this.#fields.product.value = settings.product.current;
+    }
+    this.#range.reset();
+    this.show();
+  }
+
+  /**
+   * Cancels the download in progress, if any.
+   */
+  cancel() {
+    this.#runner.cancel();
+  }
+
+  #downloadRange(request) {
+    smn_settings.params.referrer = smn_settings.radar.page;
+
+    const { begin, end, station, product } = request;
+    const settings = seriesSettings(station, product);
+    const range = new TemplateURLRange(settings, begin, end);
+    if (range.urls.length === 0) {
+      alert("El rango de fechas solicitado no contiene imágenes.");
+      return;
+    }
+    const fln = FilenameUtils.getFilenames(range.urls);
+    const zfn = FilenameUtils.buildArchiveFilename(
+      range.urls,
+      smn_settings.prefix,
+      ARC_TYPE.ZIP,
+    );
+    const fdl = new RadarDownloader(range.urls, settings);
+    this.#run((options) =>
+      fdl.downloadFiles(fln, zfn, ARCHIVE.ZIP, smn_settings.params, options),
+    );
+  }
+
+  /**
+   * (Private method) Runs a download operation, showing its progress in the
+   * statusbar until it completes or is cancelled. Only one operation runs at
+   * a time.
+   *
+   * @param {function(Object): Promise<Object>} start A function that starts
+   *        the download with the given options and returns a promise that
+   *        resolves to the download result.
+   */
+  #run(start) {
+    this.show();
+    this.#runner.run(start);
+  }
+
+  /**
+   * (Private function) Creates the fields of the range form to select the
+   * radar station and the product.
+   *
+   * @returns {Object} The fields, by the name of their value in the request.
+   */
+  static #createFields() {
+    const station = new SelectField("Radar", Object.entries(STATION));
+    const product = new SelectField("Producto", Object.entries(PRODUCT));
+    station.value = smn_settings.radar.station.current;
+    product.value = smn_settings.radar.product.current;
+    return { station, product };
+  }
+
+  /**
+   * (Private function) Tells why a requested station or product cannot be
+   * downloaded: the URLs learnt from the page do not hold it, so only the
+   * one shown by the page can.
+   *
+   * @param {Object} request The requested range, with the station and the
+   *        product.
+   * @returns {string} The reason, or `undefined` if they can be downloaded.
+   */
+  static #check(request) {
+    const { template, station, product } = smn_settings.radar;
+    if (
+      !template?.includes("{station}") &&
+      request.station !== station.current
+    ) {
+      return "Radar no disponible: ábralo en la página";
+    }
+    if (
+      !template?.includes("{product}") &&
+      request.product !== product.current
+    ) {
+      return "Producto no disponible: ábralo en la página";
+    }
+  }
+
+  static #createButtons(dashboard) {
+    const button = new Button("Descarga Por Fecha", ".btn.btn-default");
+    button.registerEvent("open-dialog");
+    button.addEventListener("open-dialog", () => dashboard.showRange());
+    button.entangleEvents("click", "open-dialog");
+
+    const group = new ButtonGroup(".retspy-float.btn-group.btn-group-sm");
+    group.append(button);
+    document.body.append(group.element);
+
+    return group;
+  }
+}
+
+FileSaver.destination = { site: "SMN" };
+
+window.addEventListener("load", () => new Dashboard("460px", "340px"));
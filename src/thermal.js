@@ -0,0 +1,615 @@
+import { dict } from "./common.js";
+
+/**
+ * The offset between the Celsius and Kelvin scales.
+ */
+const KELVIN = 273.15;
+
+/**
+ * The value of the grid cells without data in binary grids.
+ */
+const NODATA = -9999;
+
+/**
+ * An array of the types of detections of the cloud-top analysis.
+ */
+const DETECTIONS = ["COLD_TOP", "COOLING"];
+
+/**
+ * A map (enumeration) of detection types to their corresponding string
+ * values: "COLD_TOP" for regions colder than the threshold (e.g.,
+ * overshooting tops) and "COOLING" for regions cooling faster than the rate.
+ */
+const DETECTION = dict(DETECTIONS, DETECTIONS);
+
+/**
+ * Class mapping the colors of a color-enhanced image (e.g., an infrared
+ * satellite image) to the physical values they represent (e.g., brightness
+ * temperatures in degrees Celsius).
+ *
+ * The table is defined by its stops, pairs of a value and an RGB color,
+ * ordered by value. Colors between consecutive stops are linearly
+ * interpolated; two consecutive stops with the same value mark a step of the
+ * color scale.
+ *
+ * Each color is decoded to the value of the nearest color of the table, so
+ * that the noise of lossy formats (e.g., JPEG artifacts) is tolerated; colors
+ * farther than the tolerance from every color of the table (e.g., borders,
+ * labels) have no value (`NaN`).
+ *
+ * The options object supports the following properties:
+ *
+ * options = {
+ *   step: {number},      // value step of the interpolation, defaults to 0.25
+ *   tolerance: {number}, // maximum RGB distance, defaults to 48
+ * }
+ */
+class ColorTable {
+  /**
+   * (Private variable) The colors of the table, as consecutive RGB triplets.
+   */
+  #colors;
+  /**
+   * (Private variable) The values of the colors of the table.
+   */
+  #values;
+  /**
+   * (Private variable) The squared maximum distance to a color of the table.
+   */
+  #tolerance;
+  /**
+   * (Private variable) The decoded values of the colors seen so far, by
+   * 24-bit RGB key.
+   */
+  #cache = new Map();
+
+  /**
+   * Constructs a ColorTable object.
+   *
+   * @param {Array<[number, number[]]>} stops The stops of the table, pairs
+   *        of a value and an RGB color (`[value, [r, g, b]]`).
+   * @param {object} options (Optional) The interpolation step and the
+   *        tolerance of the table. See the class description for details.
+   */
+  constructor(stops, options) {
+    const { step = 0.25, tolerance = 48 } = options || {};
+    const colors = [];
+    const values = [];
+    for (let index = 0; index < stops.length; index++) {
+      const [value, color] = stops[index];
+      const next = stops[index + 1];
+      const count = next ? Math.ceil(Math.abs(next[0] - value) / step) : 0;
+      colors.push(...color);
+      values.push(value);
+      for (let i = 1; i < count; i++) {
+        const t = i / count;
+        colors.push(
+          ...color.map((c, k) => Math.round(c + (next[1][k] - c) * t)),
+        );
+        values.push(value + (next[0] - value) * t);
+      }
+    }
+    this.#colors = new Uint8Array(colors);
+    this.#values = new Float32Array(values);
+    this.#tolerance = tolerance * tolerance;
+  }
+
+  /**
+   * Decodes a color to the value of the nearest color of the table.
+   *
+   * @param {number} r The red component of the color (0..255).
+   * @param {number} g The green component of the color (0..255).
+   * @param {number} b The blue component of the color (0..255).
+   * @returns {number} The value of the color, or `NaN` if no color of the
+   *          table is within the tolerance.
+   */
+  decode(r, g, b) {
+    const key = (r << 16) | (g << 8) | b;
+    let value = this.#cache.get(key);
+    if (value === undefined) {
+      value = this.#nearest(r, g, b);
+      this.#cache.set(key, value);
+    }
+    return value;
+  }
+
+  /**
+   * Decodes the pixel of an image at the given position, as the median of
+   * the values of the pixel and its neighbours, for a steadier reading over
+   * noisy images.
+   *
+   * @param {ImageData} image The pixels of the image.
+   * @param {number} x The horizontal pixel coordinate.
+   * @param {number} y The vertical pixel coordinate.
+   * @param {number} radius (Optional) The distance of the farthest
+   *        neighbours, in pixels. Defaults to 1 (a 3x3 window).
+   * @returns {number} The value at the position, or `NaN` if none of the
+   *          pixels has a value.
+   */
+  sample(image, x, y, radius = 1) {
+    const { width, height, data } = image;
+    const [left, right] = [
+      Math.max(0, x - radius),
+      Math.min(width - 1, x + radius),
+    ];
+    const [top, bottom] = [
+      Math.max(0, y - radius),
+      Math.min(height - 1, y + radius),
+    ];
+    const values = [];
+    for (let j = top; j <= bottom; j++) {
+      for (let i = left; i <= right; i++) {
+        const offset = (j * width + i) * 4;
+        const value = this.decode(
+          data[offset],
+          data[offset + 1],
+          data[offset + 2],
+        );
+        if (!Number.isNaN(value)) {
+          values.push(value);
+        }
+      }
+    }
+    if (values.length === 0) {
+      return Number.NaN;
+    }
+    values.sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+  }
+
+  /**
+   * (Private method) Finds the value of the nearest color of the table.
+   *
+   * @param {number} r The red component of the color.
+   * @param {number} g The green component of the color.
+   * @param {number} b The blue component of the color.
+   * @returns {number} The value of the nearest color, or `NaN` if it is
+   *          farther than the tolerance.
+   */
+  #nearest(r, g, b) {
+    const colors = this.#colors;
+    let best = Number.NaN;
+    let distance = this.#tolerance;
+    for (let index = 0; index < this.#values.length; index++) {
+      const dr = colors[index * 3] - r;
+      const dg = colors[index * 3 + 1] - g;
+      const db = colors[index * 3 + 2] - b;
+      const d = dr * dr + dg * dg + db * db;
+      if (d <= distance) {
+        distance = d;
+        best = this.#values[index];
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * The color scales of the color-enhanced infrared products of DMH, by
+ * product identifier, as the stops of their color tables (see `ColorTable`),
+ * in degrees Celsius. DMH does not publish them, so a scale is only listed
+ * once sampled from the colorbar shown with the images of its product, with
+ * that source noted next to it. None has been sampled yet: until then no
+ * temperature is decoded from the images.
+ */
+const COLOR_SCALE = {};
+
+/**
+ * A map of the products of DMH with a color scale (see `COLOR_SCALE`) to
+ * their color tables.
+ */
+const COLOR_TABLE = Object.fromEntries(
+  Object.entries(COLOR_SCALE).map(([product, scale]) => [
+    product,
+    new ColorTable(scale),
+  ]),
+);
+
+/**
+ * Class representing a grid of temperatures decoded from a color-enhanced
+ * image, in degrees Celsius, row by row from the top left corner. Cells
+ * without data hold `NaN`.
+ */
+class TemperatureGrid {
+  /**
+   * Constructs a TemperatureGrid object.
+   *
+   * @param {number} width The number of columns of the grid.
+   * @param {number} height The number of rows of the grid.
+   * @param {Float32Array} values (Optional) The temperatures, in degrees
+   *        Celsius. Defaults to a grid without data.
+   */
+  constructor(width, height, values) {
+    this.width = width;
+    this.height = height;
+    this.values = values || new Float32Array(width * height).fill(Number.NaN);
+  }
+
+  /**
+   * Decodes the pixels of an image to a grid of temperatures.
+   *
+   * @param {ImageData} image The pixels of the image.
+   * @param {ColorTable} table The color table of the image, in degrees
+   *        Celsius.
+   * @returns {TemperatureGrid} The grid of temperatures.
+   */
+  static decode(image, table) {
+    const { width, height, data } = image;
+    const values = new Float32Array(width * height);
+    for (let index = 0; index < values.length; index++) {
+      const offset = index * 4;
+      values[index] = table.decode(
+        data[offset],
+        data[offset + 1],
+        data[offset + 2],
+      );
+    }
+    return new TemperatureGrid(width, height, values);
+  }
+
+  /**
+   * Decodes the pixels of an image element to a grid of temperatures.
+   *
+   * @param {Image} image The image to decode.
+   * @param {ColorTable} table The color table of the image, in degrees
+   *        Celsius.
+   * @param {number[]} source (Optional) The rectangle of the image to
+   *        decode, in pixels (`[x, y, width, height]`). Defaults to the whole
+   *        image.
+   * @returns {TemperatureGrid} The grid of temperatures of the rectangle.
+   */
+  static fromImage(image, table, source) {
+    const [x, y, width, height] = source || [0, 0, image.width, image.height];
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    context.drawImage(image, x, y, width, height, 0, 0, width, height);
+    const pixels = context.getImageData(0, 0, width, height);
+    return TemperatureGrid.decode(pixels, table);
+  }
+
+  /**
+   * Gets the temperature of a cell.
+   *
+   * @param {number} x The column of the cell.
+   * @param {number} y The row of the cell.
+   * @returns {number} The temperature, in degrees Celsius, or `NaN` if the
+   *          cell has no data or is outside the grid.
+   */
+  at(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+      return Number.NaN;
+    }
+    return this.values[y * this.width + x];
+  }
+
+  /**
+   * Formats the grid as CSV, one line per row, with one decimal. Cells
+   * without data are left empty.
+   *
+   * @param {boolean} kelvin (Optional) Whether to write the temperatures in
+   *        kelvins instead of degrees Celsius. Defaults to `false`.
+   * @param {string} comment (Optional) A note on the values, written first
+   *        as a comment line ("# ...").
+   * @returns {string} The CSV text.
+   */
+  toCSV(kelvin = false, comment = "") {
+    const offset = kelvin ? KELVIN : 0;
+    const lines = comment ? [`# ${comment}`] : [];
+    for (let y = 0; y < this.height; y++) {
+      const row = this.values.subarray(y * this.width, (y + 1) * this.width);
+      const cells = Array.from(row, (value) =>
+        Number.isNaN(value) ? "" : (value + offset).toFixed(1),
+      );
+      lines.push(cells.join(","));
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Encodes the grid as a raw binary grid: 32-bit little-endian floats, row
+   * by row, with `NODATA` for the cells without data. See `toHeader` for
+   * the header that describes it.
+   *
+   * @param {boolean} kelvin (Optional) Whether to write the temperatures in
+   *        kelvins instead of degrees Celsius. Defaults to `false`.
+   * @returns {ArrayBuffer} The binary grid.
+   */
+  toBinary(kelvin = false) {
+    const offset = kelvin ? KELVIN : 0;
+    const buffer = new ArrayBuffer(this.values.length * 4);
+    const view = new DataView(buffer);
+    for (const [index, value] of this.values.entries()) {
+      const cell = Number.isNaN(value) ? NODATA : value + offset;
+      view.setFloat32(index * 4, cell, true);
+    }
+    return buffer;
+  }
+
+  /**
+   * Builds the ESRI BIL header (`.hdr`) of the binary grid, which GIS
+   * applications (e.g., QGIS, GDAL) read along with the grid.
+   *
+   * @param {GeoReference} georef (Optional) The georeference of the grid, to
+   *        place it on a map.
+   * @returns {string} The header text.
+   */
+  toHeader(georef) {
+    const lines = [
+      "BYTEORDER I",
+      "LAYOUT BIL",
+      `NROWS ${this.height}`,
+      `NCOLS ${this.width}`,
+      "NBANDS 1",
+      "NBITS 32",
+      "PIXELTYPE FLOAT",
+      `NODATA ${NODATA}`,
+    ];
+    if (georef) {
+      const [dx, dy] = georef.resolution;
+      const { west, north } = georef.bounds;
+      lines.push(
+        `ULXMAP ${(west + dx / 2).toFixed(10)}`,
+        `ULYMAP ${(north - dy / 2).toFixed(10)}`,
+        `XDIM ${dx.toFixed(10)}`,
+        `YDIM ${dy.toFixed(10)}`,
+      );
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+/**
+ * Class to analyze a sequence of infrared temperature grids, frame by frame,
+ * looking for the signatures of severe convection: cloud tops colder than a
+ * threshold (e.g., overshooting tops below -65 °C) and regions cooling
+ * faster than a rate between consecutive scans (growing updrafts).
+ *
+ * The cooling rate is computed over blocks of pixels, averaged, so that
+ * small displacements of the clouds and the noise of the images do not pass
+ * for cooling; it is normalized to 10 minutes, and not computed across gaps
+ * of the sequence longer than `maxGap`.
+ *
+ * Each detection is described by an object with the following properties,
+ * in pixels of the analyzed image:
+ *
+ * detection = {
+ *   type: {string},    // see `DETECTION`
+ *   time: {Date},      // scan time of the frame
+ *   x: {number},       // centroid
+ *   y: {number},
+ *   bounds: {number[]}, // bounding box, [x, y, width, height]
+ *   pixels: {number},  // area of the region
+ *   value: {number},   // minimum temperature (°C) or maximum cooling
+ *                      // rate (°C per 10 minutes)
+ * }
+ *
+ * The options object supports the following properties:
+ *
+ * options = {
+ *   threshold: {number}, // °C, defaults to -65
+ *   cooling: {number},   // °C per 10 minutes, defaults to 8
+ *   ceiling: {number},   // warmest cooling cloud tops, °C, defaults to -20
+ *   block: {number},     // pixels per side of the cooling blocks, defaults
+ *                        // to 4
+ *   minPixels: {number}, // smallest cold region, defaults to 4
+ *   maxGap: {number},    // milliseconds, defaults to 30 minutes
+ * }
+ */
+class CloudTopAnalyzer {
+  /**
+   * (Private variable) The default options of the analyzers.
+   */
+  static #defaults = {
+    threshold: -65,
+    cooling: 8,
+    ceiling: -20,
+    block: 4,
+    minPixels: 4,
+    maxGap: 30 * 60 * 1000,
+  };
+  /**
+   * (Private variable) The options of the analyzer.
+   */
+  #options;
+  /**
+   * (Private variable) The block-averaged grid and scan time of the previous
+   * frame.
+   */
+  #previous;
+
+  /**
+   * Constructs a CloudTopAnalyzer object.
+   *
+   * @param {object} options (Optional) The thresholds of the analysis. See
+   *        the class description for details.
+   */
+  constructor(options) {
+    this.#options = { ...CloudTopAnalyzer.#defaults, ...options };
+  }
+
+  /**
+   * Analyzes the next frame of the sequence. Frames must be given in time
+   * order, all of them of the same size.
+   *
+   * @param {TemperatureGrid} grid The temperatures of the frame.
+   * @param {Date} time The scan time of the frame.
+   * @param {number[]} offset (Optional) The position of the grid within the
+   *        image, added to the coordinates of the detections (`[x, y]`).
+   * @returns {Array<object>} The detections of the frame. See the class
+   *          description for details.
+   */
+  analyze(grid, time, offset = [0, 0]) {
+    const { threshold, cooling, ceiling, block, minPixels } = this.#options;
+    const cold = grid.values.map((value) => (value <= threshold ? 1 : 0));
+    const detections = CloudTopAnalyzer.#regions(cold, grid, minPixels).map(
+      (region) => ({ ...region, type: DETECTION.COLD_TOP, value: region.min }),
+    );
+
+    const blocks = CloudTopAnalyzer.#average(grid, block);
+    const previous = this.#previous;
+    this.#previous = { blocks, time };
+    const gap = previous && time - previous.time;
+    if (gap > 0 && gap <= this.#options.maxGap) {
+      const rates = blocks.values.map((value, index) => {
+        const rate = ((previous.blocks.values[index] - value) * 600_000) / gap;
+        return value <= ceiling && rate >= cooling ? rate : Number.NaN;
+      });
+      const mask = rates.map((rate) => (Number.isNaN(rate) ? 0 : 1));
+      const rateGrid = new TemperatureGrid(blocks.width, blocks.height, rates);
+      for (const region of CloudTopAnalyzer.#regions(mask, rateGrid, 1)) {
+        detections.push({
+          type: DETECTION.COOLING,
+          x: region.x * block,
+          y: region.y * block,
+          bounds: region.bounds.map((value) => value * block),
+          pixels: region.pixels * block * block,
+          value: region.max,
+        });
+      }
+    }
+    const [dx, dy] = offset;
+    return detections.map(({ type, x, y, bounds, pixels, value }) => ({
+      type,
+      time,
+      x: x + dx,
+      y: y + dy,
+      bounds: [bounds[0] + dx, bounds[1] + dy, bounds[2], bounds[3]],
+      pixels,
+      value,
+    }));
+  }
+
+  /**
+   * (Private function) Averages the valid temperatures of the grid over
+   * square blocks; blocks with less than half of their cells valid have no
+   * data.
+   *
+   * @param {TemperatureGrid} grid The grid to average.
+   * @param {number} block The number of cells per side of the blocks.
+   * @returns {TemperatureGrid} The grid of the block averages.
+   */
+  static #average(grid, block) {
+    const width = Math.ceil(grid.width / block);
+    const height = Math.ceil(grid.height / block);
+    const sums = new Float64Array(width * height);
+    const counts = new Uint32Array(width * height);
+    for (let y = 0; y < grid.height; y++) {
+      const row = Math.floor(y / block) * width;
+      for (let x = 0; x < grid.width; x++) {
+        const value = grid.values[y * grid.width + x];
+        if (!Number.isNaN(value)) {
+          const index = row + Math.floor(x / block);
+          sums[index] += value;
+          ++counts[index];
+        }
+      }
+    }
+    const minimum = (block * block) / 2;
+    const values = new Float32Array(width * height);
+    for (const [index, count] of counts.entries()) {
+      values[index] = count >= minimum ? sums[index] / count : Number.NaN;
+    }
+    return new TemperatureGrid(width, height, values);
+  }
+
+  /**
+   * (Private function) Finds the connected regions (8-connectivity) of the
+   * marked cells of a grid.
+   *
+   * @param {Uint8Array|Float32Array} mask The marks of the cells (non-zero
+   *        for marked cells).
+   * @param {TemperatureGrid} grid The values of the cells.
+   * @param {number} minPixels The smallest region, in cells.
+   * @returns {Array<object>} The regions: their centroid (`x`, `y`),
+   *          bounding box (`bounds`), area (`pixels`), and the minimum and
+   *          maximum values of their cells (`min`, `max`).
+   */
+  static #regions(mask, grid, minPixels) {
+    const seen = new Uint8Array(mask.length);
+    const regions = [];
+    for (let start = 0; start < mask.length; start++) {
+      if (mask[start] && !seen[start]) {
+        const region = CloudTopAnalyzer.#fill(start, mask, seen, grid);
+        if (region.pixels >= minPixels) {
+          regions.push(region);
+        }
+      }
+    }
+    return regions;
+  }
+
+  /**
+   * (Private function) Flood-fills the region of the marked cells connected
+   * to the given one, marking them as seen.
+   *
+   * @param {number} start The index of the first cell of the region.
+   * @param {Uint8Array|Float32Array} mask The marks of the cells.
+   * @param {Uint8Array} seen The cells already assigned to a region.
+   * @param {TemperatureGrid} grid The values of the cells.
+   * @returns {object} The region. See `#regions` for details.
+   */
+  static #fill(start, mask, seen, grid) {
+    const { width, values } = grid;
+    const stack = [start];
+    seen[start] = 1;
+    let [pixels, sx, sy, min, max] = [0, 0, 0, Infinity, -Infinity];
+    let [left, top, right, bottom] = [width, grid.height, 0, 0];
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const [x, y] = [index % width, Math.floor(index / width)];
+      [pixels, sx, sy] = [pixels + 1, sx + x, sy + y];
+      [min, max] = [Math.min(min, values[index]), Math.max(max, values[index])];
+      [left, top] = [Math.min(left, x), Math.min(top, y)];
+      [right, bottom] = [Math.max(right, x), Math.max(bottom, y)];
+      for (const next of CloudTopAnalyzer.#neighbors(x, y, grid)) {
+        if (mask[next] && !seen[next]) {
+          seen[next] = 1;
+          stack.push(next);
+        }
+      }
+    }
+    return {
+      x: sx / pixels + 0.5,
+      y: sy / pixels + 0.5,
+      bounds: [left, top, right - left + 1, bottom - top + 1],
+      pixels,
+      min,
+      max,
+    };
+  }
+
+  /**
+   * (Private function) Gets the indices of the neighbors of a cell
+   * (8-connectivity) within the grid.
+   *
+   * @param {number} x The column of the cell.
+   * @param {number} y The row of the cell.
+   * @param {TemperatureGrid} grid The grid.
+   * @returns {number[]} The indices of the neighbors.
+   */
+  static #neighbors(x, y, grid) {
+    const { width, height } = grid;
+    const [left, right] = [Math.max(0, x - 1), Math.min(width - 1, x + 1)];
+    const [top, bottom] = [Math.max(0, y - 1), Math.min(height - 1, y + 1)];
+    const indices = [];
+    for (let j = top; j <= bottom; j++) {
+      for (let i = left; i <= right; i++) {
+        indices.push(j * width + i);
+      }
+    }
+    return indices;
+  }
+}
+
+export {
+  CloudTopAnalyzer,
+  COLOR_TABLE,
+  ColorTable,
+  DETECTION,
+  DETECTIONS,
+  KELVIN,
+  NODATA,
+  TemperatureGrid,
+};
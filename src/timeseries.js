@@ -0,0 +1,522 @@
+import { dict } from "./common.js";
+
+/**
+ * An array of the states of the samples of a time series.
+ */
+const SAMPLE_STATES = ["OK", "MISSING", "NODATA"];
+
+/**
+ * A map (enumeration) of sample states to their corresponding string values:
+ * "OK" for frames with values, "MISSING" for frames that could not be loaded
+ * and "NODATA" for loaded frames without valid values at the location.
+ */
+const SAMPLE_STATE = dict(SAMPLE_STATES, SAMPLE_STATES);
+
+/**
+ * Class representing the time series of the values of a location (a pixel
+ * or a small box) across a sequence of frames: one sample per frame, with
+ * its scan time, state and the number, mean, minimum and maximum of the
+ * valid values of its pixels.
+ *
+ * sample = {
+ *   time: {Date},
+ *   state: {string},   // see `SAMPLE_STATE`
+ *   count: {number},   // number of valid values
+ *   mean: {number},    // `NaN` without valid values
+ *   min: {number},
+ *   max: {number},
+ * }
+ *
+ * The location is given in the options object, as a pixel, a geographic
+ * position or a box, that is:
+ *
+ * options = {
+ *   point: {{x: number, y: number}|{lat: number, lon: number}},
+ *   radius: {number},  // pixels around the point, defaults to 0
+ *   box: {{x: number, y: number, width: number, height: number}},
+ *   decode: {function(number, number, number): number}, // RGB to value,
+ *                      // `NaN` for pixels without a valid value
+ *   time: {function(object): Date}, // scan time of an entry
+ *   georef: {function(object, number, number): GeoReference}, // of an
+ *                      // entry of the given size, for geographic positions
+ * }
+ */
+class TimeSeries {
+  /**
+   * (Private variable) The samples of the series, in frame order.
+   */
+  #samples;
+
+  /**
+   * Constructs a TimeSeries object.
+   *
+   * @param {Array<object>} samples The samples of the series. See the class
+   *        description for details.
+   */
+  constructor(samples) {
+    this.#samples = samples;
+  }
+
+  /**
+   * Samples the location given in the options on each frame of a sequence of
+   * image entries, as loaded by `ImageLoader`; entries without data are
+   * marked as missing.
+   *
+   * @param {Array<object>} entries The image entries, in time order.
+   * @param {object} options The location and the decoding and timing
+   *        functions. See the class description for details.
+   * @returns {TimeSeries} The time series.
+   */
+  static sample(entries, options) {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    const samples = entries.map((entry) => {
+      const time = options.time(entry);
+      if (!("data" in entry)) {
+        return TimeSeries.#empty(time, SAMPLE_STATE.MISSING);
+      }
+      const window = TimeSeries.#window(entry, options);
+      if (!window) {
+        return TimeSeries.#empty(time, SAMPLE_STATE.NODATA);
+      }
+      const [x, y, width, height] = window;
+      canvas.width = width;
+      canvas.height = height;
+      context.drawImage(entry.data, x, y, width, height, 0, 0, width, height);
+      const pixels = context.getImageData(0, 0, width, height).data;
+      return TimeSeries.#statistics(time, pixels, options.decode);
+    });
+    return new TimeSeries(samples);
+  }
+
+  /**
+   * Gets the samples of the series.
+   *
+   * @returns {Array<object>} The samples, in frame order.
+   */
+  get samples() {
+    return this.#samples;
+  }
+
+  /**
+   * Gets the number of missing frames of the series.
+   *
+   * @returns {number} The number of samples marked as missing.
+   */
+  get missing() {
+    return this.#samples.filter(
+      (sample) => sample.state === SAMPLE_STATE.MISSING,
+    ).length;
+  }
+
+  /**
+   * Formats the series as CSV, one line per frame, with its UTC scan time,
+   * state, number of valid values, and their mean, minimum and maximum with
+   * two decimals (empty without valid values).
+   *
+   * @param {string} comment (Optional) A note on the values, written first
+   *        as a comment line ("# ...").
+   * @returns {string} The CSV text.
+   */
+  toCSV(comment = "") {
+    const lines = comment ? [`# ${comment}`] : [];
+    lines.push("time_utc,state,count,mean,min,max");
+    for (const { time, state, count, mean, min, max } of this.#samples) {
+      const values = [mean, min, max].map((value) =>
+        Number.isNaN(value) ? "" : value.toFixed(2),
+      );
+      lines.push([time.toISOString(), state, count, ...values].join(","));
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * (Private function) Builds a sample without valid values.
+   *
+   * @param {Date} time The scan time of the frame.
+   * @param {string} state The state of the sample (see `SAMPLE_STATE`).
+   * @returns {object} The sample.
+   */
+  static #empty(time, state) {
+    const nan = Number.NaN;
+    return { time, state, count: 0, mean: nan, min: nan, max: nan };
+  }
+
+  /**
+   * (Private function) Computes the statistics of the valid values of the
+   * pixels of a frame.
+   *
+   * @param {Date} time The scan time of the frame.
+   * @param {Uint8ClampedArray} pixels The RGBA pixels of the location.
+   * @param {function(number, number, number): number} decode The function
+   *        decoding a color to its value.
+   * @returns {object} The sample.
+   */
+  static #statistics(time, pixels, decode) {
+    let count = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let offset = 0; offset < pixels.length; offset += 4) {
+      const value = decode(
+        pixels[offset],
+        pixels[offset + 1],
+        pixels[offset + 2],
+      );
+      if (!Number.isNaN(value)) {
+        ++count;
+        sum += value;
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    }
+    if (count === 0) {
+      return TimeSeries.#empty(time, SAMPLE_STATE.NODATA);
+    }
+    return { time, state: SAMPLE_STATE.OK, count, mean: sum / count, min, max };
+  }
+
+  /**
+   * (Private function) Finds the rectangle of pixels of the location within
+   * an image.
+   *
+   * @param {object} entry The image entry.
+   * @param {object} options The location. See the class description for
+   *        details.
+   * @returns {number[]} The rectangle, `[x, y, width, height]`, or
+   *          `undefined` if the location falls outside the image or cannot
+   *          be located.
+   */
+  static #window(entry, options) {
+    const { width, height } = entry.data;
+    const { point, radius = 0, box } = options;
+    let rect;
+    if (box) {
+      rect = [box.x, box.y, box.width, box.height];
+    } else {
+      const pixel = TimeSeries.#pixel(entry, point, options.georef);
+      if (!pixel) {
+        return;
+      }
+      const [x, y] = [Math.floor(pixel.x), Math.floor(pixel.y)];
+      rect = [x - radius, y - radius, 2 * radius + 1, 2 * radius + 1];
+    }
+    const left = Math.max(0, Math.round(rect[0]));
+    const top = Math.max(0, Math.round(rect[1]));
+    const right = Math.min(width, Math.round(rect[0] + rect[2]));
+    const bottom = Math.min(height, Math.round(rect[1] + rect[3]));
+    if (right <= left || bottom <= top) {
+      return;
+    }
+    return [left, top, right - left, bottom - top];
+  }
+
+  /**
+   * (Private function) Converts the point of the location to image pixels.
+   *
+   * @param {object} entry The image entry.
+   * @param {object} point The pixel or geographic position of the location.
+   * @param {function(object, number, number): GeoReference} georef The
+   *        function georeferencing the entry, for geographic positions.
+   * @returns {{x: number, y: number}} The pixel position, or `undefined` if
+   *          the position cannot be georeferenced.
+   */
+  static #pixel(entry, point, georef) {
+    if (!("lat" in point)) {
+      return point;
+    }
+    const { width, height } = entry.data;
+    return georef?.(entry, width, height)?.toPixel(point.lon, point.lat);
+  }
+}
+
+/**
+ * Class to draw the chart of a time series: the mean value as a line over
+ * the band of the minimum and maximum values, with the missing frames marked
+ * along the time axis.
+ *
+ * The options object supports the following properties:
+ *
+ * options = {
+ *   title: {string},
+ *   unit: {string},    // label of the value axis
+ *   width: {number},   // in pixels, defaults to 640
+ *   height: {number},  // in pixels, defaults to 320
+ *   labels: {{mean: string, range: string, missing: string}}, // legend
+ * }
+ */
+class SeriesChart {
+  /**
+   * (Private variable) The default options of the charts.
+   */
+  static #defaults = {
+    title: "",
+    unit: "",
+    width: 640,
+    height: 320,
+    labels: { mean: "mean", range: "min–max", missing: "missing" },
+  };
+  /**
+   * (Private variable) The margins of the plot area, in pixels
+   * (`[top, right, bottom, left]`).
+   */
+  static #margins = [36, 16, 40, 56];
+
+  /**
+   * Renders the chart of a time series on a new canvas.
+   *
+   * @param {TimeSeries} series The time series.
+   * @param {object} options (Optional) The chart options. See the class
+   *        description for details.
+   * @returns {HTMLCanvasElement} The canvas with the chart.
+   */
+  static render(series, options) {
+    const settings = { ...SeriesChart.#defaults, ...options };
+    const canvas = document.createElement("canvas");
+    canvas.width = settings.width;
+    canvas.height = settings.height;
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = "12px sans-serif";
+
+    const scale = SeriesChart.#scale(series.samples, settings);
+    SeriesChart.#drawAxes(context, series.samples, scale, settings);
+    SeriesChart.#drawRange(context, series.samples, scale);
+    SeriesChart.#drawMean(context, series.samples, scale);
+    SeriesChart.#drawMissing(context, series.samples, scale);
+    SeriesChart.#drawLegend(context, settings);
+    return canvas;
+  }
+
+  /**
+   * (Private function) Builds the functions mapping the times and values of
+   * the samples to canvas coordinates.
+   *
+   * @param {Array<object>} samples The samples of the series.
+   * @param {object} settings The chart options.
+   * @returns {object} The scale: the `x(time)` and `y(value)` functions and
+   *          the ranges of the axes (`times` and `values`).
+   */
+  static #scale(samples, settings) {
+    const [top, right, bottom, left] = SeriesChart.#margins;
+    const valid = samples.filter((sample) => sample.count > 0);
+    const times = samples.map((sample) => sample.time.getTime());
+    if (times.length === 0) {
+      times.push(0);
+    }
+    let [t0, t1] = [Math.min(...times), Math.max(...times)];
+    if (t1 <= t0) {
+      [t0, t1] = [t0 - 1, t0 + 1];
+    }
+    let v0 = Math.min(...valid.map((sample) => sample.min));
+    let v1 = Math.max(...valid.map((sample) => sample.max));
+    if (valid.length === 0) {
+      [v0, v1] = [0, 1];
+    }
+    const pad = (v1 - v0) * 0.05 || 1;
+    [v0, v1] = [v0 - pad, v1 + pad];
+    const plotWidth = settings.width - left - right;
+    const plotHeight = settings.height - top - bottom;
+    return {
+      times: [t0, t1],
+      values: [v0, v1],
+      x: (time) => left + ((time.getTime() - t0) / (t1 - t0)) * plotWidth,
+      y: (value) => top + ((v1 - value) / (v1 - v0)) * plotHeight,
+    };
+  }
+
+  /**
+   * (Private function) Draws the title, the grid and the labels of the axes.
+   *
+   * @param {CanvasRenderingContext2D} context The context to draw on.
+   * @param {Array<object>} samples The samples of the series.
+   * @param {object} scale The scale of the chart.
+   * @param {object} settings The chart options.
+   */
+  static #drawAxes(context, samples, scale, settings) {
+    const [top, right, bottom, left] = SeriesChart.#margins;
+    const [v0, v1] = scale.values;
+    const plotRight = settings.width - right;
+    const plotBottom = settings.height - bottom;
+
+    context.fillStyle = "#333333";
+    context.textBaseline = "top";
+    context.textAlign = "left";
+    context.fillText(settings.title, left, 8);
+    context.textAlign = "right";
+    context.fillText(settings.unit, plotRight, 8);
+
+    context.strokeStyle = "#dddddd";
+    context.lineWidth = 1;
+    context.textBaseline = "middle";
+    const ticks = 5;
+    for (let i = 0; i <= ticks; i++) {
+      const value = v0 + ((v1 - v0) * i) / ticks;
+      const y = Math.round(scale.y(value)) + 0.5;
+      context.beginPath();
+      context.moveTo(left, y);
+      context.lineTo(plotRight, y);
+      context.stroke();
+      context.fillText(
+        value.toFixed(Math.abs(v1 - v0) < 10 ? 1 : 0),
+        left - 6,
+        y,
+      );
+    }
+
+    context.textAlign = "center";
+    context.textBaseline = "top";
+    const step = Math.max(1, Math.ceil(samples.length / 6));
+    for (let i = 0; i < samples.length; i += step) {
+      const { time } = samples[i];
+      const label = time.toISOString().slice(11, 16);
+      context.fillText(label, scale.x(time), plotBottom + 6);
+    }
+    context.textAlign = "left";
+    context.fillText("UTC", left, plotBottom + 22);
+
+    context.strokeStyle = "#666666";
+    context.strokeRect(
+      left + 0.5,
+      top + 0.5,
+      plotRight - left,
+      plotBottom - top,
+    );
+  }
+
+  /**
+   * (Private function) Draws the band of the minimum and maximum values,
+   * interrupted at the frames without values.
+   *
+   * @param {CanvasRenderingContext2D} context The context to draw on.
+   * @param {Array<object>} samples The samples of the series.
+   * @param {object} scale The scale of the chart.
+   */
+  static #drawRange(context, samples, scale) {
+    context.fillStyle = "rgba(51, 122, 183, 0.25)";
+    for (const run of SeriesChart.#runs(samples)) {
+      context.beginPath();
+      for (const sample of run) {
+        context.lineTo(scale.x(sample.time), scale.y(sample.max));
+      }
+      for (const sample of run.toReversed()) {
+        context.lineTo(scale.x(sample.time), scale.y(sample.min));
+      }
+      context.closePath();
+      context.fill();
+    }
+  }
+
+  /**
+   * (Private function) Draws the line and the points of the mean values,
+   * interrupted at the frames without values.
+   *
+   * @param {CanvasRenderingContext2D} context The context to draw on.
+   * @param {Array<object>} samples The samples of the series.
+   * @param {object} scale The scale of the chart.
+   */
+  static #drawMean(context, samples, scale) {
+    context.strokeStyle = "#337ab7";
+    context.fillStyle = "#337ab7";
+    context.lineWidth = 2;
+    for (const run of SeriesChart.#runs(samples)) {
+      context.beginPath();
+      for (const sample of run) {
+        context.lineTo(scale.x(sample.time), scale.y(sample.mean));
+      }
+      context.stroke();
+      for (const sample of run) {
+        context.beginPath();
+        context.arc(
+          scale.x(sample.time),
+          scale.y(sample.mean),
+          2.5,
+          0,
+          2 * Math.PI,
+        );
+        context.fill();
+      }
+    }
+  }
+
+  /**
+   * (Private function) Marks the frames without values with a cross on the
+   * time axis: red for missing frames, grey for frames without valid values.
+   *
+   * @param {CanvasRenderingContext2D} context The context to draw on.
+   * @param {Array<object>} samples The samples of the series.
+   * @param {object} scale The scale of the chart.
+   */
+  static #drawMissing(context, samples, scale) {
+    const y = scale.y(scale.values[0]) - 6;
+    context.lineWidth = 2;
+    for (const sample of samples) {
+      if (sample.count > 0) {
+        continue;
+      }
+      const missing = sample.state === SAMPLE_STATE.MISSING;
+      context.strokeStyle = missing ? "#d9534f" : "#999999";
+      const x = scale.x(sample.time);
+      context.beginPath();
+      context.moveTo(x - 4, y - 4);
+      context.lineTo(x + 4, y + 4);
+      context.moveTo(x + 4, y - 4);
+      context.lineTo(x - 4, y + 4);
+      context.stroke();
+    }
+  }
+
+  /**
+   * (Private function) Draws the legend below the plot area.
+   *
+   * @param {CanvasRenderingContext2D} context The context to draw on.
+   * @param {object} settings The chart options.
+   */
+  static #drawLegend(context, settings) {
+    const { mean, range, missing } = settings.labels;
+    const y = settings.height - 12;
+    let x = settings.width - SeriesChart.#margins[1];
+    context.textAlign = "right";
+    context.textBaseline = "middle";
+    const items = [
+      [missing, "#d9534f"],
+      [range, "rgba(51, 122, 183, 0.25)"],
+      [mean, "#337ab7"],
+    ];
+    for (const [label, color] of items) {
+      context.fillStyle = "#333333";
+      context.fillText(label, x, y);
+      x -= context.measureText(label).width + 16;
+      context.fillStyle = color;
+      context.fillRect(x, y - 5, 10, 10);
+      x -= 14;
+    }
+  }
+
+  /**
+   * (Private function) Splits the samples into runs of consecutive samples
+   * with values.
+   *
+   * @param {Array<object>} samples The samples of the series.
+   * @returns {Array<Array<object>>} The runs of samples.
+   */
+  static #runs(samples) {
+    const runs = [];
+    let run = [];
+    for (const sample of samples) {
+      if (sample.count > 0) {
+        run.push(sample);
+      } else if (run.length > 0) {
+        runs.push(run);
+        run = [];
+      }
+    }
+    if (run.length > 0) {
+      runs.push(run);
+    }
+    return runs;
+  }
+}
+
+export { SAMPLE_STATE, SAMPLE_STATES, SeriesChart, TimeSeries };
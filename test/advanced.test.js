@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { AdvancedRequest, OUTPUT } from "../src/advanced.js";
+
+const settings = { fps: { current: 4, min: 1, max: 30 } };
+
+/**
+ * Builds the values of the fields of the advanced download panel, as read
+ * from the form.
+ *
+ * @param {Object} values The values replacing the defaults.
+ * @returns {Object} The values of the fields.
+ */
+function fields(values) {
+  return {
+    output: OUTPUT.VIDEO,
+    image: "PNG",
+    archive: "ZIP",
+    video: "MP4",
+    animation: "GIF",
+    fps: "4",
+    loop: "0",
+    hold: "1.5",
+    prefix: "DMH_",
+    annotation: { corner: "BOTTOM_LEFT", fontSize: 14, box: true },
+    crop: { x: 10, y: 20, width: 300, height: 200 },
+    scale: "50",
+    grid: "CSV",
+    unit: "C",
+    point: undefined,
+    radius: "2",
+    threshold: "-60",
+    cooling: "6",
+    ...values,
+  };
+}
+
+/**
+ * Gets the frame rate of the request built with a frame rate field.
+ *
+ * @param {string} value The text of the frame rate field.
+ * @returns {number} The frame rate of the request.
+ */
+function fps(value) {
+  return AdvancedRequest.build(fields({ fps: value }), settings).fps;
+}
+
+describe("AdvancedRequest", () => {
+  it("converts the values of the fields", () => {
+    const request = AdvancedRequest.build(fields({}), settings);
+    assert.deepEqual(request, {
+      output: OUTPUT.VIDEO,
+      image: "PNG",
+      archive: "ZIP",
+      video: "MP4",
+      animation: "GIF",
+      fps: 4,
+      loop: 0,
+      hold: 1.5,
+      prefix: "DMH_",
+      annotation: { corner: "BOTTOM_LEFT", fontSize: 14, box: true },
+      crop: { x: 10, y: 20, width: 300, height: 200 },
+      scale: 0.5,
+      grid: "CSV",
+      kelvin: false,
+      point: undefined,
+      radius: 2,
+      threshold: -60,
+      cooling: 6,
+    });
+    const kelvin = AdvancedRequest.build(fields({ unit: "K" }), settings);
+    assert.equal(kelvin.kelvin, true);
+  });
+
+  it("clamps the frame rate to the range of the settings", () => {
+    assert.equal(fps("0"), 1);
+    assert.equal(fps("-5"), 1);
+    assert.equal(fps("99"), 30);
+    assert.equal(fps("2.6"), 3);
+    assert.equal(fps("30"), 30);
+    assert.equal(fps(""), 4);
+    assert.equal(fps("abc"), 4);
+  });
+
+  it("leaves the annotation out of the outputs that are not annotated", () => {
+    for (const output of [OUTPUT.FILES, OUTPUT.TEMPERATURE, OUTPUT.SERIES]) {
+      const request = AdvancedRequest.build(fields({ output }), settings);
+      assert.equal(request.annotation, undefined, output);
+      assert.equal(AdvancedRequest.annotates(output), false);
+    }
+    for (const output of [
+      OUTPUT.IMAGES,
+      OUTPUT.VIDEO,
+      OUTPUT.ANIMATION,
+      OUTPUT.ALERTS,
+    ]) {
+      const request = AdvancedRequest.build(fields({ output }), settings);
+      assert.equal(request.annotation.corner, "BOTTOM_LEFT", output);
+      assert.equal(AdvancedRequest.annotates(output), true);
+    }
+  });
+});
@@ -0,0 +1,501 @@
+import assert from "node:assert/strict";
+import { crc32, inflateSync } from "node:zlib";
+import { describe, it } from "node:test";
+
+import { ApngEncoder, GifEncoder } from "../src/animation.js";
+
+/**
+ * The color components that survive the 5-bit quantization of the palette
+ * unchanged.
+ */
+const LEVELS = Array.from({ length: 32 }, (_, q) => (q << 3) | (q >> 2));
+
+/**
+ * Builds a sequence of pseudo-random numbers, the same on every run.
+ *
+ * @param {number} seed The seed of the sequence.
+ * @returns {function(number): number} A function returning the next number,
+ *          between 0 and the given limit (excluded).
+ */
+function random(seed) {
+  let state = seed;
+  return (limit) => {
+    state = (state * 1_103_515_245 + 12_345) % 2 ** 31;
+    return state % limit;
+  };
+}
+
+/**
+ * Builds the RGBA pixels of a frame from a list of colors.
+ *
+ * @param {number[][]} colors The RGB color of each pixel.
+ * @returns {Uint8ClampedArray} The RGBA pixels.
+ */
+function rgba(colors) {
+  const pixels = new Uint8ClampedArray(colors.length * 4);
+  for (const [index, color] of colors.entries()) {
+    pixels.set([...color, 255], index * 4);
+  }
+  return pixels;
+}
+
+/**
+ * Reads a code of a GIF frame, least significant bit first.
+ *
+ * @param {Uint8Array} data The compressed data.
+ * @param {number} position The bit position of the code.
+ * @param {number} size The size of the code, in bits.
+ * @returns {number} The code.
+ */
+function readCode(data, position, size) {
+  if (position + size > data.length * 8) {
+    throw new Error("missing end code");
+  }
+  let code = 0;
+  for (let bit = 0; bit < size; bit++) {
+    const index = position + bit;
+    code |= ((data[index >> 3] >> (index & 7)) & 1) << bit;
+  }
+  return code;
+}
+
+/**
+ * Decompresses the variable-length code LZW data of a GIF frame.
+ *
+ * @param {Uint8Array} data The compressed data, without sub-block lengths.
+ * @param {number} minCodeSize The initial code size, in bits.
+ * @returns {number[]} The palette indices.
+ */
+function decompress(data, minCodeSize) {
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  const indices = [];
+  let table;
+  let codeSize = minCodeSize + 1;
+  let previous;
+  let position = 0;
+  for (;;) {
+    const code = readCode(data, position, codeSize);
+    position += codeSize;
+    if (code === clear) {
+      table = Array.from({ length: end + 1 }, (_, i) => [i]);
+      codeSize = minCodeSize + 1;
+      previous = undefined;
+      continue;
+    }
+    if (code === end) {
+      return indices;
+    }
+    let entry = table[code];
+    if (!entry && previous && code === table.length) {
+      entry = [...previous, previous[0]];
+    }
+    assert.ok(entry, `invalid code ${code}`);
+    indices.push(...entry);
+    if (previous && table.length < 4096) {
+      table.push([...previous, entry[0]]);
+    }
+    previous = entry;
+    if (table.length === 1 << codeSize && codeSize < 12) {
+      codeSize++;
+    }
+  }
+}
+
+/**
+ * Reads the length-prefixed sub-blocks of GIF data.
+ *
+ * @param {Uint8Array} data The GIF file data.
+ * @param {number} offset The offset of the first sub-block.
+ * @returns {[Uint8Array, number]} The joined data and the offset after the
+ *          terminating empty block.
+ */
+function readBlocks(data, offset) {
+  const blocks = [];
+  while (data[offset] > 0) {
+    blocks.push(...data.subarray(offset + 1, offset + 1 + data[offset]));
+    offset += data[offset] + 1;
+  }
+  return [Uint8Array.from(blocks), offset + 1];
+}
+
+/**
+ * Parses an animated GIF as written by `GifEncoder`.
+ *
+ * @param {Uint8Array} data The GIF file data.
+ * @returns {object} The size, palette, loop count and frames of the GIF.
+ */
+function readGif(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const gif = {
+    signature: new TextDecoder().decode(data.subarray(0, 6)),
+    width: view.getUint16(6, true),
+    height: view.getUint16(8, true),
+    frames: [],
+  };
+  const tableSize = 3 << ((data[10] & 0x07) + 1);
+  gif.palette = data.subarray(13, 13 + tableSize);
+  let offset = 13 + tableSize;
+  let delay;
+  while (data[offset] !== 0x3b) {
+    const label = data[offset + 1];
+    if (data[offset] === 0x21 && label === 0xff) {
+      assert.equal(
+        new TextDecoder().decode(data.subarray(offset + 3, offset + 14)),
+        "NETSCAPE2.0",
+      );
+      gif.repeat = view.getUint16(offset + 16, true);
+      offset += 19;
+    } else if (data[offset] === 0x21 && label === 0xf9) {
+      delay = view.getUint16(offset + 4, true);
+      offset += 8;
+    } else {
+      assert.equal(data[offset], 0x2c, `unexpected block at ${offset}`);
+      const width = view.getUint16(offset + 5, true);
+      const height = view.getUint16(offset + 7, true);
+      const minCodeSize = data[offset + 10];
+      const [compressed, next] = readBlocks(data, offset + 11);
+      const indices = decompress(compressed, minCodeSize);
+      gif.frames.push({ width, height, delay, indices });
+      offset = next;
+    }
+  }
+  assert.equal(offset, data.length - 1, "data after the trailer");
+  return gif;
+}
+
+/**
+ * Maps the palette indices of a GIF frame to their colors.
+ *
+ * @param {Uint8Array} palette The palette, as consecutive RGB triplets.
+ * @param {number[]} indices The palette indices.
+ * @returns {number[][]} The RGB color of each pixel.
+ */
+function colorsOf(palette, indices) {
+  return indices.map((index) => [
+    ...palette.subarray(index * 3, index * 3 + 3),
+  ]);
+}
+
+/**
+ * Parses the chunks of a PNG file, checking their CRCs.
+ *
+ * @param {Uint8Array} data The PNG file data.
+ * @returns {Array<{type: string, data: Uint8Array}>} The chunks.
+ */
+function readPng(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  assert.deepEqual(
+    [...data.subarray(0, 8)],
+    [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  );
+  const chunks = [];
+  let offset = 8;
+  while (offset < data.length) {
+    const length = view.getUint32(offset);
+    const body = data.subarray(offset + 4, offset + 8 + length);
+    const type = new TextDecoder().decode(body.subarray(0, 4));
+    assert.equal(view.getUint32(offset + 8 + length), crc32(body), type);
+    chunks.push({ type, data: body.subarray(4) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+/**
+ * Reads the 32-bit big-endian integers a PNG chunk starts with.
+ *
+ * @param {Uint8Array} data The chunk data.
+ * @param {number} count The number of integers.
+ * @returns {number[]} The integers.
+ */
+function words(data, count) {
+  const view = new DataView(data.buffer, data.byteOffset);
+  return Array.from({ length: count }, (_, i) => view.getUint32(i * 4));
+}
+
+/**
+ * Computes the Paeth predictor of a byte of a PNG scanline.
+ *
+ * @param {number} left The byte to the left.
+ * @param {number} up The byte above.
+ * @param {number} corner The byte above and to the left.
+ * @returns {number} The neighbour closest to `left + up - corner`, the
+ *          earlier one on ties.
+ */
+function paeth(left, up, corner) {
+  const estimate = left + up - corner;
+  const [nearest] = [left, up, corner].sort(
+    (a, b) => Math.abs(estimate - a) - Math.abs(estimate - b),
+  );
+  return nearest;
+}
+
+/**
+ * Reverses the PNG filters of the RGB scanlines of a frame.
+ *
+ * @param {Uint8Array} filtered The decompressed, filtered scanlines.
+ * @param {number} width The width of the frame, in pixels.
+ * @returns {number[]} The RGB bytes of the frame.
+ */
+function unfilter(filtered, width) {
+  const stride = width * 3;
+  const rgb = [];
+  let previous = new Uint8Array(stride);
+  for (let offset = 0; offset < filtered.length; offset += stride + 1) {
+    const type = filtered[offset];
+    const row = [];
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 3 ? row[i - 3] : 0;
+      const up = previous[i];
+      const corner = i >= 3 ? previous[i - 3] : 0;
+      const predictions = [
+        0,
+        left,
+        up,
+        (left + up) >> 1,
+        paeth(left, up, corner),
+      ];
+      row.push((filtered[offset + 1 + i] + predictions[type]) & 0xff);
+    }
+    rgb.push(...row);
+    previous = row;
+  }
+  return rgb;
+}
+
+describe("GifEncoder", () => {
+  it("writes the frames with their delays and the loop count", async () => {
+    const colors = [LEVELS[31], LEVELS[0], LEVELS[16]];
+    const pixels = rgba(
+      Array.from({ length: 12 }, (_, i) => [colors[i % 3], 0, colors[0]]),
+    );
+    const frames = [
+      { pixels, delay: 500 },
+      { pixels, delay: 5 },
+    ];
+    const data = await GifEncoder.encode(frames, {
+      width: 4,
+      height: 3,
+      loop: 3,
+    });
+    const gif = readGif(data);
+    assert.equal(gif.signature, "GIF89a");
+    assert.equal(gif.width, 4);
+    assert.equal(gif.height, 3);
+    assert.equal(gif.repeat, 2);
+    // Delays in centiseconds, the shortest raised to 20 milliseconds
+    assert.deepEqual(
+      gif.frames.map(({ delay }) => delay),
+      [50, 2],
+    );
+    for (const frame of gif.frames) {
+      assert.equal(frame.width, 4);
+      assert.equal(frame.height, 3);
+      assert.equal(frame.indices.length, 12);
+    }
+  });
+
+  it("omits the loop extension if the animation plays once", async () => {
+    const pixels = rgba([[0, 0, 0]]);
+    const once = readGif(
+      await GifEncoder.encode([{ pixels, delay: 100 }], {
+        width: 1,
+        height: 1,
+        loop: 1,
+      }),
+    );
+    assert.equal(once.repeat, undefined);
+    const forever = readGif(
+      await GifEncoder.encode([{ pixels, delay: 100 }], {
+        width: 1,
+        height: 1,
+      }),
+    );
+    assert.equal(forever.repeat, 0);
+  });
+
+  it("keeps up to 256 distinct colors exactly", async () => {
+    const next = random(7);
+    const palette = Array.from({ length: 256 }, (_, i) => [
+      LEVELS[i % 32],
+      LEVELS[(i >> 5) * 4],
+      LEVELS[next(32)],
+    ]);
+    // Enough noise to fill the code table of the compressor
+    const colors = Array.from({ length: 96 * 96 }, (_, i) =>
+      i < 256 ? palette[i] : palette[next(256)],
+    );
+    const frames = [
+      { pixels: rgba(colors), delay: 100 },
+      { pixels: rgba(colors.toReversed()), delay: 100 },
+    ];
+    const gif = readGif(
+      await GifEncoder.encode(frames, { width: 96, height: 96 }),
+    );
+    assert.equal(gif.frames.length, 2);
+    assert.deepEqual(colorsOf(gif.palette, gif.frames[0].indices), colors);
+    assert.deepEqual(
+      colorsOf(gif.palette, gif.frames[1].indices),
+      colors.toReversed(),
+    );
+  });
+
+  it("reduces the colors to the given palette size", async () => {
+    const dark = [
+      [LEVELS[1], LEVELS[1], LEVELS[1]],
+      [LEVELS[2], LEVELS[2], LEVELS[2]],
+    ];
+    const light = [
+      [LEVELS[30], LEVELS[30], LEVELS[30]],
+      [LEVELS[31], LEVELS[31], LEVELS[31]],
+    ];
+    const colors = [...dark, ...light, ...dark, ...light];
+    const gif = readGif(
+      await GifEncoder.encode([{ pixels: rgba(colors), delay: 100 }], {
+        width: 4,
+        height: 2,
+        colors: 2,
+        dither: false,
+      }),
+    );
+    const [indices] = gif.frames.map((frame) => frame.indices);
+    assert.deepEqual(indices, [0, 0, 1, 1, 0, 0, 1, 1]);
+    // Each color is the average of the colors it replaces
+    const low = Math.round((LEVELS[1] + LEVELS[2]) / 2);
+    const high = Math.round((LEVELS[30] + LEVELS[31]) / 2);
+    assert.deepEqual(
+      [...gif.palette.subarray(0, 6)],
+      [low, low, low, high, high, high],
+    );
+  });
+
+  it("builds the palette from the sampled frames only", async () => {
+    const red = [255, 0, 0];
+    const blue = [0, 0, 255];
+    const gif = readGif(
+      await GifEncoder.encode(
+        [{ pixels: rgba([red, blue, [200, 40, 40], [40, 40, 200]]), delay: 1 }],
+        {
+          width: 2,
+          height: 2,
+          dither: false,
+          samples: [rgba([red, blue])],
+        },
+      ),
+    );
+    const [frame] = gif.frames;
+    assert.deepEqual(colorsOf(gif.palette, frame.indices), [
+      red,
+      blue,
+      red,
+      blue,
+    ]);
+  });
+
+  it("diffuses the quantization error when dithering", async () => {
+    const gray = [LEVELS[16], LEVELS[16], LEVELS[16]];
+    const colors = Array.from({ length: 64 }, () => gray);
+    const gif = readGif(
+      await GifEncoder.encode([{ pixels: rgba(colors), delay: 100 }], {
+        width: 8,
+        height: 8,
+        samples: [
+          rgba([
+            [0, 0, 0],
+            [255, 255, 255],
+          ]),
+        ],
+      }),
+    );
+    const [frame] = gif.frames;
+    const white = colorsOf(gif.palette, frame.indices).filter(
+      ([r]) => r === 255,
+    );
+    // About half of the pixels of a middle gray are white
+    assert.ok(Math.abs(white.length - 32) <= 4, `${white.length} white`);
+  });
+
+  it("stops encoding when cancelled", async () => {
+    const controller = new AbortController();
+    const frames = function* () {
+      yield { pixels: rgba([[0, 0, 0]]), delay: 100 };
+      controller.abort(new Error("cancelled"));
+      yield { pixels: rgba([[0, 0, 0]]), delay: 100 };
+    };
+    await assert.rejects(
+      GifEncoder.encode(frames(), {
+        width: 1,
+        height: 1,
+        signal: controller.signal,
+      }),
+      { message: "cancelled" },
+    );
+  });
+});
+
+describe("ApngEncoder", () => {
+  it("writes the animation and frame control chunks in sequence", async () => {
+    const pixels = rgba([[1, 2, 3]]);
+    const frames = [
+      { pixels, delay: 1500 },
+      { pixels, delay: 5 },
+      { pixels, delay: 100 },
+    ];
+    const chunks = readPng(
+      await ApngEncoder.encode(frames, {
+        width: 1,
+        height: 1,
+        count: 3,
+        loop: 2,
+      }),
+    );
+    assert.deepEqual(
+      chunks.map(({ type }) => type),
+      ["IHDR", "acTL", "fcTL", "IDAT", "fcTL", "fdAT", "fcTL", "fdAT", "IEND"],
+    );
+    const [header, control] = chunks;
+    assert.deepEqual(words(header.data, 2), [1, 1]);
+    assert.deepEqual([...header.data.subarray(8)], [8, 2, 0, 0, 0]);
+    assert.deepEqual(words(control.data, 2), [3, 2]);
+    const timing = chunks.filter(({ type }) => type === "fcTL");
+    const sequences = chunks
+      .filter(({ type }) => type === "fcTL" || type === "fdAT")
+      .map(({ data }) => words(data, 1)[0]);
+    assert.deepEqual(sequences, [0, 1, 2, 3, 4]);
+    // Delays as a fraction of a second, the shortest raised to 20
+    // milliseconds
+    assert.deepEqual(
+      timing.map(({ data }) => [...data.subarray(20, 24)]),
+      [
+        [0x05, 0xdc, 0x03, 0xe8],
+        [0x00, 0x14, 0x03, 0xe8],
+        [0x00, 0x64, 0x03, 0xe8],
+      ],
+    );
+  });
+
+  it("compresses the frames without loss", async () => {
+    const next = random(11);
+    const width = 17;
+    const height = 9;
+    const smooth = Array.from({ length: width * height }, (_, i) => [
+      (i % width) * 15,
+      Math.floor(i / width) * 28,
+      128,
+    ]);
+    const noise = smooth.map(() => [next(256), next(256), next(256)]);
+    const frames = [smooth, noise].map((colors) => ({
+      pixels: rgba(colors),
+      delay: 100,
+    }));
+    const chunks = readPng(
+      await ApngEncoder.encode(frames, { width, height, count: 2 }),
+    );
+    const images = chunks
+      .filter(({ type }) => type === "IDAT" || type === "fdAT")
+      .map(({ type, data }) => (type === "IDAT" ? data : data.subarray(4)));
+    assert.deepEqual(unfilter(inflateSync(images[0]), width), smooth.flat());
+    assert.deepEqual(unfilter(inflateSync(images[1]), width), noise.flat());
+  });
+});
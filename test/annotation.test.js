@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Annotator, CORNER, Marker } from "../src/annotation.js";
+
+/**
+ * Builds a fake 2D context of a canvas of the given size, which records the
+ * shapes and text drawn, and measures text as 7 pixels per character.
+ *
+ * @param {number} width The width of the canvas, in pixels.
+ * @param {number} height The height of the canvas, in pixels.
+ * @returns {object} The context, with the drawing calls in `calls`.
+ */
+function fakeContext(width, height) {
+  const calls = [];
+  const record = (name) => {
+    return (...args) => calls.push([name, ...args]);
+  };
+  return {
+    canvas: { width, height },
+    calls,
+    measureText: (text) => ({ width: text.length * 7 }),
+    save: record("save"),
+    restore: record("restore"),
+    fillRect: record("fillRect"),
+    fillText: record("fillText"),
+    strokeText: record("strokeText"),
+    beginPath: () => {},
+    arc: record("arc"),
+    stroke: record("stroke"),
+    fill: record("fill"),
+  };
+}
+
+/**
+ * Gets the recorded calls of a drawing method.
+ *
+ * @param {object} context The fake context.
+ * @param {string} name The name of the method.
+ * @returns {Array<Array>} The arguments of each call.
+ */
+function callsOf(context, name) {
+  return context.calls
+    .filter(([called]) => called === name)
+    .map(([, ...args]) => args);
+}
+
+describe("Annotator", () => {
+  const lines = ["2024-10-04 12:00 UTC", "BAND13 PAR"];
+
+  it("draws the lines over a box at the bottom left corner", () => {
+    const context = fakeContext(400, 300);
+    new Annotator().draw(context, lines);
+    // 14 px font: margin 7, padding 5 and lines 18 px high; the longest
+    // line is 140 px wide
+    assert.deepEqual(callsOf(context, "fillRect"), [[7, 247, 150, 46]]);
+    assert.deepEqual(callsOf(context, "fillText"), [
+      [lines[0], 12, 252],
+      [lines[1], 12, 270],
+    ]);
+    assert.deepEqual(callsOf(context, "strokeText"), []);
+    assert.equal(context.font, "14px sans-serif");
+    assert.equal(context.calls[0][0], "save");
+    assert.equal(context.calls.at(-1)[0], "restore");
+  });
+
+  it("aligns the text to the right corners", () => {
+    const context = fakeContext(400, 300);
+    new Annotator({ corner: CORNER.TOP_RIGHT, fontSize: 12 }).draw(context, [
+      "abc",
+    ]);
+    // 12 px font: margin 6, padding 4 and lines 15 px high
+    assert.deepEqual(callsOf(context, "fillRect"), [[365, 6, 29, 23]]);
+    assert.deepEqual(callsOf(context, "fillText"), [["abc", 390, 10]]);
+    assert.equal(context.textAlign, "right");
+  });
+
+  it("outlines the text without a box", () => {
+    const context = fakeContext(400, 300);
+    new Annotator({ box: false, color: "#ffff00" }).draw(context, ["abc"]);
+    assert.deepEqual(callsOf(context, "fillRect"), []);
+    assert.deepEqual(callsOf(context, "strokeText"), [["abc", 12, 270]]);
+    assert.deepEqual(callsOf(context, "fillText"), [["abc", 12, 270]]);
+    assert.equal(context.fillStyle, "#ffff00");
+    assert.equal(context.lineWidth, 3);
+  });
+});
+
+describe("Marker", () => {
+  it("draws a ring and a dot at the position", () => {
+    const context = fakeContext(400, 300);
+    new Marker().draw(context, 50, 60);
+    assert.deepEqual(callsOf(context, "arc"), [
+      [50, 60, 10, 0, 2 * Math.PI],
+      [50, 60, 10, 0, 2 * Math.PI],
+      [50, 60, 2, 0, 2 * Math.PI],
+    ]);
+    assert.deepEqual(callsOf(context, "fillText"), []);
+  });
+
+  it("draws the label to the right of the marker", () => {
+    const context = fakeContext(400, 300);
+    new Marker({ radius: 6, color: "#00ff00" }).draw(
+      context,
+      50,
+      60,
+      "Granizo",
+    );
+    assert.deepEqual(callsOf(context, "strokeText"), [["Granizo", 60, 60]]);
+    assert.deepEqual(callsOf(context, "fillText"), [["Granizo", 60, 60]]);
+    assert.equal(context.fillStyle, "#00ff00");
+  });
+});
@@ -0,0 +1,200 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { GAP, RangeAvailability } from "../src/availability.js";
+
+const settings = {
+  root: "https://host/radar",
+  interval: 10 * 60 * 1000,
+};
+
+/**
+ * Builds the URLs of the images between two dates, one every interval.
+ *
+ * @param {Date} begin The date of the first image.
+ * @param {Date} end The date of the last image.
+ * @returns {string[]} The URLs of the images, in chronological order.
+ */
+function urls(begin, end) {
+  const result = [];
+  for (let time = begin.getTime(); time <= end.getTime();) {
+    const [day, hour] = new Date(time).toISOString().split("T");
+    result.push(
+      `${settings.root}/PGW_${day}T${hour.slice(0, 5).replace(":", "-")}.png`,
+    );
+    time += settings.interval;
+  }
+  return result;
+}
+
+const series = { settings, params: {}, urls };
+
+/**
+ * Builds the URL of the image of 2024-10-04 at the given UTC time.
+ *
+ * @param {string} time The time of the image, as "hh-mm".
+ * @returns {string} The URL of the image.
+ */
+function image(time) {
+  return `https://host/radar/PGW_2024-10-04T${time}.png`;
+}
+
+describe("RangeAvailability", () => {
+  const originalFetch = globalThis.fetch;
+  const begin = new Date("2024-10-04T12:00:00Z");
+  const end = new Date("2024-10-04T12:50:00Z");
+  const options = { retries: 0 };
+  let missing;
+  let requests;
+
+  beforeEach(() => {
+    missing = new Set();
+    requests = [];
+    globalThis.fetch = async (src, params) => {
+      requests.push({ src, method: params.method });
+      return missing.has(src)
+        ? { ok: false, status: 404, statusText: "Not Found" }
+        : { ok: true, status: 200, statusText: "OK" };
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it("reports the missing images and the runs of gaps", async () => {
+    missing = new Set([
+      image("12-10"),
+      image("12-20"),
+      image("12-30"),
+      image("12-50"),
+    ]);
+    const availability = await RangeAvailability.check(
+      series,
+      begin,
+      end,
+      GAP.SKIP,
+      options,
+    );
+    assert.ok(requests.every(({ method }) => method === "HEAD"));
+    assert.deepEqual(availability.urls, [image("12-00"), image("12-40")]);
+    assert.deepEqual(availability.missing, [...missing]);
+    assert.deepEqual(availability.gaps, [
+      { first: image("12-10"), last: image("12-30"), count: 3 },
+      { first: image("12-50"), last: image("12-50"), count: 1 },
+    ]);
+    assert.deepEqual(availability.substitutes, []);
+    assert.equal(availability.extended, 0);
+    assert.equal(availability.settings, settings);
+  });
+
+  it("treats server errors as missing images", async () => {
+    globalThis.fetch = async (src) =>
+      src === image("12-20")
+        ? { ok: false, status: 503, statusText: "Service Unavailable" }
+        : { ok: true, status: 200, statusText: "OK" };
+    const availability = await RangeAvailability.check(
+      series,
+      begin,
+      end,
+      GAP.SKIP,
+      options,
+    );
+    assert.deepEqual(availability.missing, [image("12-20")]);
+  });
+
+  it("probes with GET requests where HEAD is not allowed", async () => {
+    missing = new Set([image("12-20")]);
+    let cancelled = 0;
+    globalThis.fetch = async (src, params) => {
+      requests.push({ src, method: params.method });
+      if (params.method === "HEAD") {
+        return { ok: false, status: 405, statusText: "Method Not Allowed" };
+      }
+      const body = { cancel: async () => ++cancelled };
+      return missing.has(src)
+        ? { ok: false, status: 404, statusText: "Not Found", body }
+        : { ok: true, status: 200, statusText: "OK", body };
+    };
+    const availability = await RangeAvailability.check(
+      series,
+      begin,
+      end,
+      GAP.SKIP,
+      options,
+    );
+    assert.deepEqual(availability.missing, [image("12-20")]);
+    assert.equal(requests.filter(({ method }) => method === "GET").length, 6);
+    assert.equal(cancelled, 6);
+  });
+
+  it("substitutes the nearest image, the earlier one on ties", async () => {
+    missing = new Set([image("12-00"), image("12-20"), image("12-30")]);
+    const availability = await RangeAvailability.check(
+      series,
+      begin,
+      end,
+      GAP.SUBSTITUTE,
+      options,
+    );
+    assert.deepEqual(availability.substitutes, [
+      [image("12-00"), image("12-10")],
+      [image("12-20"), image("12-10")],
+      [image("12-30"), image("12-40")],
+    ]);
+  });
+
+  it("has no substitutes if no image is available", async () => {
+    missing = new Set(series.urls(begin, end));
+    const availability = await RangeAvailability.check(
+      series,
+      begin,
+      end,
+      GAP.SUBSTITUTE,
+      options,
+    );
+    assert.deepEqual(availability.substitutes, []);
+  });
+
+  it("extends the window backwards to make up for the gaps", async () => {
+    missing = new Set([image("12-10"), image("12-30"), image("11-50")]);
+    const availability = await RangeAvailability.check(
+      series,
+      begin,
+      end,
+      GAP.EXTEND,
+      options,
+    );
+    // Two images are probed before the window, one of which is missing too,
+    // so a third one is probed.
+    assert.equal(availability.extended, 3);
+    assert.deepEqual(availability.urls, [
+      image("11-30"),
+      image("11-40"),
+      image("12-00"),
+      image("12-20"),
+      image("12-40"),
+      image("12-50"),
+    ]);
+    assert.deepEqual(availability.slots.slice(0, 3), [
+      [image("11-30"), true],
+      [image("11-40"), true],
+      [image("11-50"), false],
+    ]);
+  });
+
+  it("extends the window by at most its own length", async () => {
+    missing = new Set(series.urls(new Date("2024-10-04T11:00:00Z"), end));
+    missing.delete(image("12-50"));
+    const availability = await RangeAvailability.check(
+      series,
+      begin,
+      end,
+      GAP.EXTEND,
+      options,
+    );
+    assert.equal(availability.extended, 6);
+    assert.deepEqual(availability.urls, [image("12-50")]);
+    assert.equal(availability.slots.length, 12);
+  });
+});
@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { FORMATS, formatOptions } from "../src/catalog.js";
+
+describe("formatOptions", () => {
+  it("lists the formats of every kind", () => {
+    for (const section of ["type", "archive", "video", "animation"]) {
+      const options = formatOptions(section);
+      assert.deepEqual(
+        options.map(([value]) => value),
+        FORMATS[section],
+        section,
+      );
+    }
+  });
+
+  it("names the archive formats for people", () => {
+    assert.deepEqual(formatOptions("archive"), [
+      ["ZIP", "ZIP"],
+      ["TAR", "TAR"],
+      ["GZIP", "TAR.GZ"],
+      ["KMZ", "KMZ (Google Earth)"],
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import vm from "node:vm";
+
+const ROOT = path.join(import.meta.dirname, "..");
+
+/**
+ * Reads a file of the extension.
+ *
+ * @param {string} file The path of the file, relative to the extension root.
+ * @returns {string} The content of the file.
+ */
+function read(file) {
+  return readFileSync(path.join(ROOT, file), "utf8");
+}
+
+const CONTENT_SCRIPT = read("src/content.js");
+const MANIFEST = JSON.parse(read("manifest.json"));
+
+const PAGES = {
+  DMH: "https://www.meteorologia.gov.py/satelite-goes-16/?producto=band13",
+  SIMEPAR: "https://www.simepar.br/simepar/radar_msc",
+  SMN: "https://www.smn.gob.ar/radar",
+};
+
+/**
+ * Runs the content script in a page, with the adapters disabled by the user.
+ *
+ * @param {string} url The URL of the page.
+ * @param {string[]} disabled The identifiers of the disabled adapters.
+ * @returns {{scripts: string[], styles: string[], errors: Array<any>}} The
+ *          scripts and stylesheets injected in the page, in order, and the
+ *          errors logged.
+ */
+function inject(url, disabled = []) {
+  const nodes = [];
+  const errors = [];
+  const target = { append: (node) => nodes.push(node) };
+  const context = {
+    console: { debug() {}, warn() {}, error: (...data) => errors.push(data) },
+    document: {
+      querySelectorAll: () => [target],
+      createElement: (tagName) => ({ tagName, addEventListener() {} }),
+    },
+    chrome: {
+      runtime: { getURL: (file) => file },
+      storage: {
+        sync: { get: (key, callback) => callback({ [key]: disabled }) },
+      },
+    },
+    location: { href: url },
+  };
+  context.globalThis = context;
+  vm.runInNewContext(CONTENT_SCRIPT, context);
+  return {
+    scripts: nodes
+      .filter((node) => node.tagName === "script")
+      .map((node) => node.src),
+    styles: nodes
+      .filter((node) => node.tagName === "link")
+      .map((node) => node.href),
+    errors,
+  };
+}
+
+/**
+ * Lists the files a module imports, from its import and export statements.
+ *
+ * @param {string} file The path of the module.
+ * @returns {string[]} The paths of the imported modules.
+ */
+function imports(file) {
+  const source = read(file);
+  const specifiers = source.matchAll(
+    /^(?:import|export) [^;]+ from "(.+)";$/gm,
+  );
+  return [...specifiers].map(([, specifier]) =>
+    path.posix.join(path.posix.dirname(file), specifier),
+  );
+}
+
+/**
+ * Lists the resources of the extension a page may load.
+ *
+ * @param {string} url The URL of the page.
+ * @returns {Set<string>} The web accessible resources of the page.
+ */
+function accessible(url) {
+  const origin = new URL(url).origin;
+  const resources = MANIFEST.web_accessible_resources
+    .filter(({ matches }) => matches.includes(`${origin}/*`))
+    .flatMap(({ resources }) => resources);
+  return new Set(resources);
+}
+
+describe("content script", () => {
+  for (const [site, url] of Object.entries(PAGES)) {
+    it(`injects the modules of ${site} after the modules they import`, () => {
+      const { scripts, errors } = inject(url);
+      assert.deepEqual(errors, []);
+      assert.equal(scripts.length, new Set(scripts).size);
+      for (const [index, script] of scripts.entries()) {
+        for (const dependency of imports(script)) {
+          const position = scripts.indexOf(dependency);
+          assert.ok(
+            position !== -1 && position < index,
+            `${script} imports ${dependency}`,
+          );
+        }
+      }
+    });
+
+    it(`injects only web accessible resources in ${site}`, () => {
+      const { scripts, styles } = inject(url);
+      const resources = accessible(url);
+      for (const file of [...scripts, ...styles]) {
+        assert.ok(resources.has(file), file);
+      }
+    });
+  }
+
+  it("injects nothing for the adapters the user disabled", () => {
+    const { scripts, styles } = inject(PAGES.SMN, ["SMN"]);
+    assert.deepEqual(scripts, []);
+    assert.deepEqual(styles, []);
+  });
+
+  it("injects nothing in other pages", () => {
+    const { scripts } = inject("https://www.smn.gob.ar/pronostico");
+    assert.deepEqual(scripts, []);
+  });
+});
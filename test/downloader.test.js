@@ -0,0 +1,488 @@
+import assert from "node:assert/strict";
+import { resolveObjectURL } from "node:buffer";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import {
+  ARCHIVE,
+  DownloadError,
+  DownloadProgress,
+  DownloadQueue,
+  EVENT,
+  FileArchiver,
+  FileDownloader,
+  FileSaver,
+  FrameRegion,
+  PHASE,
+} from "../src/downloader.js";
+
+/**
+ * The files saved from the page, captured from the links the saver clicks.
+ */
+const saved = [];
+
+globalThis.document = {
+  createElement: () => ({
+    click() {
+      saved.push({
+        filename: this.download,
+        blob: resolveObjectURL(this.href),
+      });
+    },
+  }),
+};
+FileSaver.revokeTimeout = 0;
+
+/**
+ * Reads the headers of the entries of a tar file.
+ *
+ * @param {Uint8Array} data The tar file data.
+ * @returns {Array<object>} The name (joined to its ustar prefix), type, size,
+ *          magic and checksum validity of each entry.
+ */
+function readTar(data) {
+  const decoder = new TextDecoder();
+  const text = (offset, length) => {
+    const field = data.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return decoder.decode(end === -1 ? field : field.subarray(0, end));
+  };
+  const entries = [];
+  let offset = 0;
+  while (offset + 512 <= data.length && data[offset] !== 0) {
+    const header = data.subarray(offset, offset + 512);
+    const checksum = header.reduce(
+      (sum, byte, index) => sum + (index >= 148 && index < 156 ? 32 : byte),
+      0,
+    );
+    const size = Number.parseInt(text(offset + 124, 12), 8);
+    const prefix = text(offset + 345, 155);
+    entries.push({
+      name: prefix ? `${prefix}/${text(offset, 100)}` : text(offset, 100),
+      type: text(offset + 156, 1),
+      size,
+      magic: text(offset + 257, 5),
+      checksum: Number.parseInt(text(offset + 148, 8), 8) === checksum,
+      data: data.subarray(offset + 512, offset + 512 + size),
+    });
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+const entries = [
+  { filename: "a.png", src: "https://host/a.png", data: new Uint8Array(700) },
+  { filename: "b.png", src: "https://host/b.png" },
+  {
+    filename: "c.png",
+    src: "https://host/c.png",
+    folder: "EXTRA",
+    data: new Uint8Array([1, 2, 3]),
+  },
+];
+
+describe("FileArchiver", () => {
+  beforeEach(() => {
+    saved.length = 0;
+  });
+
+  it("packs the entries, the readme and the log into a ustar file", async () => {
+    const result = await FileArchiver.save(entries, "x.tar", ARCHIVE.TAR, "Hi");
+    assert.equal(result.ok, true);
+    assert.equal(result.message, "success");
+
+    const data = new Uint8Array(await saved[0].blob.arrayBuffer());
+    assert.equal(saved[0].filename, "x.tar");
+    assert.equal(data.length % 10_240, 0);
+    const files = readTar(data);
+    assert.deepEqual(
+      files.map(({ name, type }) => [name, type]),
+      [
+        ["SEQUENCE/", "5"],
+        ["SEQUENCE/a.png", "0"],
+        ["EXTRA/", "5"],
+        ["EXTRA/c.png", "0"],
+        ["README.txt", "0"],
+        ["RETSPY.log", "0"],
+      ],
+    );
+    for (const file of files) {
+      assert.equal(file.magic, "ustar");
+      assert.equal(file.checksum, true, file.name);
+    }
+    assert.equal(files[1].size, 700);
+    assert.deepEqual([...files[3].data], [1, 2, 3]);
+    assert.equal(new TextDecoder().decode(files[4].data), "Hi");
+  });
+
+  it("archives the sidecars next to their entries and the attachments at the root", async () => {
+    const options = {
+      sidecars: (entry) => [[entry.filename.replace(".png", ".pgw"), "1"]],
+      attachments: [["info.json", "{}"]],
+    };
+    await FileArchiver.save(entries, "x.tar", ARCHIVE.TAR, "", options);
+
+    const data = new Uint8Array(await saved[0].blob.arrayBuffer());
+    const names = new Set(readTar(data).map(({ name }) => name));
+    assert.ok(names.has("SEQUENCE/a.pgw"));
+    assert.ok(names.has("EXTRA/c.pgw"));
+    assert.ok(names.has("info.json"));
+    assert.ok(!names.has("README.txt"));
+  });
+
+  it("splits the paths longer than 100 bytes into the ustar prefix", async () => {
+    const folder = "F".repeat(60);
+    const filename = `${"n".repeat(80)}.png`;
+    const data = new Uint8Array([1, 2, 3]);
+    const long = [{ filename, src: "https://host/n.png", folder, data }];
+    await FileArchiver.save(long, "x.tar", ARCHIVE.TAR, "");
+
+    const files = readTar(new Uint8Array(await saved[0].blob.arrayBuffer()));
+    const file = files.find(({ name }) => name.endsWith(".png"));
+    assert.equal(file.name, `${folder}/${filename}`);
+    assert.equal(file.checksum, true);
+    assert.deepEqual([...file.data], [1, 2, 3]);
+  });
+
+  it("fails on a name that cannot be split into the ustar fields", async () => {
+    const filename = `${"n".repeat(120)}.png`;
+    const data = new Uint8Array([1, 2, 3]);
+    const long = [{ filename, src: "https://host/n.png", data }];
+    const result = await FileArchiver.save(long, "x.tar", ARCHIVE.TAR, "");
+    assert.equal(result.ok, false);
+    assert.equal(saved.length, 0);
+  });
+
+  it("saves nothing once cancelled", async () => {
+    const signal = AbortSignal.abort();
+    const result = await FileArchiver.save(entries, "x.tar", ARCHIVE.TAR, "", {
+      signal,
+    });
+    assert.equal(result.message, "cancelled");
+    assert.equal(saved.length, 0);
+  });
+});
+
+/**
+ * A download task that never ends unless aborted.
+ *
+ * @param {AbortSignal} signal The signal of the attempt.
+ * @returns {Promise<never>} A promise that rejects when the attempt aborts.
+ */
+function hang(signal) {
+  return new Promise((_resolve, reject) => {
+    signal.throwIfAborted();
+    signal.addEventListener("abort", () => reject(signal.reason));
+  });
+}
+
+describe("DownloadQueue", () => {
+  it("runs no more tasks at a time than its concurrency", async () => {
+    const queue = new DownloadQueue({ concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+      peak = Math.max(peak, ++active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      --active;
+      return "done";
+    };
+    const labels = ["a", "b", "c", "d", "e"];
+    const results = await Promise.all(
+      labels.map((label) => queue.schedule(label, task)),
+    );
+    assert.deepEqual(results, ["done", "done", "done", "done", "done"]);
+    assert.equal(peak, 2);
+  });
+
+  it("retries failed attempts until one succeeds", async () => {
+    const queue = new DownloadQueue({ retries: 3, backoff: 1 });
+    let attempts = 0;
+    const result = await queue.schedule("a", async () => {
+      if (++attempts < 3) {
+        throw new DownloadError("503 Service Unavailable", true);
+      }
+      return attempts;
+    });
+    assert.equal(result, 3);
+  });
+
+  it("rejects with the last error once no retries are left", async () => {
+    const queue = new DownloadQueue({ retries: 2, backoff: 1 });
+    let attempts = 0;
+    await assert.rejects(
+      queue.schedule("a", async () => {
+        throw new Error(`attempt ${++attempts}`);
+      }),
+      { message: "attempt 3" },
+    );
+    assert.equal(attempts, 3);
+  });
+
+  it("does not retry errors that are not retryable", async () => {
+    const queue = new DownloadQueue({ retries: 3, backoff: 1 });
+    let attempts = 0;
+    await assert.rejects(
+      queue.schedule("a", async () => {
+        ++attempts;
+        throw new DownloadError("404 Not Found", false);
+      }),
+      { name: "DownloadError", retryable: false },
+    );
+    assert.equal(attempts, 1);
+  });
+
+  it("doubles the delay before each retry", async () => {
+    const queue = new DownloadQueue({ retries: 3, backoff: 20 });
+    const times = [];
+    await assert.rejects(
+      queue.schedule("a", async () => {
+        times.push(performance.now());
+        throw new Error("failed");
+      }),
+    );
+    const delays = times.slice(1).map((time, index) => time - times[index]);
+    assert.equal(delays.length, 3);
+    for (const [index, delay] of delays.entries()) {
+      // Timers never fire early, but may round down by a millisecond
+      assert.ok(delay >= 20 * 2 ** index - 1, `retry ${index + 1}: ${delay}`);
+    }
+  });
+
+  it("aborts the attempts that time out", async () => {
+    const queue = new DownloadQueue({ timeout: 10, retries: 0 });
+    await assert.rejects(queue.schedule("a", hang), { name: "TimeoutError" });
+  });
+
+  it("rejects the running and pending tasks when cancelled", async () => {
+    const controller = new AbortController();
+    const queue = new DownloadQueue({
+      concurrency: 1,
+      signal: controller.signal,
+    });
+    let started = 0;
+    const task = (signal) => {
+      ++started;
+      return hang(signal);
+    };
+    const running = queue.schedule("a", task);
+    const pending = queue.schedule("b", task);
+    controller.abort(new Error("cancelled"));
+    await assert.rejects(running, { message: "cancelled" });
+    await assert.rejects(pending, { message: "cancelled" });
+    await assert.rejects(queue.schedule("c", task), { message: "cancelled" });
+    assert.equal(started, 1);
+  });
+
+  it("listens to its signal only while it has tasks", async () => {
+    const { signal } = new AbortController();
+    const listeners = new Set();
+    signal.addEventListener = (_type, listener, options) => {
+      assert.equal(options?.once, true);
+      listeners.add(listener);
+    };
+    signal.removeEventListener = (_type, listener) =>
+      listeners.delete(listener);
+    const queue = new DownloadQueue({ signal });
+    assert.equal(listeners.size, 0);
+    const task = async () => assert.equal(listeners.size, 1);
+    await Promise.all([queue.schedule("a", task), queue.schedule("b", task)]);
+    assert.equal(listeners.size, 0);
+    await queue.schedule("c", task);
+    assert.equal(listeners.size, 0);
+  });
+});
+
+describe("FileDownloader", () => {
+  const fetch = globalThis.fetch;
+  const responses = {
+    "https://host/a.png": () => new Response(new Uint8Array(300)),
+    "https://host/b.png": () => new Response("", { status: 404 }),
+    "https://host/c.png": () => new Response(new Uint8Array(200)),
+  };
+  const sequence = Object.keys(responses).map((src) => [src, src.slice(-5)]);
+
+  beforeEach(() => {
+    saved.length = 0;
+    globalThis.fetch = async (src, params) => {
+      params.signal.throwIfAborted();
+      return responses[src](params);
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = fetch;
+  });
+
+  it("reports the progress of each file and phase", async () => {
+    const progress = new DownloadProgress();
+    const phases = [];
+    const onProgress = (event) => {
+      progress.update(event);
+      if (event.type === EVENT.PHASE) {
+        phases.push(event.phase);
+      }
+    };
+    const result = await FileDownloader.download(
+      sequence,
+      "x.tar",
+      ARCHIVE.TAR,
+      { method: "GET" },
+      "",
+      { onProgress },
+    );
+    assert.equal(result.message, "success");
+    assert.deepEqual(phases, [
+      PHASE.DOWNLOADING,
+      PHASE.ARCHIVING,
+      PHASE.COMPRESSING,
+      PHASE.SAVING,
+    ]);
+    assert.equal(progress.total, 3);
+    assert.equal(progress.fetched, 2);
+    assert.equal(progress.failed, 1);
+    assert.equal(progress.queued, 0);
+    assert.equal(progress.bytes, 500);
+  });
+
+  it("archives the downloaded files only", async () => {
+    await FileDownloader.download(sequence, "x.tar", ARCHIVE.TAR, {}, "");
+
+    const data = new Uint8Array(await saved[0].blob.arrayBuffer());
+    const names = new Set(readTar(data).map(({ name }) => name));
+    assert.ok(names.has("SEQUENCE/a.png"));
+    assert.ok(!names.has("SEQUENCE/b.png"));
+    assert.ok(names.has("SEQUENCE/c.png"));
+  });
+
+  it("archives each file in the folder of its sequence item", async () => {
+    const batch = [
+      [...sequence[0], "BAND13-PAR"],
+      [...sequence[2], "FCOLOR-SEC"],
+      [sequence[2][0], "d.png"],
+    ];
+    await FileDownloader.download(batch, "x.tar", ARCHIVE.TAR, {}, "");
+
+    const data = new Uint8Array(await saved[0].blob.arrayBuffer());
+    const names = readTar(data)
+      .filter(({ type }) => type === "0")
+      .map(({ name }) => name);
+    assert.deepEqual(names, [
+      "BAND13-PAR/a.png",
+      "FCOLOR-SEC/c.png",
+      "SEQUENCE/d.png",
+      "RETSPY.log",
+    ]);
+  });
+
+  it("saves nothing when cancelled during the download", async () => {
+    const controller = new AbortController();
+    globalThis.fetch = (_src, params) => {
+      controller.abort();
+      return hang(params.signal);
+    };
+    const result = await FileDownloader.download(
+      sequence,
+      "x.tar",
+      ARCHIVE.TAR,
+      {},
+      "",
+      { signal: controller.signal },
+    );
+    assert.equal(result.message, "cancelled");
+    assert.equal(saved.length, 0);
+  });
+});
+
+/**
+ * Gets the source rectangle a frame region draws from.
+ *
+ * @param {FrameRegion} region The frame region.
+ * @returns {number[]} The source rectangle, `[x, y, width, height]`.
+ */
+function sourceOf(region) {
+  const calls = [];
+  region.draw({ drawImage: (...args) => calls.push(args) });
+  return calls[0].slice(1, 5);
+}
+
+describe("FrameRegion", () => {
+  const image = { width: 400, height: 300 };
+
+  it("covers the whole image without a crop", () => {
+    const region = new FrameRegion(image);
+    assert.deepEqual(sourceOf(region), [0, 0, 400, 300]);
+    assert.equal(region.width, 400);
+    assert.equal(region.height, 300);
+  });
+
+  it("crops in pixels or relative to the image size", () => {
+    const pixels = new FrameRegion(image, {
+      crop: { x: 100, y: 50, width: 200, height: 150 },
+    });
+    assert.deepEqual(sourceOf(pixels), [100, 50, 200, 150]);
+    const relative = new FrameRegion(image, {
+      crop: { x: 0.25, y: 0.5, width: 0.5, height: 0.25, relative: true },
+    });
+    assert.deepEqual(sourceOf(relative), [100, 150, 200, 75]);
+  });
+
+  it("clips the crop to the image, or ignores it when outside", () => {
+    const clipped = new FrameRegion(image, {
+      crop: { x: -10.4, y: 250.6, width: 500, height: 100 },
+    });
+    assert.deepEqual(sourceOf(clipped), [0, 251, 400, 49]);
+    const outside = new FrameRegion(image, {
+      crop: { x: 400, y: 0, width: 50, height: 50 },
+    });
+    assert.deepEqual(sourceOf(outside), [0, 0, 400, 300]);
+  });
+
+  it("scales the output, to at least one pixel", () => {
+    const half = new FrameRegion(image, {
+      crop: { x: 0, y: 0, width: 101, height: 3 },
+      scale: 0.5,
+    });
+    assert.equal(half.width, 51);
+    assert.equal(half.height, 2);
+    const tiny = new FrameRegion(image, { scale: 0.001 });
+    assert.equal(tiny.width, 1);
+    assert.equal(tiny.height, 1);
+  });
+
+  it("draws the source rectangle scaled to the output", () => {
+    const calls = [];
+    const context = { drawImage: (...args) => calls.push(args) };
+    const region = new FrameRegion(image, {
+      crop: { x: 100, y: 50, width: 200, height: 150 },
+      scale: 0.5,
+    });
+    region.draw(context, image);
+    assert.deepEqual(calls, [[image, 100, 50, 200, 150, 0, 0, 100, 75]]);
+    assert.equal(context.imageSmoothingQuality, "high");
+  });
+
+  it("locates the source rectangle relative to the image", () => {
+    const region = new FrameRegion(image, {
+      crop: { x: 100, y: 50, width: 200, height: 150 },
+    });
+    assert.deepEqual(region.source, [100, 50, 200, 150]);
+    assert.deepEqual(region.relativeSource, [0.25, 1 / 6, 0.5, 0.5]);
+    assert.deepEqual(new FrameRegion(image).relativeSource, [0, 0, 1, 1]);
+  });
+
+  it("projects source positions to the output", () => {
+    const region = new FrameRegion(image, {
+      crop: { x: 100, y: 50, width: 200, height: 150 },
+      scale: 2,
+    });
+    assert.deepEqual(region.project(100, 50), [0, 0]);
+    assert.deepEqual(region.project(150, 200), [100, 300]);
+    assert.deepEqual(region.project(50, 0), [-100, -100]);
+  });
+
+  it("returns a copy of the source rectangle", () => {
+    const region = new FrameRegion(image);
+    region.source[0] = 10;
+    assert.deepEqual(region.source, [0, 0, 400, 300]);
+  });
+});
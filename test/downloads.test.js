@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { DownloadPath } from "../src/downloads.js";
+
+describe("DownloadPath", () => {
+  // Local time, as the date of the folder
+  const date = new Date(2024, 0, 5, 23, 30);
+
+  it("fills the site and date of the folder template", () => {
+    assert.equal(
+      DownloadPath.build("a.zip", { site: "DMH" }, date),
+      "RETSpy/DMH/2024-01-05/a.zip",
+    );
+    assert.equal(
+      DownloadPath.build("a.zip", { folder: "{date}/{site}-{site}" }, date),
+      "2024-01-05/RETSpy-RETSpy/a.zip",
+    );
+    assert.equal(DownloadPath.build("a.zip", { folder: "" }, date), "a.zip");
+  });
+
+  it("keeps the path relative and within the downloads folder", () => {
+    assert.equal(
+      DownloadPath.build("a.zip", { folder: "/../x/./y//.../" }, date),
+      "x/y/a.zip",
+    );
+    assert.equal(
+      DownloadPath.build("a.zip", { folder: "../{site}/.." }, date),
+      "RETSpy/a.zip",
+    );
+  });
+
+  it("replaces the characters file systems reject", () => {
+    assert.equal(
+      DownloadPath.build(
+        "GOES 16: IR?.zip",
+        { site: 'S<M>N|"x"*', folder: " {site}\t\\ /" },
+        date,
+      ),
+      "S_M_N__x___/GOES 16_ IR_.zip",
+    );
+  });
+});
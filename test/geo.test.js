@@ -0,0 +1,207 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { GeoReference, ImageHeader, KmlDocument } from "../src/geo.js";
+
+/**
+ * Builds the bytes of an image header, padded with zeros to the length the
+ * reader requires.
+ *
+ * @param {Array<number|string>} parts The bytes and ASCII strings, in order.
+ * @returns {Uint8Array} The header.
+ */
+function header(...parts) {
+  const bytes = parts.flatMap((part) =>
+    typeof part === "string"
+      ? [...part].map((char) => char.codePointAt(0))
+      : part,
+  );
+  const data = new Uint8Array(Math.max(32, bytes.length));
+  data.set(bytes);
+  return data;
+}
+
+describe("GeoReference", () => {
+  const bounds = { west: -70, south: -30, east: -50, north: -10 };
+
+  it("converts between pixel and geographic coordinates", () => {
+    const reference = new GeoReference(bounds, 200, 100);
+    assert.deepEqual(reference.resolution, [0.1, 0.2]);
+    assert.deepEqual(reference.toGeographic(0, 0), { lon: -70, lat: -10 });
+    assert.deepEqual(reference.toGeographic(200, 100), { lon: -50, lat: -30 });
+    const { x, y } = reference.toPixel(-57.5, -25);
+    assert.ok(Math.abs(x - 125) < 1e-9 && Math.abs(y - 75) < 1e-9);
+    // Outside the image
+    assert.deepEqual(reference.toPixel(-80, 0), { x: -100, y: -50 });
+    assert.ok(reference.contains(-50, -30));
+    assert.ok(!reference.contains(-49.9, -20));
+    assert.ok(!reference.contains(-60, -9.9));
+  });
+
+  it("uses fractions of the image size by default", () => {
+    const reference = new GeoReference(bounds);
+    assert.deepEqual(reference.toGeographic(0.5, 0.5), { lon: -60, lat: -20 });
+    assert.deepEqual(reference.toPixel(-50, -30), { x: 1, y: 1 });
+  });
+
+  it("keeps a copy of the bounds", () => {
+    const original = { ...bounds };
+    const reference = new GeoReference(original, 10, 10);
+    original.west = 0;
+    reference.bounds.east = 0;
+    assert.deepEqual(reference.bounds, bounds);
+  });
+
+  it("georeferences cropped and scaled copies of the image", () => {
+    const reference = new GeoReference(bounds, 200, 100);
+    const cropped = reference.crop([50, 25, 100, 50], 50, 50);
+    assert.deepEqual(cropped.bounds, {
+      west: -65,
+      south: -25,
+      east: -55,
+      north: -15,
+    });
+    assert.deepEqual(cropped.resolution, [0.2, 0.2]);
+  });
+
+  it("writes the world file of the image", () => {
+    const reference = new GeoReference(bounds, 200, 100);
+    // The last two lines locate the center of the top left pixel
+    assert.equal(
+      reference.worldFile(),
+      [
+        "0.1000000000",
+        "0.0000000000",
+        "0.0000000000",
+        "-0.2000000000",
+        "-69.9500000000",
+        "-10.1000000000",
+        "",
+      ].join("\n"),
+    );
+  });
+});
+
+describe("KmlDocument", () => {
+  const bounds = { west: -62.5, south: -27.5, east: -54, north: -19 };
+
+  it("writes ground overlays with their time spans", () => {
+    const kml = new KmlDocument("DMH <GOES-16>")
+      .add({
+        name: "12:00",
+        href: "images/a.png",
+        bounds,
+        begin: new Date("2024-10-04T12:00:00.250Z"),
+        end: new Date("2024-10-04T12:10:00Z"),
+      })
+      .add({ name: "Q&A", href: "images/b.png", bounds });
+    assert.equal(kml.length, 2);
+    const text = kml.toString();
+    assert.ok(text.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n'));
+    assert.ok(text.includes("<name>DMH &lt;GOES-16&gt;</name>"));
+    assert.ok(
+      text.includes(
+        [
+          "<GroundOverlay>",
+          "<name>12:00</name>",
+          "<TimeSpan>",
+          "<begin>2024-10-04T12:00:00Z</begin>",
+          "<end>2024-10-04T12:10:00Z</end>",
+          "</TimeSpan>",
+          "<Icon><href>images/a.png</href></Icon>",
+          "<LatLonBox>",
+          "<north>-19</north>",
+          "<south>-27.5</south>",
+          "<east>-54</east>",
+          "<west>-62.5</west>",
+          "</LatLonBox>",
+          "</GroundOverlay>",
+        ].join("\n"),
+      ),
+    );
+    // No time span without dates
+    assert.ok(
+      text.includes(
+        "<name>Q&amp;A</name>\n<Icon><href>images/b.png</href></Icon>",
+      ),
+    );
+    assert.ok(text.endsWith("</Document>\n</kml>\n"));
+  });
+
+  it("groups the overlays in folders, in order of first use", () => {
+    const kml = new KmlDocument("Series");
+    for (const [name, folder] of [
+      ["a", "IR"],
+      ["b", "VIS"],
+      ["c", "IR"],
+    ]) {
+      kml.add({ name, href: `${name}.png`, bounds, folder });
+    }
+    const names = [...kml.toString().matchAll(/<name>([^<]*)<\/name>/g)].map(
+      (match) => match[1],
+    );
+    assert.deepEqual(names, ["Series", "IR", "a", "c", "VIS", "b"]);
+    assert.equal(kml.toString().match(/<Folder>/g).length, 2);
+  });
+});
+
+describe("ImageHeader", () => {
+  it("reads the size of PNG images", () => {
+    const png = header(
+      [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13],
+      "IHDR",
+      [0, 0, 0x07, 0x80, 0, 0, 0x04, 0x38],
+    );
+    assert.deepEqual(ImageHeader.size(png), { width: 1920, height: 1080 });
+    assert.deepEqual(ImageHeader.size(png.buffer), {
+      width: 1920,
+      height: 1080,
+    });
+  });
+
+  it("reads the size of JPEG images from the start of frame", () => {
+    const jpeg = header(
+      [0xff, 0xd8],
+      // APP0 segment, then a fill byte and a Huffman table
+      [0xff, 0xe0, 0, 4, 0, 0, 0xff, 0xff, 0xc4, 0, 3, 0],
+      // Baseline start of frame: precision, height and width
+      [0xff, 0xc0, 0, 17, 8, 0x02, 0x58, 0x03, 0x20, 3],
+    );
+    assert.deepEqual(ImageHeader.size(jpeg), { width: 800, height: 600 });
+  });
+
+  it("reads the size of lossy, lossless and extended WEBP images", () => {
+    const lossy = header(
+      "RIFF",
+      [0, 0, 0, 0],
+      "WEBPVP8 ",
+      [0, 0, 0, 0, 0, 0, 0, 0x9d, 0x01, 0x2a],
+      [0x80, 0x02, 0xe0, 0xc1],
+    );
+    // 640x480, with the scaling bits of the height set
+    assert.deepEqual(ImageHeader.size(lossy), { width: 640, height: 480 });
+    const lossless = header(
+      "RIFF",
+      [0, 0, 0, 0],
+      "WEBPVP8L",
+      [0, 0, 0, 0, 0x2f],
+      // 14-bit width and height minus one: 100 and 50
+      [0x63, 0x40, 0x0c, 0],
+    );
+    assert.deepEqual(ImageHeader.size(lossless), { width: 100, height: 50 });
+    const extended = header(
+      "RIFF",
+      [0, 0, 0, 0],
+      "WEBPVP8X",
+      [0, 0, 0, 0, 0, 0, 0, 0],
+      // 24-bit canvas width and height minus one: 70000 and 2
+      [0x6f, 0x11, 0x01, 0x01, 0, 0],
+    );
+    assert.deepEqual(ImageHeader.size(extended), { width: 70_000, height: 2 });
+  });
+
+  it("does not recognize other formats", () => {
+    assert.equal(ImageHeader.size(header("GIF89a")), undefined);
+    assert.equal(ImageHeader.size(new Uint8Array(8)), undefined);
+  });
+});
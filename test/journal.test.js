@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { EVENT, PHASE } from "../src/downloader.js";
+import { JOB_KIND, JournalFile, JournalRecorder } from "../src/journal.js";
+
+describe("JournalRecorder", () => {
+  const start = Date.parse("2024-10-04T12:00:00Z");
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["Date"], now: start });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it("records the files downloaded or failed, but not the probes", () => {
+    const events = [];
+    const recorder = new JournalRecorder("DMH", JOB_KIND.RANGE, { a: 1 });
+    const { onProgress } = recorder.watch({
+      timeout: 1000,
+      onProgress: (event) => events.push(event),
+    });
+    const progress = [
+      { type: EVENT.PHASE, phase: PHASE.PROBING },
+      { type: EVENT.FETCHED, src: "a" },
+      { type: EVENT.FAILED, src: "b" },
+      { type: EVENT.PHASE, phase: PHASE.DOWNLOADING },
+      { type: EVENT.QUEUED, count: 2 },
+      { type: EVENT.FETCHED, src: "a" },
+      { type: EVENT.RECEIVED, src: "a" },
+      { type: EVENT.FAILED, src: "c" },
+    ];
+    for (const event of progress) {
+      onProgress(event);
+    }
+    assert.deepEqual(events, progress);
+    mock.timers.tick(2500);
+    const entry = recorder.finish({
+      ok: true,
+      message: "2 archivos",
+      filename: "DMH.zip",
+      size: 1234,
+    });
+    assert.deepEqual(entry, {
+      site: "DMH",
+      kind: JOB_KIND.RANGE,
+      request: { a: 1 },
+      files: [
+        { url: "a", ok: true },
+        { url: "c", ok: false },
+      ],
+      archive: "DMH.zip",
+      size: 1234,
+      started: start,
+      duration: 2500,
+      result: "2 archivos",
+    });
+  });
+
+  it("keeps the other download options", () => {
+    const recorder = new JournalRecorder("SMN", JOB_KIND.FILES, {});
+    const options = recorder.watch({ timeout: 1000 });
+    assert.equal(options.timeout, 1000);
+    options.onProgress({ type: EVENT.FETCHED, src: "a" });
+    assert.deepEqual(recorder.finish({ ok: true }).files, [
+      { url: "a", ok: true },
+    ]);
+  });
+
+  it("records failed downloads without archive", () => {
+    const recorder = new JournalRecorder("DMH", JOB_KIND.EVENT, {});
+    const failed = recorder.finish({ ok: false, message: "Sin archivos" });
+    assert.equal(failed.archive, undefined);
+    assert.equal(failed.size, 0);
+    assert.equal(failed.result, "Sin archivos");
+    const unknown = new JournalRecorder("DMH", JOB_KIND.EVENT, {});
+    assert.equal(unknown.finish().result, "error");
+  });
+});
+
+describe("JournalFile", () => {
+  const entries = [
+    {
+      id: 1,
+      site: "DMH",
+      kind: JOB_KIND.RANGE,
+      request: { products: ["BAND13"] },
+      files: [
+        { url: "https://host/a.jpg", ok: true },
+        { url: "https://host/b.jpg", ok: false },
+        { url: "https://host/c,d.jpg", ok: false },
+      ],
+      archive: "DMH.zip",
+      size: 1234,
+      started: Date.parse("2024-10-04T12:00:00Z"),
+      duration: 2500,
+      result: 'Listo: "1" de 3',
+    },
+    {
+      id: 2,
+      site: "SMN",
+      kind: JOB_KIND.ADVANCED,
+      request: {},
+      files: [],
+      archive: undefined,
+      size: 0,
+      started: Date.parse("2024-10-04T13:00:00Z"),
+      duration: 10,
+      result: "error",
+    },
+  ];
+
+  it("exports the entries as JSON", () => {
+    const text = JournalFile.json(entries);
+    assert.ok(text.endsWith("]\n"));
+    assert.deepEqual(
+      JSON.parse(text),
+      entries.map(({ archive, ...entry }) =>
+        archive ? { archive, ...entry } : entry,
+      ),
+    );
+  });
+
+  it("exports the entries as CSV, quoting the values as needed", () => {
+    assert.equal(
+      JournalFile.csv(entries),
+      [
+        "id,site,kind,started_utc,duration_ms,archive,size,result,files,failed,failed_urls",
+        '1,DMH,RANGE,2024-10-04T12:00:00.000Z,2500,DMH.zip,1234,"Listo: ""1"" de 3",3,2,"https://host/b.jpg https://host/c,d.jpg"',
+        "2,SMN,ADVANCED,2024-10-04T13:00:00.000Z,10,,0,error,0,0,",
+        "",
+      ].join("\n"),
+    );
+  });
+});
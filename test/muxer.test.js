@@ -0,0 +1,435 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { MatroskaMuxer, Mp4Muxer } from "../src/muxer.js";
+
+/**
+ * The MP4 boxes that contain other boxes.
+ */
+const CONTAINERS = new Set(["moov", "trak", "mdia", "minf", "dinf", "stbl"]);
+
+/**
+ * The EBML identifiers of the Matroska elements that contain other elements.
+ */
+const MASTERS = new Set([
+  0x1a_45_df_a3, // EBML
+  0x18_53_80_67, // Segment
+  0x15_49_a9_66, // Info
+  0x16_54_ae_6b, // Tracks
+  0xae, // TrackEntry
+  0xe0, // Video
+  0x1f_43_b6_75, // Cluster
+  0x1c_53_bb_6b, // Cues
+  0xbb, // CuePoint
+  0xb7, // CueTrackPositions
+]);
+
+/**
+ * Builds a fake encoded video chunk, with the interface of
+ * `EncodedVideoChunk`.
+ *
+ * @param {string} type The chunk type, "key" or "delta".
+ * @param {number} timestamp The presentation time, in microseconds.
+ * @param {number[]} bytes The encoded data.
+ * @param {number} duration (Optional) The duration, in microseconds.
+ * @returns {object} The chunk.
+ */
+function chunk(type, timestamp, bytes, duration = 100_000) {
+  return {
+    type,
+    timestamp,
+    duration,
+    byteLength: bytes.length,
+    copyTo: (destination) => destination.set(bytes),
+  };
+}
+
+/**
+ * Builds a view of the bytes of an array.
+ *
+ * @param {Uint8Array} data The bytes.
+ * @returns {DataView} The view.
+ */
+function viewOf(data) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Parses the ISO BMFF boxes of an MP4 file, descending into the container
+ * boxes.
+ *
+ * @param {Uint8Array} data The bytes to parse.
+ * @param {number} base (Optional) The file offset of the bytes.
+ * @returns {Array<object>} The type, file offset, data and children of each
+ *          box.
+ */
+function readBoxes(data, base = 0) {
+  const view = viewOf(data);
+  const boxes = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const size = view.getUint32(offset);
+    assert.ok(size >= 8 && offset + size <= data.length, "box size");
+    const type = new TextDecoder().decode(
+      data.subarray(offset + 4, offset + 8),
+    );
+    const content = data.subarray(offset + 8, offset + size);
+    const box = { type, offset: base + offset, data: content };
+    if (CONTAINERS.has(type)) {
+      box.children = readBoxes(content, base + offset + 8);
+    }
+    boxes.push(box);
+    offset += size;
+  }
+  return boxes;
+}
+
+/**
+ * Finds a box by its path of types.
+ *
+ * @param {Array<object>} boxes The boxes to search.
+ * @param {string} path The box types, separated by slashes.
+ * @returns {object} The box, or `undefined` if not found.
+ */
+function findBox(boxes, path) {
+  let box;
+  for (const type of path.split("/")) {
+    box = boxes?.find((candidate) => candidate.type === type);
+    boxes = box?.children;
+  }
+  return box;
+}
+
+/**
+ * Reads the 32-bit big-endian integers of a box.
+ *
+ * @param {object} box The box.
+ * @param {boolean} signed (Optional) Whether the integers are signed.
+ * @returns {number[]} The integers.
+ */
+function words(box, signed = false) {
+  const view = viewOf(box.data);
+  return Array.from({ length: box.data.length / 4 }, (_, i) =>
+    signed ? view.getInt32(i * 4) : view.getUint32(i * 4),
+  );
+}
+
+/**
+ * Reads an EBML variable length integer.
+ *
+ * @param {Uint8Array} data The bytes to read from.
+ * @param {number} offset The offset of the integer.
+ * @param {boolean} marker Whether to keep the length marker (as element
+ *        identifiers do).
+ * @returns {[number, number]} The value and the length of the integer.
+ */
+function readVint(data, offset, marker) {
+  const length = Math.clz32(data[offset]) - 23;
+  assert.ok(length >= 1 && length <= 8, "variable integer length");
+  let value = marker ? data[offset] : data[offset] & (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + data[offset + i];
+  }
+  return [value, length];
+}
+
+/**
+ * Parses the EBML elements of a Matroska file, descending into the master
+ * elements.
+ *
+ * @param {Uint8Array} data The bytes to parse.
+ * @returns {Array<object>} The identifier, offset from the start of the
+ *          parent data, data and children of each element.
+ */
+function readElements(data) {
+  const elements = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const [id, idLength] = readVint(data, offset, true);
+    const [size, sizeLength] = readVint(data, offset + idLength, false);
+    const start = offset + idLength + sizeLength;
+    assert.ok(start + size <= data.length, "element size");
+    const content = data.subarray(start, start + size);
+    const element = { id, offset, data: content };
+    if (MASTERS.has(id)) {
+      element.children = readElements(content);
+    }
+    elements.push(element);
+    offset = start + size;
+  }
+  return elements;
+}
+
+/**
+ * Finds the elements with the given identifier.
+ *
+ * @param {Array<object>} elements The elements to search.
+ * @param {number} id The element identifier.
+ * @returns {Array<object>} The matching elements.
+ */
+function children(elements, id) {
+  return elements.filter((element) => element.id === id);
+}
+
+/**
+ * Reads the value of an unsigned integer element.
+ *
+ * @param {Array<object>} elements The elements to search.
+ * @param {number} id The element identifier.
+ * @returns {number} The value of the first matching element.
+ */
+function unsigned(elements, id) {
+  return children(elements, id)[0].data.reduce(
+    (value, byte) => value * 256 + byte,
+    0,
+  );
+}
+
+/**
+ * Reads the value of a string element.
+ *
+ * @param {Array<object>} elements The elements to search.
+ * @param {number} id The element identifier.
+ * @returns {string} The value of the first matching element.
+ */
+function text(elements, id) {
+  return new TextDecoder().decode(children(elements, id)[0].data);
+}
+
+describe("Mp4Muxer", () => {
+  const avcC = Uint8Array.from([0xff, 1, 0x64, 0, 0x1f, 0xff, 0xe1]);
+  // A view into a larger buffer, as the encoder may provide
+  const description = Uint8Array.from([9, 9, ...avcC]).subarray(2);
+
+  it("writes the movie metadata before the media data", () => {
+    const muxer = new Mp4Muxer({ width: 320, height: 240 });
+    muxer.add(chunk("key", 0, [1, 2, 3]), {
+      decoderConfig: { description },
+    });
+    muxer.add(chunk("delta", 100_000, [4, 5]));
+    muxer.add(chunk("delta", 200_000, [6]));
+    muxer.add(chunk("key", 300_000, [7, 8, 9, 10]));
+    const data = muxer.finalize();
+    const boxes = readBoxes(data);
+    assert.deepEqual(
+      boxes.map(({ type }) => type),
+      ["ftyp", "moov", "mdat"],
+    );
+    assert.deepEqual(
+      [...findBox(boxes, "mdat").data],
+      [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    );
+
+    const stbl = "moov/trak/mdia/minf/stbl";
+    assert.deepEqual(
+      findBox(boxes, stbl).children.map(({ type }) => type),
+      ["stsd", "stts", "stss", "stsc", "stsz", "stco"],
+    );
+    // Sizes of the samples, all in a single chunk at the media data
+    assert.deepEqual(
+      words(findBox(boxes, `${stbl}/stsz`)),
+      [0, 0, 4, 3, 2, 1, 4],
+    );
+    assert.deepEqual(words(findBox(boxes, `${stbl}/stsc`)), [0, 1, 1, 4, 1]);
+    const offset = words(findBox(boxes, `${stbl}/stco`))[2];
+    assert.equal(offset, findBox(boxes, "mdat").offset + 8);
+    // Key frames, numbered from one
+    assert.deepEqual(words(findBox(boxes, `${stbl}/stss`)), [0, 2, 1, 4]);
+    // A single run of 100 ms sample durations, in microseconds
+    assert.deepEqual(words(findBox(boxes, `${stbl}/stts`)), [0, 1, 4, 100_000]);
+
+    const stsd = findBox(boxes, `${stbl}/stsd`).data;
+    assert.equal(new TextDecoder().decode(stsd.subarray(12, 16)), "avc1");
+    assert.deepEqual([...stsd.subarray(40, 44)], [1, 64, 0, 240]);
+    const avcCBox = readBoxes(stsd.subarray(8 + 86))[0];
+    assert.equal(avcCBox.type, "avcC");
+    assert.deepEqual([...avcCBox.data], [...avcC]);
+  });
+
+  it("writes the duration and size of the track", () => {
+    const muxer = new Mp4Muxer({ width: 64, height: 48 });
+    muxer.add(chunk("key", 0, [0], 400_000), {
+      decoderConfig: { description: avcC.buffer },
+    });
+    muxer.add(chunk("delta", 400_000, [0], 850_000));
+    const boxes = readBoxes(muxer.finalize());
+    // Movie time scale of 1000, 1.25 s
+    assert.deepEqual(
+      words(findBox(boxes, "moov/mvhd")).slice(3, 5),
+      [1000, 1250],
+    );
+    // Media time scale of 1000000
+    assert.deepEqual(
+      words(findBox(boxes, "moov/trak/mdia/mdhd")).slice(3, 5),
+      [1_000_000, 1_250_000],
+    );
+    const tkhd = words(findBox(boxes, "moov/trak/tkhd"));
+    assert.equal(tkhd[3], 1); // track ID
+    assert.equal(tkhd[5], 1250);
+    assert.deepEqual(tkhd.slice(-2), [64 * 0x1_00_00, 48 * 0x1_00_00]);
+    assert.deepEqual(
+      words(findBox(boxes, "moov/trak/mdia/minf/stbl/stts")),
+      [0, 2, 1, 400_000, 1, 850_000],
+    );
+  });
+
+  it("writes composition offsets for reordered frames", () => {
+    const muxer = new Mp4Muxer({ width: 16, height: 16 });
+    muxer.add(chunk("key", 0, [0]), { decoderConfig: { description } });
+    muxer.add(chunk("delta", 200_000, [1]));
+    muxer.add(chunk("delta", 100_000, [2]));
+    const boxes = readBoxes(muxer.finalize());
+    const stbl = "moov/trak/mdia/minf/stbl";
+    // Version 1, with signed offsets
+    assert.deepEqual(
+      words(findBox(boxes, `${stbl}/ctts`), true),
+      [0x1_00_00_00, 3, 1, 0, 1, 100_000, 1, -100_000],
+    );
+    assert.deepEqual(words(findBox(boxes, `${stbl}/stts`)), [0, 1, 3, 100_000]);
+  });
+
+  it("fails without frames or decoder configuration", () => {
+    assert.throws(() => new Mp4Muxer({ width: 1, height: 1 }).finalize());
+    const muxer = new Mp4Muxer({ width: 1, height: 1 });
+    muxer.add(chunk("key", 0, [0]));
+    assert.throws(() => muxer.finalize(), /decoder configuration/);
+  });
+});
+
+describe("MatroskaMuxer", () => {
+  const id = {
+    DocType: 0x42_82,
+    Segment: 0x18_53_80_67,
+    Info: 0x15_49_a9_66,
+    Duration: 0x44_89,
+    Tracks: 0x16_54_ae_6b,
+    TrackEntry: 0xae,
+    CodecID: 0x86,
+    CodecPrivate: 0x63_a2,
+    Video: 0xe0,
+    PixelWidth: 0xb0,
+    PixelHeight: 0xba,
+    Cluster: 0x1f_43_b6_75,
+    Timestamp: 0xe7,
+    SimpleBlock: 0xa3,
+    Cues: 0x1c_53_bb_6b,
+    CuePoint: 0xbb,
+    CueTime: 0xb3,
+    CueTrackPositions: 0xb7,
+    CueClusterPosition: 0xf1,
+  };
+
+  /**
+   * Reads the blocks of a cluster.
+   *
+   * @param {object} cluster The cluster element.
+   * @returns {Array<object>} The track, relative time, key flag and data of
+   *          each block.
+   */
+  const blocks = (cluster) =>
+    children(cluster.children, id.SimpleBlock).map(({ data }) => ({
+      track: data[0],
+      time: viewOf(data).getInt16(1),
+      key: data[3] === 0x80,
+      data: [...data.subarray(4)],
+    }));
+
+  it("writes the header, the track and a cluster per key frame", () => {
+    const muxer = new MatroskaMuxer({
+      width: 320,
+      height: 240,
+      codec: "vp09.00.10.08",
+    });
+    muxer.add(chunk("key", 0, [1, 2]));
+    muxer.add(chunk("delta", 100_000, [3]));
+    muxer.add(chunk("key", 200_000, [4]));
+    muxer.add(
+      chunk(
+        "delta",
+        300_000,
+        Array.from({ length: 200 }, () => 5),
+      ),
+    );
+    const [header, segment, ...rest] = readElements(muxer.finalize());
+    assert.equal(rest.length, 0);
+    assert.equal(text(header.children, id.DocType), "webm");
+    assert.equal(segment.id, id.Segment);
+
+    const info = children(segment.children, id.Info)[0];
+    const duration = children(info.children, id.Duration)[0];
+    assert.equal(viewOf(duration.data).getFloat64(0), 400);
+    const [entry] = children(segment.children, id.Tracks)[0].children;
+    assert.equal(entry.id, id.TrackEntry);
+    assert.equal(text(entry.children, id.CodecID), "V_VP9");
+    assert.equal(children(entry.children, id.CodecPrivate).length, 0);
+    const video = children(entry.children, id.Video)[0].children;
+    assert.equal(unsigned(video, id.PixelWidth), 320);
+    assert.equal(unsigned(video, id.PixelHeight), 240);
+
+    const clusters = children(segment.children, id.Cluster);
+    assert.deepEqual(
+      clusters.map((cluster) => unsigned(cluster.children, id.Timestamp)),
+      [0, 200],
+    );
+    assert.deepEqual(blocks(clusters[0]), [
+      { track: 0x81, time: 0, key: true, data: [1, 2] },
+      { track: 0x81, time: 100, key: false, data: [3] },
+    ]);
+    const [first, second] = blocks(clusters[1]);
+    assert.deepEqual(first, { track: 0x81, time: 0, key: true, data: [4] });
+    assert.equal(second.time, 100);
+    assert.equal(second.data.length, 200);
+  });
+
+  it("indexes the position of every cluster in the cues", () => {
+    const muxer = new MatroskaMuxer({
+      width: 16,
+      height: 16,
+      codec: "avc1.42001f",
+      docType: "matroska",
+    });
+    muxer.add(chunk("key", 0, [1]), {
+      decoderConfig: { description: Uint8Array.from([7, 8]) },
+    });
+    muxer.add(chunk("key", 1_000_000, [2]));
+    // More than 32.767 seconds after the cluster start
+    muxer.add(chunk("delta", 40_000_000, [3]));
+    const [header, segment] = readElements(muxer.finalize());
+    assert.equal(text(header.children, id.DocType), "matroska");
+    const [entry] = children(segment.children, id.Tracks)[0].children;
+    assert.equal(text(entry.children, id.CodecID), "V_MPEG4/ISO/AVC");
+    assert.deepEqual(
+      [...children(entry.children, id.CodecPrivate)[0].data],
+      [7, 8],
+    );
+
+    const clusters = children(segment.children, id.Cluster);
+    const points = children(segment.children, id.Cues)[0].children;
+    assert.equal(points.length, 3);
+    for (const [index, point] of points.entries()) {
+      const cluster = clusters[index];
+      const positions = children(point.children, id.CueTrackPositions)[0];
+      assert.equal(
+        unsigned(point.children, id.CueTime),
+        unsigned(cluster.children, id.Timestamp),
+      );
+      // Relative to the start of the segment data
+      assert.equal(
+        unsigned(positions.children, id.CueClusterPosition),
+        cluster.offset,
+      );
+    }
+    assert.deepEqual(
+      clusters.map((cluster) => unsigned(cluster.children, id.Timestamp)),
+      [0, 1000, 40_000],
+    );
+  });
+
+  it("fails without frames or with an unsupported codec", () => {
+    const options = { width: 1, height: 1, codec: "vp8" };
+    assert.throws(() => new MatroskaMuxer(options).finalize());
+    const muxer = new MatroskaMuxer({ ...options, codec: "hvc1.1.6.L93" });
+    muxer.add(chunk("key", 0, [0]));
+    assert.throws(() => muxer.finalize(), /unsupported codec: 'hvc1/);
+  });
+});
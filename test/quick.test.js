@@ -0,0 +1,165 @@
+import assert from "node:assert/strict";
+import { resolveObjectURL } from "node:buffer";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { strFromU8, unzipSync } from "../lib/fflate.js";
+import { FileSaver } from "../src/downloader.js";
+import { QuickDownload } from "../src/quick.js";
+
+/**
+ * The files saved from the popup, captured from the links the saver clicks.
+ */
+const saved = [];
+
+globalThis.document = {
+  createElement: () => ({
+    click() {
+      saved.push({
+        filename: this.download,
+        blob: resolveObjectURL(this.href),
+      });
+    },
+  }),
+};
+FileSaver.revokeTimeout = 0;
+
+/**
+ * Builds the settings of the quick download.
+ *
+ * @returns {Object} The settings, with the defaults of the popup.
+ */
+function settingsOf() {
+  return {
+    favorite: { product: "BAND13", sector: "PAR" },
+    params: { method: "GET" },
+    queue: { concurrency: 2 },
+    prefix: "DMH_",
+  };
+}
+
+/**
+ * Builds the URL of the BAND13 PAR image of 2024-10-04 at the given UTC time.
+ *
+ * @param {string} time The time of the image, as "hhmm".
+ * @returns {string} The URL of the image.
+ */
+function image(time) {
+  return (
+    "https://www.meteorologia.gov.py/satelite-goes-16/G16/BAND13_PAR/" +
+    `G16_BAND13_PAR_20241004${time}.jpg`
+  );
+}
+
+describe("QuickDownload", () => {
+  const request = { product: "BAND13", sector: "PAR", hours: 1 };
+
+  it("uses the first valid preferences of the user", () => {
+    const settings = settingsOf();
+    const favorite = QuickDownload.configure(settings, {
+      products: ["BAND99", "FCOLOR", "BAND02"],
+      sectors: ["SEC"],
+      prefix: " Caso_ ",
+      concurrency: 20,
+    });
+    assert.deepEqual(favorite, { product: "FCOLOR", sector: "SEC" });
+    assert.equal(settings.prefix, "Caso_");
+    assert.equal(settings.queue.concurrency, 8);
+
+    const defaults = settingsOf();
+    const fallback = QuickDownload.configure(defaults, {
+      products: ["BAND99"],
+      concurrency: "4",
+    });
+    assert.deepEqual(fallback, { product: "BAND13", sector: "PAR" });
+    assert.deepEqual(defaults, settingsOf());
+  });
+
+  it("builds the URLs of the last hours up to the latest scan", () => {
+    const urls = QuickDownload.urls(request, new Date("2024-10-04T12:34:56Z"));
+    assert.deepEqual(urls, [
+      image("1130"),
+      image("1140"),
+      image("1150"),
+      image("1200"),
+      image("1210"),
+      image("1220"),
+      image("1230"),
+    ]);
+    const day = QuickDownload.urls(
+      { ...request, hours: 24 },
+      new Date("2024-10-04T12:30:00Z"),
+    );
+    assert.equal(day.length, 145);
+  });
+
+  describe("fetch", () => {
+    const fetch = globalThis.fetch;
+    let missing;
+    let methods;
+
+    beforeEach(() => {
+      saved.length = 0;
+      missing = new Set([image("1130"), image("1230")]);
+      methods = new Set();
+      mock.timers.enable({
+        apis: ["Date"],
+        now: new Date("2024-10-04T12:34:56Z"),
+      });
+      globalThis.fetch = async (src, params) => {
+        params.signal.throwIfAborted();
+        methods.add(params.method);
+        return missing.has(src)
+          ? new Response("", { status: 404 })
+          : new Response(new Uint8Array(100));
+      };
+    });
+
+    afterEach(() => {
+      mock.timers.reset();
+      globalThis.fetch = fetch;
+    });
+
+    it("archives the published images with a README", async () => {
+      const { signal } = new AbortController();
+      const result = await QuickDownload.fetch(request, settingsOf(), {
+        signal,
+      });
+      assert.equal(result.ok, true);
+      assert.deepEqual(methods, new Set(["HEAD", "GET"]));
+      assert.equal(saved[0].filename, "DMH_G16_BAND13_PAR_202410041220.zip");
+
+      const data = new Uint8Array(await saved[0].blob.arrayBuffer());
+      const files = unzipSync(data);
+      assert.deepEqual(
+        Object.keys(files).filter((name) => name.endsWith(".jpg")),
+        ["1140", "1150", "1200", "1210", "1220"].map(
+          (time) => `SEQUENCE/G16_BAND13_PAR_20241004${time}.jpg`,
+        ),
+      );
+      const readme = strFromU8(files["README.txt"]);
+      assert.ok(readme.startsWith("Imágenes G16 de las últimas 1 horas\n"));
+      assert.ok(readme.includes("- G16_BAND13_PAR_202410041140.jpg\n"));
+      assert.ok(!readme.includes("202410041130"));
+    });
+
+    it("saves nothing if no image is published", async () => {
+      missing = new Set(QuickDownload.urls(request));
+      const { signal } = new AbortController();
+      const result = await QuickDownload.fetch(request, settingsOf(), {
+        signal,
+      });
+      assert.equal(result.message, "empty");
+      assert.deepEqual(methods, new Set(["HEAD"]));
+      assert.equal(saved.length, 0);
+    });
+
+    it("saves nothing once cancelled", async () => {
+      const signal = AbortSignal.abort();
+      const result = await QuickDownload.fetch(request, settingsOf(), {
+        signal,
+      });
+      assert.equal(result.message, "cancelled");
+      assert.equal(saved.length, 0);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { EventReport, REPORT_TYPE } from "../src/report.js";
+
+describe("EventReport", () => {
+  const report = {
+    type: REPORT_TYPE.HAIL,
+    label: "Granizo",
+    time: new Date("2024-10-04T18:45:00Z"),
+    lat: -25.3,
+    lon: -57.6,
+    before: 90 * 60_000,
+    after: 30 * 60_000,
+    description: "Granizo de 3 cm",
+  };
+
+  it("computes the window of time around the report", () => {
+    const event = new EventReport(report);
+    assert.equal(event.begin.toISOString(), "2024-10-04T17:15:00.000Z");
+    assert.equal(event.end.toISOString(), "2024-10-04T19:15:00.000Z");
+    assert.deepEqual(event.position, { lat: -25.3, lon: -57.6 });
+    assert.equal(event.label, "Granizo");
+  });
+
+  it("keeps a copy of the report", () => {
+    const original = { ...report };
+    const event = new EventReport(original);
+    original.before = 0;
+    event.time.setUTCHours(0);
+    assert.equal(event.time.toISOString(), "2024-10-04T18:45:00.000Z");
+    assert.equal(event.begin.toISOString(), "2024-10-04T17:15:00.000Z");
+  });
+
+  it("defaults the label to the type and the description to empty", () => {
+    const event = new EventReport({
+      ...report,
+      label: undefined,
+      description: undefined,
+    });
+    assert.equal(event.type, REPORT_TYPE.HAIL);
+    assert.equal(event.label, REPORT_TYPE.HAIL);
+    assert.equal(event.description, "");
+  });
+
+  it("describes the event and its imagery as JSON", () => {
+    const series = [
+      {
+        source: "DMH",
+        product: "IR",
+        sector: "PAR",
+        folder: "DMH_IR_PAR",
+        files: ["a.jpg", "b.jpg"],
+        missing: ["b.jpg"],
+      },
+    ];
+    const text = new EventReport(report).toJSON(series);
+    assert.ok(text.endsWith("}\n"));
+    const { generated, ...document } = JSON.parse(text);
+    assert.ok(!Number.isNaN(Date.parse(generated)));
+    assert.deepEqual(document, {
+      report: {
+        type: "HAIL",
+        label: "Granizo",
+        time: "2024-10-04T18:45:00.000Z",
+        lat: -25.3,
+        lon: -57.6,
+        description: "Granizo de 3 cm",
+      },
+      window: {
+        begin: "2024-10-04T17:15:00.000Z",
+        end: "2024-10-04T19:15:00.000Z",
+        before_minutes: 90,
+        after_minutes: 30,
+      },
+      series,
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { CaptureJob } from "../src/scheduler.js";
+
+/**
+ * Converts minutes to milliseconds.
+ *
+ * @param {number} count The number of minutes.
+ * @returns {number} The milliseconds.
+ */
+function minutes(count) {
+  return count * 60_000;
+}
+
+/**
+ * Builds a UTC time of 2024-10-04.
+ *
+ * @param {string} time The time, as "hh:mm".
+ * @returns {Date} The date.
+ */
+function at(time) {
+  return new Date(`2024-10-04T${time}:00Z`);
+}
+
+describe("CaptureJob", () => {
+  const job = {
+    id: "job-1",
+    site: "DMH",
+    name: "IR",
+    series: [
+      { name: "IR", template: "https://host/ir/{YYYY}{MM}{DD}_{hh}{mm}.jpg" },
+      { name: "VIS", template: "https://host/vis/{hh}{mm}.jpg" },
+    ],
+    interval: minutes(10),
+    repeat: minutes(30),
+    lookback: minutes(25),
+    end: at("18:00").getTime(),
+  };
+
+  it("fills URL templates with the UTC fields of the frame time", () => {
+    assert.equal(
+      CaptureJob.fill("{YYYY}/{MM}/{DD}/{hh}{mm}-{hh}", at("04:05")),
+      "2024/10/04/0405-04",
+    );
+    assert.equal(
+      CaptureJob.fill("{DD}.{MM}", new Date("2025-02-03T23:59:00-03:00")),
+      "04.02",
+    );
+  });
+
+  it("lists the frames of every series within the lookback window", () => {
+    const frames = new CaptureJob(job).frames(at("12:07"));
+    assert.deepEqual(
+      frames.map(({ series, url, filename }) => [series, url, filename]),
+      [
+        ["IR", "https://host/ir/20241004_1150.jpg", "20241004_1150.jpg"],
+        ["IR", "https://host/ir/20241004_1200.jpg", "20241004_1200.jpg"],
+        ["VIS", "https://host/vis/1150.jpg", "1150.jpg"],
+        ["VIS", "https://host/vis/1200.jpg", "1200.jpg"],
+      ],
+    );
+    assert.equal(frames[0].time, at("11:50").getTime());
+  });
+
+  it("skips the frames already captured", () => {
+    const capture = new CaptureJob(structuredClone(job));
+    const [first, second, third] = capture.frames(at("12:07"));
+    capture.capture(first);
+    capture.capture(third);
+    const frames = capture.frames(at("12:20"));
+    assert.deepEqual(
+      frames.map(({ series, time }) => [series, time]),
+      [
+        ["IR", second.time],
+        ["IR", at("12:10").getTime()],
+        ["IR", at("12:20").getTime()],
+        ["VIS", at("12:00").getTime()],
+        ["VIS", at("12:10").getTime()],
+        ["VIS", at("12:20").getTime()],
+      ],
+    );
+  });
+
+  it("forgets the frames older than the lookback window", () => {
+    const capture = new CaptureJob(structuredClone(job));
+    for (const frame of capture.frames(at("12:07"))) {
+      capture.capture(frame);
+    }
+    capture.prune(at("12:20"));
+    assert.deepEqual(capture.toJSON().captured, {
+      IR: [at("12:00").getTime()],
+      VIS: [at("12:00").getTime()],
+    });
+  });
+
+  it("stops at the end of the job", () => {
+    const capture = new CaptureJob(job);
+    assert.ok(!capture.ended(at("18:00")));
+    assert.ok(capture.ended(at("18:01")));
+    assert.deepEqual(
+      capture.frames(at("19:00")).map(({ url }) => url),
+      [
+        "https://host/ir/20241004_1740.jpg",
+        "https://host/ir/20241004_1750.jpg",
+        "https://host/ir/20241004_1800.jpg",
+        "https://host/vis/1740.jpg",
+        "https://host/vis/1750.jpg",
+        "https://host/vis/1800.jpg",
+      ],
+    );
+  });
+
+  it("stores a copy of the job", () => {
+    const capture = new CaptureJob(structuredClone(job));
+    const stored = capture.toJSON();
+    stored.series.length = 0;
+    assert.deepEqual(capture.toJSON(), { captured: {}, ...job });
+    assert.equal(capture.id, "job-1");
+    assert.equal(capture.end.getTime(), job.end);
+  });
+});
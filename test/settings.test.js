@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { PRESET_FORMAT, PRESET_VERSION, PresetFile } from "../src/settings.js";
+
+/**
+ * The presets of the tests.
+ */
+const presets = [
+  { name: "Caso granizo", products: ["BAND13"], sector: "PAR" },
+  { name: "Sur", products: ["FCOLOR"], sector: "SEC" },
+];
+
+/**
+ * Builds a DMH preset file with the presets of the tests.
+ *
+ * @param {object} changes The properties of the file to change.
+ * @returns {string} The JSON document.
+ */
+function presetFile(changes) {
+  return JSON.stringify({
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    site: "DMH",
+    presets,
+    ...changes,
+  });
+}
+
+describe("PresetFile", () => {
+  it("imports the presets it exports", () => {
+    const text = PresetFile.export("DMH", presets);
+    const document = JSON.parse(text);
+    assert.equal(document.format, PRESET_FORMAT);
+    assert.equal(document.version, PRESET_VERSION);
+    assert.equal(document.site, "DMH");
+    assert.ok(!Number.isNaN(Date.parse(document.exported)));
+    assert.deepEqual(PresetFile.import(text, "DMH"), presets);
+  });
+
+  it("trims the names of the imported presets", () => {
+    const text = PresetFile.export("DMH", [{ name: "  Norte ", sector: 1 }]);
+    assert.deepEqual(PresetFile.import(text, "DMH"), [
+      { name: "Norte", sector: 1 },
+    ]);
+  });
+
+  it("rejects files that are not presets of the site", () => {
+    assert.throws(() => PresetFile.import("{", "DMH"), SyntaxError);
+    assert.throws(() => PresetFile.import("null", "DMH"), TypeError);
+    assert.throws(
+      () => PresetFile.import(presetFile({ format: "other" }), "DMH"),
+      { name: "TypeError", message: "Not a preset file" },
+    );
+    assert.throws(
+      () =>
+        PresetFile.import(presetFile({ version: PRESET_VERSION + 1 }), "DMH"),
+      /Unsupported version/,
+    );
+    assert.throws(
+      () => PresetFile.import(presetFile({}), "SMN"),
+      /Not a preset file of SMN/,
+    );
+    assert.throws(
+      () => PresetFile.import(presetFile({ presets: {} }), "DMH"),
+      TypeError,
+    );
+    for (const preset of [{}, { name: " " }, { name: 1 }, "Norte"]) {
+      assert.throws(
+        () => PresetFile.import(presetFile({ presets: [preset] }), "DMH"),
+        /Preset without a name/,
+      );
+    }
+  });
+
+  it("merges presets by name, sorted by name", () => {
+    const merged = PresetFile.merge(presets, [
+      { name: "Sur", sector: "MER" },
+      { name: "Este", sector: "PAR" },
+    ]);
+    assert.deepEqual(merged, [
+      presets[0],
+      { name: "Este", sector: "PAR" },
+      { name: "Sur", sector: "MER" },
+    ]);
+    assert.equal(presets.length, 2);
+  });
+});
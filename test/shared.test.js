@@ -0,0 +1,233 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import {
+  DateUtils,
+  RadarLoop,
+  ResponseActions,
+  TemplateURLRange,
+} from "../src/shared.js";
+
+describe("DateUtils", () => {
+  it("truncates dates to the interval", () => {
+    const date = new Date("2024-10-04T12:37:45Z");
+    const truncated = DateUtils.truncateDate(date, 10 * 60 * 1000);
+    assert.equal(truncated.toISOString(), "2024-10-04T12:30:00.000Z");
+  });
+
+  it("reads wall-clock times in the given time zone", () => {
+    const cases = [
+      ["2024-07-15T09:30", "UTC", "2024-07-15T09:30:00.000Z"],
+      ["2024-07-15T09:30", "America/Asuncion", "2024-07-15T13:30:00.000Z"],
+      ["2024-01-15T09:30", "America/Asuncion", "2024-01-15T12:30:00.000Z"],
+      // Right after the start of the daylight saving time
+      ["2023-10-01T01:30", "America/Asuncion", "2023-10-01T04:30:00.000Z"],
+      [
+        "2024-12-31T22:00",
+        "America/Argentina/Buenos_Aires",
+        "2025-01-01T01:00:00.000Z",
+      ],
+    ];
+    for (const [value, timeZone, expected] of cases) {
+      const date = DateUtils.fromZonedISODate(value, timeZone);
+      assert.equal(date.toISOString(), expected, `${value} ${timeZone}`);
+    }
+  });
+
+  it("writes dates as wall-clock times in the given time zone", () => {
+    const date = new Date("2025-01-01T01:00:00Z");
+    assert.equal(DateUtils.toZonedISODate(date, "UTC"), "2025-01-01T01:00");
+    assert.equal(
+      DateUtils.toZonedISODate(date, "America/Sao_Paulo"),
+      "2024-12-31T22:00",
+    );
+  });
+
+  it("keeps the instant when changing the time zone", () => {
+    const date = new Date("2024-07-15T13:30:00Z");
+    for (const timeZone of ["UTC", "America/Asuncion", "America/Sao_Paulo"]) {
+      const value = DateUtils.toZonedISODate(date, timeZone);
+      const parsed = DateUtils.fromZonedISODate(value, timeZone);
+      assert.equal(parsed.getTime(), date.getTime(), timeZone);
+    }
+  });
+
+  it("returns an invalid date for values that cannot be parsed", () => {
+    const date = DateUtils.fromZonedISODate("", "UTC");
+    assert.ok(Number.isNaN(date.getTime()));
+  });
+});
+
+describe("TemplateURLRange", () => {
+  const settings = {
+    root: "https://host/radar",
+    template: "PGW_{YYYY}-{MM}-{DD}T{hh}-{mm}.png",
+    interval: 5 * 60 * 1000,
+  };
+
+  it("fills the template with the UTC time of each image", () => {
+    const begin = new Date("2024-12-31T23:52:00Z");
+    const end = new Date("2025-01-01T00:05:00Z");
+    assert.deepEqual(new TemplateURLRange(settings, begin, end).urls, [
+      "https://host/radar/PGW_2024-12-31T23-50.png",
+      "https://host/radar/PGW_2024-12-31T23-55.png",
+      "https://host/radar/PGW_2025-01-01T00-00.png",
+      "https://host/radar/PGW_2025-01-01T00-05.png",
+    ]);
+    assert.equal(TemplateURLRange.count(settings, begin, end), 4);
+  });
+
+  it("is empty if the range is reversed or invalid", () => {
+    const begin = new Date("2024-10-04T12:00:00Z");
+    const end = new Date("2024-10-04T11:00:00Z");
+    assert.deepEqual(new TemplateURLRange(settings, begin, end).urls, []);
+    assert.equal(TemplateURLRange.count(settings, begin, new Date("")), 0);
+  });
+
+  it("is empty while the template is unknown", () => {
+    const unknown = { ...settings, template: undefined };
+    const begin = new Date("2024-10-04T12:00:00Z");
+    const end = new Date("2024-10-04T13:00:00Z");
+    assert.equal(TemplateURLRange.count(unknown, begin, end), 0);
+    assert.deepEqual(new TemplateURLRange(unknown, begin, end).urls, []);
+  });
+});
+
+/**
+ * Builds the settings of a radar series whose URLs are learnt from the
+ * page, with the station and the product as placeholders.
+ *
+ * @returns {Object} The settings.
+ */
+function radar() {
+  return {
+    root: undefined,
+    images: /^https:\/\/[\w.-]+\.example\.gob\.ar\//,
+    template: undefined,
+    placeholders: ["station", "product"],
+    interval: 60 * 60 * 1000,
+    station: { current: "RMA4", supported: ["RMA3", "RMA4", "RMA8"] },
+    product: { current: "COLMAX", supported: ["COLMAX", "ZH"] },
+  };
+}
+
+describe("RadarLoop", () => {
+  const host = "https://static.example.gob.ar/radar";
+
+  it("learns the template and the interval of the frames of the page", () => {
+    const root = "https://lb01.example.br/pgw-radar";
+    const settings = { root, template: undefined, interval: 0 };
+    const sources = [
+      "https://www.example.br/logo.png",
+      `${root}/PGW_2024-10-04T12-10.png`,
+      `${root}/PGW_2024-10-04T12-00.png`,
+      `${root}/PGW_2024-10-04T12-05.png?v=1`,
+      `${root}/legend.png`,
+    ];
+    assert.equal(RadarLoop.learn(settings, sources), true);
+    assert.equal(settings.template, "PGW_{YYYY}-{MM}-{DD}T{hh}-{mm}.png");
+    assert.equal(settings.interval, 5 * 60 * 1000);
+    assert.deepEqual(RadarLoop.urls(settings, sources), [
+      `${root}/PGW_2024-10-04T12-00.png`,
+      `${root}/PGW_2024-10-04T12-05.png?v=1`,
+      `${root}/PGW_2024-10-04T12-10.png`,
+    ]);
+  });
+
+  it("learns nothing without frames", () => {
+    const settings = radar();
+    const sources = ["https://www.example.gob.ar/logo.png"];
+    assert.equal(RadarLoop.learn(settings, sources), false);
+    assert.equal(settings.template, undefined);
+    assert.equal(settings.root, undefined);
+  });
+
+  it("learns the root and the fields held by the filenames", () => {
+    const settings = radar();
+    const sources = [
+      "https://www.example.gob.ar/radar.png",
+      `${host}/RMA8_240_ZH_20241004_120000Z.png`,
+      `${host}/RMA8_240_ZH_20241004_121000Z.png`,
+      `${host}/RMA3_240_ZH_20241004_120500Z.png`,
+    ];
+    assert.equal(RadarLoop.learn(settings, sources), true);
+    assert.equal(settings.root, host);
+    assert.equal(
+      settings.template,
+      "{station}_240_{product}_{YYYY}{MM}{DD}_{hh}{mm}00Z.png",
+    );
+    assert.equal(settings.interval, 10 * 60 * 1000);
+    assert.equal(settings.station.current, "RMA8");
+    assert.equal(settings.product.current, "ZH");
+  });
+
+  it("builds the URLs of another station from the learnt template", () => {
+    const settings = radar();
+    RadarLoop.learn(settings, [`${host}/RMA4_240_COLMAX_20241004_120000Z.png`]);
+    const series = TemplateURLRange.series(settings, {
+      station: "RMA8",
+      product: "COLMAX",
+    });
+    assert.equal(settings.template.includes("{station}"), true);
+    const begin = new Date("2024-10-04T12:00:00Z");
+    const end = new Date("2024-10-04T14:00:00Z");
+    assert.deepEqual(new TemplateURLRange(series, begin, end).urls, [
+      `${host}/RMA8_240_COLMAX_20241004_120000Z.png`,
+      `${host}/RMA8_240_COLMAX_20241004_130000Z.png`,
+      `${host}/RMA8_240_COLMAX_20241004_140000Z.png`,
+    ]);
+  });
+
+  it("keeps the values that are not whole parts of the filename", () => {
+    const settings = radar();
+    RadarLoop.learn(settings, [`${host}/XRMA4_ZHH_20241004_120000Z.png`]);
+    assert.equal(settings.template, "XRMA4_ZHH_{YYYY}{MM}{DD}_{hh}{mm}00Z.png");
+    assert.equal(settings.station.current, "RMA4");
+    const series = TemplateURLRange.series(settings, {
+      station: "RMA8",
+      product: "ZH",
+    });
+    assert.equal(series.template, settings.template);
+  });
+});
+
+describe("ResponseActions", () => {
+  let alerts;
+
+  beforeEach(() => {
+    alerts = [];
+    globalThis.alert = (message) => alerts.push(message);
+    for (const method of ["info", "warn", "error"]) {
+      mock.method(console, method, () => {});
+    }
+  });
+
+  afterEach(() => {
+    delete globalThis.alert;
+    mock.restoreAll();
+  });
+
+  it("passes the download result on", async () => {
+    const result = { ok: true, message: "success" };
+    const actions = ResponseActions.setup(Promise.resolve(result), "a.zip");
+    assert.equal(await actions, result);
+    assert.equal(console.info.mock.callCount(), 1);
+    assert.deepEqual(alerts, []);
+  });
+
+  it("alerts the user when no images are available", async () => {
+    const empty = { ok: false, message: "empty" };
+    const actions = ResponseActions.setup(Promise.reject(empty), "a.zip");
+    assert.equal(await actions, undefined);
+    assert.deepEqual(alerts, [
+      "No existen imágenes disponibles en el rango solicitado.",
+    ]);
+  });
+
+  it("logs the errors without alerting the user", async () => {
+    const error = new Error("network");
+    await ResponseActions.setup(Promise.reject(error), "a.zip");
+    assert.deepEqual(console.error.mock.calls[0].arguments, [error]);
+    assert.deepEqual(alerts, []);
+  });
+});
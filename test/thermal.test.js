@@ -0,0 +1,290 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { GeoReference } from "../src/geo.js";
+import {
+  CloudTopAnalyzer,
+  ColorTable,
+  DETECTION,
+  KELVIN,
+  NODATA,
+  TemperatureGrid,
+} from "../src/thermal.js";
+
+/**
+ * Builds the pixels of an image from the RGB colors of its rows.
+ *
+ * @param {number[][][]} rows The RGB color of each pixel, row by row.
+ * @returns {object} The pixels, with the interface of `ImageData`.
+ */
+function imageData(rows) {
+  const data = new Uint8ClampedArray(rows.length * rows[0].length * 4);
+  for (const [index, color] of rows.flat().entries()) {
+    data.set([...color, 255], index * 4);
+  }
+  return { width: rows[0].length, height: rows.length, data };
+}
+
+/**
+ * Builds a temperature grid filled with a temperature, with rectangles of
+ * other temperatures.
+ *
+ * @param {number} width The number of columns of the grid.
+ * @param {number} height The number of rows of the grid.
+ * @param {number} fill The temperature of the grid.
+ * @param {Array<[number[], number]>} rectangles The rectangles
+ *        (`[x, y, width, height]`) and their temperatures.
+ * @returns {TemperatureGrid} The grid.
+ */
+function gridOf(width, height, fill, rectangles = []) {
+  const grid = new TemperatureGrid(
+    width,
+    height,
+    new Float32Array(width * height).fill(fill),
+  );
+  for (const [[x, y, w, h], value] of rectangles) {
+    for (let j = y; j < y + h; j++) {
+      grid.values.fill(value, j * width + x, j * width + x + w);
+    }
+  }
+  return grid;
+}
+
+describe("ColorTable", () => {
+  const white = [255, 255, 255];
+  const red = [255, 0, 0];
+  const table = new ColorTable([
+    [-80, white],
+    [-40, red],
+    [0, [0, 0, 0]],
+  ]);
+
+  it("decodes the colors of the stops and between them", () => {
+    assert.equal(table.decode(...white), -80);
+    assert.equal(table.decode(...red), -40);
+    assert.equal(table.decode(0, 0, 0), 0);
+    assert.equal(table.decode(255, 128, 128), -60);
+    assert.equal(table.decode(128, 0, 0), -20);
+  });
+
+  it("tolerates noise but not colors outside the table", () => {
+    assert.ok(Math.abs(table.decode(250, 5, 3) + 40) <= 1);
+    assert.ok(Number.isNaN(table.decode(0, 255, 0)));
+    const strict = new ColorTable(
+      [
+        [-80, white],
+        [-40, red],
+      ],
+      { tolerance: 4 },
+    );
+    assert.equal(strict.decode(253, 1, 1), -40);
+    assert.ok(Number.isNaN(strict.decode(245, 0, 0)));
+  });
+
+  it("does not interpolate the steps of the color scale", () => {
+    const stepped = new ColorTable([
+      [-50, [0, 0, 255]],
+      [-50, [0, 255, 0]],
+      [0, [0, 0, 0]],
+    ]);
+    assert.equal(stepped.decode(0, 0, 255), -50);
+    assert.equal(stepped.decode(0, 255, 0), -50);
+    assert.ok(Number.isNaN(stepped.decode(0, 128, 128)));
+  });
+
+  it("samples the median of a pixel and its neighbours", () => {
+    const label = [0, 255, 0];
+    const image = imageData([
+      [red, red, white],
+      [red, white, label],
+      [label, red, [128, 0, 0]],
+    ]);
+    // -80, -80, -40 x 4, -20 and two pixels without value
+    assert.equal(table.sample(image, 1, 1), -40);
+    // Clipped to the image: -40, -40, -40, -80
+    assert.equal(table.sample(image, 0, 0), -40);
+    assert.ok(Number.isNaN(table.sample(image, 2, 1, 0)));
+  });
+});
+
+describe("TemperatureGrid", () => {
+  const table = new ColorTable([
+    [-80, [255, 255, 255]],
+    [0, [0, 0, 0]],
+  ]);
+  const image = imageData([
+    [
+      [255, 255, 255],
+      [0, 0, 0],
+    ],
+    [
+      [0, 255, 0],
+      [128, 128, 128],
+    ],
+  ]);
+
+  it("decodes the pixels of an image", () => {
+    const grid = TemperatureGrid.decode(image, table);
+    assert.equal(grid.width, 2);
+    assert.equal(grid.height, 2);
+    assert.equal(grid.at(0, 0), -80);
+    assert.equal(grid.at(1, 0), 0);
+    assert.ok(Number.isNaN(grid.at(0, 1)));
+    assert.equal(grid.at(1, 1), -40);
+    assert.ok(Number.isNaN(grid.at(2, 0)));
+    assert.ok(Number.isNaN(grid.at(0, -1)));
+    assert.ok(Number.isNaN(new TemperatureGrid(2, 1).at(0, 0)));
+  });
+
+  it("writes the grid as CSV, in degrees Celsius or kelvins", () => {
+    const grid = TemperatureGrid.decode(image, table);
+    assert.equal(grid.toCSV(), "-80.0,0.0\n,-40.0\n");
+    assert.equal(
+      grid.toCSV(true, "Uncalibrated"),
+      "# Uncalibrated\n193.1,273.1\n,233.1\n",
+    );
+  });
+
+  it("writes the grid as a binary grid with its header", () => {
+    const grid = TemperatureGrid.decode(image, table);
+    const view = new DataView(grid.toBinary(true));
+    assert.equal(view.byteLength, 16);
+    assert.ok(Math.abs(view.getFloat32(0, true) - (KELVIN - 80)) < 1e-4);
+    assert.equal(view.getFloat32(8, true), NODATA);
+    assert.equal(new DataView(grid.toBinary()).getFloat32(12, true), -40);
+
+    const georef = new GeoReference(
+      { west: -60, south: -30, east: -58, north: -28 },
+      2,
+      2,
+    );
+    assert.equal(
+      grid.toHeader(georef),
+      [
+        "BYTEORDER I",
+        "LAYOUT BIL",
+        "NROWS 2",
+        "NCOLS 2",
+        "NBANDS 1",
+        "NBITS 32",
+        "PIXELTYPE FLOAT",
+        "NODATA -9999",
+        "ULXMAP -59.5000000000",
+        "ULYMAP -28.5000000000",
+        "XDIM 1.0000000000",
+        "YDIM 1.0000000000",
+        "",
+      ].join("\n"),
+    );
+    assert.ok(!grid.toHeader().includes("ULXMAP"));
+  });
+});
+
+describe("CloudTopAnalyzer", () => {
+  const start = new Date("2024-10-04T18:00:00Z");
+  const later = (minutes) => new Date(start.getTime() + minutes * 60_000);
+
+  it("finds the cold cloud tops larger than the minimum area", () => {
+    const grid = gridOf(12, 8, -30, [
+      [[2, 1, 3, 2], -70],
+      [[3, 3, 1, 1], -66],
+      [[9, 6, 1, 2], -80],
+    ]);
+    const detections = new CloudTopAnalyzer().analyze(grid, start, [100, 50]);
+    // The region at the bottom right has only two pixels
+    assert.deepEqual(detections, [
+      {
+        type: DETECTION.COLD_TOP,
+        time: start,
+        x: 103.5,
+        y: 50.5 + 12 / 7,
+        bounds: [102, 51, 3, 3],
+        pixels: 7,
+        value: -70,
+      },
+    ]);
+    assert.equal(
+      new CloudTopAnalyzer({ minPixels: 2 }).analyze(grid, start).length,
+      2,
+    );
+  });
+
+  it("finds the blocks cooling faster than the rate", () => {
+    const analyzer = new CloudTopAnalyzer();
+    assert.deepEqual(analyzer.analyze(gridOf(8, 8, -30), start), []);
+    // 15 °C in 10 minutes in the top left block, 5 °C in the others
+    const cooled = gridOf(8, 8, -35, [[[0, 0, 4, 4], -45]]);
+    assert.deepEqual(analyzer.analyze(cooled, later(10)), [
+      {
+        type: DETECTION.COOLING,
+        time: later(10),
+        x: 2,
+        y: 2,
+        bounds: [0, 0, 4, 4],
+        pixels: 16,
+        value: 15,
+      },
+    ]);
+    // 10 °C in 5 minutes, 20 °C per 10 minutes, in the other blocks
+    const [detection] = analyzer.analyze(
+      gridOf(8, 8, -45, [[[0, 0, 4, 4], -45]]),
+      later(15),
+    );
+    assert.deepEqual(detection.bounds, [0, 0, 8, 8]);
+    assert.equal(detection.pixels, 48);
+    assert.equal(detection.value, 20);
+  });
+
+  it("ignores the cooling of warm tops and across long gaps", () => {
+    const analyzer = new CloudTopAnalyzer();
+    analyzer.analyze(gridOf(8, 8, 0), start);
+    assert.deepEqual(analyzer.analyze(gridOf(8, 8, -15), later(10)), []);
+    assert.deepEqual(analyzer.analyze(gridOf(8, 8, -50), later(50)), []);
+    assert.equal(analyzer.analyze(gridOf(8, 8, -60), later(60)).length, 1);
+  });
+
+  it("detects a cold top at the temperature decoded from its pixels", () => {
+    // -75 °C halfway between the purple and red stops
+    const table = new ColorTable([
+      [-90, [100, 0, 100]],
+      [-60, [250, 0, 0]],
+      [-60, [255, 255, 0]],
+      [0, [0, 0, 0]],
+    ]);
+    const warm = [0, 0, 0];
+    const cold = [175, 0, 50];
+    const label = [0, 255, 0];
+    const image = imageData([
+      [warm, warm, warm, warm, label],
+      [warm, cold, cold, warm, label],
+      [warm, cold, cold, warm, warm],
+      [warm, warm, warm, warm, warm],
+    ]);
+    const grid = TemperatureGrid.decode(image, table);
+    assert.equal(grid.at(1, 1), -75);
+    assert.ok(Number.isNaN(grid.at(4, 0)));
+    const detections = new CloudTopAnalyzer().analyze(grid, start);
+    assert.deepEqual(detections, [
+      {
+        type: DETECTION.COLD_TOP,
+        time: start,
+        x: 2,
+        y: 2,
+        bounds: [1, 1, 2, 2],
+        pixels: 4,
+        value: -75,
+      },
+    ]);
+  });
+
+  it("ignores the blocks with less than half of their pixels valid", () => {
+    const analyzer = new CloudTopAnalyzer();
+    analyzer.analyze(gridOf(8, 4, -30), start);
+    const cooled = gridOf(8, 4, -50, [
+      [[0, 0, 4, 3], Number.NaN],
+      [[4, 0, 4, 2], Number.NaN],
+    ]);
+    const [detection] = analyzer.analyze(cooled, later(10));
+    assert.deepEqual(detection.bounds, [4, 0, 4, 4]);
+  });
+});
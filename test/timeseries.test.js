@@ -0,0 +1,187 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { GeoReference } from "../src/geo.js";
+import { SAMPLE_STATE, TimeSeries } from "../src/timeseries.js";
+
+/**
+ * A fake 2D context, which copies the rectangles drawn from fake images (see
+ * `image`).
+ */
+class FakeContext {
+  #pixels;
+
+  /**
+   * Copies a rectangle of an image, at its size.
+   *
+   * @param {object} image The fake image.
+   * @param {number} x The left of the rectangle.
+   * @param {number} y The top of the rectangle.
+   * @param {number} width The width of the rectangle.
+   * @param {number} height The height of the rectangle.
+   */
+  drawImage(image, x, y, width, height) {
+    this.#pixels = [];
+    for (let j = y; j < y + height; j++) {
+      for (let i = x; i < x + width; i++) {
+        this.#pixels.push(image.values[j * image.width + i], 0, 0, 255);
+      }
+    }
+  }
+
+  /**
+   * Gets the pixels of the last rectangle drawn.
+   *
+   * @returns {{data: Uint8ClampedArray}} The RGBA pixels.
+   */
+  getImageData() {
+    return { data: Uint8ClampedArray.from(this.#pixels) };
+  }
+}
+
+globalThis.document = {
+  createElement: () => ({ getContext: () => new FakeContext() }),
+};
+
+/**
+ * Builds a fake image whose pixels have the given red components, row by
+ * row.
+ *
+ * @param {number} width The width of the image, in pixels.
+ * @param {number[]} values The red component of each pixel.
+ * @returns {object} The image.
+ */
+function image(width, values) {
+  return { width, height: values.length / width, values };
+}
+
+/**
+ * Decodes the red component of a pixel, 0 being no data.
+ *
+ * @param {number} r The red component.
+ * @returns {number} The value of the pixel.
+ */
+function decode(r) {
+  return r === 0 ? Number.NaN : r;
+}
+
+describe("TimeSeries", () => {
+  const start = Date.parse("2024-10-04T12:00:00Z");
+  const time = (entry) => new Date(start + entry.index * 600_000);
+  // 3x3 images
+  const entries = [
+    { index: 0, data: image(3, [1, 2, 3, 4, 5, 6, 7, 8, 9]) },
+    { index: 1 },
+    { index: 2, data: image(3, [0, 0, 0, 0, 0, 0, 0, 0, 10]) },
+    { index: 3, data: image(3, [0, 0, 0, 0, 20, 30, 0, 0, 0]) },
+  ];
+
+  it("samples a pixel and its neighbours on each frame", () => {
+    const series = TimeSeries.sample(entries, {
+      point: { x: 1.5, y: 1.9 },
+      radius: 1,
+      decode,
+      time,
+    });
+    assert.equal(series.missing, 1);
+    assert.deepEqual(series.samples, [
+      {
+        time: time(entries[0]),
+        state: SAMPLE_STATE.OK,
+        count: 9,
+        mean: 5,
+        min: 1,
+        max: 9,
+      },
+      {
+        time: time(entries[1]),
+        state: SAMPLE_STATE.MISSING,
+        count: 0,
+        mean: Number.NaN,
+        min: Number.NaN,
+        max: Number.NaN,
+      },
+      {
+        time: time(entries[2]),
+        state: SAMPLE_STATE.OK,
+        count: 1,
+        mean: 10,
+        min: 10,
+        max: 10,
+      },
+      {
+        time: time(entries[3]),
+        state: SAMPLE_STATE.OK,
+        count: 2,
+        mean: 25,
+        min: 20,
+        max: 30,
+      },
+    ]);
+  });
+
+  it("clips the location to the image", () => {
+    const corner = TimeSeries.sample(entries.slice(0, 1), {
+      box: { x: 2, y: -1, width: 4, height: 3 },
+      decode,
+      time,
+    });
+    assert.deepEqual(corner.samples[0], {
+      time: time(entries[0]),
+      state: SAMPLE_STATE.OK,
+      count: 2,
+      mean: 4.5,
+      min: 3,
+      max: 6,
+    });
+    const outside = TimeSeries.sample(entries.slice(0, 1), {
+      point: { x: 5, y: 1 },
+      decode,
+      time,
+    });
+    assert.equal(outside.samples[0].state, SAMPLE_STATE.NODATA);
+  });
+
+  it("locates geographic positions on each frame", () => {
+    const bounds = { west: -60, south: -30, east: -57, north: -27 };
+    const options = {
+      point: { lat: -29.5, lon: -59.5 },
+      decode,
+      time,
+      georef: (_entry, width, height) =>
+        new GeoReference(bounds, width, height),
+    };
+    const series = TimeSeries.sample([entries[0], entries[2]], options);
+    assert.deepEqual(
+      series.samples.map(({ state, mean }) => [state, mean]),
+      [
+        [SAMPLE_STATE.OK, 7],
+        [SAMPLE_STATE.NODATA, Number.NaN],
+      ],
+    );
+    const unknown = TimeSeries.sample(entries.slice(0, 1), {
+      ...options,
+      georef: () => {},
+    });
+    assert.equal(unknown.samples[0].state, SAMPLE_STATE.NODATA);
+  });
+
+  it("writes the series as CSV", () => {
+    const series = TimeSeries.sample(entries.slice(0, 2), {
+      point: { x: 0, y: 0 },
+      radius: 1,
+      decode,
+      time,
+    });
+    assert.equal(
+      series.toCSV("Uncalibrated"),
+      [
+        "# Uncalibrated",
+        "time_utc,state,count,mean,min,max",
+        "2024-10-04T12:00:00.000Z,OK,4,3.00,1.00,5.00",
+        "2024-10-04T12:10:00.000Z,MISSING,0,,,",
+        "",
+      ].join("\n"),
+    );
+  });
+});